@@ -0,0 +1,23 @@
+const { ValidationError } = require("../utils/errors.js");
+const { importContent } = require("../utils/markdownContent.js");
+
+// Upsert projects and skills from uploaded Markdown files (protected)
+// Files come as multipart `files`; ?dryRun=true reports the changes without saving them
+// The report lists every file with its action (created, updated, unchanged or failed) and field-level changes
+const importMarkdown = async (req, res) => {
+    if (!req.files || req.files.length === 0) {
+        throw new ValidationError("Upload at least one Markdown file", { errors: { files: "Upload at least one Markdown file" } });
+    }
+
+    const report = await importContent(
+        req.files.map((file) => ({ file: file.originalname, text: file.buffer.toString("utf8") })),
+        { dryRun: req.query.dryRun === "true", user: req.user }
+    );
+
+    res.status(200).json({
+        success: true,
+        ...report
+    });
+};
+
+module.exports = { importMarkdown };
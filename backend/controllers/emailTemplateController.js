@@ -0,0 +1,63 @@
+const EmailTemplate = require("../models/EmailTemplate.js");
+const { PLACEHOLDERS, DEFAULT_TEMPLATES, TEMPLATE_KEYS, getTemplate } = require("../utils/emailTemplates.js");
+const { isMailConfigured } = require("../utils/mailer.js");
+const { NotFoundError } = require("../utils/errors.js");
+
+// List email templates, with defaults for ones that were never edited (owner only)
+const getEmailTemplates = async (req, res) => {
+    const templates = await Promise.all(TEMPLATE_KEYS.map(getTemplate));
+    res.status(200).json({
+        success: true,
+        templates,
+        placeholders: PLACEHOLDERS,
+        mailConfigured: isMailConfigured()
+    });
+};
+
+// Update an email template (owner only)
+const updateEmailTemplate = async (req, res) => {
+    const { key } = req.params;
+    if (!DEFAULT_TEMPLATES[key]) {
+        throw new NotFoundError("Email template not found");
+    }
+
+    const current = await getTemplate(key);
+    const { subject, body, enabled } = req.body || {};
+
+    let template = await EmailTemplate.findOne({ key });
+    if (!template) {
+        template = new EmailTemplate({ key });
+    }
+    template.subject = subject !== undefined ? subject : current.subject;
+    template.body = body !== undefined ? body : current.body;
+    template.enabled = enabled !== undefined ? Boolean(enabled) : current.enabled;
+    await template.save();
+
+    res.status(200).json({
+        success: true,
+        message: "Email template updated successfully",
+        template: await getTemplate(key)
+    });
+};
+
+// Restore the built-in default for a template (owner only)
+const resetEmailTemplate = async (req, res) => {
+    const { key } = req.params;
+    if (!DEFAULT_TEMPLATES[key]) {
+        throw new NotFoundError("Email template not found");
+    }
+
+    await EmailTemplate.deleteOne({ key });
+
+    res.status(200).json({
+        success: true,
+        message: "Email template reset to default",
+        template: await getTemplate(key)
+    });
+};
+
+module.exports = {
+    getEmailTemplates,
+    updateEmailTemplate,
+    resetEmailTemplate
+};
@@ -0,0 +1,262 @@
+const Message = require("../models/Message.js");
+const mongoose = require("mongoose");
+const { ValidationError, NotFoundError } = require("../utils/errors.js");
+const { toCsv } = require("../utils/csv.js");
+const { issueFormToken } = require("../utils/formToken.js");
+const { deliverMessageNotifications, retryDueNotifications } = require("../utils/contactNotifications.js");
+
+// Start token for the contact form (public) - fetched when the form opens, sent back with the message
+const getFormToken = async (req, res) => {
+    res.set("Cache-Control", "no-store");
+    res.status(200).json({
+        success: true,
+        formToken: issueFormToken()
+    });
+};
+
+// Submit a contact message (public)
+const createMessage = async (req, res) => {
+    const { name, email, subject, message } = req.body || {};
+
+    // Only take the known fields so visitors can't set createdAt or _id
+    const newMessage = await Message.create({
+        name,
+        email,
+        subject,
+        message,
+        ip: req.clientIp || ""
+    });
+
+    // Email the owner (and the optional auto-reply) before responding - serverless
+    // functions may be frozen once the response is sent. Failures are retried later
+    // (see retryDueMessageNotifications), never from this public request.
+    try {
+        await deliverMessageNotifications(newMessage);
+    } catch (notifyError) {
+        console.error("Error sending message notifications:", notifyError);
+    }
+
+    res.status(201).json({
+        success: true,
+        message: "Message sent successfully",
+        data: {
+            _id: newMessage._id,
+            createdAt: newMessage.createdAt
+        }
+    });
+};
+
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 10000;
+
+const CSV_COLUMNS = [
+    { key: "createdAt", label: "Received" },
+    { key: "name", label: "Name" },
+    { key: "email", label: "Email" },
+    { key: "subject", label: "Subject" },
+    { key: "message", label: "Message" },
+    { key: "read", label: "Read" },
+    { key: "archived", label: "Archived" },
+    { key: "notes", label: "Notes" }
+];
+
+const parseDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Build the Mongo filter shared by the inbox list and the CSV export
+// status: inbox (default, everything not archived), unread, read, archived or all
+const buildMessageFilter = (query = {}) => {
+    const filter = {};
+
+    switch (query.status) {
+        case "unread":
+            filter.archived = false;
+            filter.read = false;
+            break;
+        case "read":
+            filter.archived = false;
+            filter.read = true;
+            break;
+        case "archived":
+            filter.archived = true;
+            break;
+        case "all":
+            break;
+        default:
+            filter.archived = false;
+    }
+
+    const search = String(query.q || "").trim();
+    if (search) {
+        filter.$text = { $search: search };
+    }
+
+    const from = parseDate(query.from);
+    const to = parseDate(query.to);
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = from;
+        if (to) {
+            // A plain date means "through the end of that day"
+            if (/^\d{4}-\d{2}-\d{2}$/.test(String(query.to))) {
+                to.setUTCHours(23, 59, 59, 999);
+            }
+            filter.createdAt.$lte = to;
+        }
+    }
+
+    return filter;
+};
+
+// Get messages with search, status/date filters and pagination (protected)
+const getMessages = async (req, res) => {
+    const filter = buildMessageFilter(req.query);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const [messages, total, unreadCount] = await Promise.all([
+        Message.find(filter)
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Message.countDocuments(filter),
+        Message.countDocuments({ archived: false, read: false })
+    ]);
+
+    res.status(200).json({
+        success: true,
+        count: messages.length,
+        total,
+        page,
+        pages: Math.max(Math.ceil(total / limit), 1),
+        unreadCount,
+        messages
+    });
+};
+
+// Export the filtered messages as CSV (protected)
+const exportMessages = async (req, res) => {
+    const messages = await Message.find(buildMessageFilter(req.query))
+        .sort({ createdAt: -1 })
+        .limit(MAX_EXPORT_ROWS)
+        .lean();
+
+    const filename = `messages-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set("Content-Type", "text/csv; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    // BOM so Excel opens the file as UTF-8
+    res.status(200).send("\uFEFF" + toCsv(CSV_COLUMNS, messages));
+};
+
+// Update inbox state (read, archived) or notes of a message (protected)
+const updateMessage = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError("Invalid message ID format", { code: "INVALID_ID" });
+    }
+
+    const { read, archived, notes } = req.body || {};
+    const updates = {};
+    if (read !== undefined) updates.read = Boolean(read);
+    if (archived !== undefined) updates.archived = Boolean(archived);
+    if (notes !== undefined) updates.notes = notes;
+
+    if (Object.keys(updates).length === 0) {
+        throw new ValidationError("Nothing to update");
+    }
+
+    const message = await Message.findByIdAndUpdate(id, updates, {
+        new: true,
+        runValidators: true
+    });
+    if (!message) {
+        throw new NotFoundError("Message not found");
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "Message updated successfully",
+        data: message
+    });
+};
+
+// Retry failed or skipped notification emails for a message (protected)
+const retryMessageNotifications = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError("Invalid message ID format", { code: "INVALID_ID" });
+    }
+
+    const exists = await Message.exists({ _id: id });
+    if (!exists) {
+        throw new NotFoundError("Message not found");
+    }
+
+    const results = await deliverMessageNotifications({ _id: id }, { force: true });
+    const message = await Message.findById(id);
+
+    res.status(200).json({
+        success: true,
+        message: "Notifications retried",
+        results,
+        data: message
+    });
+};
+
+// Retry every notification whose backoff has elapsed (protected)
+// A long-running server does this on an interval; on serverless the inbox calls it when opened
+const retryDueMessageNotifications = async (req, res) => {
+    const processed = await retryDueNotifications();
+
+    res.status(200).json({
+        success: true,
+        message: "Due notifications retried",
+        processed
+    });
+};
+
+// Delete a message (protected)
+const deleteMessage = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError("Invalid message ID format", { code: "INVALID_ID" });
+    }
+
+    const message = await Message.findByIdAndDelete(id);
+    if (!message) {
+        throw new NotFoundError("Message not found");
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "Message deleted successfully"
+    });
+};
+
+// Delete every message (protected)
+const deleteAllMessages = async (req, res) => {
+    const result = await Message.deleteMany({});
+    res.status(200).json({
+        success: true,
+        message: "All messages deleted successfully",
+        deletedCount: result.deletedCount
+    });
+};
+
+module.exports = {
+    getFormToken,
+    createMessage,
+    getMessages,
+    exportMessages,
+    updateMessage,
+    retryMessageNotifications,
+    retryDueMessageNotifications,
+    deleteMessage,
+    deleteAllMessages
+};
@@ -0,0 +1,68 @@
+const { ValidationError } = require("../utils/errors.js");
+const {
+    buildExport,
+    buildArchive,
+    readArchive,
+    checkDocument,
+    planImport,
+    applyImport
+} = require("../utils/portfolioArchive.js");
+
+// Export projects, skills, email templates and messages as one versioned JSON document (owner only)
+// ?media=true zips it together with the images and videos it references
+const exportPortfolio = async (req, res) => {
+    const document = await buildExport();
+    const basename = `portfolio-${new Date().toISOString().slice(0, 10)}`;
+
+    if (req.query.media === "true") {
+        const archive = await buildArchive(document);
+        res.set("Content-Type", "application/zip");
+        res.set("Content-Disposition", `attachment; filename="${basename}.zip"`);
+        return res.status(200).send(archive);
+    }
+
+    res.set("Content-Disposition", `attachment; filename="${basename}.json"`);
+    res.status(200).json(document);
+};
+
+// Import an export (owner only) - either the JSON document as the body,
+// or a .json/.zip file uploaded as multipart `archive` (zips re-upload their media to Cloudinary)
+// ?mode=merge (default) adds new items and overwrites ones with the same _id;
+// ?mode=replace empties each collection in the export first. ?dryRun=true only reports
+const importPortfolio = async (req, res) => {
+    const mode = req.query.mode || "merge";
+    const dryRun = req.query.dryRun === "true";
+
+    const { document, files } = req.file
+        ? readArchive(req.file.buffer)
+        : { document: req.body, files: new Map() };
+    checkDocument(document);
+
+    const planned = await planImport(document, mode);
+    if (dryRun) {
+        return res.status(200).json({
+            success: true,
+            dryRun: true,
+            report: planned.report
+        });
+    }
+
+    // Nothing is written unless every item is valid
+    if (planned.report.errors.length > 0) {
+        throw new ValidationError("The export has invalid items; nothing was imported", {
+            code: "INVALID_ARCHIVE",
+            meta: { report: planned.report }
+        });
+    }
+
+    const report = await applyImport(document, files, planned, req.user);
+
+    res.status(200).json({
+        success: true,
+        dryRun: false,
+        message: "Portfolio imported successfully",
+        report
+    });
+};
+
+module.exports = { exportPortfolio, importPortfolio };
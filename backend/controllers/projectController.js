@@ -1,484 +1,601 @@
 const Project = require("../models/Project.js");
 const mongoose = require("mongoose");
+const { ValidationError, NotFoundError, ConflictError, UploadError } = require("../utils/errors.js");
+const { isSlugAvailable, uniqueSlug } = require("../utils/slug.js");
+const { nextOrder, applyOrder } = require("../utils/ordering.js");
+const { paginate } = require("../utils/pagination.js");
+const { linkTools } = require("../utils/skillLinks.js");
+const { canonicalTool, iconFor } = require("../utils/techTaxonomy.js");
+const { TRASH_RETENTION_DAYS, NOT_DELETED, isTrashed, purgeAtFor, findTrashed, listTrash, purgeDocument, purgeExpired } = require("../utils/trash.js");
+const {
+    snapshotOf,
+    releaseAssets,
+    recordRevision,
+    ensureBaseline,
+    diffSnapshots,
+    listRevisions,
+    findRevision,
+    previousRevision
+} = require("../utils/revisions.js");
+const { PROJECT_STATUSES, DEFAULT_STATUS, LEGACY_STATUS, resolveStatus, liveFilter, isLive } = require("../utils/projectStatus.js");
+const { MAX_MEDIA_ITEMS, MEDIA_FOLDERS, normalizeMedia, hasLegacyMedia, withLegacyMedia, clearLegacyMedia } = require("../utils/projectMedia.js");
 const { 
   uploadVideoToCloudinary, 
-  deleteVideoFromCloudinary,
   uploadImageToCloudinary,
-  deleteImageFromCloudinary 
+  deleteVideoFromCloudinary,
+  deleteImageFromCloudinary
 } = require("../utils/cloudinaryUpload");
 
-// Helper function to extract validation errors
-const extractValidationErrors = (error) => {
-    if (error.name === 'ValidationError') {
-        const errors = {};
-        Object.keys(error.errors).forEach(key => {
-            errors[key] = error.errors[key].message;
-        });
-        return errors;
+// Mongo filter for one status; legacy rows without a status count as published
+const statusFilter = (status) => {
+    if (status === LEGACY_STATUS) {
+        return { $or: [{ status: LEGACY_STATUS }, { status: { $exists: false } }] };
     }
-    return null;
+    return { status };
 };
 
-// Get all projects (public)
-const getProjects = async (req, res) => {
-    try {
-        const projects = await Project.find().sort({ createdAt: -1 });
-        res.status(200).json({
-            success: true,
-            count: projects.length,
-            projects
-        });
-    } catch (error) {
-        console.error("Error fetching projects:", error);
-        res.status(500).json({
-            success: false,
-            message: "Error fetching projects",
-            error: error.message
-        });
-    }
-};
+// Keep status and publishAt consistent before saving
+// `current` is the stored project on update; on create the status has already been defaulted
+const applyPublishing = (fields, current) => {
+    if (current && !fields.status && !("publishAt" in fields)) return;
 
-// Get single project by ID (public)
-const getProject = async (req, res) => {
-    try {
-        const { id } = req.params;
+    const status = fields.status || resolveStatus(current);
+    const publishAt = "publishAt" in fields ? fields.publishAt : current?.publishAt;
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({
-                success: false,
-                message: "Invalid project ID format"
+    if (status === "scheduled") {
+        if (!publishAt) {
+            throw new ValidationError("Validation failed", {
+                errors: { publishAt: "Pick a publish date for scheduled projects" }
             });
         }
+        // A date that has already passed means publish right away
+        if (new Date(publishAt) <= new Date()) {
+            fields.status = "published";
+        }
+    } else if (status === "published" && !publishAt) {
+        fields.publishAt = new Date();
+    }
+};
 
-        const project = await Project.findById(id);
+// Fill in fields.slug: explicit slugs must be free, otherwise one is generated from the title
+// `current` is the stored project on update (loaded with +previousSlugs)
+const assignSlug = async (fields, current) => {
+    const excludeId = current?._id;
 
-        if (!project) {
-            return res.status(404).json({
-                success: false,
-                message: "Project not found"
-            });
+    if (fields.slug) {
+        if (!(await isSlugAvailable(Project, fields.slug, excludeId))) {
+            throw new ConflictError("Slug is already in use", { errors: { slug: "Slug is already in use" } });
         }
+    } else if (!current || fields.slug === "" || !current.slug) {
+        // New project, slug cleared on purpose, or a project from before slugs existed
+        fields.slug = await uniqueSlug(Project, fields.title || current?.title, excludeId);
+    } else {
+        return;
+    }
 
-        res.status(200).json({
-            success: true,
-            project
-        });
-    } catch (error) {
-        console.error("Error fetching project:", error);
-        res.status(500).json({
-            success: false,
-            message: "Error fetching project",
-            error: error.message
+    // Remember the old slug so links that were already shared still resolve
+    if (current?.slug && fields.slug !== current.slug) {
+        const previous = new Set([...(current.previousSlugs || []), current.slug]);
+        previous.delete(fields.slug);
+        fields.previousSlugs = [...previous];
+    }
+};
+
+// Gallery files sent as multipart `media` with the request
+const mediaFilesOf = (req) => (req.files && req.files["media"]) || [];
+
+// Checked before anything is uploaded, so a gallery that's too big doesn't leave files behind in Cloudinary
+const checkMediaCount = (count) => {
+    if (count > MAX_MEDIA_ITEMS) {
+        throw new ValidationError("Validation failed", {
+            errors: { media: `A project can have at most ${MAX_MEDIA_ITEMS} media items` }
         });
     }
 };
 
-// Add project (protected)
-// Accepts JSON with Cloudinary URLs (frontend uploads directly to Cloudinary to bypass Vercel limits)
-// Similar to Next.js pattern: frontend uploads to Cloudinary, backend just saves URLs
-const addProject = async (req, res) => {
-    try {
-        const contentType = req.headers["content-type"] || "";
-        
-        // JSON path: accept metadata after a direct-to-Cloudinary upload (bypasses Vercel limits)
-        if (contentType.includes("application/json")) {
-            // Parse array fields if they come as stringified JSON or arrays
-            if (req.body.features && typeof req.body.features === 'string') {
-                try {
-                    req.body.features = JSON.parse(req.body.features);
-                } catch (e) {
-                    req.body.features = [req.body.features];
-                }
-            }
-            if (req.body.tools && typeof req.body.tools === 'string') {
-                try {
-                    req.body.tools = JSON.parse(req.body.tools);
-                } catch (e) {
-                    req.body.tools = [req.body.tools];
-                }
-            }
-
-            // Handle array format (features[0], tools[0], etc.)
-            const features = [];
-            const tools = [];
-            Object.keys(req.body).forEach(key => {
-                if (key.startsWith('features[')) {
-                    const match = key.match(/\[(\d+)\]/);
-                    if (match) {
-                        const index = parseInt(match[1]);
-                        features[index] = req.body[key];
-                        delete req.body[key];
-                    }
-                } else if (key.startsWith('tools[')) {
-                    const match = key.match(/\[(\d+)\]/);
-                    if (match) {
-                        const index = parseInt(match[1]);
-                        tools[index] = req.body[key];
-                        delete req.body[key];
-                    }
-                }
-            });
-            if (features.length > 0) req.body.features = features.filter(Boolean);
-            if (tools.length > 0) req.body.tools = tools.filter(Boolean);
-
-            // Frontend already uploaded to Cloudinary, just save the URLs
-            // No file processing needed - this bypasses Vercel's 4.5MB limit
-            // Expecting: cloudinaryVideoUrl, cloudinaryVideoPublicId, cloudinaryThumbnailUrl, cloudinaryThumbnailPublicId
-            
-            const project = new Project(req.body);
-            await project.save();
-
-            return res.status(201).json({
-                success: true,
-                message: "Project added successfully",
-                project
-            });
-        }
+// ?dryRun=true on a save runs every check and stops before anything is uploaded or written,
+// so the dashboard can catch slug conflicts and invalid fields before it uploads files
+const validOnly = (req, res) => {
+    if (req.query.dryRun !== "true") return false;
+    res.status(200).json({
+        success: true,
+        dryRun: true,
+        message: "Project is valid"
+    });
+    return true;
+};
 
-        // Multipart path (legacy fallback for local dev or small files only)
-        // Parse FormData arrays (features, tools)
-        if (req.body.features && typeof req.body.features === 'string') {
-            try {
-                req.body.features = JSON.parse(req.body.features);
-            } catch (e) {
-                req.body.features = [req.body.features];
-            }
-        }
-        if (req.body.tools && typeof req.body.tools === 'string') {
-            try {
-                req.body.tools = JSON.parse(req.body.tools);
-            } catch (e) {
-                req.body.tools = [req.body.tools];
-            }
-        }
+// Delete gallery files uploaded for a request that then failed
+const discardMedia = async (items) => {
+    for (const item of items) {
+        const remove = item.type === "video" ? deleteVideoFromCloudinary : deleteImageFromCloudinary;
+        await remove(item.publicId);
+    }
+};
 
-        // Handle array format from FormData
-        const features = [];
-        const tools = [];
-        Object.keys(req.body).forEach(key => {
-            if (key.startsWith('features[')) {
-                const match = key.match(/\[(\d+)\]/);
-                if (match) {
-                    const index = parseInt(match[1]);
-                    features[index] = req.body[key];
-                    delete req.body[key];
-                }
-            } else if (key.startsWith('tools[')) {
-                const match = key.match(/\[(\d+)\]/);
-                if (match) {
-                    const index = parseInt(match[1]);
-                    tools[index] = req.body[key];
-                    delete req.body[key];
-                }
-            }
-        });
-        if (features.length > 0) req.body.features = features.filter(Boolean);
-        if (tools.length > 0) req.body.tools = tools.filter(Boolean);
-
-        // Handle file uploads (fallback - not recommended for Vercel serverless)
-        if (req.files && req.files['video'] && req.files['video'][0]) {
-            try {
-                const videoFile = req.files['video'][0];
-                const videoInput = videoFile.buffer || videoFile.path;
-                const videoResult = await uploadVideoToCloudinary(videoInput);
-                req.body.cloudinaryVideoUrl = videoResult.url;
-                req.body.cloudinaryVideoPublicId = videoResult.public_id;
-            } catch (uploadError) {
-                console.error("Error uploading video to Cloudinary:", uploadError);
-                return res.status(500).json({
-                    success: false,
-                    message: "Error uploading video to Cloudinary",
-                    error: uploadError.message
-                });
-            }
+// Legacy fallback: gallery files sent as multipart `media` are uploaded here (not recommended for Vercel)
+// Returns them as media items to add after the ones in the body; if one fails, the ones before it are deleted
+const uploadMediaFiles = async (files) => {
+    const items = [];
+    for (const file of files) {
+        const type = file.mimetype.startsWith("video/") ? "video" : "image";
+        const uploadFile = type === "video" ? uploadVideoToCloudinary : uploadImageToCloudinary;
+        try {
+            const result = await uploadFile(file.buffer || file.path, MEDIA_FOLDERS[type]);
+            items.push({ type, url: result.url, publicId: result.public_id, alt: "", caption: "", cover: false });
+        } catch (uploadError) {
+            console.error(`Error uploading ${type} to Cloudinary:`, uploadError);
+            await discardMedia(items);
+            throw new UploadError(`Error uploading ${type} to Cloudinary`, { status: 502, code: "UPLOAD_FAILED" });
         }
+    }
+    return items;
+};
 
-        if (req.files && req.files['thumbnail'] && req.files['thumbnail'][0]) {
-            try {
-                const thumbnailFile = req.files['thumbnail'][0];
-                const thumbnailInput = thumbnailFile.buffer || thumbnailFile.path;
-                const thumbnailResult = await uploadImageToCloudinary(thumbnailInput);
-                req.body.cloudinaryThumbnailUrl = thumbnailResult.url;
-                req.body.cloudinaryThumbnailPublicId = thumbnailResult.public_id;
-            } catch (uploadError) {
-                console.error("Error uploading thumbnail to Cloudinary:", uploadError);
-                return res.status(500).json({
-                    success: false,
-                    message: "Error uploading thumbnail to Cloudinary",
-                    error: uploadError.message
-                });
-            }
-        }
+// Page sizes for GET /api/projects
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 100;
 
-        const project = new Project(req.body);
-        await project.save();
+// ?sort= options; every spec ends with _id so cursors are unambiguous
+const PROJECT_SORTS = {
+    manual: [["order", 1], ["createdAt", -1], ["_id", -1]],
+    newest: [["createdAt", -1], ["_id", -1]],
+    oldest: [["createdAt", 1], ["_id", 1]],
+    title: [["title", 1], ["_id", 1]]
+};
 
-        return res.status(201).json({
-            success: true,
-            message: "Project added successfully",
-            project
-        });
-    } catch (error) {
-        console.error("Error adding project:", error);
-
-        // Handle validation errors
-        const validationErrors = extractValidationErrors(error);
-        if (validationErrors) {
-            return res.status(400).json({
-                success: false,
-                message: "Validation error",
-                errors: validationErrors
-            });
-        }
+// Accept both ?tools=React,Node and ?tools=React&tools=Node
+const parseList = (value) => {
+    return [].concat(value || [])
+        .flatMap((item) => String(item).split(","))
+        .map((item) => item.trim())
+        .filter(Boolean);
+};
 
-        // Handle other errors
-        res.status(500).json({
-            success: false,
-            message: "Error adding project",
-            error: error.message
-        });
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Build the Mongo filter for GET /api/projects from its query string
+const buildProjectFilter = (query, signedIn) => {
+    const { status, q, featured } = query;
+    // Trashed projects only show up in GET /api/projects/trash
+    const conditions = [NOT_DELETED];
+
+    if (status && status !== "live" && !PROJECT_STATUSES.includes(status)) {
+        throw new ValidationError(`Status must be live or one of: ${PROJECT_STATUSES.join(", ")}`);
+    }
+    if (!signedIn || status === "live") {
+        conditions.push(liveFilter());
+    } else if (status) {
+        conditions.push(statusFilter(status));
+    }
+
+    // Full-text search over title, description and features (see the text index on the model)
+    if (q && String(q).trim()) {
+        conditions.push({ $text: { $search: String(q).trim() } });
+    }
+
+    // Projects must use every requested tool; names match case-insensitively, and
+    // aliases resolve to the stored canonical name (?tools=nextjs finds Next.js)
+    const tools = parseList(query.tools).map(canonicalTool);
+    if (tools.length > 0) {
+        conditions.push({ tools: { $all: tools.map((tool) => new RegExp(`^${escapeRegex(tool)}$`, "i")) } });
+    }
+
+    if (featured === "true") {
+        conditions.push({ featured: true });
+    } else if (featured === "false") {
+        conditions.push({ featured: { $ne: true } });
+    } else if (featured !== undefined) {
+        throw new ValidationError("Featured must be true or false");
+    }
+
+    return { $and: conditions };
+};
+
+// Get projects (public), one page at a time
+// Query: q, tools, status, featured, sort (manual|newest|oldest|title), limit, cursor
+// Visitors only see live projects; signed-in users see every status and can filter with ?status=
+// (?status=live gives them the public view). Pass the returned nextCursor to get the next page.
+const getProjects = async (req, res) => {
+    const signedIn = Boolean(req.authUser);
+    const sortKey = req.query.sort || "manual";
+    const sort = PROJECT_SORTS[sortKey];
+    if (!sort) {
+        throw new ValidationError(`Sort must be one of: ${Object.keys(PROJECT_SORTS).join(", ")}`);
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const filter = buildProjectFilter(req.query, signedIn);
+
+    if (signedIn) {
+        // Keep the dashboard accurate even where the scheduler timer doesn't run (serverless)
+        await Project.publishDue();
+    }
+
+    const { items: projects, nextCursor, total } = await paginate(Project, {
+        filter,
+        sort,
+        limit,
+        cursor: req.query.cursor
+    });
+
+    const response = {
+        success: true,
+        count: projects.length,
+        total,
+        projects,
+        nextCursor,
+        hasMore: Boolean(nextCursor)
+    };
+
+    if (signedIn) {
+        const grouped = await Project.aggregate([
+            { $match: NOT_DELETED },
+            { $group: { _id: { $ifNull: ["$status", LEGACY_STATUS] }, count: { $sum: 1 } } }
+        ]);
+        response.statusCounts = PROJECT_STATUSES.reduce((counts, status) => {
+            const match = grouped.find((group) => group._id === status);
+            counts[status] = match ? match.count : 0;
+            return counts;
+        }, {});
+    }
+
+    res.status(200).json(response);
+};
+
+// Get the distinct tools across projects with how many projects use each (public)
+// Feeds the technology filter bar; same visibility rules as GET /api/projects
+// Spellings are grouped case-insensitively, like the ?tools= filter matches them
+const getProjectTools = async (req, res) => {
+    const filter = buildProjectFilter({ status: req.query.status }, Boolean(req.authUser));
+
+    const tools = await Project.aggregate([
+        { $match: filter },
+        // Same order as the project list, so $first picks a stable spelling for each tool
+        { $sort: Object.fromEntries(PROJECT_SORTS.manual) },
+        { $unwind: "$tools" },
+        { $group: { _id: { $toLower: "$tools" }, name: { $first: "$tools" }, projects: { $addToSet: "$_id" } } },
+        { $project: { _id: 0, name: 1, count: { $size: "$projects" } } },
+        { $sort: { count: -1, name: 1 } }
+    ]);
+
+    res.status(200).json({
+        success: true,
+        tools: tools.map((tool) => ({ ...tool, icon: iconFor(tool.name) }))
+    });
+};
+
+// Get single project by ID (public)
+const getProject = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError("Invalid project ID format", { code: "INVALID_ID" });
+    }
+
+    const project = await Project.findById(id);
+
+    // Unpublished projects don't exist as far as visitors are concerned, trashed ones for anyone
+    if (!project || isTrashed(project) || (!req.authUser && !isLive(project))) {
+        throw new NotFoundError("Project not found");
+    }
+
+    res.status(200).json({
+        success: true,
+        project
+    });
+};
+
+// Get single project by slug (public)
+// Old slugs and plain ids also resolve, so the client should switch to the returned project.slug
+const getProjectBySlug = async (req, res) => {
+    const slug = String(req.params.slug).toLowerCase();
+
+    let project = await Project.findOne({ slug });
+    if (!project) {
+        project = await Project.findOne({ previousSlugs: slug });
+    }
+    if (!project && mongoose.Types.ObjectId.isValid(req.params.slug)) {
+        project = await Project.findById(req.params.slug);
+    }
+
+    if (!project || isTrashed(project) || (!req.authUser && !isLive(project))) {
+        throw new NotFoundError("Project not found");
+    }
+
+    res.status(200).json({
+        success: true,
+        project
+    });
+};
+
+// Add project (protected)
+// Body is validated and normalized by validateBody(projectSchema) - see routes/projectRoutes.js
+// The dashboard sends JSON with Cloudinary URLs after uploading directly (bypasses Vercel limits);
+// multipart with `media` files is kept as a fallback for local dev and small files
+const addProject = async (req, res) => {
+    const fields = { ...req.body };
+
+    fields.status = fields.status || DEFAULT_STATUS;
+    applyPublishing(fields);
+    // New projects go to the end of the manual order
+    fields.order = await nextOrder(Project);
+    await assignSlug(fields);
+    // Canonical tool names (tech taxonomy) plus links to the matching skills
+    Object.assign(fields, await linkTools(fields.tools));
+
+    // Everything is validated before files are uploaded
+    const files = mediaFilesOf(req);
+    checkMediaCount((fields.media || []).length + files.length);
+    const project = new Project({ ...fields, media: normalizeMedia(fields.media || []) });
+    await project.validate();
+    if (validOnly(req, res)) return;
+
+    const uploaded = await uploadMediaFiles(files);
+    project.media = normalizeMedia([...project.toObject().media, ...uploaded]);
+    try {
+        await project.save();
+    } catch (error) {
+        await discardMedia(uploaded);
+        throw error;
     }
+    await recordRevision("Project", project, req.user, "create");
+
+    return res.status(201).json({
+        success: true,
+        message: "Project added successfully",
+        project
+    });
 };
 
 // Update project (protected)
 const updateProject = async (req, res) => {
-    try {
-        const { id } = req.params;
+    const { id } = req.params;
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({
-                success: false,
-                message: "Invalid project ID format"
-            });
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError("Invalid project ID format", { code: "INVALID_ID" });
+    }
 
-        // Get existing project to check for old video
-        const existingProject = await Project.findById(id);
-        if (!existingProject) {
-            return res.status(404).json({
-                success: false,
-                message: "Project not found"
-            });
-        }
+    // Get existing project for its old media, old slugs and baseline revision
+    const existingProject = await Project.findById(id).select("+previousSlugs");
+    if (!existingProject || isTrashed(existingProject)) {
+        throw new NotFoundError("Project not found");
+    }
 
-        // Parse FormData arrays (features, tools)
-        if (req.body.features && typeof req.body.features === 'string') {
-            try {
-                req.body.features = JSON.parse(req.body.features);
-            } catch (e) {
-                req.body.features = [req.body.features];
-            }
-        }
-        if (req.body.tools && typeof req.body.tools === 'string') {
-            try {
-                req.body.tools = JSON.parse(req.body.tools);
-            } catch (e) {
-                req.body.tools = [req.body.tools];
-            }
-        }
+    // Body is validated by validateBody(projectSchema, { partial: true })
+    const fields = { ...req.body };
 
-        // Handle array format from FormData
-        const features = [];
-        const tools = [];
-        Object.keys(req.body).forEach(key => {
-            if (key.startsWith('features[')) {
-                const match = key.match(/\[(\d+)\]/);
-                if (match) {
-                    const index = parseInt(match[1]);
-                    features[index] = req.body[key];
-                    delete req.body[key];
-                }
-            } else if (key.startsWith('tools[')) {
-                const match = key.match(/\[(\d+)\]/);
-                if (match) {
-                    const index = parseInt(match[1]);
-                    tools[index] = req.body[key];
-                    delete req.body[key];
-                }
-            }
-        });
-        if (features.length > 0) req.body.features = features.filter(Boolean);
-        if (tools.length > 0) req.body.tools = tools.filter(Boolean);
-
-        // Handle video - frontend uploads directly to Cloudinary, we just manage the URLs
-        if (req.body.cloudinaryVideoUrl && req.body.cloudinaryVideoPublicId) {
-            // Frontend already uploaded to Cloudinary
-            // Delete old video if it's different from the new one
-            if (existingProject.cloudinaryVideoPublicId && 
-                existingProject.cloudinaryVideoPublicId !== req.body.cloudinaryVideoPublicId) {
-                try {
-                    await deleteVideoFromCloudinary(existingProject.cloudinaryVideoPublicId);
-                } catch (deleteError) {
-                    console.warn("Error deleting old video from Cloudinary:", deleteError);
-                    // Continue - don't fail the update if deletion fails
-                }
-            }
-        } else if (req.body.removeVideo === 'true' || req.body.cloudinaryVideoUrl === '') {
-            // If explicitly removing video
-            if (existingProject.cloudinaryVideoPublicId) {
-                try {
-                    await deleteVideoFromCloudinary(existingProject.cloudinaryVideoPublicId);
-                } catch (deleteError) {
-                    console.warn("Error deleting video from Cloudinary:", deleteError);
-                }
-                req.body.cloudinaryVideoUrl = '';
-                req.body.cloudinaryVideoPublicId = '';
-            }
-        } else if (req.files && req.files['video'] && req.files['video'][0]) {
-            // Legacy fallback: server-side upload (not recommended for Vercel)
-            if (existingProject.cloudinaryVideoPublicId) {
-                try {
-                    await deleteVideoFromCloudinary(existingProject.cloudinaryVideoPublicId);
-                } catch (deleteError) {
-                    console.warn("Error deleting old video:", deleteError);
-                }
-            }
-            try {
-                const videoFile = req.files['video'][0];
-                const videoInput = videoFile.buffer || videoFile.path;
-                const videoResult = await uploadVideoToCloudinary(videoInput);
-                req.body.cloudinaryVideoUrl = videoResult.url;
-                req.body.cloudinaryVideoPublicId = videoResult.public_id;
-            } catch (uploadError) {
-                console.error("Error uploading video to Cloudinary:", uploadError);
-                return res.status(500).json({
-                    success: false,
-                    message: "Error uploading video to Cloudinary",
-                    error: uploadError.message
-                });
-            }
-        }
+    applyPublishing(fields, existingProject);
+    await assignSlug(fields, existingProject);
+    if (fields.tools) {
+        // Canonical tool names (tech taxonomy) plus links to the matching skills
+        Object.assign(fields, await linkTools(fields.tools));
+    }
 
-        // Handle thumbnail - frontend uploads directly to Cloudinary, we just manage the URLs
-        if (req.body.cloudinaryThumbnailUrl && req.body.cloudinaryThumbnailPublicId) {
-            // Frontend already uploaded to Cloudinary
-            // Delete old thumbnail if it's different from the new one
-            if (existingProject.cloudinaryThumbnailPublicId && 
-                existingProject.cloudinaryThumbnailPublicId !== req.body.cloudinaryThumbnailPublicId) {
-                try {
-                    await deleteImageFromCloudinary(existingProject.cloudinaryThumbnailPublicId);
-                } catch (deleteError) {
-                    console.warn("Error deleting old thumbnail from Cloudinary:", deleteError);
-                    // Continue - don't fail the update if deletion fails
-                }
-            }
-        } else if (req.body.removeThumbnail === 'true' || req.body.cloudinaryThumbnailUrl === '') {
-            // If explicitly removing thumbnail
-            if (existingProject.cloudinaryThumbnailPublicId) {
-                try {
-                    await deleteImageFromCloudinary(existingProject.cloudinaryThumbnailPublicId);
-                } catch (deleteError) {
-                    console.warn("Error deleting thumbnail from Cloudinary:", deleteError);
-                }
-                req.body.cloudinaryThumbnailUrl = '';
-                req.body.cloudinaryThumbnailPublicId = '';
-            }
-        } else if (req.files && req.files['thumbnail'] && req.files['thumbnail'][0]) {
-            // Legacy fallback: server-side upload (not recommended for Vercel)
-            if (existingProject.cloudinaryThumbnailPublicId) {
-                try {
-                    await deleteImageFromCloudinary(existingProject.cloudinaryThumbnailPublicId);
-                } catch (deleteError) {
-                    console.warn("Error deleting old thumbnail:", deleteError);
-                }
-            }
-            try {
-                const thumbnailFile = req.files['thumbnail'][0];
-                const thumbnailInput = thumbnailFile.buffer || thumbnailFile.path;
-                const thumbnailResult = await uploadImageToCloudinary(thumbnailInput);
-                req.body.cloudinaryThumbnailUrl = thumbnailResult.url;
-                req.body.cloudinaryThumbnailPublicId = thumbnailResult.public_id;
-            } catch (uploadError) {
-                console.error("Error uploading thumbnail to Cloudinary:", uploadError);
-                return res.status(500).json({
-                    success: false,
-                    message: "Error uploading thumbnail to Cloudinary",
-                    error: uploadError.message
-                });
-            }
-        }
+    // A gallery in the body replaces the stored one; files uploaded with the request are added to it
+    // Dropped items aren't deleted here: earlier revisions still use them (see utils/revisions.js)
+    const stored = existingProject.toObject();
+    const files = mediaFilesOf(req);
+    if (hasLegacyMedia(stored)) {
+        // Not migrated yet (npm run migrate:project-media): the old video and thumbnail move into media
+        // now, ahead of anything sent (the dashboard doesn't show the old fields)
+        fields.media = [...withLegacyMedia(stored).media, ...(fields.media || [])];
+    }
+    if (fields.media || files.length > 0) {
+        fields.media = normalizeMedia(fields.media || stored.media || []);
+    }
 
-        const updatedProject = await Project.findByIdAndUpdate(
-            id,
-            req.body,
-            { new: true, runValidators: true }
-        );
+    // Everything is validated before files are uploaded: the combined gallery size,
+    // then the changed fields as they'd be saved
+    checkMediaCount((fields.media || []).length + files.length);
+    const candidate = Project.hydrate(stored);
+    candidate.set(fields);
+    await candidate.validate(Object.keys(fields));
+    if (validOnly(req, res)) return;
+
+    const uploaded = await uploadMediaFiles(files);
+    if (uploaded.length > 0) {
+        fields.media = normalizeMedia([...fields.media, ...uploaded]);
+    }
 
-        res.status(200).json({
-            success: true,
-            message: "Project updated successfully",
-            project: updatedProject
-        });
-    } catch (error) {
-        console.error("Error updating project:", error);
-
-        // Handle validation errors
-        const validationErrors = extractValidationErrors(error);
-        if (validationErrors) {
-            return res.status(400).json({
-                success: false,
-                message: "Validation error",
-                errors: validationErrors
-            });
-        }
+    // Projects from before revisions existed get their current state saved first
+    await ensureBaseline("Project", existingProject);
 
-        // Handle other errors
-        res.status(500).json({
-            success: false,
-            message: "Error updating project",
-            error: error.message
-        });
+    let updatedProject;
+    try {
+        updatedProject = await Project.findByIdAndUpdate(id, fields, { new: true, runValidators: true });
+    } catch (error) {
+        await discardMedia(uploaded);
+        throw error;
     }
+    updatedProject = await clearLegacyMedia(updatedProject);
+
+    await recordRevision("Project", updatedProject, req.user);
+    await releaseAssets("Project", [existingProject]);
+
+    res.status(200).json({
+        success: true,
+        message: "Project updated successfully",
+        project: updatedProject
+    });
 };
 
-// Delete project (protected)
+// Save a new manual order (protected) - body: { ids: [...] } in display order
+const reorderProjects = async (req, res) => {
+    await applyOrder(Project, req.body.ids);
+
+    res.status(200).json({
+        success: true,
+        message: "Projects reordered successfully"
+    });
+};
+
+// Delete project (protected) - moves it to the trash; its media stays until it's purged
 const deleteProject = async (req, res) => {
-    try {
-        const { id } = req.params;
+    const { id } = req.params;
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({
-                success: false,
-                message: "Invalid project ID format"
-            });
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError("Invalid project ID format", { code: "INVALID_ID" });
+    }
 
-        // Get project first to access Cloudinary public_id
-        const project = await Project.findById(id);
-        
-        if (!project) {
-            return res.status(404).json({
-                success: false,
-                message: "Project not found"
-            });
-        }
+    const existingProject = await Project.findById(id);
+    if (!existingProject || isTrashed(existingProject)) {
+        throw new NotFoundError("Project not found");
+    }
 
-        // Delete video from Cloudinary if it exists
-        if (project.cloudinaryVideoPublicId) {
-            await deleteVideoFromCloudinary(project.cloudinaryVideoPublicId);
-        }
+    const project = await Project.findByIdAndUpdate(id, { deletedAt: new Date() }, { new: true });
 
-        // Delete thumbnail from Cloudinary if it exists
-        if (project.cloudinaryThumbnailPublicId) {
-            await deleteImageFromCloudinary(project.cloudinaryThumbnailPublicId);
-        }
+    res.status(200).json({
+        success: true,
+        message: `Project moved to trash. It will be deleted for good after ${TRASH_RETENTION_DAYS} days`,
+        project: { ...project.toObject(), purgeAt: purgeAtFor(project) }
+    });
+};
+
+// List trashed projects, most recently deleted first (protected)
+// Each carries purgeAt; anything past the retention period is purged first
+const getProjectTrash = async (req, res) => {
+    await purgeExpired();
+    const projects = await listTrash("Project");
+
+    res.status(200).json({
+        success: true,
+        count: projects.length,
+        retentionDays: TRASH_RETENTION_DAYS,
+        projects
+    });
+};
 
-        // Delete project from database
-        await Project.findByIdAndDelete(id);
+// Take a project out of the trash (protected) - it comes back with its old status, slug and order
+const restoreProject = async (req, res) => {
+    const trashed = await findTrashed("Project", req.params.id);
+    // Reorders skip trashed items, so the old position may be taken now: back in at the end
+    const project = await Project.findByIdAndUpdate(
+        trashed._id,
+        { deletedAt: null, order: await nextOrder(Project) },
+        { new: true }
+    );
+
+    res.status(200).json({
+        success: true,
+        message: "Project restored from trash",
+        project
+    });
+};
 
-        res.status(200).json({
-            success: true,
-            message: "Project deleted successfully",
-            project
-        });
-    } catch (error) {
-        console.error("Error deleting project:", error);
-        res.status(500).json({
-            success: false,
-            message: "Error deleting project",
-            error: error.message
-        });
+// Delete a trashed project for good (protected), with its history and any media nothing else uses
+const purgeProject = async (req, res) => {
+    const project = await findTrashed("Project", req.params.id);
+    await purgeDocument("Project", project);
+
+    res.status(200).json({
+        success: true,
+        message: "Project deleted permanently",
+        project
+    });
+};
+
+// Fields a restore copies back from a revision (order stays where it is now)
+const RESTORABLE_FIELDS = [
+    "title", "slug", "description", "features", "tools", "githubLink", "deployedUrl", "duration", "challenges",
+    "featured", "status", "publishAt", "media"
+];
+
+const findProjectForRevisions = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError("Invalid project ID format", { code: "INVALID_ID" });
+    }
+    const project = await Project.findById(id).select("+previousSlugs");
+    if (!project || isTrashed(project)) {
+        throw new NotFoundError("Project not found");
     }
+    return project;
+};
+
+// List a project's revisions, newest first (protected)
+const getProjectRevisions = async (req, res) => {
+    const project = await findProjectForRevisions(req.params.id);
+    const revisions = await listRevisions("Project", project._id);
+
+    res.status(200).json({
+        success: true,
+        count: revisions.length,
+        revisions
+    });
+};
+
+// Get one revision with a field-level diff (protected)
+// ?against=previous (default) shows what the revision changed; ?against=current what restoring it would change
+const getProjectRevision = async (req, res) => {
+    const project = await findProjectForRevisions(req.params.id);
+    const revision = await findRevision("Project", project._id, req.params.revisionId);
+
+    const against = req.query.against || "previous";
+    if (!["previous", "current"].includes(against)) {
+        throw new ValidationError("Against must be previous or current");
+    }
+    const base = against === "current"
+        ? snapshotOf(project)
+        : (await previousRevision(revision))?.snapshot;
+
+    res.status(200).json({
+        success: true,
+        revision,
+        against,
+        diff: diffSnapshots(base, revision.snapshot)
+    });
+};
+
+// Restore a project to a revision (protected) - saved as a new "restore" revision
+const restoreProjectRevision = async (req, res) => {
+    const existingProject = await findProjectForRevisions(req.params.id);
+    const revision = await findRevision("Project", existingProject._id, req.params.revisionId);
+    // Revisions from before galleries hold the old video and thumbnail fields
+    const snapshot = withLegacyMedia(revision.snapshot);
+
+    const fields = RESTORABLE_FIELDS.reduce((restored, field) => {
+        restored[field] = snapshot[field] === undefined ? null : snapshot[field];
+        return restored;
+    }, {});
+    // Revisions from before statuses existed were public
+    fields.status = resolveStatus(snapshot);
+    // Another project may have taken the slug since; keep the current one then
+    if (!fields.slug || !(await isSlugAvailable(Project, fields.slug, existingProject._id))) {
+        delete fields.slug;
+    }
+
+    applyPublishing(fields, existingProject);
+    await assignSlug(fields, existingProject);
+    Object.assign(fields, await linkTools(fields.tools || []));
+
+    fields.media = normalizeMedia(fields.media || []);
+
+    await ensureBaseline("Project", existingProject);
+    const project = await clearLegacyMedia(
+        await Project.findByIdAndUpdate(existingProject._id, fields, { new: true, runValidators: true })
+    );
+    await recordRevision("Project", project, req.user, "restore", { restoredFrom: revision._id });
+    await releaseAssets("Project", [existingProject]);
+
+    res.status(200).json({
+        success: true,
+        message: "Project restored successfully",
+        project
+    });
 };
 
-module.exports = { getProjects, getProject, addProject, deleteProject, updateProject };
\ No newline at end of file
+module.exports = {
+    getProjects,
+    getProjectTools,
+    getProject,
+    getProjectBySlug,
+    addProject,
+    deleteProject,
+    updateProject,
+    reorderProjects,
+    getProjectTrash,
+    restoreProject,
+    purgeProject,
+    getProjectRevisions,
+    getProjectRevision,
+    restoreProjectRevision
+};
\ No newline at end of file
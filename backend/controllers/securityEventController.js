@@ -0,0 +1,22 @@
+const SecurityEvent = require("../models/SecurityEvent.js");
+
+const MAX_EVENTS = 200;
+
+// Get recent security events, newest first (protected)
+const getSecurityEvents = async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_EVENTS);
+    const filter = {};
+    if (req.query.type) {
+        filter.type = String(req.query.type);
+    }
+
+    const events = await SecurityEvent.find(filter).sort({ createdAt: -1 }).limit(limit);
+
+    res.status(200).json({
+        success: true,
+        count: events.length,
+        events
+    });
+};
+
+module.exports = { getSecurityEvents };
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+const Session = require("../models/Session.js");
+const { ValidationError, NotFoundError } = require("../utils/errors.js");
+
+// List active sessions for the current user (protected)
+const getSessions = async (req, res) => {
+    const sessions = await Session.find({
+        user: req.user.id,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    const currentId = String(req.user.sid);
+
+    res.status(200).json({
+        success: true,
+        count: sessions.length,
+        sessions: sessions.map((session) => ({
+            _id: session._id,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            mfa: session.mfa,
+            createdAt: session.createdAt,
+            lastSeenAt: session.lastSeenAt,
+            expiresAt: session.expiresAt,
+            current: String(session._id) === currentId
+        }))
+    });
+};
+
+// Revoke a single session (protected) - the device is signed out on its next request
+const revokeSession = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError("Invalid session ID format", { code: "INVALID_ID" });
+    }
+
+    const session = await Session.findOneAndUpdate(
+        { _id: id, user: req.user.id, revokedAt: { $exists: false } },
+        { revokedAt: new Date() },
+        { new: true }
+    );
+
+    if (!session) {
+        throw new NotFoundError("Session not found");
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "Session revoked successfully",
+        current: String(session._id) === String(req.user.sid)
+    });
+};
+
+// Revoke every session except the current one (protected)
+const revokeOtherSessions = async (req, res) => {
+    const { modifiedCount } = await Session.updateMany(
+        { user: req.user.id, _id: { $ne: req.user.sid }, revokedAt: { $exists: false } },
+        { revokedAt: new Date() }
+    );
+
+    res.status(200).json({
+        success: true,
+        message: "Other sessions revoked successfully",
+        count: modifiedCount
+    });
+};
+
+module.exports = { getSessions, revokeSession, revokeOtherSessions };
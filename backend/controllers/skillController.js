@@ -1,133 +1,131 @@
 const Skill = require("../models/Skill.js");
 const mongoose = require("mongoose");
-const { uploadImageToCloudinary, deleteImageFromCloudinary } = require("../utils/cloudinaryUpload.js");
-
-const extractValidationErrors = (error) => {
-    if (error.name === 'ValidationError') {
-        const errors = {};
-        Object.keys(error.errors).forEach(key => {
-            errors[key] = error.errors[key].message;
-        });
-        return errors;
-    }
-    return null;
+const { ValidationError, NotFoundError, UploadError } = require("../utils/errors.js");
+const { uploadImageToCloudinary } = require("../utils/cloudinaryUpload.js");
+const { MANUAL_SORT, nextOrder, applyOrder } = require("../utils/ordering.js");
+const { relinkProjects, renameSkillInProjects, unlinkSkill, skillUsage } = require("../utils/skillLinks.js");
+const {
+    snapshotOf,
+    releaseAssets,
+    recordRevision,
+    ensureBaseline,
+    diffSnapshots,
+    listRevisions,
+    findRevision,
+    previousRevision
+} = require("../utils/revisions.js");
+const { TRASH_RETENTION_DAYS, NOT_DELETED, isTrashed, purgeAtFor, findTrashed, listTrash, purgeDocument, purgeExpired } = require("../utils/trash.js");
+
+const NO_USAGE = { projectCount: 0, lastUsedAt: null, projects: [] };
+
+// Optional choices sent empty are cleared rather than stored as "" (the model's enums reject that)
+const clearEmptyChoices = (fields) => {
+    ["category", "level"].forEach((field) => {
+        if (fields[field] === "") fields[field] = null;
+    });
 };
 
 // Get all skills (public)
+// One list in manual order; SkillBar groups it by category
+// Each skill carries `usage`: the live projects that use it, how many, and when it was last used
 const getSkills = async (req, res) => {
-    try {
-        const skills = await Skill.find().sort({ createdAt: -1 });
-        res.status(200).json({
-            success: true,
-            count: skills.length,
-            skills
-        });
-    } catch (error) {
-        console.error("Error fetching skills:", error);
-        res.status(500).json({
-            success: false,
-            message: "Error fetching skills",
-            error: error.message
-        });
-    }
+    const [skills, usage] = await Promise.all([
+        Skill.find(NOT_DELETED).sort(MANUAL_SORT),
+        skillUsage()
+    ]);
+    res.status(200).json({
+        success: true,
+        count: skills.length,
+        skills: skills.map((skill) => ({
+            ...skill.toObject(),
+            usage: usage.get(String(skill._id)) || NO_USAGE
+        }))
+    });
 };
 
 // Get single skill by ID (public)
 const getSkill = async (req, res) => {
-    try {
-        const { id } = req.params;
+    const { id } = req.params;
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({
-                success: false,
-                message: "Invalid skill ID format"
-            });
-        }
-
-        const skill = await Skill.findById(id);
-        if (!skill) {
-            return res.status(404).json({
-                success: false,
-                message: "Skill not found"
-            });
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError("Invalid skill ID format", { code: "INVALID_ID" });
+    }
 
-        res.status(200).json({
-            success: true,
-            skill
-        });
-    } catch (error) {
-        console.error("Error fetching skill:", error);
-        res.status(500).json({
-            success: false,
-            message: "Error fetching skill",
-            error: error.message
-        });
+    const skill = await Skill.findById(id);
+    if (!skill || isTrashed(skill)) {
+        throw new NotFoundError("Skill not found");
     }
+
+    res.status(200).json({
+        success: true,
+        skill
+    });
 };
 
 // Add skill (protected)
 const addSkill = async (req, res) => {
+    // Body is validated by validateBody(skillSchema); the icon is the multipart `image` file
+    // removeImage only means something on update
+    const { removeImage, ...fields } = req.body;
+    clearEmptyChoices(fields);
+
+    // Handle image upload - uploadImage.single('image') puts file in req.file
+    if (!req.file) {
+        throw new ValidationError("Skill icon image is required", { errors: { image: "Skill icon image is required" } });
+    }
+
     try {
-        console.log('=== Add Skill Request ===');
-        console.log('req.body:', req.body);
-        console.log('req.file:', req.file);
-        console.log('req.files:', req.files);
-        console.log('req.body keys:', Object.keys(req.body));
-
-        // Parse FormData arrays (topics)
-        if (req.body.topics && typeof req.body.topics === 'string') {
-            try {
-                req.body.topics = JSON.parse(req.body.topics);
-            } catch (e) {
-                req.body.topics = [req.body.topics];
-            }
-        }
+        // Use buffer (memory storage) or path (disk storage)
+        const fileInput = req.file.buffer || req.file.path;
+        const imageResult = await uploadImageToCloudinary(
+            fileInput,
+            'skill-icons'
+        );
+        fields.imageUrl = imageResult.url;
+        fields.cloudinaryImagePublicId = imageResult.public_id;
+    } catch (uploadError) {
+        console.error("Error uploading image to Cloudinary:", uploadError);
+        throw new UploadError("Error uploading image to Cloudinary", { status: 502, code: "UPLOAD_FAILED" });
+    }
 
-        // Handle array format from FormData (topics[0], topics[1], etc.)
-        const topics = [];
-        Object.keys(req.body).forEach(key => {
-            if (key.startsWith('topics[')) {
-                const match = key.match(/\[(\d+)\]/);
-                if (match) {
-                    const index = parseInt(match[1]);
-                    topics[index] = req.body[key];
-                    delete req.body[key];
-                }
-            }
-        });
-        if (topics.length > 0) req.body.topics = topics.filter(Boolean);
-
-        console.log('After parsing - req.body.topics:', req.body.topics);
-        console.log('req.body.name:', req.body.name);
-
-        // Validate required fields
-        if (!req.body.name || req.body.name.trim() === '') {
-            return res.status(400).json({
-                success: false,
-                message: "Skill name is required"
-            });
-        }
+    // New skills go to the end of the manual order
+    fields.order = await nextOrder(Skill);
 
-        if (!req.body.topics || req.body.topics.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: "At least one topic is required"
-            });
-        }
+    const skill = new Skill(fields);
+    await skill.save();
+    await recordRevision("Skill", skill, req.user, "create");
+    // Projects that already list this tool get linked to the new skill
+    await relinkProjects();
 
-        // Handle image upload - uploadImage.single('image') puts file in req.file
-        if (!req.file) {
-            console.log('ERROR: No file uploaded');
-            return res.status(400).json({
-                success: false,
-                message: "Skill icon image is required"
-            });
-        }
-        
-        console.log('File uploaded successfully:', req.file.originalname);
-        console.log('File buffer size:', req.file.buffer ? req.file.buffer.length : 'No buffer');
+    res.status(201).json({
+        success: true,
+        message: "Skill added successfully",
+        skill
+    });
+};
+
+// Update skill (protected)
+const updateSkill = async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError("Invalid skill ID format", { code: "INVALID_ID" });
+    }
+
+    // Get existing skill for its old image, old name and baseline revision
+    const existingSkill = await Skill.findById(id);
+    if (!existingSkill || isTrashed(existingSkill)) {
+        throw new NotFoundError("Skill not found");
+    }
+
+    // Body is validated by validateBody(skillSchema, { partial: true }); the flag isn't stored
+    const { removeImage, ...fields } = req.body;
+    clearEmptyChoices(fields);
 
+    // Handle image upload/removal - uploadImage.single('image') puts file in req.file
+    // The old image isn't deleted here: earlier revisions still use it (see utils/revisions.js)
+    if (req.file) {
+        // Upload new image to Cloudinary
         try {
             // Use buffer (memory storage) or path (disk storage)
             const fileInput = req.file.buffer || req.file.path;
@@ -135,199 +133,205 @@ const addSkill = async (req, res) => {
                 fileInput,
                 'skill-icons'
             );
-            req.body.imageUrl = imageResult.url;
-            req.body.cloudinaryImagePublicId = imageResult.public_id;
+            fields.imageUrl = imageResult.url;
+            fields.cloudinaryImagePublicId = imageResult.public_id;
         } catch (uploadError) {
             console.error("Error uploading image to Cloudinary:", uploadError);
-            return res.status(500).json({
-                success: false,
-                message: "Error uploading image to Cloudinary",
-                error: uploadError.message
-            });
+            throw new UploadError("Error uploading image to Cloudinary", { status: 502, code: "UPLOAD_FAILED" });
         }
-
-        const skill = new Skill(req.body);
-        await skill.save();
-
-        res.status(201).json({
-            success: true,
-            message: "Skill added successfully",
-            skill
-        });
-    } catch (error) {
-        console.error("Error adding skill:", error);
-
-        // Handle validation errors
-        const validationErrors = extractValidationErrors(error);
-        if (validationErrors) {
-            return res.status(400).json({
-                success: false,
-                message: "Validation error",
-                errors: validationErrors
-            });
+    } else if (removeImage || fields.imageUrl === '') {
+        // If explicitly removing image or setting to empty
+        if (existingSkill.cloudinaryImagePublicId) {
+            fields.imageUrl = '';
+            fields.cloudinaryImagePublicId = '';
         }
+    }
+
+    // Skills from before revisions existed get their current state saved first
+    await ensureBaseline("Skill", existingSkill);
+
+    const updatedSkill = await Skill.findByIdAndUpdate(
+        id,
+        fields,
+        { new: true, runValidators: true }
+    );
 
-        res.status(500).json({
-            success: false,
-            message: "Error adding skill",
-            error: error.message
-        });
+    if (updatedSkill.name !== existingSkill.name) {
+        await renameSkillInProjects(updatedSkill, existingSkill.name);
     }
+    await recordRevision("Skill", updatedSkill, req.user);
+    await releaseAssets("Skill", [existingSkill]);
+
+    res.status(200).json({
+        success: true,
+        message: "Skill updated successfully",
+        skill: updatedSkill
+    });
 };
 
-// Update skill (protected)
-const updateSkill = async (req, res) => {
-    try {
-        const { id } = req.params;
+// Save a new manual order (protected) - body: { ids: [...] } in display order
+const reorderSkills = async (req, res) => {
+    await applyOrder(Skill, req.body.ids);
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({
-                success: false,
-                message: "Invalid skill ID format"
-            });
-        }
+    res.status(200).json({
+        success: true,
+        message: "Skills reordered successfully"
+    });
+};
 
-        // Get existing skill to check for old image
-        const existingSkill = await Skill.findById(id);
-        if (!existingSkill) {
-            return res.status(404).json({
-                success: false,
-                message: "Skill not found"
-            });
-        }
+// Delete skill (protected)
+const deleteSkill = async (req, res) => {
+    const { id } = req.params;
 
-        // Parse FormData arrays (topics)
-        if (req.body.topics && typeof req.body.topics === 'string') {
-            try {
-                req.body.topics = JSON.parse(req.body.topics);
-            } catch (e) {
-                req.body.topics = [req.body.topics];
-            }
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError("Invalid skill ID format", { code: "INVALID_ID" });
+    }
 
-        // Handle array format from FormData
-        const topics = [];
-        Object.keys(req.body).forEach(key => {
-            if (key.startsWith('topics[')) {
-                const match = key.match(/\[(\d+)\]/);
-                if (match) {
-                    const index = parseInt(match[1]);
-                    topics[index] = req.body[key];
-                    delete req.body[key];
-                }
-            }
-        });
-        if (topics.length > 0) req.body.topics = topics.filter(Boolean);
-
-        // Handle image upload/delete - uploadImage.single('image') puts file in req.file
-        if (req.file) {
-            // Delete old image from Cloudinary if it exists
-            if (existingSkill.cloudinaryImagePublicId) {
-                await deleteImageFromCloudinary(existingSkill.cloudinaryImagePublicId);
-            }
-
-            // Upload new image to Cloudinary
-            try {
-                // Use buffer (memory storage) or path (disk storage)
-                const fileInput = req.file.buffer || req.file.path;
-                const imageResult = await uploadImageToCloudinary(
-                    fileInput,
-                    'skill-icons'
-                );
-                req.body.imageUrl = imageResult.url;
-                req.body.cloudinaryImagePublicId = imageResult.public_id;
-            } catch (uploadError) {
-                console.error("Error uploading image to Cloudinary:", uploadError);
-                return res.status(500).json({
-                    success: false,
-                    message: "Error uploading image to Cloudinary",
-                    error: uploadError.message
-                });
-            }
-        } else if (req.body.removeImage === 'true' || req.body.imageUrl === '') {
-            // If explicitly removing image or setting to empty
-            if (existingSkill.cloudinaryImagePublicId) {
-                await deleteImageFromCloudinary(existingSkill.cloudinaryImagePublicId);
-                req.body.imageUrl = '';
-                req.body.cloudinaryImagePublicId = '';
-            }
-        }
+    const existingSkill = await Skill.findById(id);
+    if (!existingSkill || isTrashed(existingSkill)) {
+        throw new NotFoundError("Skill not found");
+    }
 
-        const updatedSkill = await Skill.findByIdAndUpdate(
-            id,
-            req.body,
-            { new: true, runValidators: true }
-        );
+    const skill = await Skill.findByIdAndUpdate(id, { deletedAt: new Date() }, { new: true });
+    // Projects stop linking to it; their tool names stay and relink on restore
+    await unlinkSkill(id);
 
-        res.status(200).json({
-            success: true,
-            message: "Skill updated successfully",
-            skill: updatedSkill
-        });
-    } catch (error) {
-        console.error("Error updating skill:", error);
-
-        // Handle validation errors
-        const validationErrors = extractValidationErrors(error);
-        if (validationErrors) {
-            return res.status(400).json({
-                success: false,
-                message: "Validation error",
-                errors: validationErrors
-            });
-        }
+    res.status(200).json({
+        success: true,
+        message: `Skill moved to trash. It will be deleted for good after ${TRASH_RETENTION_DAYS} days`,
+        skill: { ...skill.toObject(), purgeAt: purgeAtFor(skill) }
+    });
+};
+
+// List trashed skills, most recently deleted first (protected)
+// Each carries purgeAt; anything past the retention period is purged first
+const getSkillTrash = async (req, res) => {
+    await purgeExpired();
+    const skills = await listTrash("Skill");
+
+    res.status(200).json({
+        success: true,
+        count: skills.length,
+        retentionDays: TRASH_RETENTION_DAYS,
+        skills
+    });
+};
 
-        res.status(500).json({
-            success: false,
-            message: "Error updating skill",
-            error: error.message
-        });
+// Take a skill out of the trash (protected) and link it to the projects using it again
+const restoreSkill = async (req, res) => {
+    const trashed = await findTrashed("Skill", req.params.id);
+    // Reorders skip trashed items, so the old position may be taken now: back in at the end
+    const skill = await Skill.findByIdAndUpdate(
+        trashed._id,
+        { deletedAt: null, order: await nextOrder(Skill) },
+        { new: true }
+    );
+    await relinkProjects();
+
+    res.status(200).json({
+        success: true,
+        message: "Skill restored from trash",
+        skill
+    });
+};
+
+// Delete a trashed skill for good (protected), with its history and an icon nothing else uses
+const purgeSkill = async (req, res) => {
+    const skill = await findTrashed("Skill", req.params.id);
+    await purgeDocument("Skill", skill);
+
+    res.status(200).json({
+        success: true,
+        message: "Skill deleted permanently",
+        skill
+    });
+};
+
+// Fields a restore copies back from a revision (order stays where it is now)
+const RESTORABLE_FIELDS = ["name", "topics", "imageUrl", "cloudinaryImagePublicId", "category", "level", "yearsOfExperience"];
+
+const findSkillForRevisions = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError("Invalid skill ID format", { code: "INVALID_ID" });
     }
+    const skill = await Skill.findById(id);
+    if (!skill || isTrashed(skill)) {
+        throw new NotFoundError("Skill not found");
+    }
+    return skill;
 };
 
-// Delete skill (protected)
-const deleteSkill = async (req, res) => {
-    try {
-        const { id } = req.params;
+// List a skill's revisions, newest first (protected)
+const getSkillRevisions = async (req, res) => {
+    const skill = await findSkillForRevisions(req.params.id);
+    const revisions = await listRevisions("Skill", skill._id);
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({
-                success: false,
-                message: "Invalid skill ID format"
-            });
-        }
+    res.status(200).json({
+        success: true,
+        count: revisions.length,
+        revisions
+    });
+};
 
-        // Get skill first to access Cloudinary public_id
-        const skill = await Skill.findById(id);
-        
-        if (!skill) {
-            return res.status(404).json({
-                success: false,
-                message: "Skill not found"
-            });
-        }
+// Get one revision with a field-level diff (protected)
+// ?against=previous (default) shows what the revision changed; ?against=current what restoring it would change
+const getSkillRevision = async (req, res) => {
+    const skill = await findSkillForRevisions(req.params.id);
+    const revision = await findRevision("Skill", skill._id, req.params.revisionId);
 
-        // Delete image from Cloudinary if it exists
-        if (skill.cloudinaryImagePublicId) {
-            await deleteImageFromCloudinary(skill.cloudinaryImagePublicId);
-        }
+    const against = req.query.against || "previous";
+    if (!["previous", "current"].includes(against)) {
+        throw new ValidationError("Against must be previous or current");
+    }
+    const base = against === "current"
+        ? snapshotOf(skill)
+        : (await previousRevision(revision))?.snapshot;
+
+    res.status(200).json({
+        success: true,
+        revision,
+        against,
+        diff: diffSnapshots(base, revision.snapshot)
+    });
+};
 
-        // Delete skill from database
-        await Skill.findByIdAndDelete(id);
-
-        res.status(200).json({
-            success: true,
-            message: "Skill deleted successfully",
-            skill
-        });
-    } catch (error) {
-        console.error("Error deleting skill:", error);
-        res.status(500).json({
-            success: false,
-            message: "Error deleting skill",
-            error: error.message
-        });
+// Restore a skill to a revision (protected) - saved as a new "restore" revision
+const restoreSkillRevision = async (req, res) => {
+    const existingSkill = await findSkillForRevisions(req.params.id);
+    const revision = await findRevision("Skill", existingSkill._id, req.params.revisionId);
+
+    const fields = RESTORABLE_FIELDS.reduce((restored, field) => {
+        restored[field] = revision.snapshot[field] === undefined ? null : revision.snapshot[field];
+        return restored;
+    }, {});
+
+    await ensureBaseline("Skill", existingSkill);
+    const skill = await Skill.findByIdAndUpdate(existingSkill._id, fields, { new: true, runValidators: true });
+
+    if (skill.name !== existingSkill.name) {
+        await renameSkillInProjects(skill, existingSkill.name);
     }
+    await recordRevision("Skill", skill, req.user, "restore", { restoredFrom: revision._id });
+    await releaseAssets("Skill", [existingSkill]);
+
+    res.status(200).json({
+        success: true,
+        message: "Skill restored successfully",
+        skill
+    });
 };
 
-module.exports = { getSkills, getSkill, addSkill, deleteSkill, updateSkill };
+module.exports = {
+    getSkills,
+    getSkill,
+    addSkill,
+    deleteSkill,
+    updateSkill,
+    reorderSkills,
+    getSkillTrash,
+    restoreSkill,
+    purgeSkill,
+    getSkillRevisions,
+    getSkillRevision,
+    restoreSkillRevision
+};
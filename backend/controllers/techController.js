@@ -0,0 +1,12 @@
+const { listTechnologies } = require("../utils/techTaxonomy.js");
+
+// Get the technology taxonomy (public) - canonical names, aliases and bundled icons
+// Project tools are normalized through it when saved; the site uses it for tool icons
+const getTechnologies = (req, res) => {
+    res.status(200).json({
+        success: true,
+        technologies: listTechnologies()
+    });
+};
+
+module.exports = { getTechnologies };
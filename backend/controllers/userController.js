@@ -1,60 +1,224 @@
 const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const QRCode = require("qrcode");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const {
+    REFRESH_COOKIE,
+    getClientIp,
+    issueAccessToken,
+    setRefreshCookie,
+    clearAuthCookies,
+    startSession,
+    getRefreshSessionId
+} = require("../utils/authSession");
+const {
+    generateSecret,
+    verifyCode,
+    buildOtpAuthUrl,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} = require("../utils/totp");
+const {
+    checkLoginAllowed,
+    claimLoginAttempt,
+    clearLoginFailures,
+    tooManyAttemptsError
+} = require("../utils/loginThrottle");
+const { ROLES, resolveRole } = require("../utils/roles");
+const { ValidationError, AuthError, NotFoundError, ConflictError } = require("../utils/errors");
+
+const MIN_PASSWORD_LENGTH = 8;
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "Portfolio Admin";
+const TWO_FACTOR_CHALLENGE_PURPOSE = "two-factor-challenge";
+
+// Build the error to throw for a failed attempt (already counted by claimLoginAttempt): the original one,
+// or a 429 while the login is locked. retryAfter (seconds) is included whenever the next attempt has to wait
+const failedLoginError = async (req, error, username) => {
+    const failure = await checkLoginAllowed({ ip: getClientIp(req), username });
+
+    if (failure.locked) {
+        return tooManyAttemptsError(failure);
+    }
+
+    if (failure.retryAfterMs > 0) {
+        const retryAfter = Math.ceil(failure.retryAfterMs / 1000);
+        error.retryAfter = retryAfter;
+        error.meta = { ...error.meta, retryAfter };
+    }
+    return error;
+};
 
 const loginUser = async (req, res) => {
     const { username, password } = req.body;
 
-    try {
-        console.log(username, password);
-        const user = await User.findOne({ username });
-        console.log(user);
-        if (!user) return res.status(404).json({ message: "User not found" });
+    if (typeof username !== "string" || typeof password !== "string") {
+        throw new ValidationError("Username and password are required");
+    }
+
+    const ip = getClientIp(req);
+    const throttle = await claimLoginAttempt({ ip, username, userAgent: req.headers["user-agent"] });
+    if (!throttle.allowed) throw tooManyAttemptsError(throttle);
+
+    const user = await User.findOne({ username });
+    if (!user)
+        throw await failedLoginError(req, new NotFoundError("User not found", { code: "USER_NOT_FOUND" }), username);
 
-        if (user.password !== password)
-            return res.status(401).json({ message: "Invalid credentials" });
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch)
+        throw await failedLoginError(req, new AuthError("Invalid credentials", { code: "INVALID_CREDENTIALS" }), username);
 
-        const token = jwt.sign(
-            { id: user._id, username: user.username },
+    // Upgrade legacy plaintext (or weakly hashed) passwords now that we know the plaintext
+    if (user.passwordNeedsUpgrade()) {
+        user.password = password;
+        await user.save();
+    }
+
+    // Second step required - hand back a short-lived challenge token instead of a session
+    // Failure counters are only cleared once the second step succeeds
+    if (user.twoFactorEnabled) {
+        const challengeToken = jwt.sign(
+            { id: user._id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
             process.env.SECRET_KEY,
-            { expiresIn: "1d" }
+            { expiresIn: "5m" }
         );
 
-        // ✅ set cookie here
-        // Determine if we're in production (HTTPS) or development (HTTP)
-        const isProduction = process.env.NODE_ENV === 'production' || req.secure || req.headers['x-forwarded-proto'] === 'https';
-        
-        res.cookie("token", token, {
-            httpOnly: true, // More secure - prevents client-side JavaScript access
-            secure: isProduction, // true in production (HTTPS), false in development
-            sameSite: isProduction ? "None" : "Lax", // "None" required for cross-site cookies in production
-            maxAge: 24 * 60 * 60 * 1000, // 24 hours
-            path: "/" // Available for all paths
-        });
-
         return res.status(200).json({
-            message: "Login successful",
-            user: { username: user.username, profilePic: user.profilePicLink }
+            message: "Two-factor authentication required",
+            twoFactorRequired: true,
+            challengeToken
         });
+    }
+
+    await clearLoginFailures({ ip, username });
+    const { expiresAt } = await startSession(req, res, user);
+
+    return res.status(200).json({
+        message: "Login successful",
+        user: { username: user.username, profilePic: user.profilePicLink, role: resolveRole(user) },
+        expiresAt
+    });
+};
+
+// Second login step - exchange a challenge token plus TOTP/recovery code for a session
+const verifyTwoFactorLogin = async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+        throw new ValidationError("Challenge token and code are required");
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken, process.env.SECRET_KEY);
     } catch (error) {
-        return res.status(500).json({ message: "Server error" });
+        throw new AuthError("Login session expired. Please log in again.", { code: "CHALLENGE_EXPIRED" });
+    }
+
+    if (decoded.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+        throw new AuthError("Invalid challenge token", { code: "INVALID_TOKEN" });
     }
+
+    const user = await User.findById(decoded.id).select("+twoFactorSecret +twoFactorLastStep +recoveryCodes");
+    if (!user || !user.twoFactorEnabled) {
+        throw new AuthError("Invalid challenge token", { code: "INVALID_TOKEN" });
+    }
+
+    // Codes are only 6 digits, so the second step shares the login attempt limits
+    const ip = getClientIp(req);
+    const throttle = await claimLoginAttempt({ ip, username: user.username, userAgent: req.headers["user-agent"] });
+    if (!throttle.allowed) throw tooManyAttemptsError(throttle);
+
+    if (!user.verifySecondFactor({ code, recoveryCode })) {
+        throw await failedLoginError(
+            req,
+            new AuthError("Invalid authentication code", { code: "INVALID_TWO_FACTOR_CODE" }),
+            user.username
+        );
+    }
+
+    // Persist the burned TOTP step / recovery code
+    await user.save();
+    await clearLoginFailures({ ip, username: user.username });
+
+    const { expiresAt } = await startSession(req, res, user, { mfa: true });
+
+    return res.status(200).json({
+        message: "Login successful",
+        user: { username: user.username, profilePic: user.profilePicLink, role: resolveRole(user) },
+        recoveryCodesRemaining: user.recoveryCodes.length,
+        expiresAt
+    });
 };
 
-const logoutUser = (req, res) => {
-    // Determine if we're in production (HTTPS) or development (HTTP)
-    const isProduction = process.env.NODE_ENV === 'production' || req.secure || req.headers['x-forwarded-proto'] === 'https';
-    
-    // Clear cookie with same options as when it was set
-    res.clearCookie("token", {
-        httpOnly: true,
-        secure: isProduction,
-        sameSite: isProduction ? "None" : "Lax",
-        path: "/"
+// Exchange the refresh cookie for a new access token (and a rotated refresh token)
+const refreshSession = async (req, res) => {
+    const presentedToken = req.cookies?.[REFRESH_COOKIE];
+
+    if (!presentedToken) {
+        throw new AuthError("No refresh token provided");
+    }
+
+    const rotated = await Session.rotate(presentedToken, {
+        userAgent: req.headers["user-agent"],
+        ip: getClientIp(req)
+    });
+
+    if (!rotated) {
+        clearAuthCookies(req, res);
+        throw new AuthError("Session expired. Please log in again.", { code: "SESSION_EXPIRED" });
+    }
+
+    const { session, refreshToken } = rotated;
+    const user = await User.findById(session.user);
+
+    // A session that skipped the second step can't be refreshed once 2FA is on
+    if (!user || (user.twoFactorEnabled && !session.mfa)) {
+        session.revokedAt = new Date();
+        await session.save();
+        clearAuthCookies(req, res);
+        throw new AuthError("Session expired. Please log in again.", { code: "SESSION_EXPIRED" });
+    }
+
+    // Within the reuse grace window there's no new refresh token; the one a concurrent
+    // request just set is kept
+    if (refreshToken) {
+        setRefreshCookie(req, res, refreshToken, session.expiresAt);
+    }
+    const expiresAt = issueAccessToken(req, res, user, session);
+
+    res.status(200).json({
+        success: true,
+        user: {
+            username: user.username,
+            profilePic: user.profilePicLink,
+            role: resolveRole(user),
+            twoFactorEnabled: user.twoFactorEnabled
+        },
+        expiresAt
     });
-    
-    res.status(200).json({ 
+};
+
+const logoutUser = async (req, res) => {
+    // Revoke the server-side session so the refresh token (and any copied access token) stops working
+    const sessionId = getRefreshSessionId(req);
+    if (sessionId && mongoose.Types.ObjectId.isValid(sessionId)) {
+        try {
+            await Session.updateOne(
+                { _id: sessionId, revokedAt: { $exists: false } },
+                { revokedAt: new Date() }
+            );
+        } catch (error) {
+            console.error("Error revoking session on logout:", error);
+        }
+    }
+
+    // Clear cookies with same options as when they were set
+    clearAuthCookies(req, res);
+
+    res.status(200).json({
         success: true,
-        message: "Logout successful" 
+        message: "Logout successful"
     });
 };
 
@@ -62,8 +226,294 @@ const verifyUser = (req, res) => {
     // This route is protected, so if we reach here, user is authenticated
     res.status(200).json({
         success: true,
-        user: { username: req.user.username }
+        user: {
+            username: req.user.username,
+            role: req.authUser?.role,
+            twoFactorEnabled: Boolean(req.authUser?.twoFactorEnabled)
+        },
+        expiresAt: req.user.exp * 1000
+    });
+};
+
+// Change password (protected) - requires the current password even with a valid session
+const changePassword = async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (typeof currentPassword !== "string" || typeof newPassword !== "string") {
+        throw new ValidationError("Current password and new password are required");
+    }
+
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+        throw new ValidationError(`New password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    if (newPassword === currentPassword) {
+        throw new ValidationError("New password must be different from the current password");
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+        throw new NotFoundError("User not found");
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+        throw new AuthError("Current password is incorrect", { code: "INVALID_CREDENTIALS" });
+    }
+
+    user.password = newPassword;
+    user.passwordChangedAt = Date.now();
+    await user.save();
+
+    // Sign out every other device - only the session that changed the password survives
+    const { modifiedCount } = await Session.updateMany(
+        { user: user._id, _id: { $ne: req.user.sid }, revokedAt: { $exists: false } },
+        { revokedAt: new Date() }
+    );
+
+    res.status(200).json({
+        success: true,
+        message: "Password changed successfully",
+        sessionsRevoked: modifiedCount
+    });
+};
+
+// Start 2FA enrollment (protected) - generates a pending secret and QR code
+// The secret only becomes active once a valid code is confirmed via enableTwoFactor
+const setupTwoFactor = async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+        throw new NotFoundError("User not found");
+    }
+
+    if (user.twoFactorEnabled) {
+        throw new ConflictError("Two-factor authentication is already enabled");
+    }
+
+    const secret = generateSecret();
+    const otpauthUrl = buildOtpAuthUrl(secret, user.username, TWO_FACTOR_ISSUER);
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+        success: true,
+        secret,
+        otpauthUrl,
+        qrCode
+    });
+};
+
+// Confirm 2FA enrollment (protected) - verifies a code against the pending secret
+// Returns the recovery codes in plaintext exactly once
+const enableTwoFactor = async (req, res) => {
+    const { code } = req.body;
+
+    if (!code) {
+        throw new ValidationError("Authentication code is required");
+    }
+
+    const user = await User.findById(req.user.id).select("+twoFactorPendingSecret");
+    if (!user) {
+        throw new NotFoundError("User not found");
+    }
+
+    if (!user.twoFactorPendingSecret) {
+        throw new ValidationError("Start two-factor setup before enabling it", { code: "TWO_FACTOR_NOT_STARTED" });
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+        throw new ValidationError("Invalid authentication code", { code: "INVALID_TWO_FACTOR_CODE" });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastStep = step;
+    user.twoFactorEnabled = true;
+    user.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await user.save();
+
+    // The current session proved possession of the second factor, so upgrade it
+    // Other sessions never did, so they are signed out
+    // Otherwise protect would reject the current one immediately now that 2FA is on
+    const session = await Session.findByIdAndUpdate(req.user.sid, { mfa: true }, { new: true });
+    await Session.updateMany(
+        { user: user._id, _id: { $ne: req.user.sid }, revokedAt: { $exists: false } },
+        { revokedAt: new Date() }
+    );
+    if (session) {
+        issueAccessToken(req, res, user, session);
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "Two-factor authentication enabled",
+        recoveryCodes
+    });
+};
+
+// Turn 2FA off (protected) - requires the password and a current code or recovery code
+const disableTwoFactor = async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    if (typeof password !== "string" || (!code && !recoveryCode)) {
+        throw new ValidationError("Password and authentication code are required");
+    }
+
+    const user = await User.findById(req.user.id).select("+twoFactorSecret +twoFactorLastStep +recoveryCodes");
+    if (!user) {
+        throw new NotFoundError("User not found");
+    }
+
+    if (!user.twoFactorEnabled) {
+        throw new ValidationError("Two-factor authentication is not enabled", { code: "TWO_FACTOR_NOT_ENABLED" });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch || !user.verifySecondFactor({ code, recoveryCode })) {
+        throw new AuthError("Invalid password or authentication code", { code: "INVALID_CREDENTIALS" });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastStep = undefined;
+    user.recoveryCodes = [];
+    await user.save();
+
+    res.status(200).json({
+        success: true,
+        message: "Two-factor authentication disabled"
+    });
+};
+
+// Public shape of a user for the team list - never includes secrets
+const toTeamMember = (user) => ({
+    _id: user._id,
+    username: user.username,
+    role: resolveRole(user),
+    twoFactorEnabled: Boolean(user.twoFactorEnabled),
+    createdAt: user.createdAt
+});
+
+const assertValidRole = (role) => {
+    if (!ROLES.includes(role)) {
+        throw new ValidationError(`Role must be one of: ${ROLES.join(", ")}`);
+    }
+};
+
+const assertValidUserId = (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new ValidationError("Invalid user ID format", { code: "INVALID_ID" });
+    }
+};
+
+// List dashboard users (owner only)
+const getUsers = async (req, res) => {
+    const users = await User.find().sort({ createdAt: 1 });
+    res.status(200).json({
+        success: true,
+        count: users.length,
+        users: users.map(toTeamMember)
+    });
+};
+
+// Create a collaborator account (owner only)
+const createUser = async (req, res) => {
+    const { username, password, role = "viewer" } = req.body;
+
+    if (typeof username !== "string" || !username.trim() || typeof password !== "string") {
+        throw new ValidationError("Username and password are required");
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    assertValidRole(role);
+
+    const existing = await User.findOne({ username: username.trim() });
+    if (existing) {
+        throw new ConflictError("Username is already taken");
+    }
+
+    const user = new User({ username: username.trim(), password, role });
+    await user.save();
+
+    res.status(201).json({
+        success: true,
+        message: "User created successfully",
+        user: toTeamMember(user)
+    });
+};
+
+// Change a user's role (owner only) - owners can't change their own role
+const updateUserRole = async (req, res) => {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    assertValidUserId(id);
+    assertValidRole(role);
+
+    if (String(id) === String(req.user.id)) {
+        throw new ValidationError("You can't change your own role");
+    }
+
+    const user = await User.findByIdAndUpdate(id, { role }, { new: true, runValidators: true });
+    if (!user) {
+        throw new NotFoundError("User not found");
+    }
+
+    res.status(200).json({
+        success: true,
+        message: "Role updated successfully",
+        user: toTeamMember(user)
     });
 };
 
-module.exports = { loginUser, logoutUser, verifyUser };
+// Remove a user and sign out all of their sessions (owner only)
+const deleteUser = async (req, res) => {
+    const { id } = req.params;
+
+    assertValidUserId(id);
+
+    if (String(id) === String(req.user.id)) {
+        throw new ValidationError("You can't delete your own account");
+    }
+
+    const user = await User.findByIdAndDelete(id);
+    if (!user) {
+        throw new NotFoundError("User not found");
+    }
+
+    await Session.updateMany(
+        { user: user._id, revokedAt: { $exists: false } },
+        { revokedAt: new Date() }
+    );
+
+    res.status(200).json({
+        success: true,
+        message: "User deleted successfully",
+        user: toTeamMember(user)
+    });
+};
+
+module.exports = {
+    loginUser,
+    verifyTwoFactorLogin,
+    refreshSession,
+    logoutUser,
+    verifyUser,
+    changePassword,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    getUsers,
+    createUser,
+    updateUserRole,
+    deleteUser
+};
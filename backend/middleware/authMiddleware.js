@@ -1,25 +1,82 @@
 const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const { resolveRole } = require("../utils/roles");
+const { AuthError } = require("../utils/errors");
 
-const protect = (req, res, next) => {
+// How often lastSeenAt is written back - avoids a DB write on every request
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Resolve the signed-in user from the access token cookie, or throw an AuthError
+const authenticate = async (req) => {
     // Get token from cookies instead of headers
     const token = req.cookies?.token;
 
     if (!token) {
-        return res.status(401).json({ message: "No token provided" });
+        throw new AuthError("No token provided");
     }
 
+    let decoded;
     try {
         // Verify the JWT using your secret key
-        const decoded = jwt.verify(token, process.env.SECRET_KEY);
+        decoded = jwt.verify(token, process.env.SECRET_KEY);
+    } catch (error) {
+        // Expired access tokens are routine - the client refreshes and retries on 401
+        if (error.name === "TokenExpiredError") {
+            throw new AuthError("Access token expired", { code: "TOKEN_EXPIRED" });
+        }
+        throw new AuthError("Invalid or expired token", { code: "INVALID_TOKEN", status: 403 });
+    }
 
-        // Attach decoded user data to request
-        req.user = decoded;
+    // Purpose-scoped tokens (e.g. the 2FA login challenge) are never session tokens,
+    // and tokens without a session id predate server-side sessions
+    if (decoded.purpose || !decoded.sid) {
+        throw new AuthError("Invalid or expired token", { code: "INVALID_TOKEN", status: 403 });
+    }
 
-        // Continue to next middleware or route
-        next();
-    } catch (error) {
-        return res.status(403).json({ message: "Invalid or expired token" });
+    // The access token is only as good as the session behind it - revoked sessions stop working at once
+    const session = await Session.findById(decoded.sid).select("user revokedAt expiresAt lastSeenAt").lean();
+    if (!session || session.revokedAt || session.expiresAt <= new Date() || String(session.user) !== String(decoded.id)) {
+        throw new AuthError("Session has been revoked", { code: "SESSION_REVOKED" });
+    }
+
+    if (Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+        Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() }).catch((error) => {
+            console.error("Error updating session lastSeenAt:", error);
+        });
+    }
+
+    const user = await User.findById(decoded.id).select("username role twoFactorEnabled").lean();
+    if (!user) {
+        throw new AuthError("User no longer exists", { code: "SESSION_REVOKED" });
+    }
+
+    // When 2FA is on, only sessions that completed the second step are accepted
+    if (user.twoFactorEnabled && !decoded.mfa) {
+        throw new AuthError("Two-factor authentication required", { code: "TWO_FACTOR_REQUIRED" });
+    }
+
+    // Attach decoded user data to request
+    req.user = decoded;
+    req.authUser = { ...user, role: resolveRole(user) };
+};
+
+const protect = async (req, res, next) => {
+    await authenticate(req);
+    next();
+};
+
+// For public routes that show more to signed-in users (e.g. draft projects)
+// A missing or unusable token just means an anonymous visitor, never an error
+const optionalAuth = async (req, res, next) => {
+    if (req.cookies?.token) {
+        try {
+            await authenticate(req);
+        } catch (error) {
+            if (!(error instanceof AuthError)) throw error;
+        }
     }
+    next();
 };
 
-module.exports = { protect };
+module.exports = { protect, optionalAuth };
@@ -0,0 +1,82 @@
+const multer = require("multer");
+const { AppError, ValidationError, ConflictError, UploadError, NotFoundError } = require("../utils/errors");
+
+// Turn errors thrown by libraries into typed errors with stable codes
+const normalizeError = (err) => {
+    if (err instanceof AppError) return err;
+
+    // Mongoose schema validation
+    if (err.name === "ValidationError" && err.errors) {
+        const errors = {};
+        Object.keys(err.errors).forEach(key => {
+            errors[key] = err.errors[key].message;
+        });
+        return new ValidationError("Validation error", { errors });
+    }
+
+    // Malformed ObjectId or value of the wrong type in a query
+    if (err.name === "CastError") {
+        return new ValidationError(`Invalid ${err.path}`, { code: "INVALID_ID" });
+    }
+
+    // Unique index violation
+    if (err.code === 11000) {
+        const field = Object.keys(err.keyValue || {})[0];
+        return new ConflictError(field ? `${field} is already taken` : "Resource already exists");
+    }
+
+    if (err instanceof multer.MulterError) {
+        return new UploadError(err.message, { code: err.code === "LIMIT_FILE_SIZE" ? "FILE_TOO_LARGE" : "UPLOAD_ERROR" });
+    }
+
+    // body-parser errors
+    if (err.type === "entity.parse.failed") {
+        return new ValidationError("Request body is not valid JSON", { code: "INVALID_JSON" });
+    }
+    if (err.type === "entity.too.large") {
+        return new AppError("Request body is too large", { status: 413, code: "PAYLOAD_TOO_LARGE" });
+    }
+
+    return null;
+};
+
+// 404 for API paths no route handled
+const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`, { code: "ROUTE_NOT_FOUND" }));
+};
+
+// Single place that turns errors into responses - must be registered after all routes
+// Unexpected errors are logged and answered with a generic message so internals don't leak
+// Express only treats it as an error handler because it takes four arguments
+const errorHandler = (err, req, res, next) => {
+    const known = normalizeError(err);
+
+    if (!known) {
+        console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, err);
+        return res.status(500).json({
+            success: false,
+            code: "INTERNAL_ERROR",
+            message: "Something went wrong. Please try again later."
+        });
+    }
+
+    if (known.status >= 500) {
+        console.error(`Error on ${req.method} ${req.originalUrl}:`, err);
+    }
+
+    if (known.retryAfter) {
+        res.set("Retry-After", String(known.retryAfter));
+    }
+
+    const body = {
+        success: false,
+        code: known.code,
+        message: known.message
+    };
+    if (known.errors) body.errors = known.errors;
+    if (known.meta) Object.assign(body, known.meta);
+
+    res.status(known.status).json(body);
+};
+
+module.exports = { errorHandler, notFoundHandler };
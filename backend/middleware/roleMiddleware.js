@@ -0,0 +1,19 @@
+const { resolveRole } = require("../utils/roles");
+const { AuthError, ForbiddenError } = require("../utils/errors");
+
+// Restrict a route to certain roles - must run after protect
+// Usage: router.post("/", protect, requireRole("owner", "editor"), handler)
+const requireRole = (...allowedRoles) => (req, res, next) => {
+    if (!req.user) {
+        throw new AuthError("No token provided");
+    }
+
+    const role = resolveRole(req.authUser);
+    if (!allowedRoles.includes(role)) {
+        throw new ForbiddenError();
+    }
+
+    next();
+};
+
+module.exports = { requireRole };
@@ -0,0 +1,61 @@
+const Message = require("../models/Message.js");
+const { verifyCaptcha } = require("../utils/captcha.js");
+const { readFormToken } = require("../utils/formToken.js");
+const { ValidationError, RateLimitError } = require("../utils/errors.js");
+
+const toPositiveInt = (value, fallback) => {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Name of the hidden form field real visitors never fill in
+const HONEYPOT_FIELD = "website";
+// Humans need a few seconds to type a message; bots post instantly
+const MIN_SUBMIT_MS = toPositiveInt(process.env.CONTACT_MIN_SUBMIT_SECONDS, 3) * 1000;
+// Forms left open longer than this are treated as stale rather than fast
+const MAX_FORM_AGE_MS = 24 * 60 * 60 * 1000;
+const MAX_MESSAGES_PER_IP = toPositiveInt(process.env.CONTACT_MAX_PER_HOUR, 5);
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+
+// Run the contact form's spam checks before a message is stored
+// Counting stored messages per IP keeps the rate limit working across serverless instances
+const contactSpamGuard = async (req, res, next) => {
+    const body = req.body || {};
+    // Only X-Forwarded-For entries from the trusted proxy hops count (see TRUST_PROXY in server.js)
+    const ip = req.ip || "";
+
+    // Honeypot filled in: pretend it worked so the bot doesn't adapt
+    if (body[HONEYPOT_FIELD]) {
+        console.warn(`Contact form honeypot triggered from ${ip}`);
+        return res.status(201).json({
+            success: true,
+            message: "Message sent successfully"
+        });
+    }
+
+    // formToken comes from GET /api/messages/form-token when the form opens; both ends of
+    // the elapsed time are the server's clock
+    const startedAt = readFormToken(body.formToken);
+    const elapsed = Date.now() - startedAt;
+    if (startedAt === null || elapsed < MIN_SUBMIT_MS || elapsed > MAX_FORM_AGE_MS) {
+        throw new ValidationError("Please take a moment to fill in the form and try again", { code: "SUBMITTED_TOO_FAST" });
+    }
+
+    const recentCount = await Message.countDocuments({
+        ip,
+        createdAt: { $gte: new Date(Date.now() - RATE_WINDOW_MS) }
+    });
+    if (recentCount >= MAX_MESSAGES_PER_IP) {
+        throw new RateLimitError("Too many messages. Please try again later.", { retryAfter: RATE_WINDOW_MS / 1000 });
+    }
+
+    const captcha = await verifyCaptcha(body.captchaToken, { ip });
+    if (!captcha.success) {
+        throw new ValidationError("CAPTCHA verification failed", { code: "CAPTCHA_FAILED" });
+    }
+
+    req.clientIp = ip;
+    next();
+};
+
+module.exports = { contactSpamGuard };
@@ -0,0 +1,24 @@
+const { validate } = require("../utils/validation.js");
+const { ValidationError } = require("../utils/errors.js");
+
+// Validate and coerce req.body against a schema from schemas/ before the controller runs
+// Must come after multer so multipart fields are already parsed
+// Pass { partial: true } for updates so only the fields that were sent are checked
+const validateBody = (schema, options = {}) => (req, res, next) => {
+    const { values, errors } = validate(schema, req.body, options);
+    if (errors) {
+        throw new ValidationError("Validation failed", { errors });
+    }
+    req.body = values;
+    next();
+};
+
+// Serve a schema so clients can run the same checks before submitting
+const sendSchema = (schema) => (req, res) => {
+    res.status(200).json({
+        success: true,
+        schema
+    });
+};
+
+module.exports = { validateBody, sendSchema };
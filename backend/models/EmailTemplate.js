@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Dashboard-editable email templates; keys without a row fall back to the defaults in utils/emailTemplates
+const emailTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: ["contact-notification", "contact-auto-reply"]
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  subject: {
+    type: String,
+    required: [true, "Subject is required"],
+    trim: true,
+    maxlength: [200, "Subject cannot exceed 200 characters"]
+  },
+  body: {
+    type: String,
+    required: [true, "Body is required"],
+    maxlength: [10000, "Body cannot exceed 10000 characters"]
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+emailTemplateSchema.pre("save", function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+module.exports = mongoose.model("EmailTemplate", emailTemplateSchema);
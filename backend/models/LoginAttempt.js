@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Failed login counters, keyed per IP ("ip:<address>") and per username ("user:<name>")
+// Stored in Mongo because serverless instances don't share (or keep) memory
+const loginAttemptSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    failures: {
+        type: Number,
+        default: 0
+    },
+    lastFailureAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedUntil: {
+        type: Date
+    },
+    // Marker of the last attempt that changed the record, see claimLoginAttempt
+    lastClaim: {
+        type: String
+    },
+    // Documents disappear once the tracking window (or lockout) has passed
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
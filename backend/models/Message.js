@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+
+// Delivery state of one outgoing email (owner notification or auto-reply)
+const deliverySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ["pending", "sending", "sent", "failed", "skipped"],
+    default: "pending"
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: ""
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  // When the next automatic attempt is due (also the lease while "sending")
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  sentAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const messageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, "Name is required"],
+    trim: true,
+    maxlength: [100, "Name cannot exceed 100 characters"]
+  },
+  email: {
+    type: String,
+    required: [true, "Email is required"],
+    trim: true,
+    lowercase: true,
+    maxlength: [254, "Email cannot exceed 254 characters"],
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Please provide a valid email address"]
+  },
+  subject: {
+    type: String,
+    trim: true,
+    default: "",
+    maxlength: [200, "Subject cannot exceed 200 characters"]
+  },
+  message: {
+    type: String,
+    required: [true, "Message is required"],
+    trim: true,
+    maxlength: [5000, "Message cannot exceed 5000 characters"]
+  },
+  // Inbox state managed from the admin panel
+  read: {
+    type: Boolean,
+    default: false
+  },
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: "",
+    maxlength: [2000, "Notes cannot exceed 2000 characters"]
+  },
+  notifications: {
+    owner: {
+      type: deliverySchema,
+      default: () => ({})
+    },
+    autoReply: {
+      type: deliverySchema,
+      default: () => ({})
+    }
+  },
+  // Sender IP (req.ip, so it can't be forged through X-Forwarded-For), used for per-IP rate limiting
+  ip: {
+    type: String,
+    default: "",
+    select: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+messageSchema.index({ createdAt: -1 });
+messageSchema.index({ ip: 1, createdAt: -1 });
+messageSchema.index({ archived: 1, read: 1, createdAt: -1 });
+// Full-text search over the sender and the message body
+messageSchema.index(
+  { name: "text", email: "text", subject: "text", message: "text" },
+  { name: "message_text_search" }
+);
+
+module.exports = mongoose.model("Message", messageSchema);
@@ -1,4 +1,40 @@
 const mongoose = require("mongoose");
+const { PROJECT_STATUSES } = require("../utils/projectStatus");
+const { SLUG_PATTERN } = require("../utils/slug");
+const { MEDIA_TYPES, MAX_MEDIA_ITEMS } = require("../utils/projectMedia");
+
+// One image or video in a project's gallery (see utils/projectMedia.js)
+const mediaItemSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: MEDIA_TYPES,
+        required: [true, "Media type is required"]
+    },
+    url: {
+        type: String,
+        required: [true, "Media URL is required"],
+        trim: true
+    },
+    publicId: {
+        type: String,
+        trim: true
+    },
+    alt: {
+        type: String,
+        trim: true,
+        maxlength: [300, "Alt text cannot exceed 300 characters"]
+    },
+    caption: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Caption cannot exceed 500 characters"]
+    },
+    // Shown first on cards; exactly one item is the cover
+    cover: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
 
 const projectSchema = new mongoose.Schema({
     title: {
@@ -7,6 +43,22 @@ const projectSchema = new mongoose.Schema({
         trim: true,
         maxlength: [200, "Title cannot exceed 200 characters"]
     },
+    // Used in /projects/:slug links; sparse because rows created before slugs existed have none
+    slug: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        unique: true,
+        sparse: true,
+        match: [new RegExp(SLUG_PATTERN), "Slug may only contain lowercase letters, numbers and single hyphens"]
+    },
+    // Slugs this project had before, so links that were already shared keep resolving
+    previousSlugs: {
+        type: [String],
+        default: [],
+        select: false
+    },
+    // Markdown; the frontend renders it through an HTML allowlist (frontend/src/utils/markdown.js)
     description: {
         type: String,
         required: [true, "Description is required"],
@@ -32,6 +84,11 @@ const projectSchema = new mongoose.Schema({
             message: "At least one tool is required"
         }
     },
+    // Skills the tools above match (see utils/skillLinks.js) - kept in sync on every save
+    skills: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Skill"
+    }],
     githubLink: {
         type: String,
         trim: true,
@@ -56,29 +113,50 @@ const projectSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
-    cloudinaryVideoUrl: {
-        type: String,
-        trim: true
+    // Images and videos in display order
+    media: {
+        type: [mediaItemSchema],
+        default: [],
+        validate: {
+            validator: function(arr) {
+                return arr.length <= MAX_MEDIA_ITEMS;
+            },
+            message: `A project can have at most ${MAX_MEDIA_ITEMS} media items`
+        }
     },
-    cloudinaryVideoPublicId: {
+    duration: {
         type: String,
         trim: true
     },
-    cloudinaryThumbnailUrl: {
+    // Markdown, like description
+    challenges: {
         type: String,
         trim: true
     },
-    cloudinaryThumbnailPublicId: {
+    // No default on purpose: rows created before statuses existed resolve to published (see utils/projectStatus)
+    // addProject sets "draft" for new projects
+    status: {
         type: String,
-        trim: true
+        enum: PROJECT_STATUSES
     },
-    duration: {
-        type: String,
-        trim: true
+    // When a scheduled project goes live; set to the publish time for published ones
+    publishAt: {
+        type: Date
     },
-    challenges: {
-        type: String,
-        trim: true
+    // Position in the manual order (lower comes first)
+    order: {
+        type: Number,
+        default: 0
+    },
+    // Shown in the hero row above the rest of the grid
+    featured: {
+        type: Boolean,
+        default: false
+    },
+    // Set when the project is moved to the trash (see utils/trash.js); missing or null means it isn't
+    deletedAt: {
+        type: Date,
+        default: null
     },
     createdAt: {
         type: Date,
@@ -90,6 +168,34 @@ const projectSchema = new mongoose.Schema({
     }
 });
 
+// Public listing and the scheduler both filter on these
+projectSchema.index({ status: 1, publishAt: 1 });
+projectSchema.index({ order: 1, createdAt: -1 });
+projectSchema.index({ previousSlugs: 1 });
+// Backing indexes for GET /api/projects search, filters and sorts
+projectSchema.index(
+    { title: "text", description: "text", features: "text" },
+    { name: "project_text_search", weights: { title: 10, features: 5, description: 1 } }
+);
+projectSchema.index({ tools: 1 });
+projectSchema.index({ skills: 1 });
+projectSchema.index({ featured: 1, order: 1 });
+projectSchema.index({ createdAt: -1 });
+projectSchema.index({ title: 1 });
+projectSchema.index({ deletedAt: 1 });
+
+/**
+ * Flip scheduled projects whose publishAt has passed to published
+ * @returns {Promise<number>} How many projects went live
+ */
+projectSchema.statics.publishDue = async function(now = new Date()) {
+    const result = await this.updateMany(
+        { status: "scheduled", publishAt: { $lte: now } },
+        { $set: { status: "published", updatedAt: now } }
+    );
+    return result.modifiedCount || 0;
+};
+
 // Update the updatedAt field before saving
 projectSchema.pre("save", function(next) {
     this.updatedAt = Date.now();
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// A full snapshot of a project or skill, saved after every change
+// The dashboard lists them per item, diffs them field by field and can restore any of them
+const revisionSchema = new mongoose.Schema({
+    entityType: {
+        type: String,
+        required: true,
+        enum: ["Project", "Skill"]
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // "baseline" is the state an item was in before its first tracked change,
+    // "import" the state a portfolio import wrote (see utils/portfolioArchive.js)
+    action: {
+        type: String,
+        required: true,
+        enum: ["baseline", "create", "update", "restore", "import"]
+    },
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // Cloudinary public ids the snapshot uses - assets are only deleted once no revision lists them
+    assets: {
+        type: [String],
+        default: []
+    },
+    author: {
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        username: {
+            type: String,
+            trim: true
+        }
+    },
+    // Set on "restore" revisions
+    restoredFrom: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// History of one item, newest first
+revisionSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+revisionSchema.index({ assets: 1 });
+
+module.exports = mongoose.model("Revision", revisionSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+const SECURITY_EVENT_RETENTION_DAYS = 90;
+
+// Admin-visible audit log for security-relevant events (e.g. login lockouts)
+const securityEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: ["lockout"]
+    },
+    // What was locked: an IP address or a username
+    scope: {
+        type: String,
+        enum: ["ip", "username"]
+    },
+    ip: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    username: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    failures: {
+        type: Number
+    },
+    lockedUntil: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Also serves the newest-first listing in the dashboard
+securityEventSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: SECURITY_EVENT_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("SecurityEvent", securityEventSchema);
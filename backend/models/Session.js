@@ -0,0 +1,139 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+// How long the token that was just rotated out is still accepted. Tabs refreshing at the
+// same moment, or a retried request whose response was lost, present it legitimately
+const REUSE_GRACE_MS = 10 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+    // Only hashes are stored - a database leak doesn't hand out usable refresh tokens
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // The token that was rotated out last; presenting it again after REUSE_GRACE_MS means it was stolen
+    previousTokenHash: {
+        type: String,
+        select: false
+    },
+    rotatedAt: {
+        type: Date
+    },
+    // Whether this session completed the second login step
+    mfa: {
+        type: Boolean,
+        default: false
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    ip: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Let Mongo clean up expired sessions on its own
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual("isActive").get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+/**
+ * Create a session and return it with its plaintext refresh token
+ * Refresh tokens look like `<sessionId>.<secret>` so they can be looked up without scanning
+ */
+sessionSchema.statics.start = async function(user, { userAgent = "", ip = "", mfa = false } = {}) {
+    const session = new this({
+        user: user._id,
+        mfa,
+        userAgent: String(userAgent).slice(0, 500),
+        ip,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+        refreshTokenHash: "pending"
+    });
+
+    const refreshToken = `${session._id}.${crypto.randomBytes(48).toString("base64url")}`;
+    session.refreshTokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return { session, refreshToken };
+};
+
+/**
+ * Validate a presented refresh token and rotate it
+ * The swap is one atomic update matched on the current token, so two concurrent
+ * rotations can't both succeed. The token rotated out last still works for
+ * REUSE_GRACE_MS (without rotating again - refreshToken is null then, and the
+ * cookie the winning request set stays in place); reuse after that revokes the session
+ * @returns {Promise<{session, refreshToken: string|null}|null>}
+ */
+sessionSchema.statics.rotate = async function(presentedToken, { userAgent, ip } = {}) {
+    const [sessionId] = String(presentedToken || "").split(".");
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+    const now = new Date();
+    const presentedHash = hashToken(presentedToken);
+    const refreshToken = `${sessionId}.${crypto.randomBytes(48).toString("base64url")}`;
+    const changes = {
+        previousTokenHash: presentedHash,
+        refreshTokenHash: hashToken(refreshToken),
+        rotatedAt: now,
+        lastSeenAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS)
+    };
+    if (userAgent) changes.userAgent = String(userAgent).slice(0, 500);
+    if (ip) changes.ip = ip;
+
+    const active = { _id: sessionId, revokedAt: null, expiresAt: { $gt: now } };
+    const rotated = await this.findOneAndUpdate(
+        { ...active, refreshTokenHash: presentedHash },
+        { $set: changes },
+        { new: true }
+    );
+    if (rotated) return { session: rotated, refreshToken };
+
+    const previous = await this.findOne({ ...active, previousTokenHash: presentedHash });
+    if (!previous) return null;
+
+    if (previous.rotatedAt && now - previous.rotatedAt <= REUSE_GRACE_MS) {
+        return { session: previous, refreshToken: null };
+    }
+
+    await this.updateOne({ _id: previous._id, revokedAt: null }, { $set: { revokedAt: now } });
+    console.warn(`Refresh token reuse detected, session ${previous._id} revoked`);
+    return null;
+};
+
+sessionSchema.set("toJSON", { virtuals: true });
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { SKILL_CATEGORIES, SKILL_LEVELS, MAX_YEARS_OF_EXPERIENCE } = require("../utils/skillCategories.js");
 
 const skillSchema = new mongoose.Schema({
   name: {
@@ -26,6 +27,33 @@ const skillSchema = new mongoose.Schema({
       message: "At least one topic is required"
     }
   },
+  // SkillBar section; skills without one are shown under "Other"
+  category: {
+    type: String,
+    enum: SKILL_CATEGORIES,
+    trim: true
+  },
+  level: {
+    type: String,
+    enum: SKILL_LEVELS
+  },
+  yearsOfExperience: {
+    type: Number,
+    min: [0, "Years of experience cannot be negative"],
+    max: [MAX_YEARS_OF_EXPERIENCE, `Years of experience cannot exceed ${MAX_YEARS_OF_EXPERIENCE}`]
+  },
+  // Position in the manual order (lower comes first) - SkillBar shows the strongest stack first,
+  // and each category section keeps this relative order
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Set when the skill is moved to the trash (see utils/trash.js); missing or null means it isn't
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
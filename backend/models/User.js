@@ -1,15 +1,67 @@
 const mongoose = require("mongoose");
+const { isHashed, hashPassword, verifyPassword, needsRehash, safeEqual } = require("../utils/password");
+const { verifyCode, hashRecoveryCode } = require("../utils/totp");
+const { ROLES } = require("../utils/roles");
 
 const userSchema = new mongoose.Schema({
     username: { type: String, required: true, unique: true },
     password: { type: String, required: true },
     profilePicLink: { type: String, default: "" },
+    // No default on purpose: rows created before roles existed resolve to owner (see utils/roles)
+    role: { type: String, enum: ROLES },
+    passwordChangedAt: { type: Date },
+    // TOTP two-factor authentication
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorSecret: { type: String, select: false },
+    twoFactorPendingSecret: { type: String, select: false },
+    twoFactorLastStep: { type: Number, select: false },
+    recoveryCodes: { type: [String], default: [], select: false },
     createdAt: { type: Date, default: Date.now }
 });
 
-module.exports = mongoose.model("User", userSchema);
+// Hash the password whenever it is set; whatever is assigned is treated as plaintext,
+// even if it looks like a hash. Code that must store an existing hash writes it with
+// User.updateOne, which skips this hook
+userSchema.pre("save", async function() {
+    if (!this.isModified("password")) return;
+    this.password = await hashPassword(this.password);
+});
 
+// Compare a candidate password against the stored value
+// Legacy rows still hold plaintext, so fall back to a constant-time string compare for those
+userSchema.methods.comparePassword = async function(candidate) {
+    if (typeof candidate !== "string" || !this.password) return false;
+    if (!isHashed(this.password)) {
+        return safeEqual(candidate, this.password);
+    }
+    return verifyPassword(candidate, this.password);
+};
 
+// True when the stored value is plaintext or was hashed with weaker parameters
+userSchema.methods.passwordNeedsUpgrade = function() {
+    return needsRehash(this.password);
+};
 
+// Check a TOTP code (or a recovery code) for the second login step
+// Accepted codes are burned: TOTP steps can't be replayed and recovery codes are removed
+// Requires the document to be loaded with +twoFactorSecret +twoFactorLastStep +recoveryCodes
+userSchema.methods.verifySecondFactor = function({ code, recoveryCode }) {
+    if (code) {
+        const step = verifyCode(this.twoFactorSecret, code, { lastUsedStep: this.twoFactorLastStep });
+        if (step === null) return false;
+        this.twoFactorLastStep = step;
+        return true;
+    }
 
+    if (recoveryCode) {
+        const hashed = hashRecoveryCode(recoveryCode);
+        const index = this.recoveryCodes.indexOf(hashed);
+        if (index === -1) return false;
+        this.recoveryCodes.splice(index, 1);
+        return true;
+    }
 
+    return false;
+};
+
+module.exports = mongoose.model("User", userSchema);
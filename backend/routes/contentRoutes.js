@@ -0,0 +1,14 @@
+const express = require("express");
+const { importMarkdown } = require("../controllers/contentController.js");
+const { protect } = require("../middleware/authMiddleware.js");
+const { requireRole } = require("../middleware/roleMiddleware.js");
+const { uploadMarkdown } = require("../utils/upload.js");
+
+const router = express.Router();
+
+// Owners and editors manage content; viewers are read-only
+const canEdit = requireRole("owner", "editor");
+
+router.post("/markdown", protect, canEdit, uploadMarkdown, importMarkdown);
+
+module.exports = router;
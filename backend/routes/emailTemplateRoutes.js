@@ -0,0 +1,15 @@
+const express = require("express");
+const { getEmailTemplates, updateEmailTemplate, resetEmailTemplate } = require("../controllers/emailTemplateController.js");
+const { protect } = require("../middleware/authMiddleware.js");
+const { requireRole } = require("../middleware/roleMiddleware.js");
+
+const router = express.Router();
+
+// Templates decide what gets emailed on the owner's behalf
+router.use(protect, requireRole("owner"));
+
+router.get("/", getEmailTemplates);
+router.put("/:key", updateEmailTemplate);
+router.delete("/:key", resetEmailTemplate);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require("express");
+const {
+  getFormToken,
+  createMessage,
+  getMessages,
+  exportMessages,
+  updateMessage,
+  retryMessageNotifications,
+  retryDueMessageNotifications,
+  deleteMessage,
+  deleteAllMessages
+} = require("../controllers/messageController.js");
+const { protect } = require("../middleware/authMiddleware.js");
+const { requireRole } = require("../middleware/roleMiddleware.js");
+const { contactSpamGuard } = require("../middleware/spamGuard.js");
+
+const router = express.Router();
+
+// Any signed-in user can read and export the inbox; owners and editors can change it
+const canEdit = requireRole("owner", "editor");
+
+router.get("/form-token", getFormToken);
+router.post("/", contactSpamGuard, createMessage);
+router.get("/", protect, getMessages);
+router.get("/export", protect, exportMessages);
+router.post("/notifications/retry-due", protect, canEdit, retryDueMessageNotifications);
+router.put("/:id", protect, canEdit, updateMessage);
+router.post("/:id/notifications/retry", protect, canEdit, retryMessageNotifications);
+router.delete("/", protect, canEdit, deleteAllMessages);
+router.delete("/:id", protect, canEdit, deleteMessage);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require("express");
+const { exportPortfolio, importPortfolio } = require("../controllers/portfolioController.js");
+const { protect } = require("../middleware/authMiddleware.js");
+const { requireRole } = require("../middleware/roleMiddleware.js");
+const { uploadArchive } = require("../utils/upload.js");
+
+const router = express.Router();
+
+// Exports include contact messages, and imports can replace everything
+router.use(protect, requireRole("owner"));
+
+// Imports come as a JSON body or as an uploaded .json/.zip file
+const optionalArchive = (req, res, next) => {
+    if (req.is("application/json")) {
+        return next();
+    }
+    return uploadArchive(req, res, next);
+};
+
+router.get("/export", exportPortfolio);
+router.post("/import", optionalArchive, importPortfolio);
+
+module.exports = router;
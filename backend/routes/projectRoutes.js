@@ -1,10 +1,32 @@
 const express = require("express");
-const { getProjects, getProject, addProject, deleteProject, updateProject } = require("../controllers/projectController.js");
-const { protect } = require("../middleware/authMiddleware.js");
+const {
+    getProjects,
+    getProjectTools,
+    getProject,
+    getProjectBySlug,
+    addProject,
+    deleteProject,
+    updateProject,
+    reorderProjects,
+    getProjectTrash,
+    restoreProject,
+    purgeProject,
+    getProjectRevisions,
+    getProjectRevision,
+    restoreProjectRevision
+} = require("../controllers/projectController.js");
+const { protect, optionalAuth } = require("../middleware/authMiddleware.js");
+const { requireRole } = require("../middleware/roleMiddleware.js");
+const { validateBody, sendSchema } = require("../middleware/validateBody.js");
+const { projectSchema } = require("../schemas/projectSchema.js");
+const { orderSchema } = require("../schemas/orderSchema.js");
 const { uploadMultiple } = require("../utils/upload.js");
 
 const router = express.Router();
 
+// Owners and editors manage content; viewers are read-only
+const canEdit = requireRole("owner", "editor");
+
 // Optional multer middleware - only processes files if present
 // Since we now accept direct Cloudinary URLs, files are optional
 const optionalUpload = (req, res, next) => {
@@ -16,10 +38,25 @@ const optionalUpload = (req, res, next) => {
     return uploadMultiple(req, res, next);
 };
 
-router.get("/", getProjects);
-router.get("/:id", getProject);
-router.post("/", protect, optionalUpload, addProject);
-router.put("/:id", protect, optionalUpload, updateProject);
-router.delete("/:id", protect, deleteProject);
+// Visitors only get live projects; signed-in users also see drafts, scheduled and archived ones
+router.get("/", optionalAuth, getProjects);
+// Declared before /:id so "schema", "tools" and "trash" aren't read as ids
+router.get("/schema", protect, sendSchema(projectSchema));
+router.get("/trash", protect, getProjectTrash);
+router.get("/tools", optionalAuth, getProjectTools);
+router.get("/slug/:slug", optionalAuth, getProjectBySlug);
+router.get("/:id", optionalAuth, getProject);
+router.post("/", protect, canEdit, optionalUpload, validateBody(projectSchema), addProject);
+// Declared before /:id so "order" isn't read as an id
+router.put("/order", protect, canEdit, validateBody(orderSchema), reorderProjects);
+router.put("/:id", protect, canEdit, optionalUpload, validateBody(projectSchema, { partial: true }), updateProject);
+// Deleting moves to the trash; restore or delete for good from there
+router.delete("/:id", protect, canEdit, deleteProject);
+router.post("/:id/restore", protect, canEdit, restoreProject);
+router.delete("/:id/permanent", protect, canEdit, purgeProject);
+// Revision history - anyone signed in can read it, owners and editors can restore
+router.get("/:id/revisions", protect, getProjectRevisions);
+router.get("/:id/revisions/:revisionId", protect, getProjectRevision);
+router.post("/:id/revisions/:revisionId/restore", protect, canEdit, restoreProjectRevision);
 
 module.exports = router;
@@ -1,26 +1,46 @@
 const express = require("express");
-const { getSkills, getSkill, addSkill, deleteSkill, updateSkill } = require("../controllers/skillController.js");
+const {
+    getSkills,
+    getSkill,
+    addSkill,
+    deleteSkill,
+    updateSkill,
+    reorderSkills,
+    getSkillTrash,
+    restoreSkill,
+    purgeSkill,
+    getSkillRevisions,
+    getSkillRevision,
+    restoreSkillRevision
+} = require("../controllers/skillController.js");
 const { protect } = require("../middleware/authMiddleware.js");
+const { requireRole } = require("../middleware/roleMiddleware.js");
+const { validateBody, sendSchema } = require("../middleware/validateBody.js");
+const { skillSchema } = require("../schemas/skillSchema.js");
+const { orderSchema } = require("../schemas/orderSchema.js");
 const { uploadImage } = require("../utils/upload.js");
 
 const router = express.Router();
 
-// Multer error handling middleware
-const handleMulterError = (err, req, res, next) => {
-  if (err) {
-    return res.status(400).json({
-      success: false,
-      message: err.message || 'File upload error',
-      error: err.toString()
-    });
-  }
-  next();
-};
+// Owners and editors manage content; viewers are read-only
+const canEdit = requireRole("owner", "editor");
 
 router.get("/", getSkills);
+// Declared before /:id so "schema" and "trash" aren't read as ids
+router.get("/schema", protect, sendSchema(skillSchema));
+router.get("/trash", protect, getSkillTrash);
 router.get("/:id", getSkill);
-router.post("/", protect, uploadImage, handleMulterError, addSkill);
-router.put("/:id", protect, uploadImage, handleMulterError, updateSkill);
-router.delete("/:id", protect, deleteSkill);
+router.post("/", protect, canEdit, uploadImage, validateBody(skillSchema), addSkill);
+// Declared before /:id so "order" isn't read as an id
+router.put("/order", protect, canEdit, validateBody(orderSchema), reorderSkills);
+router.put("/:id", protect, canEdit, uploadImage, validateBody(skillSchema, { partial: true }), updateSkill);
+// Deleting moves to the trash; restore or delete for good from there
+router.delete("/:id", protect, canEdit, deleteSkill);
+router.post("/:id/restore", protect, canEdit, restoreSkill);
+router.delete("/:id/permanent", protect, canEdit, purgeSkill);
+// Revision history - anyone signed in can read it, owners and editors can restore
+router.get("/:id/revisions", protect, getSkillRevisions);
+router.get("/:id/revisions/:revisionId", protect, getSkillRevision);
+router.post("/:id/revisions/:revisionId/restore", protect, canEdit, restoreSkillRevision);
 
 module.exports = router;
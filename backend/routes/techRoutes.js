@@ -0,0 +1,8 @@
+const express = require("express");
+const { getTechnologies } = require("../controllers/techController.js");
+
+const router = express.Router();
+
+router.get("/", getTechnologies);
+
+module.exports = router;
@@ -1,11 +1,44 @@
 const express = require("express");
-const { loginUser, logoutUser, verifyUser } = require("../controllers/userController.js");
+const {
+    loginUser,
+    verifyTwoFactorLogin,
+    refreshSession,
+    logoutUser,
+    verifyUser,
+    changePassword,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    getUsers,
+    createUser,
+    updateUserRole,
+    deleteUser
+} = require("../controllers/userController.js");
+const { getSessions, revokeSession, revokeOtherSessions } = require("../controllers/sessionController.js");
+const { getSecurityEvents } = require("../controllers/securityEventController.js");
 const { protect } = require("../middleware/authMiddleware.js");
+const { requireRole } = require("../middleware/roleMiddleware.js");
 
 const router = express.Router();
 
 router.post("/login", loginUser);
+router.post("/login/2fa", verifyTwoFactorLogin);
+router.post("/refresh", refreshSession);
 router.post("/logout", logoutUser);
 router.get("/verify", protect, verifyUser);
+router.put("/password", protect, changePassword);
+router.post("/2fa/setup", protect, setupTwoFactor);
+router.post("/2fa/enable", protect, enableTwoFactor);
+router.post("/2fa/disable", protect, disableTwoFactor);
+router.get("/sessions", protect, getSessions);
+router.delete("/sessions", protect, revokeOtherSessions);
+router.delete("/sessions/:id", protect, revokeSession);
+router.get("/security-events", protect, requireRole("owner"), getSecurityEvents);
+
+// Team management (owner only)
+router.get("/", protect, requireRole("owner"), getUsers);
+router.post("/", protect, requireRole("owner"), createUser);
+router.put("/:id/role", protect, requireRole("owner"), updateUserRole);
+router.delete("/:id", protect, requireRole("owner"), deleteUser);
 
 module.exports = router;
@@ -0,0 +1,11 @@
+// Body for the bulk reorder endpoints (PUT /api/projects/order, PUT /api/skills/order)
+const orderSchema = {
+  ids: {
+    type: 'array',
+    label: 'IDs',
+    minItems: 1,
+    messages: { minItems: 'Send the IDs in their new order' },
+  },
+};
+
+module.exports = { orderSchema };
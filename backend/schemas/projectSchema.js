@@ -0,0 +1,58 @@
+const { PROJECT_STATUSES } = require('../utils/projectStatus');
+const { SLUG_PATTERN, MAX_SLUG_LENGTH } = require('../utils/slug');
+const { MEDIA_TYPES, MAX_MEDIA_ITEMS } = require('../utils/projectMedia');
+
+// Request rules for projects - mirrors the limits in models/Project.js
+// Served at GET /api/projects/schema so the dashboard validates with the same rules
+const projectSchema = {
+  title: { type: 'string', label: 'Title', required: true, maxLength: 200 },
+  // Left empty, the server generates one from the title
+  slug: {
+    type: 'string',
+    label: 'Slug',
+    maxLength: MAX_SLUG_LENGTH,
+    pattern: SLUG_PATTERN,
+    messages: { pattern: 'Slug may only contain lowercase letters, numbers and single hyphens' },
+  },
+  description: { type: 'string', label: 'Description', required: true },
+  features: {
+    type: 'array',
+    label: 'Features',
+    minItems: 1,
+    messages: { minItems: 'At least one feature is required' },
+  },
+  tools: {
+    type: 'array',
+    label: 'Tools',
+    minItems: 1,
+    messages: { minItems: 'At least one tool is required' },
+  },
+  githubLink: { type: 'url', label: 'GitHub link' },
+  deployedUrl: { type: 'url', label: 'Deployed URL' },
+  duration: { type: 'string', label: 'Duration' },
+  challenges: { type: 'string', label: 'Challenges' },
+  featured: { type: 'boolean', label: 'Featured' },
+  status: { type: 'string', label: 'Status', enum: PROJECT_STATUSES },
+  publishAt: {
+    type: 'date',
+    label: 'Publish date',
+    requiredIf: { status: 'scheduled' },
+    messages: { required: 'Pick a publish date for scheduled projects' },
+  },
+  // The whole gallery in display order; the dashboard uploads straight to Cloudinary first
+  media: {
+    type: 'array',
+    label: 'Media',
+    maxItems: MAX_MEDIA_ITEMS,
+    items: {
+      type: { type: 'string', label: 'Type', required: true, enum: MEDIA_TYPES },
+      url: { type: 'url', label: 'URL', required: true },
+      publicId: { type: 'string', label: 'Public ID' },
+      alt: { type: 'string', label: 'Alt text', maxLength: 300 },
+      caption: { type: 'string', label: 'Caption', maxLength: 500 },
+      cover: { type: 'boolean', label: 'Cover' },
+    },
+  },
+};
+
+module.exports = { projectSchema };
@@ -0,0 +1,35 @@
+const { SKILL_CATEGORIES, SKILL_LEVELS, MAX_YEARS_OF_EXPERIENCE } = require('../utils/skillCategories');
+
+// Request rules for skills - mirrors the limits in models/Skill.js
+// Served at GET /api/skills/schema so the dashboard validates with the same rules
+// The icon itself arrives as the multipart `image` file, so it isn't a body field
+const skillSchema = {
+  name: {
+    type: 'string',
+    label: 'Name',
+    required: true,
+    maxLength: 100,
+    messages: { required: 'Skill name is required' },
+  },
+  topics: {
+    type: 'array',
+    label: 'Topics',
+    minItems: 1,
+    messages: { minItems: 'At least one topic is required' },
+  },
+  // category, level and yearsOfExperience are optional; send them empty to clear them
+  category: { type: 'string', label: 'Category', enum: SKILL_CATEGORIES },
+  level: { type: 'string', label: 'Level', enum: SKILL_LEVELS },
+  yearsOfExperience: {
+    type: 'number',
+    label: 'Years of experience',
+    min: 0,
+    max: MAX_YEARS_OF_EXPERIENCE,
+  },
+  // Only ever sent empty, together with removeImage, to clear the icon
+  imageUrl: { type: 'url', label: 'Image URL' },
+  // Update-only flag, never stored
+  removeImage: { type: 'boolean', label: 'Remove image' },
+};
+
+module.exports = { skillSchema };
@@ -0,0 +1,54 @@
+// Upsert projects and skills from a directory of Markdown files with YAML front-matter
+// (see utils/markdownContent.js for the format). Files under skills/ are skills
+// Usage: npm run import:markdown -- <directory> [--dry-run]
+const fs = require("fs");
+const path = require("path");
+const { connectDB, mongoose } = require("../config/db.js");
+const { MARKDOWN_FILE, importContent } = require("../utils/markdownContent.js");
+
+// Every Markdown file below dir, with paths relative to it
+const readMarkdownFiles = (dir, prefix = "") => {
+    return fs.readdirSync(path.join(dir, prefix), { withFileTypes: true }).flatMap((entry) => {
+        const relative = path.posix.join(prefix, entry.name);
+        if (entry.isDirectory()) return readMarkdownFiles(dir, relative);
+        if (!MARKDOWN_FILE.test(entry.name)) return [];
+        return [{ file: relative, text: fs.readFileSync(path.join(dir, relative), "utf8") }];
+    });
+};
+
+const formatValue = (value) => (Array.isArray(value) ? value.join(", ") : JSON.stringify(value));
+
+const run = async () => {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes("--dry-run");
+    const dir = args.find((arg) => !arg.startsWith("--"));
+    if (!dir) {
+        console.error("Usage: npm run import:markdown -- <directory> [--dry-run]");
+        process.exitCode = 1;
+        return;
+    }
+
+    const files = readMarkdownFiles(path.resolve(dir));
+    await connectDB();
+    const { summary, files: results } = await importContent(files, { dryRun });
+
+    results.forEach((result) => {
+        console.log(`${result.action.padEnd(9)} ${result.type || "?"} ${result.slug || ""} (${result.file})`);
+        (result.errors || []).forEach((error) => console.log(`    ! ${error}`));
+        (result.changes || []).forEach((change) => {
+            console.log(`    ${change.field}: ${formatValue(change.before)} -> ${formatValue(change.after)}`);
+        });
+    });
+    console.log(
+        `${dryRun ? "Dry run: " : ""}${summary.created} created, ${summary.updated} updated, ` +
+        `${summary.unchanged} unchanged, ${summary.failed} failed`
+    );
+    if (summary.failed > 0) process.exitCode = 1;
+};
+
+run()
+    .catch((error) => {
+        console.error("Markdown import failed:", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,19 @@
+// One-off migration: link existing projects to skills by matching their tools,
+// and rewrite tool names in their canonical spelling (see utils/techTaxonomy.js)
+// Safe to run more than once - projects that are already up to date are left alone
+// Usage: npm run migrate:project-skills
+const { connectDB, mongoose } = require("../config/db.js");
+const { relinkProjects } = require("../utils/skillLinks.js");
+
+const run = async () => {
+    await connectDB();
+    const { scanned, updated } = await relinkProjects();
+    console.log(`Updated tools and skill links on ${updated} of ${scanned} projects`);
+};
+
+run()
+    .catch((error) => {
+        console.error("Linking projects to skills failed:", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
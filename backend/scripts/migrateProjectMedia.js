@@ -0,0 +1,20 @@
+// One-off migration: move each project's old video and thumbnail fields into its
+// `media` gallery (see utils/projectMedia.js). The video stays the cover
+// Safe to run more than once - projects that are already migrated are left alone
+// Usage: npm run migrate:project-media
+const { connectDB, mongoose } = require("../config/db.js");
+require("../models/Project.js");
+const { migrateLegacyMedia } = require("../utils/projectMedia.js");
+
+const run = async () => {
+    await connectDB();
+    const { scanned, updated } = await migrateLegacyMedia();
+    console.log(`Moved media into galleries on ${updated} of ${scanned} projects`);
+};
+
+run()
+    .catch((error) => {
+        console.error("Migrating project media failed:", error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
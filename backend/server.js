@@ -5,12 +5,29 @@ const cookieParser = require("cookie-parser");
 const userRoutes = require("./routes/userRoutes.js");
 const projectRoutes = require("./routes/projectRoutes.js");
 const skillRoutes = require("./routes/skillRoutes.js");
+const techRoutes = require("./routes/techRoutes.js");
+const messageRoutes = require("./routes/messageRoutes.js");
+const emailTemplateRoutes = require("./routes/emailTemplateRoutes.js");
+const portfolioRoutes = require("./routes/portfolioRoutes.js");
+const contentRoutes = require("./routes/contentRoutes.js");
 const { connectDB } = require("./config/db.js");
 const cloudinary = require("./config/cloudinary");
+const { protect } = require("./middleware/authMiddleware.js");
+const { requireRole } = require("./middleware/roleMiddleware.js");
+const { retryDueNotifications } = require("./utils/contactNotifications.js");
+const { purgeExpired } = require("./utils/trash.js");
+const Project = require("./models/Project.js");
+const { errorHandler, notFoundHandler } = require("./middleware/errorHandler.js");
+const { AppError } = require("./utils/errors.js");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Proxies in front of the app whose X-Forwarded-For entries are trusted for req.ip
+// A hop count (Vercel adds one) or any other "trust proxy" value, e.g. "loopback"
+const TRUST_PROXY = process.env.TRUST_PROXY || "1";
+app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+
 // --- Middleware ---
 // Configure CORS to allow all origins
 const corsOptions = {
@@ -18,7 +35,7 @@ const corsOptions = {
     credentials: true, // Allow cookies to be sent
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'], // Allow all methods
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'], // Allow necessary headers
-    exposedHeaders: ['Content-Type'], // Expose headers to client
+    exposedHeaders: ['Content-Type', 'Retry-After'], // Expose headers to client (Retry-After for login lockouts)
     maxAge: 86400 // Cache preflight requests for 24 hours
 };
 
@@ -39,11 +56,7 @@ const ensureDBConnection = async (req, res, next) => {
             dbConnected = true;
         } catch (error) {
             console.error('Database connection error:', error);
-            return res.status(500).json({
-                success: false,
-                message: 'Database connection failed',
-                error: error.message
-            });
+            return next(new AppError('Database connection failed', { status: 503, code: 'DATABASE_UNAVAILABLE' }));
         }
     }
     next();
@@ -54,8 +67,8 @@ app.get("/", (req, res) => {
     res.json({ message: "Hello from the backend" });
 });
 
-// --- Cloudinary Config & Signature Endpoints (safe to expose, no DB needed) ---
-// Must be defined before DB middleware
+// --- Cloudinary Config & Signature Endpoints ---
+// Must be defined before the /api DB middleware
 
 // Health check for Cloudinary endpoints
 app.get("/api/cloudinary-config", (req, res) => {
@@ -67,69 +80,61 @@ app.get("/api/cloudinary-config", (req, res) => {
 });
 
 // Generate signed upload parameters for direct frontend uploads
-// This endpoint doesn't need DB connection, defined before DB middleware
-app.post("/api/cloudinary-signature", express.json(), (req, res) => {
-    try {
-        const { folder, resource_type = 'auto' } = req.body;
-        
-        // Check if Cloudinary credentials are configured
-        if (!process.env.CLOUDINARY_API_SECRET || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_CLOUD_NAME) {
-            console.error('Cloudinary credentials missing:', {
-                hasSecret: !!process.env.CLOUDINARY_API_SECRET,
-                hasKey: !!process.env.CLOUDINARY_API_KEY,
-                hasCloudName: !!process.env.CLOUDINARY_CLOUD_NAME
-            });
-            return res.status(500).json({
-                success: false,
-                message: 'Cloudinary credentials not configured on server. Please set CLOUDINARY_API_SECRET, CLOUDINARY_API_KEY, and CLOUDINARY_CLOUD_NAME environment variables.'
-            });
-        }
-        
-        const cloudinary = require("./config/cloudinary");
-        
-        const timestamp = Math.round(new Date().getTime() / 1000);
-        
-        // Build params object for signature - must match exactly what frontend sends
-        // IMPORTANT: resource_type is NOT included in signature (Cloudinary excludes it)
-        // See: https://cloudinary.com/documentation/signatures
-        // Parameters to exclude from signature: file, cloud_name, resource_type, api_key
-        const params = {};
-        
-        // Add folder only if provided and not empty
-        if (folder && folder.trim()) {
-            params.folder = folder.trim();
-        }
-        
-        // DO NOT include resource_type in signature - Cloudinary excludes it
-        // resource_type will be sent separately in the upload request
-        
-        // Timestamp must always be included
-        params.timestamp = timestamp;
-
-        // Create signature using Cloudinary's utility
-        // This automatically sorts parameters alphabetically
-        const signature = cloudinary.utils.api_sign_request(
-            params,
-            process.env.CLOUDINARY_API_SECRET
-        );
-
-        res.json({
-            success: true,
-            signature,
-            timestamp,
-            folder: params.folder || '',
-            resource_type: resource_type || 'auto',
-            api_key: process.env.CLOUDINARY_API_KEY,
-            cloud_name: process.env.CLOUDINARY_CLOUD_NAME
-        });
-    } catch (error) {
-        console.error('Error generating Cloudinary signature:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to generate upload signature',
-            error: error.message
+// Signing lets the caller upload to our Cloudinary account, so only owners/editors may request one
+// (protect checks the session, hence ensureDBConnection here)
+app.post("/api/cloudinary-signature", ensureDBConnection, protect, requireRole("owner", "editor"), (req, res) => {
+    const { folder, resource_type = 'auto' } = req.body;
+    
+    // Check if Cloudinary credentials are configured
+    if (!process.env.CLOUDINARY_API_SECRET || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_CLOUD_NAME) {
+        console.error('Cloudinary credentials missing:', {
+            hasSecret: !!process.env.CLOUDINARY_API_SECRET,
+            hasKey: !!process.env.CLOUDINARY_API_KEY,
+            hasCloudName: !!process.env.CLOUDINARY_CLOUD_NAME
         });
+        throw new AppError(
+            'Cloudinary credentials not configured on server. Please set CLOUDINARY_API_SECRET, CLOUDINARY_API_KEY, and CLOUDINARY_CLOUD_NAME environment variables.',
+            { code: 'UPLOAD_NOT_CONFIGURED' }
+        );
+    }
+    
+    const cloudinary = require("./config/cloudinary");
+    
+    const timestamp = Math.round(new Date().getTime() / 1000);
+    
+    // Build params object for signature - must match exactly what frontend sends
+    // IMPORTANT: resource_type is NOT included in signature (Cloudinary excludes it)
+    // See: https://cloudinary.com/documentation/signatures
+    // Parameters to exclude from signature: file, cloud_name, resource_type, api_key
+    const params = {};
+    
+    // Add folder only if provided and not empty
+    if (folder && folder.trim()) {
+        params.folder = folder.trim();
     }
+    
+    // DO NOT include resource_type in signature - Cloudinary excludes it
+    // resource_type will be sent separately in the upload request
+    
+    // Timestamp must always be included
+    params.timestamp = timestamp;
+
+    // Create signature using Cloudinary's utility
+    // This automatically sorts parameters alphabetically
+    const signature = cloudinary.utils.api_sign_request(
+        params,
+        process.env.CLOUDINARY_API_SECRET
+    );
+
+    res.json({
+        success: true,
+        signature,
+        timestamp,
+        folder: params.folder || '',
+        resource_type: resource_type || 'auto',
+        api_key: process.env.CLOUDINARY_API_KEY,
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME
+    });
 });
 
 // Apply database connection middleware to all API routes
@@ -139,6 +144,16 @@ app.use('/api', ensureDBConnection);
 app.use("/api/users", userRoutes);       // login route
 app.use("/api/projects", projectRoutes); // CRUD project routes
 app.use("/api/skills", skillRoutes);    // CRUD skill routes
+app.use("/api/tech", techRoutes);       // Technology taxonomy (names, aliases, icons)
+app.use("/api/messages", messageRoutes); // Contact form inbox
+app.use("/api/email-templates", emailTemplateRoutes); // Notification / auto-reply templates
+app.use("/api/portfolio", portfolioRoutes); // Export / import of the whole portfolio
+app.use("/api/content", contentRoutes); // Markdown files as a content source
+
+// --- Error Handling ---
+// Must come after every route
+app.use("/api", notFoundHandler);
+app.use(errorHandler);
 
 // Export app for Vercel serverless (always export)
 module.exports = app;
@@ -152,6 +167,24 @@ if (!process.env.VERCEL) {
             app.listen(PORT, () => {
                 console.log(`Server running on http://localhost:${PORT}`);
             });
+            // A long-lived server can retry failed notification emails on a timer
+            setInterval(() => {
+                retryDueNotifications().catch((error) => {
+                    console.error("Error retrying notifications:", error);
+                });
+            }, 5 * 60 * 1000).unref();
+            // ...and publish scheduled projects on time (visitors already see them once due)
+            setInterval(() => {
+                Project.publishDue().catch((error) => {
+                    console.error("Error publishing scheduled projects:", error);
+                });
+            }, 60 * 1000).unref();
+            // ...and empty the trash of anything past its retention period (also done when the trash is listed)
+            setInterval(() => {
+                purgeExpired().catch((error) => {
+                    console.error("Error purging the trash:", error);
+                });
+            }, 60 * 60 * 1000).unref();
         } catch (error) {
             console.error('Failed to start server:', error);
             process.exit(1);
@@ -0,0 +1,111 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+// Access tokens are short-lived; the refresh token (stored server-side) keeps the user signed in
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const ACCESS_COOKIE = 'token';
+const REFRESH_COOKIE = 'refreshToken';
+// Refresh cookie is only sent to the auth routes, never to content endpoints
+const REFRESH_COOKIE_PATH = '/api/users';
+
+// Determine if we're in production (HTTPS) or development (HTTP)
+const isProductionRequest = (req) => {
+  return process.env.NODE_ENV === 'production' || req.secure || req.headers['x-forwarded-proto'] === 'https';
+};
+
+const baseCookieOptions = (req) => {
+  const isProduction = isProductionRequest(req);
+  return {
+    httpOnly: true, // More secure - prevents client-side JavaScript access
+    secure: isProduction, // true in production (HTTPS), false in development
+    sameSite: isProduction ? 'None' : 'Lax', // "None" required for cross-site cookies in production
+  };
+};
+
+/**
+ * Client IP as resolved by Express
+ * X-Forwarded-For is only honoured for the proxy hops configured with the
+ * "trust proxy" setting (TRUST_PROXY), so clients can't spoof it
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress || '';
+
+/**
+ * Sign an access token for a session and set it as the `token` cookie
+ * @returns {number} Expiry timestamp (ms) so the client can refresh ahead of time
+ */
+const issueAccessToken = (req, res, user, session) => {
+  const token = jwt.sign(
+    { id: user._id, username: user.username, mfa: Boolean(session.mfa), sid: session._id },
+    process.env.SECRET_KEY,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+
+  res.cookie(ACCESS_COOKIE, token, {
+    ...baseCookieOptions(req),
+    maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000,
+    path: '/', // Available for all paths
+  });
+
+  return Date.now() + ACCESS_TOKEN_TTL_SECONDS * 1000;
+};
+
+/**
+ * Set the rotating refresh token cookie
+ */
+const setRefreshCookie = (req, res, refreshToken, expiresAt) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...baseCookieOptions(req),
+    maxAge: Math.max(new Date(expiresAt).getTime() - Date.now(), 0),
+    path: REFRESH_COOKIE_PATH,
+  });
+};
+
+/**
+ * Clear both auth cookies (options must match the ones used to set them)
+ */
+const clearAuthCookies = (req, res) => {
+  res.clearCookie(ACCESS_COOKIE, { ...baseCookieOptions(req), path: '/' });
+  res.clearCookie(REFRESH_COOKIE, { ...baseCookieOptions(req), path: REFRESH_COOKIE_PATH });
+};
+
+/**
+ * Create a new server-side session for a user and set both cookies
+ * @param {Object} options
+ * @param {boolean} [options.mfa=false] - Whether the second factor was completed
+ * @returns {Promise<{session: Object, expiresAt: number}>}
+ */
+const startSession = async (req, res, user, { mfa = false } = {}) => {
+  const { session, refreshToken } = await Session.start(user, {
+    userAgent: req.headers['user-agent'] || '',
+    ip: getClientIp(req),
+    mfa,
+  });
+
+  setRefreshCookie(req, res, refreshToken, session.expiresAt);
+  const expiresAt = issueAccessToken(req, res, user, session);
+
+  return { session, expiresAt };
+};
+
+/**
+ * Session id from the refresh cookie, without validating the secret part
+ * @returns {string|null}
+ */
+const getRefreshSessionId = (req) => {
+  const refreshToken = req.cookies?.[REFRESH_COOKIE];
+  if (!refreshToken) return null;
+  return String(refreshToken).split('.')[0] || null;
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  getClientIp,
+  issueAccessToken,
+  setRefreshCookie,
+  clearAuthCookies,
+  startSession,
+  getRefreshSessionId,
+};
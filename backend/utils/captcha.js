@@ -0,0 +1,66 @@
+/**
+ * Pluggable CAPTCHA verification for public forms
+ *
+ * CAPTCHA_PROVIDER picks the verifier. It defaults to "none" so local runs need
+ * no network access or keys. Set CAPTCHA_PROVIDER=recaptcha together with
+ * RECAPTCHA_SECRET_KEY to check Google reCAPTCHA tokens.
+ */
+
+const RECAPTCHA_VERIFY_URL = 'https://www.google.com/recaptcha/api/siteverify';
+
+const verifiers = {
+  // No CAPTCHA configured - every submission passes this step
+  none: async () => ({ success: true }),
+
+  recaptcha: async (token, { ip } = {}) => {
+    const secret = process.env.RECAPTCHA_SECRET_KEY;
+    if (!secret) {
+      throw new Error('RECAPTCHA_SECRET_KEY is not configured');
+    }
+    if (!token) return { success: false };
+
+    const params = new URLSearchParams({ secret, response: String(token) });
+    if (ip) params.append('remoteip', ip);
+
+    const response = await fetch(RECAPTCHA_VERIFY_URL, { method: 'POST', body: params });
+    const data = await response.json();
+    return { success: Boolean(data.success), errors: data['error-codes'] };
+  },
+};
+
+/**
+ * Register (or replace) a verifier, e.g. for hCaptcha or Turnstile
+ * @param {string} name - Value of CAPTCHA_PROVIDER that selects it
+ * @param {(token: string, context: {ip: string}) => Promise<{success: boolean}>} verifier
+ */
+const registerCaptchaVerifier = (name, verifier) => {
+  verifiers[name] = verifier;
+};
+
+/**
+ * Name of the active provider
+ * @returns {string}
+ */
+const getCaptchaProvider = () => (process.env.CAPTCHA_PROVIDER || 'none').trim().toLowerCase();
+
+/**
+ * Verify a CAPTCHA token with the configured provider
+ * @param {string} token - Token sent by the client widget
+ * @param {Object} [context]
+ * @param {string} [context.ip] - Client IP, forwarded to providers that accept it
+ * @returns {Promise<{success: boolean}>}
+ */
+const verifyCaptcha = async (token, context = {}) => {
+  const provider = getCaptchaProvider();
+  const verifier = verifiers[provider];
+  if (!verifier) {
+    throw new Error(`Unknown CAPTCHA_PROVIDER "${provider}"`);
+  }
+  return verifier(token, context);
+};
+
+module.exports = {
+  registerCaptchaVerifier,
+  getCaptchaProvider,
+  verifyCaptcha,
+};
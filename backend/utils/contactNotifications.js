@@ -0,0 +1,184 @@
+const Message = require('../models/Message');
+const { isMailConfigured, sendMail } = require('./mailer');
+const { renderMessageTemplate } = require('./emailTemplates');
+
+// Automatic retries stop after this many attempts; the inbox can still retry by hand
+const MAX_ATTEMPTS = 5;
+// 1 min, 4 min, 16 min, 64 min between automatic attempts
+const BASE_BACKOFF_MS = 60 * 1000;
+// A claimed delivery is considered abandoned (e.g. the function was killed) after this long
+const SEND_LEASE_MS = 2 * 60 * 1000;
+
+const DELIVERIES = {
+  owner: {
+    template: 'contact-notification',
+    getRecipient: () => process.env.CONTACT_NOTIFY_EMAIL || process.env.MAIL_FROM || '',
+    // Replying to the notification answers the visitor directly
+    getReplyTo: (message) => message.email,
+  },
+  autoReply: {
+    template: 'contact-auto-reply',
+    getRecipient: (message) => message.email,
+    getReplyTo: () => process.env.CONTACT_NOTIFY_EMAIL || undefined,
+  },
+};
+
+const getBackoffMs = (attempts) => BASE_BACKOFF_MS * 4 ** Math.max(attempts - 1, 0);
+
+/**
+ * Atomically take ownership of one delivery so concurrent requests don't send twice
+ * @returns {Promise<Object|null>} The message, or null when the delivery isn't due
+ */
+const claimDelivery = async (messageId, kind, { force = false } = {}) => {
+  const now = new Date();
+  const path = `notifications.${kind}`;
+  const filter = { _id: messageId };
+
+  if (force) {
+    // Manual retry: anything not delivered, unless another request is sending right now
+    filter.$or = [
+      { [`${path}.status`]: { $in: ['pending', 'failed', 'skipped'] } },
+      { [`${path}.status`]: 'sending', [`${path}.nextAttemptAt`]: { $lte: now } },
+    ];
+  } else {
+    filter[`${path}.status`] = { $in: ['pending', 'failed', 'sending'] };
+    filter[`${path}.nextAttemptAt`] = { $lte: now };
+  }
+
+  return Message.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        [`${path}.status`]: 'sending',
+        [`${path}.nextAttemptAt`]: new Date(now.getTime() + SEND_LEASE_MS),
+      },
+    },
+    { new: true }
+  );
+};
+
+const recordDelivery = (messageId, kind, state) => {
+  const update = {};
+  Object.keys(state).forEach((field) => {
+    update[`notifications.${kind}.${field}`] = state[field];
+  });
+  return Message.updateOne({ _id: messageId }, { $set: update });
+};
+
+/**
+ * Send one notification for a message and record the outcome
+ * @param {Object} message - Message document (or its id)
+ * @param {'owner'|'autoReply'} kind
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Ignore the backoff schedule (manual retry)
+ * @returns {Promise<string|null>} Resulting status, or null when nothing was due
+ */
+const deliverNotification = async (message, kind, { force = false } = {}) => {
+  const delivery = DELIVERIES[kind];
+  const claimed = await claimDelivery(message._id || message, kind, { force });
+  if (!claimed) return null;
+
+  const previous = claimed.notifications?.[kind] || {};
+  const recipient = delivery.getRecipient(claimed);
+
+  if (!isMailConfigured() || !recipient) {
+    await recordDelivery(claimed._id, kind, {
+      status: 'skipped',
+      lastError: !isMailConfigured() ? 'SMTP is not configured' : 'No recipient configured',
+      nextAttemptAt: null,
+    });
+    return 'skipped';
+  }
+
+  const attempts = (previous.attempts || 0) + 1;
+  const now = new Date();
+
+  try {
+    const rendered = await renderMessageTemplate(delivery.template, claimed);
+    if (!rendered.enabled) {
+      await recordDelivery(claimed._id, kind, {
+        status: 'skipped',
+        lastError: 'Template is disabled',
+        nextAttemptAt: null,
+      });
+      return 'skipped';
+    }
+
+    await sendMail({
+      to: recipient,
+      subject: rendered.subject,
+      text: rendered.text,
+      replyTo: delivery.getReplyTo(claimed),
+    });
+
+    await recordDelivery(claimed._id, kind, {
+      status: 'sent',
+      attempts,
+      lastError: '',
+      lastAttemptAt: now,
+      nextAttemptAt: null,
+      sentAt: now,
+    });
+    return 'sent';
+  } catch (error) {
+    console.error(`Error sending ${kind} email for message ${claimed._id}:`, error.message);
+    await recordDelivery(claimed._id, kind, {
+      status: 'failed',
+      attempts,
+      lastError: String(error.message || error).slice(0, 500),
+      lastAttemptAt: now,
+      // Out of automatic attempts: wait for a manual retry
+      nextAttemptAt: attempts >= MAX_ATTEMPTS ? null : new Date(now.getTime() + getBackoffMs(attempts)),
+    });
+    return 'failed';
+  }
+};
+
+/**
+ * Send (or retry) both notifications for one message
+ * @param {Object} message
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false]
+ * @returns {Promise<{owner: string|null, autoReply: string|null}>}
+ */
+const deliverMessageNotifications = async (message, options = {}) => {
+  const results = {};
+  for (const kind of Object.keys(DELIVERIES)) {
+    results[kind] = await deliverNotification(message, kind, options);
+  }
+  return results;
+};
+
+/**
+ * Retry deliveries whose backoff has elapsed
+ * Runs on an interval when running as a long-lived server; serverless functions
+ * can't run timers, so there the inbox triggers it when an owner or editor opens it
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - Max messages handled per call
+ * @returns {Promise<number>} Number of messages processed
+ */
+const retryDueNotifications = async ({ limit = 5 } = {}) => {
+  const now = new Date();
+  const dueFilter = (kind) => ({
+    [`notifications.${kind}.status`]: { $in: ['pending', 'failed', 'sending'] },
+    [`notifications.${kind}.nextAttemptAt`]: { $lte: now },
+  });
+
+  const due = await Message.find({ $or: Object.keys(DELIVERIES).map(dueFilter) })
+    .select('_id')
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .lean();
+
+  for (const message of due) {
+    await deliverMessageNotifications(message);
+  }
+  return due.length;
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  deliverNotification,
+  deliverMessageNotifications,
+  retryDueNotifications,
+};
@@ -0,0 +1,36 @@
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape one value for a CSV cell (RFC 4180 quoting plus formula-injection guard)
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Build a CSV document from rows of objects
+ * @param {Array<{key: string, label: string}>} columns - Column order and header labels
+ * @param {Object[]} rows
+ * @returns {string}
+ */
+const toCsv = (columns, rows) => {
+  const header = columns.map((column) => escapeCsvValue(column.label)).join(',');
+  const lines = rows.map((row) => columns.map((column) => escapeCsvValue(row[column.key])).join(','));
+  return [header, ...lines].join('\r\n');
+};
+
+module.exports = {
+  escapeCsvValue,
+  toCsv,
+};
@@ -0,0 +1,112 @@
+const EmailTemplate = require('../models/EmailTemplate');
+
+// Placeholders available in every template, e.g. "Hi {{name}}"
+const PLACEHOLDERS = ['name', 'email', 'subject', 'message', 'date'];
+
+const DEFAULT_TEMPLATES = {
+  'contact-notification': {
+    label: 'New message notification (to you)',
+    enabled: true,
+    subject: 'New portfolio message from {{name}}',
+    body: [
+      'You received a new message through the portfolio contact form.',
+      '',
+      'From: {{name}} <{{email}}>',
+      'Subject: {{subject}}',
+      'Received: {{date}}',
+      '',
+      '{{message}}',
+    ].join('\n'),
+  },
+  'contact-auto-reply': {
+    label: 'Auto-reply (to the sender)',
+    // Off until the owner reviews the wording
+    enabled: false,
+    subject: 'Thanks for getting in touch, {{name}}',
+    body: [
+      'Hi {{name}},',
+      '',
+      'Thanks for your message. I have received it and will get back to you soon.',
+      '',
+      'Your message:',
+      '{{message}}',
+    ].join('\n'),
+  },
+};
+
+const TEMPLATE_KEYS = Object.keys(DEFAULT_TEMPLATES);
+
+/**
+ * Replace {{placeholder}} tokens; unknown placeholders are left untouched
+ * @param {string} template
+ * @param {Object} values
+ * @returns {string}
+ */
+const renderTemplate = (template, values) => {
+  return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+    if (!PLACEHOLDERS.includes(key)) return match;
+    const value = values[key];
+    return value === undefined || value === null ? '' : String(value);
+  });
+};
+
+/**
+ * Placeholder values for a contact message
+ * @param {Object} message - Message document
+ * @returns {Object}
+ */
+const getMessageValues = (message) => ({
+  name: message.name,
+  email: message.email,
+  subject: message.subject || '(no subject)',
+  message: message.message,
+  date: new Date(message.createdAt || Date.now()).toUTCString(),
+});
+
+/**
+ * Stored template merged over its default
+ * @param {string} key
+ * @returns {Promise<{key: string, label: string, enabled: boolean, subject: string, body: string, customized: boolean}>}
+ */
+const getTemplate = async (key) => {
+  const defaults = DEFAULT_TEMPLATES[key];
+  if (!defaults) {
+    throw new Error(`Unknown email template "${key}"`);
+  }
+  const stored = await EmailTemplate.findOne({ key }).lean();
+  return {
+    key,
+    label: defaults.label,
+    enabled: stored ? stored.enabled : defaults.enabled,
+    subject: stored ? stored.subject : defaults.subject,
+    body: stored ? stored.body : defaults.body,
+    customized: Boolean(stored),
+    updatedAt: stored ? stored.updatedAt : null,
+  };
+};
+
+/**
+ * Render a template for a message
+ * Line breaks are stripped from the subject so sender input can't inject headers
+ * @param {string} key
+ * @param {Object} message
+ * @returns {Promise<{enabled: boolean, subject: string, text: string}>}
+ */
+const renderMessageTemplate = async (key, message) => {
+  const template = await getTemplate(key);
+  const values = getMessageValues(message);
+  return {
+    enabled: template.enabled,
+    subject: renderTemplate(template.subject, values).replace(/[\r\n]+/g, ' ').trim(),
+    text: renderTemplate(template.body, values),
+  };
+};
+
+module.exports = {
+  PLACEHOLDERS,
+  DEFAULT_TEMPLATES,
+  TEMPLATE_KEYS,
+  renderTemplate,
+  getTemplate,
+  renderMessageTemplate,
+};
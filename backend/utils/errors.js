@@ -0,0 +1,88 @@
+/**
+ * Typed errors with stable, machine-readable codes
+ *
+ * Controllers throw these and middleware/errorHandler turns them into
+ * `{ success: false, code, message }` responses. Clients should branch on
+ * `code` - messages are for people and may change.
+ */
+
+class AppError extends Error {
+  /**
+   * @param {string} message - Safe to show to the client
+   * @param {Object} [options]
+   * @param {number} [options.status=500] - HTTP status
+   * @param {string} [options.code='INTERNAL_ERROR'] - Stable error code
+   * @param {Object} [options.errors] - Per-field messages (validation)
+   * @param {Object} [options.meta] - Extra fields merged into the response body
+   * @param {number} [options.retryAfter] - Seconds; sent as the Retry-After header
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', errors, meta, retryAfter } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (errors) this.errors = errors;
+    if (meta) this.meta = meta;
+    if (retryAfter) this.retryAfter = retryAfter;
+  }
+}
+
+// 400 - the request is malformed or fails validation
+class ValidationError extends AppError {
+  constructor(message = 'Validation error', { code = 'VALIDATION_ERROR', ...options } = {}) {
+    super(message, { ...options, status: 400, code });
+  }
+}
+
+// 401 by default (not signed in, bad credentials); pass status 403 for unusable tokens
+class AuthError extends AppError {
+  constructor(message = 'Authentication required', { code = 'AUTH_REQUIRED', status = 401, ...options } = {}) {
+    super(message, { ...options, status, code });
+  }
+}
+
+// 403 - signed in, but the role doesn't allow the action
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action', { code = 'FORBIDDEN', ...options } = {}) {
+    super(message, { ...options, status: 403, code });
+  }
+}
+
+// 404 - the resource doesn't exist
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', { code = 'NOT_FOUND', ...options } = {}) {
+    super(message, { ...options, status: 404, code });
+  }
+}
+
+// 409 - the request clashes with existing data (e.g. a taken username)
+class ConflictError extends AppError {
+  constructor(message = 'Resource already exists', { code = 'CONFLICT', ...options } = {}) {
+    super(message, { ...options, status: 409, code });
+  }
+}
+
+// 400 for rejected files, 502 when the media host (Cloudinary) fails
+class UploadError extends AppError {
+  constructor(message = 'File upload error', { code = 'UPLOAD_ERROR', status = 400, ...options } = {}) {
+    super(message, { ...options, status, code });
+  }
+}
+
+// 429 - pass retryAfter (seconds) to tell the client when to come back
+class RateLimitError extends AppError {
+  constructor(message = 'Too many requests. Please try again later.', { code = 'RATE_LIMITED', ...options } = {}) {
+    super(message, { ...options, status: 429, code });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UploadError,
+  RateLimitError,
+};
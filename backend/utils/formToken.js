@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+/**
+ * Signed start tokens for public forms
+ *
+ * The time-to-submit check can't trust a timestamp from the browser (bots send
+ * any value, and visitors' clocks drift), so the server hands out its own time
+ * when a form opens, signed with SECRET_KEY, and measures against its own clock.
+ */
+
+const PURPOSE = 'form-start';
+
+const sign = (issuedAt) =>
+  crypto.createHmac('sha256', process.env.SECRET_KEY || '').update(`${PURPOSE}:${issuedAt}`).digest('base64url');
+
+/**
+ * Token recording that a form was opened now
+ * @returns {string}
+ */
+const issueFormToken = () => {
+  const issuedAt = Date.now();
+  return `${issuedAt}.${sign(issuedAt)}`;
+};
+
+/**
+ * When a token from issueFormToken was issued
+ * @param {string} token
+ * @returns {number|null} Server timestamp (ms), or null when the token is missing or forged
+ */
+const readFormToken = (token) => {
+  const [issuedAt, signature] = String(token || '').split('.');
+  if (!/^\d+$/.test(issuedAt) || !signature) return null;
+
+  const expected = Buffer.from(sign(issuedAt));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return Number(issuedAt);
+};
+
+module.exports = { issueFormToken, readFormToken };
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+const LoginAttempt = require('../models/LoginAttempt');
+const SecurityEvent = require('../models/SecurityEvent');
+const { RateLimitError } = require('./errors');
+
+const toPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Limits are configurable through env vars; defaults suit a single-admin dashboard
+const MAX_FAILURES_PER_USER = toPositiveInt(process.env.LOGIN_MAX_FAILURES_PER_USER, 5);
+const MAX_FAILURES_PER_IP = toPositiveInt(process.env.LOGIN_MAX_FAILURES_PER_IP, 20);
+const LOCKOUT_MS = toPositiveInt(process.env.LOGIN_LOCKOUT_MINUTES, 15) * 60 * 1000;
+// Failures older than this are forgotten
+const WINDOW_MS = 15 * 60 * 1000;
+// Progressive delay: free retries first, then 2s, 4s, 8s... capped at one minute
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY_MS = 60 * 1000;
+
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+const userKey = (username) => `user:${String(username || '').trim().toLowerCase()}`;
+
+/**
+ * Delay required after a number of consecutive failures
+ * @param {number} failures
+ * @returns {number} Milliseconds
+ */
+const getDelayMs = (failures) => {
+  if (failures <= FREE_ATTEMPTS) return 0;
+  return Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_MS);
+};
+
+/**
+ * How long a tracker record blocks further attempts (0 = allowed now)
+ * @param {Object|null} record - LoginAttempt document
+ * @param {number} now
+ * @returns {number} Milliseconds until the next attempt is allowed
+ */
+const getBlockedMs = (record, now) => {
+  if (!record) return 0;
+  if (record.lockedUntil && record.lockedUntil.getTime() > now) {
+    return record.lockedUntil.getTime() - now;
+  }
+  const nextAllowedAt = record.lastFailureAt.getTime() + getDelayMs(record.failures);
+  return Math.max(nextAllowedAt - now, 0);
+};
+
+/**
+ * How long this IP and username have to wait before the next attempt (read-only)
+ * Used for the hint on a failed attempt; claimLoginAttempt does the actual gating
+ * @param {Object} params
+ * @param {string} params.ip
+ * @param {string} [params.username]
+ * @returns {Promise<{allowed: boolean, retryAfterMs: number, locked: boolean}>}
+ */
+const checkLoginAllowed = async ({ ip, username }) => {
+  const keys = [ipKey(ip)];
+  if (username) keys.push(userKey(username));
+
+  const now = Date.now();
+  const records = await LoginAttempt.find({ key: { $in: keys } });
+
+  let retryAfterMs = 0;
+  let locked = false;
+  records.forEach((record) => {
+    const blockedMs = getBlockedMs(record, now);
+    if (blockedMs > retryAfterMs) retryAfterMs = blockedMs;
+    if (record.lockedUntil && record.lockedUntil.getTime() > now) locked = true;
+  });
+
+  return { allowed: retryAfterMs === 0, retryAfterMs, locked };
+};
+
+/**
+ * Atomically check one key and count an attempt against it
+ * A single pipeline update, so parallel attempts can't all pass the check before
+ * any of them is counted. Blocked attempts leave the record untouched; an attempt
+ * arriving after maxFailures starts the lockout instead of being counted.
+ * @returns {Promise<{record: Object, outcome: 'counted'|'locked'|'blocked'}>}
+ */
+const claimKey = async (key, maxFailures, now) => {
+  const nowDate = new Date(now);
+  const claim = crypto.randomUUID();
+  const lockActive = { $gt: [{ $ifNull: ['$lockedUntil', new Date(0)] }, nowDate] };
+  const lockServed = { $lte: [{ $ifNull: ['$lockedUntil', new Date(8.64e15)] }, nowDate] };
+  // Same curve as getDelayMs
+  const delayMs = {
+    $cond: [
+      { $lte: ['$failures', FREE_ATTEMPTS] },
+      0,
+      { $min: [{ $multiply: [1000, { $pow: [2, { $subtract: ['$failures', FREE_ATTEMPTS] }] }] }, MAX_DELAY_MS] },
+    ],
+  };
+
+  const record = await LoginAttempt.findOneAndUpdate(
+    { key },
+    [
+      // Start over once a lockout has been served, or when the previous failures fell out
+      // of the window and no lockout is active
+      {
+        $set: {
+          failures: {
+            $cond: [
+              {
+                $or: [
+                  lockServed,
+                  { $and: [{ $lt: ['$lastFailureAt', new Date(now - WINDOW_MS)] }, { $not: [lockActive] }] },
+                ],
+              },
+              0,
+              { $ifNull: ['$failures', 0] },
+            ],
+          },
+          lockedUntil: { $cond: [lockServed, '$$REMOVE', '$lockedUntil'] },
+          lastFailureAt: { $ifNull: ['$lastFailureAt', new Date(0)] },
+        },
+      },
+      {
+        $set: {
+          _blocked: { $or: [lockActive, { $gt: [{ $add: ['$lastFailureAt', delayMs] }, nowDate] }] },
+          _lockNow: { $and: [{ $not: [lockActive] }, { $gte: ['$failures', maxFailures] }] },
+        },
+      },
+      {
+        $set: {
+          failures: { $cond: [{ $or: ['$_blocked', '$_lockNow'] }, '$failures', { $add: ['$failures', 1] }] },
+          lastFailureAt: { $cond: [{ $or: ['$_blocked', '$_lockNow'] }, '$lastFailureAt', nowDate] },
+          lockedUntil: { $cond: ['$_lockNow', new Date(now + LOCKOUT_MS), '$lockedUntil'] },
+          expiresAt: {
+            $cond: [
+              '$_lockNow',
+              new Date(now + Math.max(LOCKOUT_MS, WINDOW_MS)),
+              { $cond: ['$_blocked', '$expiresAt', new Date(now + WINDOW_MS)] },
+            ],
+          },
+          // Tells this request apart from concurrent ones in the returned document
+          lastClaim: {
+            $cond: ['$_blocked', '$lastClaim', { $concat: [claim, { $cond: ['$_lockNow', ':locked', ':counted'] }] }],
+          },
+        },
+      },
+      { $unset: ['_blocked', '_lockNow'] },
+    ],
+    { upsert: true, new: true }
+  );
+
+  if (record.lastClaim === `${claim}:counted`) return { record, outcome: 'counted' };
+  if (record.lastClaim === `${claim}:locked`) return { record, outcome: 'locked' };
+  return { record, outcome: 'blocked' };
+};
+
+/**
+ * Check and count a login attempt for both the IP and the username
+ * Every attempt counts until clearLoginFailures runs after a successful login.
+ * New lockouts are written to the security event log
+ * @param {Object} params
+ * @param {string} params.ip
+ * @param {string} [params.username]
+ * @param {string} [params.userAgent]
+ * @returns {Promise<{allowed: boolean, retryAfterMs: number, locked: boolean}>}
+ */
+const claimLoginAttempt = async ({ ip, username, userAgent = '' }) => {
+  const now = Date.now();
+  const targets = [{ key: ipKey(ip), max: MAX_FAILURES_PER_IP, scope: 'ip' }];
+  if (username) {
+    targets.push({ key: userKey(username), max: MAX_FAILURES_PER_USER, scope: 'username' });
+  }
+
+  let allowed = true;
+  let retryAfterMs = 0;
+  let locked = false;
+
+  for (const target of targets) {
+    const { record, outcome } = await claimKey(target.key, target.max, now);
+    if (outcome === 'counted') continue;
+
+    allowed = false;
+    const blockedMs = getBlockedMs(record, now);
+    if (blockedMs > retryAfterMs) retryAfterMs = blockedMs;
+    if (record.lockedUntil && record.lockedUntil.getTime() > now) locked = true;
+
+    if (outcome === 'locked') {
+      console.warn(`Login lockout (${target.scope}) for ${target.key} until ${record.lockedUntil.toISOString()}`);
+      try {
+        await SecurityEvent.create({
+          type: 'lockout',
+          scope: target.scope,
+          ip: ip || '',
+          username: String(username || '').slice(0, 100),
+          userAgent: String(userAgent).slice(0, 500),
+          failures: record.failures,
+          lockedUntil: record.lockedUntil,
+        });
+      } catch (error) {
+        // Never let the audit log break the login response
+        console.error('Error writing lockout event:', error);
+      }
+    }
+  }
+
+  return { allowed, retryAfterMs, locked };
+};
+
+/**
+ * Forget failures after a successful login
+ * @param {Object} params
+ * @param {string} params.ip
+ * @param {string} [params.username]
+ */
+const clearLoginFailures = async ({ ip, username }) => {
+  const keys = [ipKey(ip)];
+  if (username) keys.push(userKey(username));
+  await LoginAttempt.deleteMany({ key: { $in: keys } });
+};
+
+/**
+ * 429 error (with Retry-After) for a throttled attempt
+ * @param {Object} params
+ * @param {number} params.retryAfterMs
+ * @param {boolean} params.locked
+ * @returns {RateLimitError}
+ */
+const tooManyAttemptsError = ({ retryAfterMs, locked }) => {
+  const retryAfter = Math.max(Math.ceil(retryAfterMs / 1000), 1);
+  return new RateLimitError(
+    locked
+      ? 'Too many failed login attempts. This login is temporarily locked.'
+      : 'Please wait before trying again.',
+    {
+      code: locked ? 'LOGIN_LOCKED' : 'LOGIN_THROTTLED',
+      retryAfter,
+      meta: { locked, retryAfter },
+    }
+  );
+};
+
+module.exports = {
+  getDelayMs,
+  checkLoginAllowed,
+  claimLoginAttempt,
+  clearLoginFailures,
+  tooManyAttemptsError,
+};
@@ -0,0 +1,63 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP transport configured from env vars
+ *
+ * SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE ("true" for port 465),
+ * SMTP_USER / SMTP_PASS (optional) and MAIL_FROM. Point it at a local catcher
+ * such as MailHog (SMTP_HOST=localhost, SMTP_PORT=1025) during development.
+ */
+
+let transporter = null;
+
+/**
+ * Whether outgoing email is configured at all
+ * @returns {boolean}
+ */
+const isMailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+const getTransporter = () => {
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+      // Fail fast - serverless functions have a short time budget
+      connectionTimeout: 10000,
+      greetingTimeout: 10000,
+      socketTimeout: 15000,
+    });
+  }
+  return transporter;
+};
+
+/**
+ * Send a plain-text email
+ * @param {Object} mail
+ * @param {string} mail.to
+ * @param {string} mail.subject
+ * @param {string} mail.text
+ * @param {string} [mail.replyTo]
+ * @returns {Promise<Object>} nodemailer info
+ */
+const sendMail = ({ to, subject, text, replyTo }) => {
+  if (!isMailConfigured()) {
+    throw new Error('SMTP is not configured');
+  }
+  return getTransporter().sendMail({
+    from: process.env.MAIL_FROM || process.env.SMTP_USER,
+    to,
+    subject,
+    text,
+    replyTo,
+  });
+};
+
+module.exports = {
+  isMailConfigured,
+  sendMail,
+};
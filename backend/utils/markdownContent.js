@@ -0,0 +1,229 @@
+const path = require('path');
+const yaml = require('js-yaml');
+const Project = require('../models/Project');
+const Skill = require('../models/Skill');
+const { projectSchema } = require('../schemas/projectSchema');
+const { skillSchema } = require('../schemas/skillSchema');
+const { validate } = require('./validation');
+const { slugify, isSlugAvailable } = require('./slug');
+const { nextOrder } = require('./ordering');
+const { DEFAULT_STATUS } = require('./projectStatus');
+const { linkTools, relinkProjects, renameSkillInProjects } = require('./skillLinks');
+const { ensureBaseline, recordRevision, diffSnapshots } = require('./revisions');
+const { isTrashed } = require('./trash');
+
+/**
+ * Markdown files as a content source
+ *
+ * Each file is YAML front-matter plus a Markdown body:
+ *
+ *   ---
+ *   title: Portfolio CMS
+ *   tools: [React, Node.js]
+ *   features: [Drag-and-drop ordering]
+ *   ---
+ *   The write-up, stored as the description.
+ *
+ * Projects are matched by slug (front-matter `slug`, else the file name) and
+ * skills by their name's slug. Files under a `skills/` folder, or with
+ * `type: skill`, are skills; their body is ignored. New projects start as drafts.
+ */
+
+const FRONT_MATTER = /^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
+
+const pick = (schema, fields) => Object.fromEntries(fields.map((field) => [field, schema[field]]));
+
+// Front-matter keys each type accepts, checked with the API's own rules
+const CONTENT_TYPES = {
+  project: {
+    model: Project,
+    label: 'Project',
+    schema: pick(projectSchema, ['title', 'slug', 'description', 'tools', 'features', 'githubLink', 'deployedUrl', 'duration']),
+    requiredForNew: [],
+  },
+  skill: {
+    model: Skill,
+    label: 'Skill',
+    schema: pick(skillSchema, ['name', 'topics', 'category', 'level', 'yearsOfExperience', 'imageUrl']),
+    // Markdown can't carry the icon file, so new skills need its URL
+    requiredForNew: ['imageUrl'],
+  },
+};
+
+/**
+ * Split a Markdown file into its type, slug and field values
+ * @param {string} file - Path relative to the content directory
+ * @param {string} text
+ * @returns {{ file: string, type: string|null, slug: string|null, data: Object, errors: string[] }}
+ */
+const parseContentFile = (file, text) => {
+  const result = { file, type: null, slug: null, data: {}, errors: [] };
+  const match = String(text).match(FRONT_MATTER);
+  if (!match) {
+    result.errors.push('Missing YAML front-matter (a block between --- lines at the top)');
+    return result;
+  }
+
+  let frontMatter;
+  try {
+    // CORE_SCHEMA keeps dates and similar values as plain strings
+    frontMatter = yaml.load(match[1], { schema: yaml.CORE_SCHEMA }) || {};
+  } catch (error) {
+    result.errors.push(`Invalid front-matter: ${error.reason || error.message}`);
+    return result;
+  }
+  if (typeof frontMatter !== 'object' || Array.isArray(frontMatter)) {
+    result.errors.push('Front-matter must be a set of key: value pairs');
+    return result;
+  }
+
+  const { type, ...data } = frontMatter;
+  const inSkillsFolder = path.posix.normalize(file.replace(/\\/g, '/')).split('/').slice(0, -1).includes('skills');
+  result.type = type || (inSkillsFolder ? 'skill' : 'project');
+  if (!CONTENT_TYPES[result.type]) {
+    result.errors.push(`Unknown type "${result.type}" (use project or skill)`);
+    return result;
+  }
+
+  const body = String(text).slice(match[0].length).trim();
+  if (result.type === 'project') {
+    if (body) data.description = body;
+    result.slug = slugify(data.slug || path.basename(file).replace(MARKDOWN_FILE, ''));
+  } else {
+    result.slug = slugify(data.name);
+  }
+  result.data = data;
+  return result;
+};
+
+// Skills don't store a slug; they match by their name's slug
+const findSkillBySlug = async (slug) => {
+  const skills = await Skill.find({}, 'name deletedAt');
+  return skills.find((skill) => slugify(skill.name) === slug) || null;
+};
+
+const findExisting = (type, slug) => {
+  return type === 'project' ? Project.findOne({ slug }).select('+previousSlugs') : findSkillBySlug(slug);
+};
+
+// Validate a parsed file against the existing document and collect the field changes
+const planFile = async (parsed) => {
+  const { type, slug } = parsed;
+  const { schema, label, requiredForNew } = CONTENT_TYPES[type];
+  const existing = slug ? await findExisting(type, slug) : null;
+  if (existing && isTrashed(existing)) {
+    return { ...parsed, errors: [`${label} "${slug}" is in the trash; restore it first`] };
+  }
+
+  const { values, errors } = validate(schema, parsed.data, { partial: Boolean(existing) });
+  const messages = errors ? Object.values(errors) : [];
+  if (!slug) messages.push('Could not work out a slug; add a title, name or slug');
+  if (!existing) {
+    requiredForNew
+      .filter((field) => !values[field])
+      .forEach((field) => messages.push(`${schema[field].label} is required for new ${type}s`));
+    if (type === 'project' && slug && !(await isSlugAvailable(Project, slug))) {
+      messages.push(`Slug "${slug}" was used by another project before`);
+    }
+  }
+  if (messages.length) return { ...parsed, errors: messages };
+
+  if (type === 'project') {
+    values.slug = slug;
+    if (values.tools) Object.assign(values, await linkTools(values.tools));
+  } else {
+    // Empty choices clear the field (the model's enums reject "")
+    ['category', 'level'].forEach((field) => {
+      if (values[field] === '') values[field] = null;
+    });
+  }
+
+  const before = existing ? existing.toObject() : {};
+  const changes = diffSnapshots(
+    Object.fromEntries(Object.keys(values).map((field) => [field, before[field]])),
+    values
+  ).filter((change) => change.field !== 'skills');
+
+  return { ...parsed, existing, values, changes };
+};
+
+// Write one planned file and record its revision
+const applyFile = async ({ type, existing, values }, user) => {
+  const { model, label } = CONTENT_TYPES[type];
+  if (!existing) {
+    const fields = { ...values, order: await nextOrder(model) };
+    if (type === 'project') fields.status = DEFAULT_STATUS;
+    const doc = await model.create(fields);
+    await recordRevision(label, doc, user, 'create');
+    return;
+  }
+
+  await ensureBaseline(label, existing);
+  const doc = await model.findByIdAndUpdate(existing._id, values, { new: true, runValidators: true });
+  if (type === 'skill' && doc.name !== existing.name) {
+    await renameSkillInProjects(doc, existing.name);
+  }
+  await recordRevision(label, doc, user);
+};
+
+/**
+ * Upsert projects and skills from Markdown files
+ * Files with errors are skipped and reported; the others are still imported
+ * @param {Array<{ file: string, text: string }>} files
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only report what would change
+ * @param {Object} [options.user] - req.user of whoever imports (none from the CLI)
+ * @returns {Promise<{ dryRun: boolean, summary: Object, files: Object[] }>}
+ */
+const importContent = async (files, { dryRun = false, user } = {}) => {
+  const results = [];
+  const seen = new Set();
+  let skillsChanged = false;
+
+  // Skills first, so projects in the same batch link to new ones
+  const parsed = files
+    .filter(({ file }) => MARKDOWN_FILE.test(file))
+    .map(({ file, text }) => parseContentFile(file, text))
+    .sort((a, b) => (a.type === 'skill' ? 0 : 1) - (b.type === 'skill' ? 0 : 1) || a.file.localeCompare(b.file));
+
+  for (const file of parsed) {
+    const key = `${file.type}:${file.slug}`;
+    if (!file.errors.length && seen.has(key)) {
+      file.errors.push(`Another file in this import also has the ${file.type} slug "${file.slug}"`);
+    }
+    seen.add(key);
+
+    const plan = file.errors.length ? file : await planFile(file);
+    const result = { file: plan.file, type: plan.type, slug: plan.slug };
+
+    if (plan.errors.length) {
+      results.push({ ...result, action: 'failed', errors: plan.errors });
+      continue;
+    }
+    if (plan.existing && plan.changes.length === 0) {
+      results.push({ ...result, action: 'unchanged', changes: [] });
+      continue;
+    }
+
+    if (!dryRun) {
+      await applyFile(plan, user);
+      if (plan.type === 'skill') skillsChanged = true;
+    }
+    results.push({ ...result, action: plan.existing ? 'updated' : 'created', changes: plan.changes });
+  }
+
+  // New or renamed skills may match tools on projects outside this import
+  if (skillsChanged) {
+    await relinkProjects();
+  }
+
+  const count = (action) => results.filter((result) => result.action === action).length;
+  return {
+    dryRun,
+    summary: { created: count('created'), updated: count('updated'), unchanged: count('unchanged'), failed: count('failed') },
+    files: results,
+  };
+};
+
+module.exports = { MARKDOWN_FILE, parseContentFile, importContent };
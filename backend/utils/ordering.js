@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+// Manual order first; items never reordered (same order) fall back to newest first
+const MANUAL_SORT = { order: 1, createdAt: -1 };
+
+/**
+ * Order value that places a new document after all existing ones
+ * @param {import('mongoose').Model} Model
+ * @returns {Promise<number>}
+ */
+const nextOrder = async (Model) => {
+  const last = await Model.findOne({ order: { $type: 'number' } }).sort({ order: -1 }).select('order').lean();
+  return last ? last.order + 1 : 0;
+};
+
+/**
+ * Save a new manual order - each id gets its position in the list
+ * Documents that aren't listed keep their current order
+ * @param {import('mongoose').Model} Model
+ * @param {string[]} ids - Document ids in their new order
+ * @returns {Promise<number>} How many documents were updated
+ */
+const applyOrder = async (Model, ids) => {
+  const invalid = ids.find((id) => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid) {
+    throw new ValidationError(`Invalid ID "${invalid}"`, { code: 'INVALID_ID' });
+  }
+  if (new Set(ids).size !== ids.length) {
+    throw new ValidationError('Each ID may only appear once', { errors: { ids: 'Each ID may only appear once' } });
+  }
+
+  const result = await Model.bulkWrite(
+    ids.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { $set: { order: index } } },
+    }))
+  );
+  return result.modifiedCount || 0;
+};
+
+module.exports = { MANUAL_SORT, nextOrder, applyOrder };
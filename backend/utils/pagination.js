@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+/**
+ * Cursor (keyset) pagination
+ *
+ * A cursor holds the sort-key values of the last item on a page, so the next
+ * page is "everything after that item" - stable while items are added or
+ * removed, unlike skip/limit. Sort specs must end with _id so keys are unique.
+ */
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {Object} doc - Last document of the page
+ * @param {Array<[string, 1|-1]>} sort - Sort spec as [field, direction] pairs
+ * @returns {string}
+ */
+const encodeCursor = (doc, sort) => {
+  const values = sort.map(([field]) => {
+    const value = doc[field];
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (value instanceof mongoose.Types.ObjectId) return String(value);
+    return value === undefined ? null : value;
+  });
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+const SCALAR_TYPES = ['string', 'number', 'boolean'];
+
+const invalidCursor = () => new ValidationError('Invalid cursor', { code: 'INVALID_CURSOR' });
+
+// { $date: <ISO string> } with nothing else in it, as written by encodeCursor
+const isDateValue = (value) =>
+  Object.prototype.toString.call(value) === '[object Object]' &&
+  Object.keys(value).length === 1 &&
+  typeof value.$date === 'string' &&
+  !Number.isNaN(new Date(value.$date).getTime());
+
+/**
+ * Decode a cursor produced by encodeCursor for the same sort spec
+ * @returns {Array} Sort-key values
+ * @throws {ValidationError} When the cursor is malformed or from another sort
+ */
+const decodeCursor = (cursor, sort) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    values = null;
+  }
+  if (!Array.isArray(values) || values.length !== sort.length) {
+    throw invalidCursor();
+  }
+
+  return values.map((value, index) => {
+    const [field] = sort[index];
+    if (field === '_id') {
+      if (typeof value !== 'string' || !mongoose.Types.ObjectId.isValid(value)) {
+        throw invalidCursor();
+      }
+      return new mongoose.Types.ObjectId(value);
+    }
+    // Values end up in the query as-is, so anything but a plain scalar or a date
+    // (e.g. { $ne: null } smuggled into the cursor) is refused
+    if (value === null || SCALAR_TYPES.includes(typeof value)) return value;
+    if (isDateValue(value)) return new Date(value.$date);
+    throw invalidCursor();
+  });
+};
+
+// Condition for "comes after `value`" on one key
+// Mongo sorts missing/null before everything else, which the null cases mirror
+const afterCondition = (field, direction, value) => {
+  if (direction === 1) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  if (value === null) return null; // nothing sorts below null
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Mongo filter selecting the documents after a cursor position
+ * @param {Array<[string, 1|-1]>} sort
+ * @param {Array} values - From decodeCursor
+ * @returns {Object}
+ */
+const cursorFilter = (sort, values) => {
+  const branches = [];
+  sort.forEach(([field, direction], index) => {
+    const after = afterCondition(field, direction, values[index]);
+    if (!after) return;
+    const equalities = sort.slice(0, index).map(([previous], i) => ({ [previous]: values[i] }));
+    branches.push(equalities.length ? { $and: [...equalities, after] } : after);
+  });
+  return branches.length ? { $or: branches } : { _id: { $exists: false } };
+};
+
+/**
+ * Fetch one page of a query
+ * @param {import('mongoose').Model} Model
+ * @param {Object} options
+ * @param {Object} options.filter - Base filter (without the cursor)
+ * @param {Array<[string, 1|-1]>} options.sort - Must end with ['_id', direction]
+ * @param {number} options.limit
+ * @param {string} [options.cursor]
+ * @returns {Promise<{ items: Array, nextCursor: string|null, total: number }>}
+ */
+const paginate = async (Model, { filter, sort, limit, cursor }) => {
+  const pageFilter = cursor ? { $and: [filter, cursorFilter(sort, decodeCursor(cursor, sort))] } : filter;
+
+  const [items, total] = await Promise.all([
+    Model.find(pageFilter).sort(Object.fromEntries(sort)).limit(limit + 1),
+    Model.countDocuments(filter),
+  ]);
+
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+    total,
+  };
+};
+
+module.exports = { encodeCursor, decodeCursor, cursorFilter, paginate };
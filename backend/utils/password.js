@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters - N=2^15 uses ~32MB per hash, which keeps brute force expensive
+// while staying well inside a serverless function's memory budget
+const SCRYPT_N = 32768;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+const PREFIX = 'scrypt';
+
+// Upper bounds for parameters read back from a stored hash, so a malformed value
+// can't ask scrypt for gigabytes of memory
+const MAX_N = 2 ** 20;
+const MAX_R = 32;
+const MAX_P = 16;
+
+const POSITIVE_INT = /^[1-9]\d*$/;
+const BASE64 = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+/**
+ * Split a stored scrypt hash into its parameters
+ * @param {string} stored - Value from the database
+ * @returns {{ N: number, r: number, p: number, salt: Buffer, hash: Buffer }|null} null unless well-formed
+ */
+const parseHash = (stored) => {
+  if (typeof stored !== 'string') return null;
+  const parts = stored.split('$');
+  if (parts.length !== 6 || parts[0] !== PREFIX) return null;
+
+  const [, n, r, p, saltB64, hashB64] = parts;
+  if (![n, r, p].every((value) => POSITIVE_INT.test(value))) return null;
+  if (![saltB64, hashB64].every((value) => value && BASE64.test(value))) return null;
+
+  const N = Number(n);
+  const R = Number(r);
+  const P = Number(p);
+  // N must be a power of two greater than 1
+  if (N < 2 || N > MAX_N || (N & (N - 1)) !== 0 || R > MAX_R || P > MAX_P) return null;
+
+  return { N, r: R, p: P, salt: Buffer.from(saltB64, 'base64'), hash: Buffer.from(hashB64, 'base64') };
+};
+
+/**
+ * Check whether a stored password value is a well-formed scrypt hash
+ * @param {string} stored - Value from the database
+ * @returns {boolean}
+ */
+const isHashed = (stored) => parseHash(stored) !== null;
+
+/**
+ * Hash a plaintext password with a random salt
+ * Stored format: scrypt$N$r$p$salt$hash (salt and hash base64 encoded)
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>}
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const derived = await scrypt(password, salt, KEY_LENGTH, {
+    N: SCRYPT_N,
+    r: SCRYPT_R,
+    p: SCRYPT_P,
+    maxmem: 128 * SCRYPT_N * SCRYPT_R * 2,
+  });
+
+  return [
+    PREFIX,
+    SCRYPT_N,
+    SCRYPT_R,
+    SCRYPT_P,
+    salt.toString('base64'),
+    derived.toString('base64'),
+  ].join('$');
+};
+
+/**
+ * Compare a plaintext password against a stored scrypt hash in constant time
+ * Parameters are read from the stored value so older hashes keep verifying if the cost changes
+ * @param {string} password - Plaintext password
+ * @param {string} stored - Stored hash
+ * @returns {Promise<boolean>}
+ */
+const verifyPassword = async (password, stored) => {
+  const parsed = parseHash(stored);
+  if (!parsed || typeof password !== 'string') return false;
+
+  const { N, r, p, salt, hash: expected } = parsed;
+  const derived = await scrypt(password, salt, expected.length, {
+    N,
+    r,
+    p,
+    maxmem: 128 * N * r * 2,
+  });
+
+  return crypto.timingSafeEqual(derived, expected);
+};
+
+/**
+ * Whether a stored hash was produced with weaker parameters than the current ones
+ * @param {string} stored - Stored hash
+ * @returns {boolean}
+ */
+const needsRehash = (stored) => {
+  const parsed = parseHash(stored);
+  if (!parsed) return true;
+  return parsed.N < SCRYPT_N || parsed.r < SCRYPT_R || parsed.p < SCRYPT_P;
+};
+
+/**
+ * Constant-time comparison for two plaintext strings (legacy rows only)
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) {
+    // Still run a comparison so the timing doesn't reveal the length mismatch early
+    crypto.timingSafeEqual(bufA, bufA);
+    return false;
+  }
+  return crypto.timingSafeEqual(bufA, bufB);
+};
+
+module.exports = {
+  isHashed,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  safeEqual,
+};
@@ -0,0 +1,522 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const AdmZip = require('adm-zip');
+const cloudinary = require('../config/cloudinary');
+const Revision = require('../models/Revision');
+const { ValidationError } = require('./errors');
+const { snapshotOf, isAssetInUse, releaseAssets, recordRevision } = require('./revisions');
+const { relinkProjects } = require('./skillLinks');
+const { MEDIA_FOLDERS, withLegacyMedia } = require('./projectMedia');
+const {
+  uploadImageToCloudinary,
+  uploadVideoToCloudinary,
+  deleteImageFromCloudinary,
+  deleteVideoFromCloudinary,
+} = require('./cloudinaryUpload');
+
+/**
+ * Portfolio export and import
+ *
+ * An export is one versioned JSON document holding every project, skill, email
+ * template and contact message, with their original ids so links between them
+ * survive. Optionally it's zipped together with the images and videos it uses.
+ * Dashboard users, sessions and revision history aren't part of it.
+ *
+ * Imports never delete the Cloudinary files they bring in: the source site may
+ * still use them. Replace mode removes items and history like a trash purge does,
+ * so assets only those used are deleted once nothing here references them.
+ */
+
+const FORMAT = 'portfolio-export';
+// Bump when the document shape changes; imports accept this version and older
+// Version 2: projects hold a `media` gallery instead of one video and one thumbnail
+const FORMAT_VERSION = 2;
+
+const IMPORT_MODES = ['merge', 'replace'];
+
+// Name of the document inside a zip archive
+const DOCUMENT_FILE = 'portfolio.json';
+
+// Limits for uploaded zips, checked against the sizes the zip declares before anything is unpacked
+const MAX_ARCHIVE_ENTRIES = 2000;
+const MAX_DOCUMENT_BYTES = 50 * 1024 * 1024;
+const MAX_MEDIA_BYTES = 1024 * 1024 * 1024;
+
+// Exported collections, in import order (skills first so project links resolve)
+// uniqueKey: a field other documents may already hold - merging skips those items
+// upgrade: brings an item from an older version (or an unmigrated document) to the current shape
+const COLLECTIONS = {
+  skills: { model: 'Skill' },
+  projects: { model: 'Project', select: '+previousSlugs', uniqueKey: 'slug', upgrade: withLegacyMedia },
+  emailTemplates: { model: 'EmailTemplate', uniqueKey: 'key' },
+  messages: { model: 'Message' },
+};
+
+// Types whose changes are kept as revisions (see utils/revisions.js)
+const REVISIONED_MODELS = ['Project', 'Skill'];
+
+// Media an item references: the object holding each file's url and publicId keys,
+// the file's type and where re-uploaded copies go
+const MEDIA_REFS = {
+  projects: (doc) => (doc.media || []).map((item) => ({
+    holder: item, url: 'url', publicId: 'publicId', type: item.type, folder: MEDIA_FOLDERS[item.type],
+  })),
+  skills: (doc) => [{ holder: doc, url: 'imageUrl', publicId: 'cloudinaryImagePublicId', type: 'image', folder: 'skill-icons' }],
+};
+
+const mediaRefs = (collection, doc) => (MEDIA_REFS[collection] ? MEDIA_REFS[collection](doc) : []);
+
+const upgradeItem = (collection, item) => {
+  const { upgrade } = COLLECTIONS[collection];
+  return upgrade ? upgrade(item) : item;
+};
+
+const invalidArchive = (message) => new ValidationError(message, { code: 'INVALID_ARCHIVE' });
+
+/**
+ * Everything as one export document
+ * @returns {Promise<Object>}
+ */
+const buildExport = async () => {
+  const data = {};
+  for (const [name, { model, select }] of Object.entries(COLLECTIONS)) {
+    const docs = await mongoose.model(model).find().select(select || '').sort({ _id: 1 }).lean();
+    data[name] = docs.map((doc) => upgradeItem(name, doc));
+  }
+
+  return {
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    counts: Object.fromEntries(Object.entries(data).map(([name, docs]) => [name, docs.length])),
+    data,
+  };
+};
+
+// One entry per distinct media URL in the document, with its file name in the zip
+const collectMedia = (document) => {
+  const media = new Map();
+  Object.keys(MEDIA_REFS).forEach((collection) => {
+    (document.data[collection] || []).forEach((doc) => {
+      mediaRefs(collection, doc).forEach((ref) => {
+        const url = ref.holder[ref.url];
+        if (!url || !/^https?:\/\//i.test(url) || media.has(url)) return;
+        const name = path.basename(new URL(url).pathname).replace(/[^\w.-]/g, '_') || 'file';
+        media.set(url, {
+          file: `media/${String(media.size + 1).padStart(4, '0')}-${name}`,
+          url,
+          type: ref.type,
+        });
+      });
+    });
+  });
+  return [...media.values()];
+};
+
+// Only files in this site's own Cloudinary account are downloaded - item URLs are
+// user-supplied, and fetching arbitrary ones would let the server probe other hosts
+const isOwnCloudinaryUrl = (url) => {
+  const cloudName = cloudinary.config().cloud_name;
+  if (!cloudName) return false;
+  try {
+    const { protocol, hostname, pathname } = new URL(url);
+    return protocol === 'https:' && hostname === 'res.cloudinary.com' && pathname.startsWith(`/${cloudName}/`);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Zip an export document together with the media it references
+ * Files outside this site's Cloudinary account, and files that can't be
+ * downloaded, are listed in the document's `missingMedia` instead
+ * @param {Object} document - From buildExport
+ * @returns {Promise<Buffer>}
+ */
+const buildArchive = async (document) => {
+  const zip = new AdmZip();
+  const media = [];
+  const missingMedia = [];
+
+  for (const entry of collectMedia(document)) {
+    if (!isOwnCloudinaryUrl(entry.url)) {
+      missingMedia.push({ url: entry.url, error: 'Not stored in this Cloudinary account' });
+      continue;
+    }
+    try {
+      // A redirect could lead anywhere, so it counts as a failed download
+      const response = await fetch(entry.url, { redirect: 'error' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      zip.addFile(entry.file, Buffer.from(await response.arrayBuffer()));
+      media.push(entry);
+    } catch (error) {
+      missingMedia.push({ url: entry.url, error: error.message });
+    }
+  }
+
+  const bundled = { ...document, media, missingMedia };
+  zip.addFile(DOCUMENT_FILE, Buffer.from(JSON.stringify(bundled, null, 2)));
+  return zip.toBuffer();
+};
+
+const parseDocument = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw invalidArchive('The export is not valid JSON');
+  }
+};
+
+/**
+ * Read an uploaded export: a JSON document or a zip made by buildArchive
+ * Only portfolio.json is unpacked here. The files its `media` list points at
+ * come back as loaders, so each one is only unpacked when it's uploaded, and
+ * anything else in the zip is never touched
+ * @param {Buffer} buffer
+ * @returns {{ document: Object, files: Map<string, () => Buffer> }}
+ * @throws {ValidationError} INVALID_ARCHIVE
+ */
+const readArchive = (buffer) => {
+  const files = new Map();
+
+  // Zip files start with "PK"
+  if (!(buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b)) {
+    return { document: parseDocument(buffer.toString('utf8')), files };
+  }
+
+  let entries;
+  try {
+    entries = new AdmZip(buffer).getEntries();
+  } catch {
+    throw invalidArchive('The archive is not a readable zip file');
+  }
+  if (entries.length > MAX_ARCHIVE_ENTRIES) {
+    throw invalidArchive(`The archive has more than ${MAX_ARCHIVE_ENTRIES} files`);
+  }
+  const byName = new Map(entries.filter((entry) => !entry.isDirectory).map((entry) => [entry.entryName, entry]));
+
+  const documentEntry = byName.get(DOCUMENT_FILE);
+  if (!documentEntry) {
+    throw invalidArchive(`The archive has no ${DOCUMENT_FILE}`);
+  }
+  if (documentEntry.header.size > MAX_DOCUMENT_BYTES) {
+    throw invalidArchive(`${DOCUMENT_FILE} is larger than ${MAX_DOCUMENT_BYTES / 1024 / 1024}MB`);
+  }
+  const document = parseDocument(documentEntry.getData().toString('utf8'));
+
+  let mediaBytes = 0;
+  (Array.isArray(document?.media) ? document.media : []).forEach((item) => {
+    const entry = item && typeof item.file === 'string' && byName.get(item.file);
+    if (!entry || files.has(item.file)) return;
+    mediaBytes += entry.header.size;
+    if (mediaBytes > MAX_MEDIA_BYTES) {
+      throw invalidArchive(`The archive's media adds up to more than ${MAX_MEDIA_BYTES / 1024 / 1024}MB`);
+    }
+    files.set(item.file, () => entry.getData());
+  });
+
+  return { document, files };
+};
+
+/**
+ * Check an export document's envelope before looking at its items
+ * @param {Object} document
+ * @throws {ValidationError} INVALID_ARCHIVE or UNSUPPORTED_VERSION
+ */
+const checkDocument = (document) => {
+  if (!document || typeof document !== 'object' || document.format !== FORMAT) {
+    throw invalidArchive(`Not a portfolio export (format must be "${FORMAT}")`);
+  }
+  if (!Number.isInteger(document.version) || document.version < 1) {
+    throw invalidArchive('The export has no valid version');
+  }
+  if (document.version > FORMAT_VERSION) {
+    throw new ValidationError(
+      `This export is version ${document.version}; this server reads up to version ${FORMAT_VERSION}`,
+      { code: 'UNSUPPORTED_VERSION' }
+    );
+  }
+  if (!document.data || typeof document.data !== 'object') {
+    throw invalidArchive('The export has no data');
+  }
+
+  const errors = {};
+  Object.keys(document.data).forEach((name) => {
+    if (!COLLECTIONS[name]) errors[name] = `Unknown collection "${name}"`;
+    else if (!Array.isArray(document.data[name])) errors[name] = `${name} must be an array`;
+  });
+  if (Object.keys(errors).length) {
+    throw new ValidationError('The export has invalid collections', { code: 'INVALID_ARCHIVE', errors });
+  }
+};
+
+// Validate one collection's items and work out what importing them would do
+const planCollection = async (name, items, mode) => {
+  const { model, uniqueKey } = COLLECTIONS[name];
+  const Model = mongoose.model(model);
+  const report = { received: items.length, created: 0, updated: 0, deleted: 0, skipped: 0 };
+  const errors = [];
+  const conflicts = [];
+  const docs = [];
+  const seenIds = new Set();
+  const seenKeys = new Set();
+
+  for (const [index, item] of items.entries()) {
+    const where = { collection: name, index, id: item && item._id };
+    if (!item || typeof item !== 'object' || !mongoose.Types.ObjectId.isValid(item._id)) {
+      errors.push({ ...where, message: 'Every item needs a valid _id' });
+      continue;
+    }
+    if (seenIds.has(String(item._id))) {
+      errors.push({ ...where, message: 'Duplicate _id in the export' });
+      continue;
+    }
+    seenIds.add(String(item._id));
+
+    const doc = new Model(upgradeItem(name, item));
+    try {
+      await doc.validate();
+    } catch (error) {
+      const messages = error.errors ? Object.values(error.errors).map((e) => e.message) : [error.message];
+      errors.push({ ...where, message: messages.join('; ') });
+      continue;
+    }
+
+    if (uniqueKey && doc[uniqueKey]) {
+      if (seenKeys.has(doc[uniqueKey])) {
+        errors.push({ ...where, message: `Duplicate ${uniqueKey} "${doc[uniqueKey]}" in the export` });
+        continue;
+      }
+      seenKeys.add(doc[uniqueKey]);
+    }
+    docs.push(doc.toObject());
+  }
+
+  const existingIds = new Set(
+    (await Model.find({ _id: { $in: docs.map((doc) => doc._id) } }).select('_id').lean()).map((doc) => String(doc._id))
+  );
+
+  // Replace: everything the export doesn't contain goes, the rest is overwritten or added
+  if (mode === 'replace') {
+    report.deleted = await Model.countDocuments({ _id: { $nin: docs.map((doc) => doc._id) } });
+    report.updated = existingIds.size;
+    report.created = docs.length - existingIds.size;
+    return { name, report, errors, conflicts, docs };
+  }
+
+  // Merge: items with a known _id overwrite it, others are added,
+  // unless another document already holds their unique key
+  const taken = new Map();
+  if (uniqueKey) {
+    const keys = docs.map((doc) => doc[uniqueKey]).filter(Boolean);
+    (await Model.find({ [uniqueKey]: { $in: keys } }).select(uniqueKey).lean()).forEach((doc) => {
+      taken.set(doc[uniqueKey], String(doc._id));
+    });
+  }
+
+  const accepted = docs.filter((doc) => {
+    const owner = uniqueKey && taken.get(doc[uniqueKey]);
+    if (owner && owner !== String(doc._id)) {
+      conflicts.push({ collection: name, id: String(doc._id), message: `${uniqueKey} "${doc[uniqueKey]}" is already in use` });
+      report.skipped += 1;
+      return false;
+    }
+    if (existingIds.has(String(doc._id))) report.updated += 1;
+    else report.created += 1;
+    return true;
+  });
+
+  return { name, report, errors, conflicts, docs: accepted };
+};
+
+/**
+ * Validate an export and work out what importing it would change, without writing anything
+ * @param {Object} document - Checked by checkDocument
+ * @param {string} mode - 'merge' | 'replace'
+ * @returns {Promise<{ plans: Object[], report: Object }>}
+ */
+const planImport = async (document, mode) => {
+  if (!IMPORT_MODES.includes(mode)) {
+    throw new ValidationError(`Mode must be one of: ${IMPORT_MODES.join(', ')}`);
+  }
+
+  const plans = [];
+  for (const name of Object.keys(COLLECTIONS)) {
+    if (document.data[name]) plans.push(await planCollection(name, document.data[name], mode));
+  }
+
+  return {
+    plans,
+    report: {
+      mode,
+      version: document.version,
+      exportedAt: document.exportedAt || null,
+      collections: Object.fromEntries(plans.map((plan) => [plan.name, plan.report])),
+      errors: plans.flatMap((plan) => plan.errors),
+      conflicts: plans.flatMap((plan) => plan.conflicts),
+    },
+  };
+};
+
+// Upload the media bundled in a zip and point the imported items at the new copies
+// Returns the report plus the uploaded copies, which are deleted again if the writes fail
+const importMedia = async (document, files, plans) => {
+  const result = { uploaded: 0, missing: [] };
+  const uploaded = [];
+  const uploads = new Map();
+
+  for (const entry of Array.isArray(document.media) ? document.media : []) {
+    const load = files.get(entry.file);
+    if (!load) {
+      result.missing.push({ url: entry.url, error: 'Not in the archive' });
+      continue;
+    }
+    uploads.set(entry.url, { load, type: entry.type });
+  }
+
+  const copies = new Map();
+  for (const plan of plans) {
+    for (const doc of plan.docs) {
+      for (const ref of mediaRefs(plan.name, doc)) {
+        const url = ref.holder[ref.url];
+        const upload = uploads.get(url);
+        if (!upload) continue;
+
+        const key = `${url}|${ref.folder}`;
+        if (!copies.has(key)) {
+          const uploadFile = upload.type === 'video' ? uploadVideoToCloudinary : uploadImageToCloudinary;
+          try {
+            const copy = await uploadFile(upload.load(), ref.folder);
+            copies.set(key, copy);
+            uploaded.push({ publicId: copy.public_id, type: upload.type });
+            result.uploaded += 1;
+          } catch (error) {
+            result.missing.push({ url, error: error.message });
+            copies.set(key, null);
+          }
+        }
+        const copy = copies.get(key);
+        if (copy) {
+          ref.holder[ref.url] = copy.url;
+          ref.holder[ref.publicId] = copy.public_id;
+        }
+      }
+    }
+  }
+
+  return { result, uploaded };
+};
+
+// Without a transaction a failed import may have saved some items already; their copies stay
+const discardUploads = async (uploaded) => {
+  for (const { publicId, type } of uploaded) {
+    if (await isAssetInUse(publicId)) continue;
+    await (type === 'video' ? deleteVideoFromCloudinary : deleteImageFromCloudinary)(publicId);
+  }
+};
+
+// Run fn in a transaction where the deployment supports them (replica sets, Atlas)
+// Standalone servers refuse transactions (IllegalOperation); there fn runs without one
+const inTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+  try {
+    return await session.withTransaction(() => fn(session));
+  } catch (error) {
+    if (error.code !== 20) throw error;
+    return fn(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Write one collection's planned documents. Replace mode only deletes what the export
+// doesn't contain (trashed items too), so items in both are overwritten in place rather
+// than deleted and re-added
+// Returns the snapshots replace mode let go of - every stored item and revision of a
+// revisioned type - for releaseAssets once the writes are committed
+const writeCollection = async (Model, docs, mode, session) => {
+  const released = [];
+  if (mode === 'replace') {
+    if (REVISIONED_MODELS.includes(Model.modelName)) {
+      const [stored, revisions] = await Promise.all([
+        Model.find().session(session).lean(),
+        Revision.find({ entityType: Model.modelName }).session(session).lean(),
+      ]);
+      released.push(...stored.map(snapshotOf), ...revisions.map((revision) => revision.snapshot));
+      await Revision.deleteMany({ entityType: Model.modelName }, { session });
+    }
+    await Model.deleteMany({ _id: { $nin: docs.map((doc) => doc._id) } }, { session });
+  }
+  if (docs.length > 0) {
+    await Model.bulkWrite(
+      docs.map((doc) => ({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } })),
+      { session }
+    );
+  }
+  return released;
+};
+
+/**
+ * Write a planned import
+ * Media is uploaded first, so a failed upload leaves every collection as it was;
+ * the writes themselves share one transaction where the database supports it, and
+ * the uploaded media is deleted again if they fail
+ * @param {Object} document
+ * @param {Map<string, () => Buffer>} files - Media from a zip, from readArchive (empty for plain JSON)
+ * @param {Object} planned - From planImport
+ * @param {Object} [user] - req.user of whoever imports, recorded on the revisions
+ * @returns {Promise<Object>} The plan's report with media results
+ */
+const applyImport = async (document, files, { plans, report }, user) => {
+  const { result: media, uploaded } = files.size > 0
+    ? await importMedia(document, files, plans)
+    : { result: { uploaded: 0, missing: [] }, uploaded: [] };
+
+  let released;
+  try {
+    released = await inTransaction(async (session) => {
+      const snapshots = {};
+      for (const { name, docs } of plans) {
+        const { model } = COLLECTIONS[name];
+        snapshots[model] = await writeCollection(mongoose.model(model), docs, report.mode, session);
+      }
+      return snapshots;
+    });
+  } catch (error) {
+    await discardUploads(uploaded);
+    throw error;
+  }
+
+  // Imported projects and skills start (or continue) their history with an "import" revision
+  for (const { name, docs } of plans) {
+    const { model } = COLLECTIONS[name];
+    if (!REVISIONED_MODELS.includes(model)) continue;
+    for (const doc of docs) {
+      await recordRevision(model, doc, user, 'import');
+    }
+  }
+
+  // Only now, with the import and its revisions in place, can it tell which assets are unused
+  for (const [model, snapshots] of Object.entries(released)) {
+    if (snapshots.length > 0) await releaseAssets(model, snapshots);
+  }
+
+  // Links follow the skills that exist here now
+  if (plans.some((plan) => ['projects', 'skills'].includes(plan.name))) {
+    await relinkProjects();
+  }
+
+  return { ...report, media };
+};
+
+module.exports = {
+  FORMAT,
+  FORMAT_VERSION,
+  IMPORT_MODES,
+  buildExport,
+  buildArchive,
+  readArchive,
+  checkDocument,
+  planImport,
+  applyImport,
+};
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+/**
+ * Project media galleries
+ *
+ * A project keeps an ordered `media` list of images and videos. The cover item
+ * is what cards show before the visitor swipes; exactly one item is the cover
+ * whenever the list isn't empty.
+ *
+ * Projects saved before galleries held one video and one thumbnail in separate
+ * fields. `npm run migrate:project-media` moves them into `media`; revisions and
+ * version 1 exports still carry them and are converted on the way in.
+ */
+
+const MEDIA_TYPES = ['image', 'video'];
+
+// Most items one project can hold
+const MAX_MEDIA_ITEMS = 20;
+
+// Where uploads of each type go in Cloudinary
+const MEDIA_FOLDERS = { image: 'project-images', video: 'project-videos' };
+
+// The single-asset fields from before galleries
+const LEGACY_MEDIA_FIELDS = [
+  'cloudinaryVideoUrl',
+  'cloudinaryVideoPublicId',
+  'cloudinaryThumbnailUrl',
+  'cloudinaryThumbnailPublicId',
+];
+
+/**
+ * Make sure exactly one item is the cover (the first one flagged, else the first item)
+ * @param {Object[]} [items]
+ * @returns {Object[]}
+ */
+const normalizeMedia = (items = []) => {
+  const coverIndex = Math.max(items.findIndex((item) => item.cover), 0);
+  return items.map((item, index) => ({ ...item, cover: index === coverIndex }));
+};
+
+/**
+ * Gallery items for a project's old video and thumbnail fields
+ * The video comes first and stays the cover, as cards showed it over the thumbnail
+ * @param {Object} doc - Project, snapshot or export item
+ * @returns {Object[]}
+ */
+const legacyMedia = (doc) => {
+  const items = [];
+  if (doc.cloudinaryVideoUrl) {
+    items.push({ type: 'video', url: doc.cloudinaryVideoUrl, publicId: doc.cloudinaryVideoPublicId || '' });
+  }
+  if (doc.cloudinaryThumbnailUrl) {
+    items.push({ type: 'image', url: doc.cloudinaryThumbnailUrl, publicId: doc.cloudinaryThumbnailPublicId || '' });
+  }
+  return items.map((item) => ({ ...item, alt: doc.title || '', caption: '', cover: false }));
+};
+
+/**
+ * Whether a document still has any of the old media fields
+ * @param {Object} doc
+ * @returns {boolean}
+ */
+const hasLegacyMedia = (doc) => LEGACY_MEDIA_FIELDS.some((field) => doc[field] !== undefined);
+
+/**
+ * A copy of a document with its old media fields turned into `media`
+ * A gallery that's already there wins: it was built from those fields when it was first saved
+ * @param {Object} doc
+ * @returns {Object} The document itself when it has no old fields
+ */
+const withLegacyMedia = (doc) => {
+  if (!hasLegacyMedia(doc)) return doc;
+  const upgraded = { ...doc };
+  LEGACY_MEDIA_FIELDS.forEach((field) => delete upgraded[field]);
+  if (!doc.media || doc.media.length === 0) {
+    upgraded.media = normalizeMedia(legacyMedia(doc));
+  }
+  return upgraded;
+};
+
+// The old fields aren't in the model any more (mongoose would drop them from
+// updates), so they're removed on the raw collection
+const unsetLegacyMedia = (ids) => {
+  return mongoose.model('Project').collection.updateMany(
+    { _id: { $in: ids } },
+    { $unset: Object.fromEntries(LEGACY_MEDIA_FIELDS.map((field) => [field, ''])) }
+  );
+};
+
+/**
+ * Drop a project's old media fields once its gallery has been saved
+ * @param {Object} project - Mongoose document after the save
+ * @returns {Promise<Object>} The project, reloaded if anything was dropped
+ */
+const clearLegacyMedia = async (project) => {
+  if (!project || !hasLegacyMedia(project.toObject())) return project;
+  await unsetLegacyMedia([project._id]);
+  return mongoose.model('Project').findById(project._id);
+};
+
+/**
+ * Move every project's old video and thumbnail fields into `media`
+ * Safe to run more than once - migrated projects no longer have the old fields
+ * @returns {Promise<{ scanned: number, updated: number }>}
+ */
+const migrateLegacyMedia = async () => {
+  const collection = mongoose.model('Project').collection;
+  const legacy = await collection
+    .find({ $or: LEGACY_MEDIA_FIELDS.map((field) => ({ [field]: { $exists: true } })) })
+    .toArray();
+
+  for (const doc of legacy) {
+    const { media } = withLegacyMedia(doc);
+    await collection.updateOne({ _id: doc._id }, { $set: { media } });
+  }
+  await unsetLegacyMedia(legacy.map((doc) => doc._id));
+
+  return { scanned: await collection.countDocuments(), updated: legacy.length };
+};
+
+module.exports = {
+  MEDIA_TYPES,
+  MAX_MEDIA_ITEMS,
+  MEDIA_FOLDERS,
+  LEGACY_MEDIA_FIELDS,
+  normalizeMedia,
+  legacyMedia,
+  hasLegacyMedia,
+  withLegacyMedia,
+  clearLegacyMedia,
+  migrateLegacyMedia,
+};
@@ -0,0 +1,47 @@
+// Project lifecycle: drafts and archived projects are dashboard-only,
+// scheduled ones go live on their own once publishAt has passed
+const PROJECT_STATUSES = ['draft', 'published', 'scheduled', 'archived'];
+
+// New projects stay private until someone publishes them
+const DEFAULT_STATUS = 'draft';
+
+// Projects created before statuses existed were public from the start
+const LEGACY_STATUS = 'published';
+
+/**
+ * Effective status for a project document (works for lean objects too)
+ * @param {Object} project
+ * @returns {string}
+ */
+const resolveStatus = (project) => {
+  if (project && PROJECT_STATUSES.includes(project.status)) return project.status;
+  return LEGACY_STATUS;
+};
+
+/**
+ * Mongo filter for projects visitors may see
+ * Scheduled items count as live as soon as they're due, even before the scheduler flips them
+ * @param {Date} [now=new Date()]
+ * @returns {Object}
+ */
+const liveFilter = (now = new Date()) => ({
+  $or: [
+    { status: 'published' },
+    { status: { $exists: false } },
+    { status: 'scheduled', publishAt: { $lte: now } },
+  ],
+});
+
+/**
+ * Whether a single project is visible to visitors
+ * @param {Object} project
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+const isLive = (project, now = new Date()) => {
+  const status = resolveStatus(project);
+  if (status === 'published') return true;
+  return status === 'scheduled' && Boolean(project.publishAt) && new Date(project.publishAt) <= now;
+};
+
+module.exports = { PROJECT_STATUSES, DEFAULT_STATUS, LEGACY_STATUS, resolveStatus, liveFilter, isLive };
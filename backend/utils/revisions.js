@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const Revision = require('../models/Revision');
+const { NotFoundError, ValidationError } = require('./errors');
+const { deleteImageFromCloudinary, deleteVideoFromCloudinary } = require('./cloudinaryUpload');
+
+/**
+ * Revision history for projects and skills
+ *
+ * Every create, update, restore and import saves a full snapshot with its author.
+ * Cloudinary assets are no longer deleted when they're replaced: they're released
+ * once neither a current document nor any revision uses them, which happens when
+ * old revisions are pruned or an item is deleted.
+ */
+
+const toPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Revisions kept per item; older ones are pruned (and their assets released)
+const REVISION_LIMIT = toPositiveInt(process.env.REVISION_LIMIT, 30);
+
+const removerFor = (type) => (type === 'video' ? deleteVideoFromCloudinary : deleteImageFromCloudinary);
+
+// Where each type keeps Cloudinary public ids (paths to query documents by), and how
+// to list them in a snapshot with the function that deletes each
+const ASSETS = {
+  Project: {
+    // The video and thumbnail fields are from before galleries; older snapshots still have them
+    paths: ['media.publicId', 'cloudinaryVideoPublicId', 'cloudinaryThumbnailPublicId'],
+    list: (snapshot) => [
+      ...(snapshot.media || []).map((item) => ({ publicId: item.publicId, remove: removerFor(item.type) })),
+      { publicId: snapshot.cloudinaryVideoPublicId, remove: deleteVideoFromCloudinary },
+      { publicId: snapshot.cloudinaryThumbnailPublicId, remove: deleteImageFromCloudinary },
+    ],
+  },
+  Skill: {
+    paths: ['cloudinaryImagePublicId'],
+    list: (snapshot) => [{ publicId: snapshot.cloudinaryImagePublicId, remove: deleteImageFromCloudinary }],
+  },
+};
+
+// Bookkeeping that changes on its own and isn't worth showing in a diff
+const IGNORED_FIELDS = ['createdAt', 'updatedAt', 'order'];
+
+/**
+ * Plain copy of a document as stored in a revision
+ * @param {Object} doc - Mongoose document or lean object
+ * @returns {Object}
+ */
+const snapshotOf = (doc) => {
+  const snapshot = { ...(typeof doc.toObject === 'function' ? doc.toObject() : doc) };
+  ['_id', '__v', 'previousSlugs', 'deletedAt'].forEach((field) => delete snapshot[field]);
+  return snapshot;
+};
+
+// Documents are read through snapshotOf so fields the model no longer declares still count
+const assetEntries = (entityType, snapshot) => {
+  return snapshot ? ASSETS[entityType].list(snapshotOf(snapshot)).filter((asset) => asset.publicId) : [];
+};
+
+const assetsOf = (entityType, snapshot) => assetEntries(entityType, snapshot).map((asset) => asset.publicId);
+
+const authorOf = (user) => (user ? { id: user.id, username: user.username } : undefined);
+
+/**
+ * Whether a current document or any revision still uses an asset
+ * @param {string} publicId
+ * @returns {Promise<boolean>}
+ */
+const isAssetInUse = async (publicId) => {
+  if (await Revision.exists({ assets: publicId })) return true;
+  for (const [entityType, { paths }] of Object.entries(ASSETS)) {
+    const conditions = paths.map((assetPath) => ({ [assetPath]: publicId }));
+    if (await mongoose.model(entityType).exists({ $or: conditions })) return true;
+  }
+  return false;
+};
+
+/**
+ * Delete the assets in these snapshots that nothing uses any more
+ * @param {string} entityType - 'Project' | 'Skill'
+ * @param {Object[]} snapshots - Documents or revision snapshots that may have let go of assets
+ */
+const releaseAssets = async (entityType, snapshots) => {
+  const candidates = new Map();
+  snapshots.forEach((snapshot) => {
+    assetEntries(entityType, snapshot).forEach(({ publicId, remove }) => candidates.set(publicId, remove));
+  });
+
+  for (const [publicId, remove] of candidates) {
+    if (!(await isAssetInUse(publicId))) {
+      await remove(publicId);
+    }
+  }
+};
+
+// Drop revisions past REVISION_LIMIT for one item
+const pruneRevisions = async (entityType, entityId) => {
+  const stale = await Revision.find({ entityType, entityId })
+    .sort({ createdAt: -1, _id: -1 })
+    .skip(REVISION_LIMIT);
+  if (stale.length === 0) return;
+
+  await Revision.deleteMany({ _id: { $in: stale.map((revision) => revision._id) } });
+  await releaseAssets(entityType, stale.map((revision) => revision.snapshot));
+};
+
+/**
+ * Save the current state of a document as a revision
+ * @param {string} entityType - 'Project' | 'Skill'
+ * @param {Object} doc - The document after the change
+ * @param {Object} [user] - req.user of whoever made the change
+ * @param {string} [action='update'] - 'baseline' | 'create' | 'update' | 'restore' | 'import'
+ * @param {Object} [extra] - e.g. { restoredFrom }
+ * @returns {Promise<Object>} The revision
+ */
+const recordRevision = async (entityType, doc, user, action = 'update', extra = {}) => {
+  const snapshot = snapshotOf(doc);
+  const revision = await Revision.create({
+    entityType,
+    entityId: doc._id,
+    action,
+    snapshot,
+    assets: assetsOf(entityType, snapshot),
+    author: authorOf(user),
+    ...extra,
+  });
+  await pruneRevisions(entityType, doc._id);
+  return revision;
+};
+
+/**
+ * Items created before revisions existed get their current state saved first,
+ * so the first tracked change can still be undone (and keeps its assets alive)
+ * @param {string} entityType
+ * @param {Object} doc - The document before the change
+ */
+const ensureBaseline = async (entityType, doc) => {
+  if (await Revision.exists({ entityType, entityId: doc._id })) return;
+  await recordRevision(entityType, doc, null, 'baseline');
+};
+
+/**
+ * Field-level differences between two snapshots
+ * @param {Object} before
+ * @param {Object} after
+ * @returns {Array<{ field: string, before: *, after: * }>}
+ */
+const diffSnapshots = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .filter((field) => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null))
+    .sort()
+    .map((field) => ({ field, before: before?.[field] ?? null, after: after?.[field] ?? null }));
+};
+
+/**
+ * History of one item, newest first, with the fields each revision changed
+ * @param {string} entityType
+ * @param {string} entityId
+ * @returns {Promise<Object[]>} Revisions without their snapshots
+ */
+const listRevisions = async (entityType, entityId) => {
+  const revisions = await Revision.find({ entityType, entityId }).sort({ createdAt: -1, _id: -1 }).lean();
+
+  return revisions.map(({ snapshot, ...revision }, index) => {
+    const previous = revisions[index + 1];
+    return {
+      ...revision,
+      changedFields: diffSnapshots(previous ? previous.snapshot : {}, snapshot).map((change) => change.field),
+    };
+  });
+};
+
+/**
+ * One revision of an item
+ * @throws {ValidationError|NotFoundError}
+ */
+const findRevision = async (entityType, entityId, revisionId) => {
+  if (!mongoose.Types.ObjectId.isValid(revisionId)) {
+    throw new ValidationError('Invalid revision ID format', { code: 'INVALID_ID' });
+  }
+  const revision = await Revision.findOne({ _id: revisionId, entityType, entityId }).lean();
+  if (!revision) {
+    throw new NotFoundError('Revision not found');
+  }
+  return revision;
+};
+
+/**
+ * The revision saved just before this one, if any
+ * @param {Object} revision
+ * @returns {Promise<Object|null>}
+ */
+const previousRevision = (revision) => {
+  return Revision.findOne({
+    entityType: revision.entityType,
+    entityId: revision.entityId,
+    $or: [
+      { createdAt: { $lt: revision.createdAt } },
+      { createdAt: revision.createdAt, _id: { $lt: revision._id } },
+    ],
+  })
+    .sort({ createdAt: -1, _id: -1 })
+    .lean();
+};
+
+/**
+ * Forget an item's history after it's deleted, releasing every asset it used
+ * @param {string} entityType
+ * @param {Object} doc - The deleted document
+ */
+const discardRevisions = async (entityType, doc) => {
+  const revisions = await Revision.find({ entityType, entityId: doc._id }).lean();
+  await Revision.deleteMany({ entityType, entityId: doc._id });
+  await releaseAssets(entityType, [snapshotOf(doc), ...revisions.map((revision) => revision.snapshot)]);
+};
+
+module.exports = {
+  REVISION_LIMIT,
+  snapshotOf,
+  isAssetInUse,
+  releaseAssets,
+  recordRevision,
+  ensureBaseline,
+  diffSnapshots,
+  listRevisions,
+  findRevision,
+  previousRevision,
+  discardRevisions,
+};
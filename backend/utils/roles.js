@@ -0,0 +1,17 @@
+// Dashboard roles, from most to least privileged
+const ROLES = ['owner', 'editor', 'viewer'];
+
+// Users created before roles existed were the single admin account
+const LEGACY_ROLE = 'owner';
+
+/**
+ * Effective role for a user document (works for lean objects too)
+ * @param {Object} user
+ * @returns {string}
+ */
+const resolveRole = (user) => {
+  if (user && ROLES.includes(user.role)) return user.role;
+  return LEGACY_ROLE;
+};
+
+module.exports = { ROLES, LEGACY_ROLE, resolveRole };
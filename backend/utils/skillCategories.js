@@ -0,0 +1,14 @@
+// Sections SkillBar groups skills into, in display order
+// Skills without one are shown under "Other" (see frontend/src/utils/skillCategories.js)
+const SKILL_CATEGORIES = ['Frontend', 'Backend', 'Database', 'DevOps', 'Mobile', 'Tools', 'Other'];
+
+// Proficiency, weakest first
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+const MAX_YEARS_OF_EXPERIENCE = 60;
+
+module.exports = {
+  SKILL_CATEGORIES,
+  SKILL_LEVELS,
+  MAX_YEARS_OF_EXPERIENCE,
+};
@@ -0,0 +1,130 @@
+const Project = require('../models/Project');
+const Skill = require('../models/Skill');
+const { liveFilter } = require('./projectStatus');
+const { findTech, techKey } = require('./techTaxonomy');
+const { NOT_DELETED } = require('./trash');
+
+/**
+ * Links between projects and skills
+ *
+ * Projects keep their `tools` strings for display and filtering, and reference
+ * the skills those tools match in `skills`. Names are compared through the tech
+ * taxonomy, so "ReactJS", "react.js" and "React" all end up as the React skill.
+ * Known technologies keep their canonical spelling, other matched tools take the
+ * skill's spelling, and tools with no matching skill stay as typed.
+ */
+
+const buildMatcher = (skills) => new Map(skills.map((skill) => [techKey(skill.name), skill]));
+
+// Canonical tools (deduplicated) and the ids of the skills they match
+const matchTools = (matcher, tools) => {
+  const seen = new Set();
+  const linked = { tools: [], skills: [] };
+
+  tools.forEach((tool) => {
+    const key = techKey(tool);
+    if (key && seen.has(key)) return;
+    seen.add(key);
+
+    const tech = findTech(tool);
+    const skill = key && matcher.get(key);
+    if (skill) linked.skills.push(skill._id);
+    linked.tools.push(tech ? tech.name : skill ? skill.name : tool);
+  });
+
+  return linked;
+};
+
+/**
+ * Resolve a project's tools against the skills collection
+ * @param {string[]} tools
+ * @returns {Promise<{ tools: string[], skills: Array }>}
+ */
+const linkTools = async (tools) => {
+  const skills = await Skill.find(NOT_DELETED, 'name').lean();
+  return matchTools(buildMatcher(skills), tools);
+};
+
+/**
+ * Re-run the matching for every project - after skills are added, renamed or restored, and as
+ * the migration for projects saved before links existed (npm run migrate:project-skills)
+ * @returns {Promise<{ scanned: number, updated: number }>}
+ */
+const relinkProjects = async () => {
+  const [skills, projects] = await Promise.all([
+    Skill.find(NOT_DELETED, 'name').lean(),
+    Project.find({}, 'tools skills').lean(),
+  ]);
+  const matcher = buildMatcher(skills);
+
+  const operations = projects.reduce((ops, project) => {
+    const linked = matchTools(matcher, project.tools || []);
+    const unchanged =
+      JSON.stringify(linked.tools) === JSON.stringify(project.tools || []) &&
+      linked.skills.map(String).join() === (project.skills || []).map(String).join();
+    if (!unchanged) {
+      ops.push({ updateOne: { filter: { _id: project._id }, update: { $set: linked } } });
+    }
+    return ops;
+  }, []);
+
+  if (operations.length > 0) {
+    await Project.bulkWrite(operations);
+  }
+  return { scanned: projects.length, updated: operations.length };
+};
+
+/**
+ * Carry a skill's new name over to the projects that use it (tools spelled the
+ * taxonomy's way keep that spelling), then pick up tools that only match the new name
+ * @param {Object} skill - Updated skill
+ * @param {string} previousName
+ */
+const renameSkillInProjects = async (skill, previousName) => {
+  await Project.updateMany(
+    { skills: skill._id },
+    { $set: { 'tools.$[tool]': skill.name } },
+    { arrayFilters: [{ tool: previousName }] }
+  );
+  await relinkProjects();
+};
+
+/**
+ * Drop a deleted (or trashed) skill from projects; its tool name stays on them as plain text
+ * @param {string} skillId
+ */
+const unlinkSkill = async (skillId) => {
+  await Project.updateMany({ skills: skillId }, { $pull: { skills: skillId } });
+};
+
+/**
+ * Per-skill usage across live projects: how many use it, when it was last used
+ * (publish date, or creation date for older projects) and which projects, newest first
+ * @returns {Promise<Map<string, { projectCount: number, lastUsedAt: Date|null, projects: Array }>>}
+ */
+const skillUsage = async () => {
+  const rows = await Project.aggregate([
+    { $match: { $and: [liveFilter(), NOT_DELETED] } },
+    { $addFields: { usedAt: { $ifNull: ['$publishAt', '$createdAt'] } } },
+    { $sort: { usedAt: -1 } },
+    { $unwind: '$skills' },
+    {
+      $group: {
+        _id: '$skills',
+        projectCount: { $sum: 1 },
+        lastUsedAt: { $max: '$usedAt' },
+        projects: { $push: { _id: '$_id', title: '$title', slug: '$slug' } },
+      },
+    },
+  ]);
+
+  return new Map(rows.map(({ _id, ...usage }) => [String(_id), usage]));
+};
+
+module.exports = {
+  linkTools,
+  relinkProjects,
+  renameSkillInProjects,
+  unlinkSkill,
+  skillUsage,
+};
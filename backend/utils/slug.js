@@ -0,0 +1,51 @@
+// Lowercase words joined by single hyphens, e.g. "portfolio-cms"
+const SLUG_PATTERN = '^[a-z0-9]+(?:-[a-z0-9]+)*$';
+const MAX_SLUG_LENGTH = 80;
+
+/**
+ * Turn a title into a URL slug
+ * @param {string} text
+ * @returns {string} Empty when the text has no usable characters
+ */
+const slugify = (text) => {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents left over by NFKD
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+};
+
+/**
+ * Whether a slug is free - current and previous slugs of other documents both count as taken
+ * @param {import('mongoose').Model} Model
+ * @param {string} slug
+ * @param {*} [excludeId] - The document being updated
+ * @returns {Promise<boolean>}
+ */
+const isSlugAvailable = async (Model, slug, excludeId) => {
+  const filter = { $or: [{ slug }, { previousSlugs: slug }] };
+  if (excludeId) filter._id = { $ne: excludeId };
+  return !(await Model.exists(filter));
+};
+
+/**
+ * Free slug based on some text, adding -2, -3... when needed
+ * @param {import('mongoose').Model} Model
+ * @param {string} text - Usually the title
+ * @param {*} [excludeId]
+ * @returns {Promise<string>}
+ */
+const uniqueSlug = async (Model, text, excludeId) => {
+  const base = slugify(text) || 'project';
+  let candidate = base;
+  for (let suffix = 2; !(await isSlugAvailable(Model, candidate, excludeId)); suffix++) {
+    const ending = `-${suffix}`;
+    candidate = `${base.slice(0, MAX_SLUG_LENGTH - ending.length).replace(/-+$/, '')}${ending}`;
+  }
+  return candidate;
+};
+
+module.exports = { SLUG_PATTERN, MAX_SLUG_LENGTH, slugify, isSlugAvailable, uniqueSlug };
@@ -0,0 +1,102 @@
+/**
+ * Technology taxonomy
+ *
+ * Canonical names for the tools projects list, the spellings people actually
+ * type for them, and the icon bundled with the frontend (frontend/public/techIcons).
+ * Tool strings are normalized through this on every project save, so "nextjs",
+ * "Next" and "Next.js" are stored the same way. Unknown tools are kept as typed.
+ */
+
+const ICON_BASE = '/techIcons';
+
+// Aliases are matched with normalizeToolName, so case and punctuation don't need listing
+const TECHNOLOGIES = [
+  { name: 'JavaScript', aliases: ['js', 'es6', 'ecmascript', 'vanilla js'], icon: 'javascript.png' },
+  { name: 'TypeScript', aliases: ['ts'], icon: 'ts.png' },
+  { name: 'HTML', aliases: ['html5'], icon: 'html.png' },
+  { name: 'CSS', aliases: ['css3'], icon: 'css.png' },
+  { name: 'Tailwind CSS', aliases: ['tailwind', 'tailwindcss', 'twcss'], icon: 'twcss.png' },
+  { name: 'React', aliases: ['reactjs', 'react.js'], icon: 'react.png' },
+  { name: 'Next.js', aliases: ['next', 'nextjs'], icon: 'next.png' },
+  { name: 'Node.js', aliases: ['node', 'nodejs'], icon: 'node.png' },
+  { name: 'Express', aliases: ['expressjs', 'express.js'], icon: null },
+  { name: 'MongoDB', aliases: ['mongo', 'mongo db'], icon: 'mongo.png' },
+  { name: 'PostgreSQL', aliases: ['postgres', 'pg', 'psql'], icon: 'pg.png' },
+  { name: 'Git', aliases: [], icon: 'git.png' },
+  { name: 'PWA', aliases: ['progressive web app', 'progressive web apps'], icon: 'pwa.png' },
+  { name: 'Redux', aliases: ['redux toolkit', 'rtk'], icon: null },
+  { name: 'Socket.IO', aliases: ['socketio', 'socket io', 'socket'], icon: null },
+  { name: 'Firebase', aliases: ['fcm', 'firebase cloud messaging'], icon: null },
+  { name: 'Cloudinary', aliases: [], icon: null },
+  { name: 'Three.js', aliases: ['three', 'threejs'], icon: null },
+  { name: 'Vite', aliases: ['vitejs'], icon: null },
+];
+
+/**
+ * Key used to compare tool names
+ * Ignores case, spaces and punctuation, and a trailing "js" ("Node.js" -> "node")
+ * @param {string} name
+ * @returns {string}
+ */
+const normalizeToolName = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9+#]/g, '')
+    .replace(/^(.{2,})js$/, '$1');
+};
+
+// Every canonical name and alias, by key
+const index = new Map();
+TECHNOLOGIES.forEach((tech) => {
+  [tech.name, ...tech.aliases].forEach((alias) => index.set(normalizeToolName(alias), tech));
+});
+
+/**
+ * Taxonomy entry for a tool name, if it's a known technology
+ * @param {string} name
+ * @returns {{ name: string, aliases: string[], icon: string|null }|null}
+ */
+const findTech = (name) => index.get(normalizeToolName(name)) || null;
+
+/**
+ * Canonical spelling of a tool (unknown tools come back trimmed, as typed)
+ * @param {string} name
+ * @returns {string}
+ */
+const canonicalTool = (name) => {
+  const tech = findTech(name);
+  return tech ? tech.name : String(name || '').trim();
+};
+
+/**
+ * Key that treats a tool and its aliases as the same thing ("pg" and "PostgreSQL")
+ * @param {string} name
+ * @returns {string}
+ */
+const techKey = (name) => normalizeToolName(canonicalTool(name));
+
+/**
+ * Public path of a tool's bundled icon
+ * @param {string} name
+ * @returns {string|null}
+ */
+const iconFor = (name) => {
+  const tech = findTech(name);
+  return tech && tech.icon ? `${ICON_BASE}/${tech.icon}` : null;
+};
+
+/**
+ * The taxonomy as served by GET /api/tech
+ * @returns {Array<{ name: string, aliases: string[], icon: string|null }>}
+ */
+const listTechnologies = () => TECHNOLOGIES.map((tech) => ({ ...tech, icon: iconFor(tech.name) }));
+
+module.exports = {
+  TECHNOLOGIES,
+  normalizeToolName,
+  findTech,
+  canonicalTool,
+  techKey,
+  iconFor,
+  listTechnologies,
+};
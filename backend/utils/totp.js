@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+
+// RFC 6238 defaults - these are what every authenticator app expects
+const DIGITS = 6;
+const PERIOD = 30; // seconds
+const ALGORITHM = 'sha1';
+const SECRET_BYTES = 20;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, spaces and padding ignored)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character in secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 encoded secret
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Time step counter for a given moment
+ * @param {number} [timestamp=Date.now()] - Milliseconds since epoch
+ * @returns {number}
+ */
+const getTimeStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / PERIOD);
+
+/**
+ * Compute the HOTP value (RFC 4226) for a counter
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Time step
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(ALGORITHM, base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Verify a TOTP code, allowing for small clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Number of steps accepted before/after the current one
+ * @param {number} [options.lastUsedStep] - Step of the last accepted code (rejects replays)
+ * @returns {number|null} Matched time step, or null when the code is invalid
+ */
+const verifyCode = (secret, code, { window = 1, lastUsedStep } = {}) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized) || !secret) return null;
+
+  const currentStep = getTimeStep();
+  for (let errorWindow = -window; errorWindow <= window; errorWindow++) {
+    const step = currentStep + errorWindow;
+    if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from the QR code
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Usually the username
+ * @param {string} issuer - Name shown in the authenticator app
+ * @returns {string}
+ */
+const buildOtpAuthUrl = (secret, accountName, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: ALGORITHM.toUpperCase(),
+    digits: String(DIGITS),
+    period: String(PERIOD),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate one-time recovery codes (formatted as xxxxx-xxxxx)
+ * @param {number} [count=10]
+ * @returns {string[]}
+ */
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+};
+
+/**
+ * Hash a recovery code for storage
+ * Codes carry 40 bits of randomness and are single use, so a fast hash is sufficient
+ * @param {string} code
+ * @returns {string}
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code || '').trim().toLowerCase().replace(/\s/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  getTimeStep,
+  verifyCode,
+  buildOtpAuthUrl,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+};
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { NotFoundError, ValidationError } = require('./errors');
+const { discardRevisions } = require('./revisions');
+
+/**
+ * Soft delete for projects and skills
+ *
+ * Deleting sets `deletedAt` and the item drops out of every listing. It can be
+ * restored from the dashboard's Trash until TRASH_RETENTION_DAYS have passed;
+ * after that it's purged: the document, its revisions and any Cloudinary assets
+ * nothing else uses are removed for good. Assets stay untouched until then.
+ */
+
+const toPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Days an item stays in the trash before it's purged
+const TRASH_RETENTION_DAYS = toPositiveInt(process.env.TRASH_RETENTION_DAYS, 30);
+const RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Types that can be trashed
+const TRASHABLE_TYPES = ['Project', 'Skill'];
+
+// Mongo filter for items that aren't in the trash (rows from before soft delete have no deletedAt)
+const NOT_DELETED = { deletedAt: null };
+
+// Mongo filter for items in the trash
+const IN_TRASH = { deletedAt: { $ne: null } };
+
+/**
+ * Whether a document is in the trash
+ * @param {Object} doc
+ * @returns {boolean}
+ */
+const isTrashed = (doc) => Boolean(doc && doc.deletedAt);
+
+/**
+ * When a trashed item will be purged
+ * @param {Object} doc
+ * @returns {Date|null}
+ */
+const purgeAtFor = (doc) => (isTrashed(doc) ? new Date(new Date(doc.deletedAt).getTime() + RETENTION_MS) : null);
+
+/**
+ * Load a trashed document by id
+ * @param {string} entityType - 'Project' | 'Skill'
+ * @param {string} id
+ * @throws {ValidationError|NotFoundError}
+ */
+const findTrashed = async (entityType, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ValidationError(`Invalid ${entityType.toLowerCase()} ID format`, { code: 'INVALID_ID' });
+  }
+  const doc = await mongoose.model(entityType).findOne({ _id: id, ...IN_TRASH });
+  if (!doc) {
+    throw new NotFoundError(`${entityType} not found in trash`);
+  }
+  return doc;
+};
+
+/**
+ * Everything of one type in the trash, most recently deleted first, with its purge date
+ * @param {string} entityType
+ * @returns {Promise<Object[]>}
+ */
+const listTrash = async (entityType) => {
+  const docs = await mongoose.model(entityType).find(IN_TRASH).sort({ deletedAt: -1 }).lean();
+  return docs.map((doc) => ({ ...doc, purgeAt: purgeAtFor(doc) }));
+};
+
+/**
+ * Remove a document for good, with its history and any assets nothing else uses
+ * @param {string} entityType
+ * @param {Object} doc
+ */
+const purgeDocument = async (entityType, doc) => {
+  await mongoose.model(entityType).deleteOne({ _id: doc._id });
+  await discardRevisions(entityType, doc);
+};
+
+/**
+ * Purge everything that has been in the trash longer than the retention period
+ * Runs on a timer in a long-lived server and before the trash is listed (serverless)
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<number>} How many items were purged
+ */
+const purgeExpired = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - RETENTION_MS);
+  let purged = 0;
+  for (const entityType of TRASHABLE_TYPES) {
+    const expired = await mongoose.model(entityType).find({ deletedAt: { $lte: cutoff } }).lean();
+    for (const doc of expired) {
+      await purgeDocument(entityType, doc);
+      purged += 1;
+    }
+  }
+  return purged;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  NOT_DELETED,
+  isTrashed,
+  purgeAtFor,
+  findTrashed,
+  listTrash,
+  purgeDocument,
+  purgeExpired,
+};
@@ -1,10 +1,21 @@
 const multer = require('multer');
 const path = require('path');
+const { UploadError } = require('./errors');
+const { MAX_MEDIA_ITEMS } = require('./projectMedia');
 
 // Use memory storage for serverless compatibility (Vercel, etc.)
 // Files are stored in memory as Buffer, then uploaded directly to Cloudinary
 const storage = multer.memoryStorage();
 
+const toPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+// Largest import archive (MB). The upload is held in memory and adm-zip needs it there
+// too, so keep this within what one function instance can buffer
+const MAX_ARCHIVE_MB = toPositiveInt(process.env.IMPORT_MAX_ARCHIVE_MB, 100);
+
 // File filter for videos
 const videoFilter = (req, file, cb) => {
   const allowedTypes = /mp4|mov|avi|wmv|flv|webm|mkv/;
@@ -14,7 +25,7 @@ const videoFilter = (req, file, cb) => {
   if (extname && mimetype) {
     return cb(null, true);
   } else {
-    cb(new Error('Only video files are allowed!'));
+    cb(new UploadError('Only video files are allowed!', { code: 'INVALID_FILE_TYPE' }));
   }
 };
 
@@ -27,7 +38,7 @@ const imageFilter = (req, file, cb) => {
   if (extname && mimetype) {
     return cb(null, true);
   } else {
-    cb(new Error('Only image files are allowed!'));
+    cb(new UploadError('Only image files are allowed!', { code: 'INVALID_FILE_TYPE' }));
   }
 };
 
@@ -49,7 +60,7 @@ const uploadImage = multer({
   fileFilter: imageFilter
 });
 
-// Configure multer for multiple file types (videos and images)
+// Configure multer for project galleries (videos and images in one 'media' list)
 // Note: Vercel has a 4.5MB limit for request bodies in serverless functions
 // For larger files, consider uploading directly to Cloudinary from frontend
 const uploadMultiple = multer({
@@ -57,20 +68,47 @@ const uploadMultiple = multer({
   limits: {
     fileSize: 100 * 1024 * 1024, // 100MB limit per file
     fieldSize: 50 * 1024 * 1024, // 50MB for other fields
-    fields: 10, // Maximum number of non-file fields
+    fields: 20, // Maximum number of non-file fields
     fieldNameSize: 100, // Maximum field name size
-    files: 2 // Maximum number of files (video + thumbnail)
+    files: MAX_MEDIA_ITEMS // Maximum number of files (a full gallery)
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.fieldname !== 'media') {
+      return cb(new UploadError('Invalid file type!', { code: 'INVALID_FILE_TYPE' }));
+    }
+    // Each file is checked as the kind it claims to be
+    return file.mimetype.startsWith('video/') ? videoFilter(req, file, cb) : imageFilter(req, file, cb);
+  }
+});
+
+// Configure multer for portfolio imports (an export's JSON document or its zip with media)
+const uploadArchive = multer({
+  storage: storage,
+  limits: {
+    fileSize: MAX_ARCHIVE_MB * 1024 * 1024
   },
   fileFilter: (req, file, cb) => {
-    // Check if it's a video
-    if (file.fieldname === 'video') {
-      return videoFilter(req, file, cb);
+    if (/\.(json|zip)$/i.test(file.originalname)) {
+      return cb(null, true);
     }
-    // Check if it's an image/thumbnail
-    if (file.fieldname === 'thumbnail') {
-      return imageFilter(req, file, cb);
+    cb(new UploadError('Only .json or .zip exports are allowed!', { code: 'INVALID_FILE_TYPE' }));
+  }
+});
+
+// Configure multer for Markdown content files (see utils/markdownContent.js)
+// preservePath keeps folder names such as skills/ that decide a file's type
+const uploadMarkdown = multer({
+  storage: storage,
+  preservePath: true,
+  limits: {
+    fileSize: 1 * 1024 * 1024, // 1MB per file
+    files: 200
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(md|markdown)$/i.test(file.originalname)) {
+      return cb(null, true);
     }
-    cb(new Error('Invalid file type!'));
+    cb(new UploadError('Only Markdown (.md) files are allowed!', { code: 'INVALID_FILE_TYPE' }));
   }
 });
 
@@ -78,8 +116,9 @@ module.exports = {
   uploadVideo: uploadVideo.single('video'),
   uploadImage: uploadImage.single('image'), // Changed to 'image' for skills
   uploadMultiple: uploadMultiple.fields([
-    { name: 'video', maxCount: 1 },
-    { name: 'thumbnail', maxCount: 1 }
-  ])
+    { name: 'media', maxCount: MAX_MEDIA_ITEMS }
+  ]),
+  uploadArchive: uploadArchive.single('archive'),
+  uploadMarkdown: uploadMarkdown.array('files', 200)
 };
 
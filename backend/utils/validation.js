@@ -0,0 +1,270 @@
+/**
+ * Declarative request validation
+ *
+ * A schema maps field names to plain-JSON rules so the same object can be
+ * served to the dashboard and checked there with identical logic
+ * (frontend/src/utils/validation.js mirrors this file - keep them in sync).
+ *
+ * Rule options:
+ *   type       'string' | 'url' | 'boolean' | 'date' | 'number' | 'array' (array items are strings unless `items` is set)
+ *   label      Name used in default messages
+ *   required   Must be present and non-empty (only checked for present fields in partial mode)
+ *   requiredIf Required when other fields have these values, e.g. { status: 'scheduled' }
+ *   enum       Allowed values for strings
+ *   pattern    Regular expression source strings must match
+ *   maxLength  Max characters (for arrays: per item)
+ *   minItems   / maxItems  Array length bounds
+ *   items      Schema each entry of an array of objects must pass, e.g. { url: { type: 'url', required: true } }
+ *   min        / max       Number bounds
+ *   messages   Overrides per check: { required, maxLength, url, enum, pattern, minItems, maxItems, min, max, type }
+ */
+
+const URL_PATTERN = /^https?:\/\/.+/i;
+// `features[0]` (multipart / non-extended urlencoded) or `features[]`
+const INDEXED_KEY = /^([^[\]]+)\[(\d*)\]$/;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Fold `name[0]`-style keys into arrays and leave everything else as sent
+ * @param {Object} body - Raw request body (JSON, multipart or urlencoded)
+ * @returns {Object}
+ */
+const collectIndexedKeys = (body) => {
+  const result = {};
+  const indexed = {};
+
+  Object.keys(body || {}).forEach((key) => {
+    const match = key.match(INDEXED_KEY);
+    if (!match) {
+      result[key] = body[key];
+      return;
+    }
+    const [, name, index] = match;
+    indexed[name] = indexed[name] || [];
+    const values = [].concat(body[key]);
+    if (index === '') {
+      indexed[name].push(...values.map((value) => [Infinity, value]));
+    } else {
+      indexed[name].push([Number(index), values[0]]);
+    }
+  });
+
+  Object.keys(indexed).forEach((name) => {
+    result[name] = indexed[name].sort((a, b) => a[0] - b[0]).map(([, value]) => value);
+  });
+
+  return result;
+};
+
+/**
+ * Turn a raw value into the rule's type
+ * @returns {{ value: *, ok: boolean }}
+ */
+const coerce = (rule, raw) => {
+  switch (rule.type) {
+    case 'array': {
+      let list = raw;
+      if (typeof list === 'string') {
+        // Older clients send arrays as a JSON string; anything else is a single item
+        try {
+          const parsed = JSON.parse(list);
+          list = Array.isArray(parsed) ? parsed : [list];
+        } catch {
+          list = [list];
+        }
+      } else if (list && typeof list === 'object' && !Array.isArray(list)) {
+        // qs turns sparse or large indexes into an object keyed by index
+        list = Object.keys(list).sort((a, b) => a - b).map((key) => list[key]);
+      }
+      if (!Array.isArray(list)) return { value: raw, ok: false };
+      if (rule.items) {
+        // Arrays of objects; their entries are checked against rule.items in checkItems
+        const objects = list.every((item) => item !== null && typeof item === 'object' && !Array.isArray(item));
+        return objects ? { value: list, ok: true } : { value: raw, ok: false };
+      }
+      if (list.some((item) => item !== null && typeof item === 'object')) return { value: raw, ok: false };
+      const items = list
+        .filter((item) => !isEmpty(item))
+        .map((item) => String(item).trim())
+        .filter(Boolean);
+      return { value: items, ok: true };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw, ok: true };
+      const normalized = String(raw).trim().toLowerCase();
+      if (['true', '1', 'on', 'yes'].includes(normalized)) return { value: true, ok: true };
+      if (['false', '0', 'off', 'no', ''].includes(normalized)) return { value: false, ok: true };
+      return { value: raw, ok: false };
+    }
+    case 'number': {
+      if (isEmpty(raw)) return { value: null, ok: true };
+      const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isFinite(number)) return { value: raw, ok: false };
+      return { value: number, ok: true };
+    }
+    case 'date': {
+      if (isEmpty(raw)) return { value: null, ok: true };
+      const date = raw instanceof Date ? raw : new Date(raw);
+      if (Number.isNaN(date.getTime())) return { value: raw, ok: false };
+      return { value: date, ok: true };
+    }
+    case 'string':
+    case 'url':
+    default: {
+      if (typeof raw === 'number') return { value: String(raw), ok: true };
+      if (typeof raw !== 'string') return { value: raw, ok: false };
+      return { value: raw.trim(), ok: true };
+    }
+  }
+};
+
+const messageFor = (rule, field, check) => {
+  if (rule.messages && rule.messages[check]) return rule.messages[check];
+  const label = rule.label || field;
+  switch (check) {
+    case 'required':
+      return `${label} is required`;
+    case 'maxLength':
+      return rule.type === 'array'
+        ? `Each ${label.toLowerCase()} entry cannot exceed ${rule.maxLength} characters`
+        : `${label} cannot exceed ${rule.maxLength} characters`;
+    case 'url':
+      return `${label} must be a valid URL`;
+    case 'enum':
+      return `${label} must be one of: ${rule.enum.join(', ')}`;
+    case 'pattern':
+      return `${label} has an invalid format`;
+    case 'minItems':
+      return `${label} needs at least ${rule.minItems} ${rule.minItems === 1 ? 'entry' : 'entries'}`;
+    case 'maxItems':
+      return `${label} cannot have more than ${rule.maxItems} entries`;
+    case 'min':
+      return `${label} cannot be less than ${rule.min}`;
+    case 'max':
+      return `${label} cannot be more than ${rule.max}`;
+    default:
+      return `${label} is invalid`;
+  }
+};
+
+/**
+ * Check a single coerced value against its rule
+ * @returns {string|null} Error message
+ */
+const checkValue = (rule, field, value) => {
+  if (rule.type === 'array') {
+    if (rule.required && value.length === 0) return messageFor(rule, field, 'required');
+    if (rule.minItems && value.length < rule.minItems) return messageFor(rule, field, 'minItems');
+    if (rule.maxItems && value.length > rule.maxItems) return messageFor(rule, field, 'maxItems');
+    if (rule.maxLength && value.some((item) => item.length > rule.maxLength)) return messageFor(rule, field, 'maxLength');
+    return null;
+  }
+
+  if (rule.type === 'boolean') return null;
+
+  if (value === '' || value === null) return rule.required ? messageFor(rule, field, 'required') : null;
+  if (rule.type === 'date') return null;
+  if (rule.type === 'number') {
+    if (rule.min !== undefined && value < rule.min) return messageFor(rule, field, 'min');
+    if (rule.max !== undefined && value > rule.max) return messageFor(rule, field, 'max');
+    return null;
+  }
+  if (rule.enum && !rule.enum.includes(value)) return messageFor(rule, field, 'enum');
+  if (rule.pattern && !new RegExp(rule.pattern).test(value)) return messageFor(rule, field, 'pattern');
+  if (rule.maxLength && value.length > rule.maxLength) return messageFor(rule, field, 'maxLength');
+  if (rule.type === 'url' && !URL_PATTERN.test(value)) return messageFor(rule, field, 'url');
+  return null;
+};
+
+/**
+ * Check each entry of an array of objects against rule.items
+ * @returns {{ value: Object[], error: string|null }} Coerced entries, or the first entry's first error
+ */
+const checkItems = (rule, field, list) => {
+  const label = rule.label || field;
+  const value = [];
+  for (const [index, item] of list.entries()) {
+    const { values, errors } = validate(rule.items, item);
+    if (errors) {
+      return { value: list, error: `${label} ${index + 1}: ${Object.values(errors)[0]}` };
+    }
+    value.push(values);
+  }
+  return { value, error: null };
+};
+
+/**
+ * Validate and coerce a body against a schema
+ * @param {Object} schema - { fieldName: rule }
+ * @param {Object} body - Raw body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Updates: only validate fields that were sent
+ * @returns {{ values: Object, errors: Object|null }}
+ */
+const validate = (schema, body, { partial = false } = {}) => {
+  const input = collectIndexedKeys(body);
+  const values = {};
+  const errors = {};
+
+  Object.keys(input).forEach((field) => {
+    if (!Object.prototype.hasOwnProperty.call(schema, field)) {
+      errors[field] = `Unknown field "${field}"`;
+    }
+  });
+
+  Object.keys(schema).forEach((field) => {
+    const rule = schema[field];
+    const present = Object.prototype.hasOwnProperty.call(input, field) && input[field] !== undefined;
+
+    if (!present) {
+      // Missing arrays still count as empty so minItems applies on create
+      const missingValue = rule.type === 'array' ? [] : '';
+      const error = partial ? null : checkValue(rule, field, missingValue);
+      if (error) errors[field] = error;
+      return;
+    }
+
+    const { value, ok } = coerce(rule, input[field]);
+    if (!ok) {
+      errors[field] = messageFor(rule, field, 'type');
+      return;
+    }
+
+    const error = checkValue(rule, field, value);
+    if (error) {
+      errors[field] = error;
+      return;
+    }
+    if (rule.items) {
+      const checked = checkItems(rule, field, value);
+      if (checked.error) {
+        errors[field] = checked.error;
+        return;
+      }
+      values[field] = checked.value;
+      return;
+    }
+    values[field] = value;
+  });
+
+  // Conditional requirements look at the coerced values, so in partial mode they only
+  // kick in when the fields they depend on were sent
+  Object.keys(schema).forEach((field) => {
+    const { requiredIf } = schema[field];
+    if (!requiredIf || errors[field]) return;
+    const applies = Object.keys(requiredIf).every((other) => values[other] === requiredIf[other]);
+    if (applies && isEmpty(values[field])) {
+      errors[field] = messageFor(schema[field], field, 'required');
+    }
+  });
+
+  return { values, errors: Object.keys(errors).length ? errors : null };
+};
+
+module.exports = {
+  URL_PATTERN,
+  collectIndexedKeys,
+  coerce,
+  validate,
+};
@@ -11,6 +11,7 @@ import Headers from "./components/Headers";
 import Home from "./components/Home";
 import Login from "./components/Login";
 import My3DBackground from "./components/My3DBackground";
+import ProjectDetail from "./components/ProjectDetail";
 import Projects from "./components/Projects";
 import ProtectedRoute from "./components/ProtectedRoute";
 import SplashScreen from "./components/SplashScreen";
@@ -56,7 +57,23 @@ function App() {
                         </ProtectedRoute>
                       }
                     />
-                    <Route path="/admin" element={<AdminPanel />} />
+                    <Route
+                      path="/admin"
+                      element={
+                        <ProtectedRoute>
+                          <AdminPanel />
+                        </ProtectedRoute>
+                      }
+                    />
+                    <Route
+                      path="/projects/:slug"
+                      element={
+                        <>
+                          <ProjectDetail />
+                          <FloatingContact />
+                        </>
+                      }
+                    />
                     <Route
                       path="/"
                       element={
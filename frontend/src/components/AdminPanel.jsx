@@ -1,19 +1,287 @@
 'use client';
-import { useState, useEffect } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import SplashScreen from './SplashScreen';
 import axios from 'axios';
 import Button from '@mui/material/Button';
+import PropTypes from 'prop-types';
 import swal from 'sweetalert2';
+import { useAuth } from '../context/AuthContext';
+import { getErrorMessage } from '../utils/apiErrors';
+import { can } from '../utils/permissions';
+
+// Helper to ensure HTTPS in production
+const ensureHttps = (url) => {
+    if (typeof window !== 'undefined' && window.location.protocol === 'https:' && url.startsWith('http://')) {
+        return url.replace('http://', 'https://');
+    }
+    return url;
+};
+
+const BASE_URL = ensureHttps(import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000');
+const API_BASE_URL = BASE_URL.endsWith('/api') ? BASE_URL : `${BASE_URL}/api`;
+
+axios.defaults.withCredentials = true;
+
+const PAGE_SIZE = 20;
+
+const STATUS_TABS = [
+    { value: 'inbox', label: 'Inbox' },
+    { value: 'unread', label: 'Unread' },
+    { value: 'read', label: 'Read' },
+    { value: 'archived', label: 'Archived' },
+    { value: 'all', label: 'All' },
+];
+
+const DELIVERY_STYLES = {
+    sent: 'text-green-300',
+    failed: 'text-red-300',
+    skipped: 'text-gray-400',
+    pending: 'text-yellow-300',
+    sending: 'text-yellow-300',
+};
+
+// "Owner email: sent" style label for one notification delivery
+const DeliveryStatus = ({ label, delivery }) => {
+    if (!delivery) return null;
+    const title = delivery.lastError
+        ? `${delivery.lastError} (${delivery.attempts || 0} attempts)`
+        : `${delivery.attempts || 0} attempts`;
+    return (
+        <span className={`text-sm ${DELIVERY_STYLES[delivery.status] || 'text-gray-400'}`} title={title}>
+            {label}: {delivery.status}
+        </span>
+    );
+};
+
+DeliveryStatus.propTypes = {
+    label: PropTypes.string.isRequired,
+    delivery: PropTypes.shape({
+        status: PropTypes.string,
+        attempts: PropTypes.number,
+        lastError: PropTypes.string,
+    }),
+};
+
+const inputClass = 'px-3 py-2 bg-gray-800 border border-gray-700 rounded text-white focus:outline-none focus:border-blue-500';
+
+// Single message with read/archive toggles and an editable notes field
+const MessageCard = ({ doc, index, canEdit, onUpdate, onDelete, onRetry }) => {
+    const [notes, setNotes] = useState(doc.notes || '');
+    const [savingNotes, setSavingNotes] = useState(false);
+
+    useEffect(() => {
+        setNotes(doc.notes || '');
+    }, [doc.notes]);
+
+    const saveNotes = async () => {
+        setSavingNotes(true);
+        await onUpdate(doc._id, { notes });
+        setSavingNotes(false);
+    };
+
+    return (
+        <li className={`p-6 rounded-lg break-words shadow-md border ${doc.read ? 'bg-gray-800 border-gray-700' : 'bg-blue-900/60 border-blue-500'}`}>
+            <div className="flex flex-wrap justify-between items-start gap-2">
+                <div>
+                    <span className='text-gray-300 border-gray-400 border-2 rounded-full px-3 py-1'>{index}</span>
+                    {!doc.read && <span className="ml-2 text-xs font-bold uppercase text-blue-300">New</span>}
+                    {doc.archived && <span className="ml-2 text-xs font-bold uppercase text-yellow-300">Archived</span>}
+                </div>
+                <span className="text-sm text-gray-400">{new Date(doc.createdAt).toLocaleString()}</span>
+            </div>
+            <h2 className="text-2xl mt-2 font-semibold">{doc.name}</h2>
+            <p className="text-lg"><b>Email:</b> <a href={`mailto:${doc.email}`} className="underline">{doc.email}</a></p>
+            {doc.subject && <p className="text-lg"><b>Subject:</b> {doc.subject}</p>}
+            <p className="text-lg whitespace-pre-wrap"><b>Message:</b> {doc.message}</p>
+            {doc.notifications && (
+                <div className="flex flex-wrap items-center gap-4 mt-2">
+                    <DeliveryStatus label="Owner email" delivery={doc.notifications.owner} />
+                    <DeliveryStatus label="Auto-reply" delivery={doc.notifications.autoReply} />
+                    {canEdit && ['failed', 'skipped'].some((status) => (
+                        doc.notifications.owner?.status === status || doc.notifications.autoReply?.status === status
+                    )) && (
+                        <button className='text-sm underline text-blue-300 hover:text-blue-200' onClick={() => onRetry(doc._id)}>
+                            Retry emails
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {canEdit ? (
+                <div className="mt-4">
+                    <textarea
+                        value={notes}
+                        onChange={(e) => setNotes(e.target.value)}
+                        maxLength={2000}
+                        rows={2}
+                        placeholder="Private notes"
+                        className={`${inputClass} w-full resize-y`}
+                    />
+                    <div className="flex flex-wrap gap-2 mt-2">
+                        <button
+                            className='bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-3 rounded disabled:opacity-50'
+                            onClick={saveNotes}
+                            disabled={savingNotes || notes === (doc.notes || '')}
+                        >
+                            {savingNotes ? 'Saving...' : 'Save notes'}
+                        </button>
+                        <button
+                            className='bg-blue-700 hover:bg-blue-600 text-white font-bold py-2 px-3 rounded'
+                            onClick={() => onUpdate(doc._id, { read: !doc.read })}
+                        >
+                            {doc.read ? 'Mark unread' : 'Mark read'}
+                        </button>
+                        <button
+                            className='bg-yellow-700 hover:bg-yellow-600 text-white font-bold py-2 px-3 rounded'
+                            onClick={() => onUpdate(doc._id, { archived: !doc.archived })}
+                        >
+                            {doc.archived ? 'Unarchive' : 'Archive'}
+                        </button>
+                        <button className='bg-red-900 hover:bg-red-500 text-white font-bold py-2 px-3 rounded' onClick={() => { onDelete(doc._id) }}>Delete</button>
+                    </div>
+                </div>
+            ) : (
+                doc.notes && <p className="mt-2 text-gray-300"><b>Notes:</b> {doc.notes}</p>
+            )}
+        </li>
+    );
+};
+
+MessageCard.propTypes = {
+    doc: PropTypes.shape({
+        _id: PropTypes.string.isRequired,
+        name: PropTypes.string,
+        email: PropTypes.string,
+        subject: PropTypes.string,
+        message: PropTypes.string,
+        notes: PropTypes.string,
+        read: PropTypes.bool,
+        archived: PropTypes.bool,
+        createdAt: PropTypes.string,
+        notifications: PropTypes.shape({
+            owner: PropTypes.object,
+            autoReply: PropTypes.object,
+        }),
+    }).isRequired,
+    index: PropTypes.number.isRequired,
+    canEdit: PropTypes.bool.isRequired,
+    onUpdate: PropTypes.func.isRequired,
+    onDelete: PropTypes.func.isRequired,
+    onRetry: PropTypes.func.isRequired,
+};
 
 const AdminPanel = () => {
+    const { user } = useAuth();
+    const canEdit = can(user, 'content:edit');
     const [documents, setDocuments] = useState([]);
     const [isloading, setLoading] = useState(true);
+    const [status, setStatus] = useState('inbox');
+    const [searchInput, setSearchInput] = useState('');
+    const [search, setSearch] = useState('');
+    const [dateFrom, setDateFrom] = useState('');
+    const [dateTo, setDateTo] = useState('');
+    const [page, setPage] = useState(1);
+    const [pagination, setPagination] = useState({ total: 0, pages: 1, unreadCount: 0 });
+
+    // Debounce the search box so every keystroke doesn't hit the API
+    useEffect(() => {
+        const timeout = setTimeout(() => {
+            setSearch(searchInput.trim());
+            setPage(1);
+        }, 400);
+        return () => clearTimeout(timeout);
+    }, [searchInput]);
+
+    const buildFilterParams = useCallback(() => {
+        const params = { status };
+        if (search) params.q = search;
+        if (dateFrom) params.from = dateFrom;
+        if (dateTo) params.to = dateTo;
+        return params;
+    }, [status, search, dateFrom, dateTo]);
+
+    const fetchMessages = useCallback(async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/messages`, {
+                params: { ...buildFilterParams(), page, limit: PAGE_SIZE },
+            });
+            setDocuments(response.data.messages || []);
+            setPagination({
+                total: response.data.total || 0,
+                pages: response.data.pages || 1,
+                unreadCount: response.data.unreadCount || 0,
+            });
+        } catch (error) {
+            console.error('Error fetching documents:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, [buildFilterParams, page]);
+
+    useEffect(() => {
+        fetchMessages();
+    }, [fetchMessages]);
+
+    // Serverless deployments have no background timer, so opening the inbox
+    // retries the notification emails that are due
+    useEffect(() => {
+        if (!canEdit) return;
+        axios.post(`${API_BASE_URL}/messages/notifications/retry-due`)
+            .then((response) => {
+                if (response.data.processed > 0) fetchMessages();
+            })
+            .catch((error) => console.error('Error retrying due notifications:', error));
+        // Once per visit, not on every filter change
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [canEdit]);
+
+    const handleUpdate = async (docID, updates) => {
+        try {
+            await axios.put(`${API_BASE_URL}/messages/${docID}`, updates);
+            // Read/archive changes can move the message out of the current view
+            fetchMessages();
+        } catch (error) {
+            console.error("There was an error updating the message:", error);
+            swal.fire({
+                title: "Error!",
+                text: getErrorMessage(error, "There was an error updating the message."),
+                icon: "error",
+                timer: 2000,
+                showConfirmButton: false
+            });
+        }
+    };
+
+    const handleRetry = async (docID) => {
+        try {
+            const response = await axios.post(`${API_BASE_URL}/messages/${docID}/notifications/retry`);
+            const updated = response.data.data;
+            setDocuments((prev) => prev.map((doc) => (doc._id === docID ? { ...doc, ...updated } : doc)));
+            const { owner, autoReply } = updated?.notifications || {};
+            if (owner?.status === 'failed' || autoReply?.status === 'failed') {
+                swal.fire({
+                    title: "Still failing",
+                    text: owner?.lastError || autoReply?.lastError || "The email could not be sent.",
+                    icon: "warning",
+                });
+            }
+        } catch (error) {
+            console.error("There was an error retrying the emails:", error);
+            swal.fire({
+                title: "Error!",
+                text: getErrorMessage(error, "There was an error retrying the emails."),
+                icon: "error",
+                timer: 2000,
+                showConfirmButton: false
+            });
+        }
+    };
 
     const handleDelete = async (docID) => {
-        const url = `https://portfolio-backend-git-main-salimkhandevs-projects.vercel.app/delete?id=${docID}`;
+        const url = `${API_BASE_URL}/messages/${docID}`;
         swal.fire({
             title: "Are you sure?",
-            text: "You want to delete this user?",
+            text: "You want to delete this message?",
             icon: "warning",
             showCancelButton: true,
             confirmButtonText: "Yes, delete it!",
@@ -22,12 +290,12 @@ const AdminPanel = () => {
             if (result.isConfirmed) {
                 try {
                     await axios.delete(url);
-                    setDocuments(documents.filter(doc => doc._id !== docID));
+                    fetchMessages();
                 } catch (error) {
                     console.error("There was an error deleting the document:", error);
                     swal.fire({
                         title: "Error!",
-                        text: "There was an error deleting the document.",
+                        text: getErrorMessage(error, "There was an error deleting the document."),
                         icon: "error",
                         timer: 2000,
                         showConfirmButton: false
@@ -38,10 +306,9 @@ const AdminPanel = () => {
     };
 
     const deleteAllDocuments = async () => {
-        const API_URL = `https://portfolio-backend-git-main-salimkhandevs-projects.vercel.app/delete`;
         swal.fire({
             title: "Are you sure?",
-            text: "You want to delete all data?",
+            text: "You want to delete all messages, including archived ones?",
             icon: "warning",
             showCancelButton: true,
             confirmButtonText: "Yes, delete them!",
@@ -49,7 +316,7 @@ const AdminPanel = () => {
         }).then(async (result) => {
             if (result.isConfirmed) {
                 try {
-                    await axios.delete(`${API_URL}/all`);
+                    await axios.delete(`${API_BASE_URL}/messages`);
                     swal.fire({
                         title: "Done!",
                         text: "All data are deleted",
@@ -57,12 +324,13 @@ const AdminPanel = () => {
                         timer: 2000,
                         showConfirmButton: false
                     });
-                    setDocuments([]);
+                    setPage(1);
+                    fetchMessages();
                 } catch (error) {
                     console.error("There was an error deleting the documents:", error);
                     swal.fire({
                         title: "Error!",
-                        text: "There was an error deleting the documents.",
+                        text: getErrorMessage(error, "There was an error deleting the documents."),
                         icon: "error",
                         timer: 2000,
                         showConfirmButton: false
@@ -72,25 +340,60 @@ const AdminPanel = () => {
         });
     };
 
-    useEffect(() => {
-        fetch('https://portfolio-backend-git-main-salimkhandevs-projects.vercel.app/admin')
-            .then(response => response.json())
-            .then(data => {
-                setDocuments(data);
-                setLoading(false);
-            })
-            .catch(error => console.error('Error fetching documents:', error));
-    }, []);
+    const exportCsv = async () => {
+        try {
+            const response = await axios.get(`${API_BASE_URL}/messages/export`, {
+                params: buildFilterParams(),
+                responseType: 'blob',
+            });
+            const url = URL.createObjectURL(response.data);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `messages-${new Date().toISOString().slice(0, 10)}.csv`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error("There was an error exporting the messages:", error);
+            swal.fire({
+                title: "Error!",
+                text: getErrorMessage(error, "There was an error exporting the messages."),
+                icon: "error",
+                timer: 2000,
+                showConfirmButton: false
+            });
+        }
+    };
 
-    const bgColors = ['bg-blue-500', 'bg-green-500'];
+    const changeFilter = (setter) => (e) => {
+        setter(e.target.value);
+        setPage(1);
+    };
 
     return (
         <div className="min-h-screen p-10 text-white submitted-forms bg-gray-900">
-            <div className="flex justify-between items-center mb-10">
-                <h1 className="text-3xl font-bold">Submitted Forms</h1>
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+                <h1 className="text-3xl font-bold">
+                    Messages
+                    {pagination.unreadCount > 0 && (
+                        <span className="ml-3 text-base bg-blue-600 rounded-full px-3 py-1 align-middle">
+                            {pagination.unreadCount} unread
+                        </span>
+                    )}
+                </h1>
 
                 <div className="space-x-4">
-                    {documents.length > 0 && (
+                    <Button
+                        variant="contained"
+                        style={{ backgroundColor: '#1d4ed8', color: 'white' }}
+                        onClick={exportCsv}
+                        disabled={pagination.total === 0}
+                    >
+                        Export CSV
+                    </Button>
+
+                    {canEdit && pagination.total > 0 && (
                         <Button
                             variant="contained"
                             className="bg-red-700 hover:bg-red-800"
@@ -112,26 +415,80 @@ const AdminPanel = () => {
                 </div>
             </div>
 
+            <div className="flex flex-wrap gap-2 mb-4">
+                {STATUS_TABS.map((tab) => (
+                    <button
+                        key={tab.value}
+                        onClick={() => { setStatus(tab.value); setPage(1); }}
+                        className={`py-2 px-4 rounded font-semibold ${status === tab.value ? 'bg-blue-600' : 'bg-gray-800 hover:bg-gray-700'}`}
+                    >
+                        {tab.label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="flex flex-wrap gap-4 mb-8 items-end">
+                <input
+                    type="search"
+                    value={searchInput}
+                    onChange={(e) => setSearchInput(e.target.value)}
+                    placeholder="Search name, email or message"
+                    className={`${inputClass} flex-1 min-w-[16rem]`}
+                />
+                <label className="flex flex-col text-sm text-gray-400">
+                    From
+                    <input type="date" value={dateFrom} onChange={changeFilter(setDateFrom)} className={inputClass} />
+                </label>
+                <label className="flex flex-col text-sm text-gray-400">
+                    To
+                    <input type="date" value={dateTo} onChange={changeFilter(setDateTo)} className={inputClass} />
+                </label>
+            </div>
+
             {
                 isloading ? (<SplashScreen />) :
                     <ul className="space-y-4">
                         {
                             documents.length === 0 ? (
-                                <p>No documents found.</p>
+                                <p>No messages found.</p>
                             ) : (
                                 documents.map((doc, index) => (
-                                    <li key={doc._id} className={`p-6 rounded-lg break-words shadow-md ${bgColors[index % bgColors.length]}`}>
-                                        <span className='text-gray-900 border-black border-2 rounded-full px-3 py-1'>{index + 1}</span>
-                                        <h2 className="text-2xl mt-2 font-semibold">{doc.name}</h2>
-                                        <p className="text-lg"><b>Email:</b> {doc.email}</p>
-                                        <p className="text-lg"><b>Message:</b> {doc.message}</p>
-                                        <button className='bg-red-900 hover:bg-red-500 text-white font-bold py-2 px-2 rounded' onClick={() => { handleDelete(doc._id) }}>Delete</button>
-                                    </li>
+                                    <MessageCard
+                                        key={doc._id}
+                                        doc={doc}
+                                        index={(page - 1) * PAGE_SIZE + index + 1}
+                                        canEdit={canEdit}
+                                        onUpdate={handleUpdate}
+                                        onDelete={handleDelete}
+                                        onRetry={handleRetry}
+                                    />
                                 ))
                             )
                         }
                     </ul>
             }
+
+            {pagination.pages > 1 && (
+                <div className="flex justify-center items-center gap-4 mt-8">
+                    <button
+                        onClick={() => setPage((p) => Math.max(p - 1, 1))}
+                        disabled={page <= 1}
+                        className="py-2 px-4 rounded bg-gray-800 hover:bg-gray-700 disabled:opacity-50"
+                    >
+                        Previous
+                    </button>
+                    <span className="text-gray-400">
+                        Page {page} of {pagination.pages} ({pagination.total} messages)
+                    </span>
+                    <button
+                        onClick={() => setPage((p) => Math.min(p + 1, pagination.pages))}
+                        disabled={page >= pagination.pages}
+                        className="py-2 px-4 rounded bg-gray-800 hover:bg-gray-700 disabled:opacity-50"
+                    >
+                        Next
+                    </button>
+                </div>
+            )}
         </div>
     );
 };
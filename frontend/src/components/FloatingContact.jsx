@@ -6,10 +6,34 @@ import {
 } from "@fortawesome/free-brands-svg-icons";
 import { faEnvelope } from "@fortawesome/free-solid-svg-icons";
 import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
-import { useState } from "react";
+import axios from "axios";
+import { useRef, useState } from "react";
+import ReCAPTCHA from "react-google-recaptcha";
+
+// Helper to ensure HTTPS in production
+const ensureHttps = (url) => {
+  if (typeof window !== "undefined" && window.location.protocol === "https:" && url.startsWith("http://")) {
+    return url.replace("http://", "https://");
+  }
+  return url;
+};
+
+const BASE_URL = ensureHttps(import.meta.env.VITE_API_BASE_URL || "http://localhost:3000");
+const API_BASE_URL = BASE_URL.endsWith("/api") ? BASE_URL : `${BASE_URL}/api`;
+// Only render the CAPTCHA widget when the backend is configured to check it
+const RECAPTCHA_SITE_KEY = import.meta.env.VITE_RECAPTCHA_SITE_KEY;
+
+const emptyForm = { name: "", email: "", subject: "", message: "", website: "" };
 
 const FloatingContact = () => {
   const [isOpen, setIsOpen] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [status, setStatus] = useState({ type: "", text: "" });
+  const [sending, setSending] = useState(false);
+  const [captchaToken, setCaptchaToken] = useState(null);
+  // Signed server time from when the form opened; the backend rejects forms submitted too quickly
+  const formTokenRef = useRef(null);
+  const captchaRef = useRef(null);
   const isMobile = /Android|iPhone|iPad|iPod/i.test(navigator.userAgent);
 
   const email = "salimkhandev@gmail.com"; // Your email address
@@ -51,11 +75,69 @@ const FloatingContact = () => {
     },
   ];
 
+  const startForm = async () => {
+    formTokenRef.current = null;
+    try {
+      const response = await axios.get(`${API_BASE_URL}/messages/form-token`);
+      formTokenRef.current = response.data.formToken;
+    } catch (error) {
+      console.error("Error starting the contact form:", error);
+    }
+  };
+
+  const togglePanel = () => {
+    if (!isOpen) startForm();
+    setIsOpen(!isOpen);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (RECAPTCHA_SITE_KEY && !captchaToken) {
+      setStatus({ type: "error", text: "Please complete the CAPTCHA." });
+      return;
+    }
+
+    setSending(true);
+    setStatus({ type: "", text: "" });
+    try {
+      await axios.post(`${API_BASE_URL}/messages`, {
+        ...form,
+        formToken: formTokenRef.current,
+        captchaToken,
+      });
+      setForm(emptyForm);
+      setStatus({ type: "success", text: "Thanks! Your message has been sent." });
+      startForm();
+    } catch (error) {
+      const data = error.response?.data;
+      const fieldErrors = data?.errors ? Object.values(data.errors).join(" ") : "";
+      setStatus({
+        type: "error",
+        text: fieldErrors || data?.message || "Failed to send message. Please try again.",
+      });
+    } finally {
+      setSending(false);
+      // reCAPTCHA tokens are single use
+      if (captchaRef.current) {
+        captchaRef.current.reset();
+        setCaptchaToken(null);
+      }
+    }
+  };
+
+  const inputClass =
+    "w-full px-3 py-2 bg-white/5 border border-white/10 rounded-lg text-white text-sm placeholder-white/40 focus:outline-none focus:border-green-400/50";
+
   return (
     <div className="fixed inset-0 pointer-events-none z-40">
       {/* Floating Contact Button */}
       <button
-        onClick={() => setIsOpen(!isOpen)}
+        onClick={togglePanel}
         className="fixed bottom-6 left-6 pointer-events-auto w-16 h-16 bg-gradient-to-r from-green-600 to-blue-600 hover:from-green-700 hover:to-blue-700 text-white rounded-full shadow-lg hover:shadow-xl transition-all duration-300 hover:scale-110 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-offset-2"
         aria-label={isOpen ? "Close contact options" : "Open contact options"}
         style={{ zIndex: 9999 }}
@@ -82,13 +164,87 @@ const FloatingContact = () => {
       {/* Contact Options Panel */}
       {isOpen && (
         <div
-          className="fixed bottom-24 left-6 pointer-events-auto bg-white/10 backdrop-blur-xl rounded-lg shadow-2xl border border-white/20 p-4"
+          className="fixed bottom-24 left-6 pointer-events-auto bg-white/10 backdrop-blur-xl rounded-lg shadow-2xl border border-white/20 p-4 w-72 max-h-[75vh] overflow-y-auto"
           style={{ zIndex: 9998 }}
         >
           <div className="text-center mb-3">
             <h3 className="text-white font-semibold text-sm">Get in Touch</h3>
           </div>
 
+          <form onSubmit={handleSubmit} className="flex flex-col space-y-2 mb-4">
+            <input
+              type="text"
+              name="name"
+              value={form.name}
+              onChange={handleChange}
+              required
+              maxLength={100}
+              placeholder="Your name"
+              className={inputClass}
+            />
+            <input
+              type="email"
+              name="email"
+              value={form.email}
+              onChange={handleChange}
+              required
+              placeholder="Your email"
+              className={inputClass}
+            />
+            <input
+              type="text"
+              name="subject"
+              value={form.subject}
+              onChange={handleChange}
+              maxLength={200}
+              placeholder="Subject (optional)"
+              className={inputClass}
+            />
+            <textarea
+              name="message"
+              value={form.message}
+              onChange={handleChange}
+              required
+              maxLength={5000}
+              rows={4}
+              placeholder="Your message"
+              className={`${inputClass} resize-none`}
+            />
+            {/* Honeypot: hidden from people, filled in by bots */}
+            <input
+              type="text"
+              name="website"
+              value={form.website}
+              onChange={handleChange}
+              tabIndex={-1}
+              autoComplete="off"
+              aria-hidden="true"
+              className="hidden"
+            />
+            {RECAPTCHA_SITE_KEY && (
+              <ReCAPTCHA
+                ref={captchaRef}
+                sitekey={RECAPTCHA_SITE_KEY}
+                theme="dark"
+                size="compact"
+                onChange={setCaptchaToken}
+                onExpired={() => setCaptchaToken(null)}
+              />
+            )}
+            {status.text && (
+              <p className={`text-xs ${status.type === "success" ? "text-green-400" : "text-red-400"}`}>
+                {status.text}
+              </p>
+            )}
+            <button
+              type="submit"
+              disabled={sending}
+              className="py-2 rounded-lg bg-gradient-to-r from-green-600 to-blue-600 hover:from-green-700 hover:to-blue-700 text-white text-sm font-semibold transition-all duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {sending ? "Sending..." : "Send Message"}
+            </button>
+          </form>
+
           <div className="flex flex-col space-y-3">
             {socialLinks.map((social, index) => (
               <a
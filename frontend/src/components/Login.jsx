@@ -1,6 +1,6 @@
-import { faHome, faLock, faSignInAlt, faUser } from '@fortawesome/free-solid-svg-icons';
+import { faArrowLeft, faHome, faKey, faLock, faShieldAlt, faSignInAlt, faUser } from '@fortawesome/free-solid-svg-icons';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
@@ -9,9 +9,48 @@ const Login = () => {
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  // Second step (2FA) state
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  // Login throttling - the server tells us how long to wait (Retry-After)
+  const [retryUntil, setRetryUntil] = useState(null);
+  const [isLocked, setIsLocked] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
 
+  const secondsLeft = retryUntil ? Math.max(Math.ceil((retryUntil - now) / 1000), 0) : 0;
+
+  // Tick once a second while a wait is active
+  useEffect(() => {
+    if (!retryUntil) return undefined;
+    const intervalId = setInterval(() => {
+      const current = Date.now();
+      setNow(current);
+      if (current >= retryUntil) {
+        setRetryUntil(null);
+        setIsLocked(false);
+        setError('');
+      }
+    }, 1000);
+    return () => clearInterval(intervalId);
+  }, [retryUntil]);
+
+  const handleFailure = (result) => {
+    if (result.retryAfter) {
+      setNow(Date.now());
+      setRetryUntil(Date.now() + result.retryAfter * 1000);
+      setIsLocked(result.locked);
+    }
+    setError(result.message);
+  };
+
+  const formatWait = (seconds) => {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -21,12 +60,40 @@ const Login = () => {
 
     if (result.success) {
       navigate('/dashboard');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      setPassword('');
     } else {
-      setError(result.message);
+      handleFailure(result);
     }
     setLoading(false);
   };
 
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await verifyTwoFactor(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: code } : { code }
+    );
+
+    if (result.success) {
+      navigate('/dashboard');
+    } else {
+      handleFailure(result);
+    }
+    setLoading(false);
+  };
+
+  const backToLogin = () => {
+    setChallengeToken(null);
+    setCode('');
+    setUseRecoveryCode(false);
+    setError('');
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-b from-black via-[#0a1122] to-black relative">
       {/* Background effects */}
@@ -51,13 +118,98 @@ const Login = () => {
             <h2 className="text-4xl font-bold bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent mb-2">
               Admin Login
             </h2>
-            <p className="text-gray-400">Manage your projects</p>
+            <p className="text-gray-400">
+              {challengeToken ? 'Two-factor verification' : 'Manage your projects'}
+            </p>
           </div>
 
+          {challengeToken ? (
+          <form onSubmit={handleVerifyCode} className="space-y-6">
+            {error && (
+              <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg">
+                {error}
+                {secondsLeft > 0 && (
+                  <p className="text-sm mt-1">
+                    {isLocked ? 'Login locked' : 'Please wait'} – try again in {formatWait(secondsLeft)}
+                  </p>
+                )}
+              </div>
+            )}
+
+            <div>
+              <label className="block text-gray-300 mb-2">
+                <FontAwesomeIcon icon={useRecoveryCode ? faKey : faShieldAlt} className="mr-2" />
+                {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+              </label>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                autoFocus
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                maxLength={useRecoveryCode ? 11 : 6}
+                className="w-full px-4 py-3 bg-white/5 border border-white/10 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-blue-500/50 transition-colors tracking-widest"
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+              />
+              <p className="text-xs text-gray-400 mt-2">
+                {useRecoveryCode
+                  ? 'Each recovery code can only be used once.'
+                  : 'Enter the 6-digit code from your authenticator app.'}
+              </p>
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading || secondsLeft > 0}
+              className="w-full bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 text-white font-semibold py-3 px-4 rounded-lg transition-all duration-300 flex items-center justify-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? (
+                <>
+                  <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
+                  <span>Verifying...</span>
+                </>
+              ) : (
+                <>
+                  <FontAwesomeIcon icon={faShieldAlt} />
+                  <span>Verify</span>
+                </>
+              )}
+            </button>
+
+            <div className="flex justify-between text-sm">
+              <button
+                type="button"
+                onClick={backToLogin}
+                className="text-gray-400 hover:text-white transition-colors"
+              >
+                <FontAwesomeIcon icon={faArrowLeft} className="mr-1" />
+                Back
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setCode('');
+                  setError('');
+                }}
+                className="text-blue-400 hover:text-blue-300 transition-colors"
+              >
+                {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+              </button>
+            </div>
+          </form>
+          ) : (
           <form onSubmit={handleSubmit} className="space-y-6">
             {error && (
               <div className="bg-red-500/10 border border-red-500/50 text-red-400 px-4 py-3 rounded-lg">
                 {error}
+                {secondsLeft > 0 && (
+                  <p className="text-sm mt-1">
+                    {isLocked ? 'Login locked' : 'Please wait'} – try again in {formatWait(secondsLeft)}
+                  </p>
+                )}
               </div>
             )}
 
@@ -93,7 +245,7 @@ const Login = () => {
 
             <button
               type="submit"
-              disabled={loading}
+              disabled={loading || secondsLeft > 0}
               className="w-full bg-gradient-to-r from-blue-500 to-purple-500 hover:from-blue-600 hover:to-purple-600 text-white font-semibold py-3 px-4 rounded-lg transition-all duration-300 flex items-center justify-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {loading ? (
@@ -109,6 +261,7 @@ const Login = () => {
               )}
             </button>
           </form>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,19 @@
+import PropTypes from "prop-types";
+import { useMemo } from "react";
+import { renderMarkdown } from "../utils/markdown";
+
+// Sanitized Markdown (see utils/markdown.js); styles for the generated tags live in index.css
+const Markdown = ({ text, className = "" }) => {
+  const html = useMemo(() => renderMarkdown(text), [text]);
+  if (!html) return null;
+
+  // Safe: renderMarkdown only lets allowlisted tags and attributes through
+  return <div className={`markdown-content ${className}`} dangerouslySetInnerHTML={{ __html: html }} />;
+};
+
+Markdown.propTypes = {
+  text: PropTypes.string,
+  className: PropTypes.string,
+};
+
+export default Markdown;
@@ -0,0 +1,203 @@
+import { faChevronLeft, faChevronRight, faExpand, faTimes } from "@fortawesome/free-solid-svg-icons";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import PropTypes from "prop-types";
+import { useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { useSwipe } from "../hooks/useSwipe";
+import { coverIndex, mediaItemPropType } from "../utils/projectMedia";
+
+const navButtonClass =
+  "absolute top-1/2 -translate-y-1/2 flex items-center justify-center w-9 h-9 rounded-full bg-black/50 text-white hover:bg-black/70 transition-colors";
+
+// One gallery item; videos only load their metadata until played
+const Slide = ({ item, title, className }) =>
+  item.type === "video" ? (
+    <video src={item.url} controls preload="metadata" className={className}>
+      Your browser does not support the video tag.
+    </video>
+  ) : (
+    <img src={item.url} alt={item.alt || title} loading="lazy" className={className} />
+  );
+
+Slide.propTypes = {
+  item: mediaItemPropType.isRequired,
+  title: PropTypes.string,
+  className: PropTypes.string,
+};
+
+// Full-screen view of the gallery; arrow keys and swipes move, Escape closes
+// Rendered into <body> so transformed cards don't clip it
+const Lightbox = ({ media, title, index, onChange, onClose }) => {
+  const item = media[index];
+  const previous = () => onChange((index - 1 + media.length) % media.length);
+  const next = () => onChange((index + 1) % media.length);
+  const swipe = useSwipe(previous, next);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+      else if (e.key === "ArrowLeft") onChange((index - 1 + media.length) % media.length);
+      else if (e.key === "ArrowRight") onChange((index + 1) % media.length);
+    };
+    window.addEventListener("keydown", handleKey);
+    // Keep the page behind from scrolling while the lightbox is open
+    const overflow = document.body.style.overflow;
+    document.body.style.overflow = "hidden";
+    return () => {
+      window.removeEventListener("keydown", handleKey);
+      document.body.style.overflow = overflow;
+    };
+  }, [index, media.length, onChange, onClose]);
+
+  return createPortal(
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-label={`${title} media`}
+      className="fixed inset-0 z-50 flex flex-col items-center justify-center bg-black/90 p-4"
+      onClick={onClose}
+      {...swipe}
+    >
+      <button
+        type="button"
+        onClick={onClose}
+        title="Close"
+        className="absolute top-4 right-4 w-10 h-10 rounded-full bg-white/10 text-white hover:bg-white/20 transition-colors"
+      >
+        <FontAwesomeIcon icon={faTimes} />
+      </button>
+
+      <div className="relative max-w-6xl w-full flex items-center justify-center" onClick={(e) => e.stopPropagation()}>
+        <Slide key={item.url} item={item} title={title} className="max-h-[80vh] max-w-full object-contain rounded-lg" />
+        {media.length > 1 && (
+          <>
+            <button type="button" onClick={previous} title="Previous" className={`${navButtonClass} left-2`}>
+              <FontAwesomeIcon icon={faChevronLeft} />
+            </button>
+            <button type="button" onClick={next} title="Next" className={`${navButtonClass} right-2`}>
+              <FontAwesomeIcon icon={faChevronRight} />
+            </button>
+          </>
+        )}
+      </div>
+
+      <div className="mt-4 text-center text-sm text-gray-300" onClick={(e) => e.stopPropagation()}>
+        {item.caption && <p className="mb-1">{item.caption}</p>}
+        {media.length > 1 && (
+          <p className="text-xs text-gray-500">
+            {index + 1} / {media.length}
+          </p>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+Lightbox.propTypes = {
+  media: PropTypes.arrayOf(mediaItemPropType).isRequired,
+  title: PropTypes.string,
+  index: PropTypes.number.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+// Swipeable gallery of a project's images and videos, starting at the cover
+// Images open in a lightbox when clicked; the expand button opens any item there
+const MediaCarousel = ({ media = [], title = "", className = "" }) => {
+  const [index, setIndex] = useState(() => coverIndex(media));
+  const [lightboxOpen, setLightboxOpen] = useState(false);
+  const trackRef = useRef(null);
+
+  const count = media.length;
+  const previous = () => setIndex((current) => (current - 1 + count) % count);
+  const next = () => setIndex((current) => (current + 1) % count);
+  const swipe = useSwipe(previous, next);
+
+  // A video that slides out of view stops playing
+  useEffect(() => {
+    trackRef.current?.querySelectorAll("video").forEach((video) => {
+      if (Number(video.dataset.index) !== index) video.pause();
+    });
+  }, [index]);
+
+  if (count === 0) return null;
+  const current = media[Math.min(index, count - 1)];
+
+  return (
+    <div className={className}>
+      <div className="relative overflow-hidden rounded-lg bg-black/20" style={{ aspectRatio: "16/9" }} {...swipe}>
+        <div
+          ref={trackRef}
+          className="flex h-full transition-transform duration-500 ease-out"
+          style={{ transform: `translateX(-${Math.min(index, count - 1) * 100}%)` }}
+        >
+          {media.map((item, i) => (
+            <div key={`${item.url}-${i}`} className="w-full h-full flex-shrink-0" aria-hidden={i !== index}>
+              {item.type === "video" ? (
+                <video src={item.url} data-index={i} controls preload="metadata" className="w-full h-full object-cover">
+                  Your browser does not support the video tag.
+                </video>
+              ) : (
+                <button type="button" onClick={() => setLightboxOpen(true)} className="w-full h-full cursor-zoom-in">
+                  <img src={item.url} alt={item.alt || title} loading="lazy" className="w-full h-full object-cover" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <button
+          type="button"
+          onClick={() => setLightboxOpen(true)}
+          title="View full screen"
+          className="absolute top-2 right-2 flex items-center justify-center w-8 h-8 rounded-full bg-black/50 text-white hover:bg-black/70 transition-colors"
+        >
+          <FontAwesomeIcon icon={faExpand} className="w-3 h-3" />
+        </button>
+
+        {count > 1 && (
+          <>
+            <button type="button" onClick={previous} title="Previous" className={`${navButtonClass} left-2`}>
+              <FontAwesomeIcon icon={faChevronLeft} />
+            </button>
+            <button type="button" onClick={next} title="Next" className={`${navButtonClass} right-2`}>
+              <FontAwesomeIcon icon={faChevronRight} />
+            </button>
+            <div className="absolute bottom-2 left-1/2 -translate-x-1/2 flex gap-1.5">
+              {media.map((item, i) => (
+                <button
+                  key={`${item.url}-${i}`}
+                  type="button"
+                  onClick={() => setIndex(i)}
+                  title={`Show item ${i + 1}`}
+                  className={`w-2 h-2 rounded-full transition-colors ${i === index ? "bg-white" : "bg-white/40 hover:bg-white/70"}`}
+                />
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      {current.caption && <p className="mt-2 text-xs text-gray-400 text-center">{current.caption}</p>}
+
+      {lightboxOpen && (
+        <Lightbox
+          media={media}
+          title={title}
+          index={Math.min(index, count - 1)}
+          onChange={setIndex}
+          onClose={() => setLightboxOpen(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+MediaCarousel.propTypes = {
+  media: PropTypes.arrayOf(mediaItemPropType),
+  title: PropTypes.string,
+  className: PropTypes.string,
+};
+
+export default MediaCarousel;
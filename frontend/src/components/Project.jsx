@@ -2,6 +2,10 @@ import { faClock, faCode, faExternalLinkAlt, faLightbulb } from "@fortawesome/fr
 import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
 import PropTypes from "prop-types";
 import { useState } from "react";
+import { Link } from "react-router-dom";
+import { mediaItemPropType } from "../utils/projectMedia";
+import Markdown from "./Markdown";
+import MediaCarousel from "./MediaCarousel";
 
 const Project = ({
   title,
@@ -14,8 +18,11 @@ const Project = ({
   features = [],
   duration,
   challenges,
-  cloudinaryVideoUrl,
-  cloudinaryThumbnailUrl,
+  media = [],
+  detailPath,
+  onTechClick,
+  selectedTechnologies = [],
+  getTechIcon = () => null,
 }) => {
   const [isHovered, setIsHovered] = useState(false);
 
@@ -31,33 +38,9 @@ const Project = ({
       <div className="absolute inset-0 bg-gradient-to-r from-blue-500/5 to-purple-500/5 opacity-0 group-hover:opacity-100 transition-opacity duration-500"></div>
       <div className="absolute inset-0 bg-gradient-to-b from-transparent to-black/30 opacity-0 group-hover:opacity-100 transition-opacity duration-500"></div>
 
-      {/* Project video, thumbnail, or fallback image */}
-      {cloudinaryVideoUrl ? (
-        <div className="w-[100%] px-2 sm:px-4 pt-2 sm:pt-4 overflow-hidden">
-          <video
-            src={cloudinaryVideoUrl}
-            controls
-            className="w-full h-auto object-cover transform transition-transform duration-700"
-            style={{
-              aspectRatio: "16/9",
-            }}
-            preload="metadata"
-          >
-            Your browser does not support the video tag.
-          </video>
-        </div>
-      ) : cloudinaryThumbnailUrl ? (
-        <div className="w-[100%] px-2 sm:px-4 pt-2 sm:pt-4 overflow-hidden">
-          <img
-            src={cloudinaryThumbnailUrl}
-            alt={title}
-            loading="lazy"
-            className="w-full h-auto object-cover transform transition-transform duration-700"
-            style={{
-              aspectRatio: "16/9",
-            }}
-          />
-        </div>
+      {/* Project gallery, or fallback image */}
+      {media.length > 0 ? (
+        <MediaCarousel media={media} title={title} className="relative px-2 sm:px-4 pt-2 sm:pt-4" />
       ) : image && (
         <div className="w-[100%] px-2 sm:px-4 pt-2 sm:pt-4 overflow-hidden">
           <img
@@ -81,13 +64,18 @@ const Project = ({
               : "text-[#8594FB]"
           }`}
         >
-          {title}
+          {detailPath ? (
+            <Link to={detailPath} className="hover:underline">
+              {title}
+            </Link>
+          ) : title}
         </h3>
 
         {/* Description with fade-in effect */}
-        <p className="text-gray-400 text-sm leading-relaxed transform transition-all duration-500 group-hover:text-gray-300">
-          {description}
-        </p>
+        <Markdown
+          text={description}
+          className="text-gray-400 text-sm leading-relaxed transform transition-all duration-500 group-hover:text-gray-300"
+        />
 
 
         {/* Features List */}
@@ -105,7 +93,13 @@ const Project = ({
               ))}
               {features.length > 3 && (
                 <li className="text-[10px] sm:text-xs text-gray-500 italic">
-                  +{features.length - 3} more...
+                  {detailPath ? (
+                    <Link to={detailPath} className="hover:text-blue-300">
+                      +{features.length - 3} more - see the full case study
+                    </Link>
+                  ) : (
+                    `+${features.length - 3} more...`
+                  )}
                 </li>
               )}
             </ul>
@@ -116,14 +110,36 @@ const Project = ({
         {technologies.length > 0 && (
           <div className="pt-2">
             <div className="flex flex-wrap gap-1 sm:gap-2">
-              {technologies.map((tech, i) => (
-                <span
-                  key={i}
-                  className="px-1.5 sm:px-2 py-0.5 sm:py-1 text-[10px] sm:text-xs rounded-full bg-white/5 text-blue-300 border border-blue-500/20"
-                >
-                  {tech}
-                </span>
-              ))}
+              {technologies.map((tech, i) => {
+                const chipClass = "inline-flex items-center gap-1 px-1.5 sm:px-2 py-0.5 sm:py-1 text-[10px] sm:text-xs rounded-full bg-white/5 text-blue-300 border border-blue-500/20";
+                const icon = getTechIcon(tech);
+                const label = (
+                  <>
+                    {icon && <img src={icon} alt="" className="w-3 h-3 sm:w-3.5 sm:h-3.5 object-contain" />}
+                    {tech}
+                  </>
+                );
+                if (!onTechClick) {
+                  return (
+                    <span key={i} className={chipClass}>
+                      {label}
+                    </span>
+                  );
+                }
+                // Clicking a chip filters the projects section by that technology
+                const selected = selectedTechnologies.some((item) => item.toLowerCase() === tech.toLowerCase());
+                return (
+                  <button
+                    key={i}
+                    type="button"
+                    onClick={() => onTechClick(tech)}
+                    title={`Show projects using ${tech}`}
+                    className={`${chipClass} transition-colors duration-300 hover:bg-blue-500/20 hover:text-blue-200 ${selected ? "bg-blue-500/20 border-blue-400/50" : ""}`}
+                  >
+                    {label}
+                  </button>
+                );
+              })}
             </div>
           </div>
         )}
@@ -143,7 +159,7 @@ const Project = ({
               <FontAwesomeIcon icon={faLightbulb} className="w-3 h-3 text-orange-400 mt-0.5" />
               <div>
                 <span className="text-[10px] sm:text-xs font-semibold text-gray-300 block mb-1">Challenges:</span>
-                <p className="text-[10px] sm:text-xs text-gray-400 leading-relaxed">{challenges}</p>
+                <Markdown text={challenges} className="text-[10px] sm:text-xs text-gray-400 leading-relaxed" />
               </div>
             </div>
           </div>
@@ -151,6 +167,16 @@ const Project = ({
 
         {/* Action buttons */}
         <div className="flex flex-wrap items-center gap-2 sm:gap-3 pt-2 sm:pt-3">
+          {/* Detail page */}
+          {detailPath && (
+            <Link
+              to={detailPath}
+              className="inline-flex items-center px-2 sm:px-3 py-1 sm:py-2 rounded-xl bg-white/5 hover:bg-white/10 text-gray-300 hover:text-white transition-all duration-300"
+            >
+              <span className="text-xs sm:text-sm font-semibold whitespace-nowrap">Details</span>
+            </Link>
+          )}
+
           {/* Live project button */}
           {link && (
             <a
@@ -206,8 +232,11 @@ Project.propTypes = {
   features: PropTypes.arrayOf(PropTypes.string),
   duration: PropTypes.string,
   challenges: PropTypes.string,
-  cloudinaryVideoUrl: PropTypes.string,
-  cloudinaryThumbnailUrl: PropTypes.string,
+  media: PropTypes.arrayOf(mediaItemPropType),
+  detailPath: PropTypes.string,
+  onTechClick: PropTypes.func,
+  selectedTechnologies: PropTypes.arrayOf(PropTypes.string),
+  getTechIcon: PropTypes.func,
 };
 
 export default Project;
@@ -0,0 +1,167 @@
+import { faArrowLeft, faClock, faCode, faExternalLinkAlt, faLightbulb } from "@fortawesome/free-solid-svg-icons";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import { useEffect, useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import { useProjects } from "../context/ProjectsContext";
+import { getErrorCode, getErrorMessage } from "../utils/apiErrors";
+import Markdown from "./Markdown";
+import MediaCarousel from "./MediaCarousel";
+
+// Full page for a single project at /projects/:slug - the link to share with someone
+const ProjectDetail = () => {
+  const { slug } = useParams();
+  const navigate = useNavigate();
+  const { getProjectBySlug, findTech } = useProjects();
+  const [project, setProject] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    getProjectBySlug(slug)
+      .then((found) => {
+        if (cancelled) return;
+        // Old slugs and ids still resolve; show the current address
+        if (found.slug && found.slug !== slug) {
+          navigate(`/projects/${found.slug}`, { replace: true });
+        }
+        setProject(found);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setError(getErrorCode(err) === "NOT_FOUND" ? "This project doesn't exist or isn't public yet." : getErrorMessage(err));
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [slug, getProjectBySlug, navigate]);
+
+  useEffect(() => {
+    if (project?.title) document.title = project.title;
+  }, [project]);
+
+  return (
+    <section className="min-h-screen py-20 relative">
+      <div className="container mx-auto px-4 relative z-10">
+        <div className="max-w-4xl mx-auto">
+          <Link
+            to="/#projects"
+            className="inline-flex items-center gap-2 mb-6 text-sm text-blue-400 hover:text-blue-300 transition-colors"
+          >
+            <FontAwesomeIcon icon={faArrowLeft} />
+            <span>All projects</span>
+          </Link>
+
+          {loading && (
+            <div className="flex justify-center items-center py-20">
+              <div className="text-blue-400 text-xl">Loading project...</div>
+            </div>
+          )}
+
+          {!loading && error && (
+            <div className="flex justify-center items-center py-20">
+              <div className="text-red-400 text-xl">{error}</div>
+            </div>
+          )}
+
+          {!loading && !error && project && (
+            <article className="rounded-3xl bg-white/5 backdrop-blur-sm border border-white/10 shadow-2xl overflow-hidden">
+              {project.media?.length > 0 && (
+                <MediaCarousel media={project.media} title={project.title} className="p-4 sm:p-6 pb-0 sm:pb-0" />
+              )}
+
+              <div className="p-6 sm:p-10 space-y-6">
+                <h1 className="text-3xl md:text-4xl font-bold bg-gradient-to-r from-blue-400 to-purple-400 bg-clip-text text-transparent">
+                  {project.title}
+                </h1>
+
+                <Markdown text={project.description} className="text-gray-300 leading-relaxed" />
+
+                {project.tools?.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {project.tools.map((tech, i) => (
+                      <Link
+                        key={i}
+                        to={`/?tools=${encodeURIComponent(tech)}#projects`}
+                        title={`Show projects using ${tech}`}
+                        className="inline-flex items-center gap-1.5 px-2 py-1 text-xs rounded-full bg-white/5 text-blue-300 border border-blue-500/20 hover:bg-blue-500/20 hover:text-blue-200 transition-colors duration-300"
+                      >
+                        {findTech(tech)?.icon && <img src={findTech(tech).icon} alt="" className="w-3.5 h-3.5 object-contain" />}
+                        {tech}
+                      </Link>
+                    ))}
+                  </div>
+                )}
+
+                {project.features?.length > 0 && (
+                  <div>
+                    <h2 className="flex items-center gap-2 text-lg font-semibold text-gray-200 mb-2">
+                      <FontAwesomeIcon icon={faLightbulb} className="w-4 h-4 text-yellow-400" />
+                      Features
+                    </h2>
+                    <ul className="list-disc list-inside pl-2 space-y-1 text-gray-400">
+                      {project.features.map((feature, i) => (
+                        <li key={i}>{feature}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {project.challenges && (
+                  <div>
+                    <h2 className="flex items-center gap-2 text-lg font-semibold text-gray-200 mb-2">
+                      <FontAwesomeIcon icon={faLightbulb} className="w-4 h-4 text-orange-400" />
+                      Challenges
+                    </h2>
+                    <Markdown text={project.challenges} className="text-gray-400 leading-relaxed" />
+                  </div>
+                )}
+
+                {project.duration && (
+                  <div className="flex items-center gap-2 text-sm text-gray-400">
+                    <FontAwesomeIcon icon={faClock} className="w-4 h-4 text-blue-400" />
+                    <span>Duration: {project.duration}</span>
+                  </div>
+                )}
+
+                <div className="flex flex-wrap items-center gap-3 pt-2">
+                  {project.deployedUrl && (
+                    <a
+                      href={project.deployedUrl}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-blue-500/10 hover:bg-blue-500/20 text-blue-400 hover:text-blue-300 transition-all duration-300"
+                    >
+                      <span className="text-sm font-semibold">Visit Project</span>
+                      <FontAwesomeIcon icon={faExternalLinkAlt} className="w-3 h-3" />
+                    </a>
+                  )}
+                  {project.githubLink && (
+                    <a
+                      href={project.githubLink}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-purple-500/10 hover:bg-purple-500/20 text-purple-400 hover:text-purple-300 transition-all duration-300"
+                    >
+                      <FontAwesomeIcon icon={faCode} className="w-3 h-3" />
+                      <span className="text-sm font-semibold">Code</span>
+                    </a>
+                  )}
+                </div>
+              </div>
+            </article>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default ProjectDetail;
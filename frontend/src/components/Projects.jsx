@@ -1,11 +1,112 @@
 import AOS from 'aos';
 import 'aos/dist/aos.css';
 import { useEffect } from 'react';
+import InfiniteScroll from 'react-infinite-scroll-component';
+import { useLocation, useSearchParams } from 'react-router-dom';
 import { useProjects } from '../context/ProjectsContext';
 import Project from "./Project";
 
+// The technology filter lives in the URL (?tools=React,Node.js) so filtered views can be shared
+const parseTools = (value) => (value ? value.split(',').map((tool) => tool.trim()).filter(Boolean) : []);
+
+const sameTool = (a, b) => a.toLowerCase() === b.toLowerCase();
+
 const Projects = () => {
-  const { projects, loading, error } = useProjects();
+  // Both lists arrive in their manual order; featured ones get a hero row of their own
+  // and the rest load a page at a time as the visitor scrolls
+  const {
+    featuredProjects,
+    projects: otherProjects,
+    total,
+    hasMore,
+    loadMoreProjects,
+    loading,
+    error,
+    tools,
+    findTech,
+    setToolFilter,
+  } = useProjects();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const location = useLocation();
+
+  const toolsParam = searchParams.get('tools') || '';
+  const selectedTools = parseTools(toolsParam);
+  const isSelected = (tool) => selectedTools.some((selected) => sameTool(selected, tool));
+
+  // Selected tools no project uses any more (e.g. from an old shared link) stay visible so they can be cleared
+  const filterTools = [
+    ...tools,
+    ...selectedTools
+      .filter((selected) => !tools.some((tool) => sameTool(tool.name, selected)))
+      .map((name) => ({ name, count: 0 })),
+  ];
+
+  useEffect(() => {
+    setToolFilter(parseTools(toolsParam));
+  }, [toolsParam, setToolFilter]);
+
+  const updateToolFilter = (next) => {
+    const params = new URLSearchParams(searchParams);
+    if (next.length > 0) {
+      params.set('tools', next.join(','));
+    } else {
+      params.delete('tools');
+    }
+    setSearchParams(params, { replace: true, preventScrollReset: true });
+  };
+
+  const toggleTool = (tool) => {
+    updateToolFilter(isSelected(tool)
+      ? selectedTools.filter((selected) => !sameTool(selected, tool))
+      : [...selectedTools, tool]);
+  };
+
+  // Chips on a card add their tool to the filter and bring the filter bar into view
+  const applyTool = (tool) => {
+    if (!isSelected(tool)) updateToolFilter([...selectedTools, tool]);
+    document.getElementById('projects')?.scrollIntoView({ behavior: 'smooth' });
+  };
+
+  const renderProject = (proj, index) => {
+    // Map all backend schema fields to frontend props
+    const projectData = {
+      title: proj.title || '',
+      description: proj.description || '',
+      // Use deployedUrl for link button
+      link: proj.deployedUrl || '',
+      githubLink: proj.githubLink || '',
+      technologies: proj.tools || [],
+      // Keep image as fallback for old projects, but new ones use the media gallery
+      image: '', // No longer used - media is used instead
+      features: proj.features || [],
+      duration: proj.duration || '',
+      challenges: proj.challenges || '',
+      media: proj.media || [],
+      // Projects from before slugs existed are linked by id; the detail page redirects once they have one
+      detailPath: proj.slug || proj._id ? `/projects/${proj.slug || proj._id}` : '',
+    };
+
+    return (
+      <Project
+        key={proj._id || index}
+        title={projectData.title}
+        description={projectData.description}
+        link={projectData.link}
+        githubLink={projectData.githubLink}
+        technologies={projectData.technologies}
+        image={projectData.image}
+        features={projectData.features}
+        duration={projectData.duration}
+        challenges={projectData.challenges}
+        media={projectData.media}
+        detailPath={projectData.detailPath}
+        onTechClick={applyTool}
+        getTechIcon={(tech) => findTech(tech)?.icon}
+        selectedTechnologies={selectedTools}
+        index={index}
+      />
+    );
+  };
 
   useEffect(() => {
     AOS.init({
@@ -14,6 +115,13 @@ const Projects = () => {
     });
   }, []);
 
+  // Links like /?tools=React#projects (from a project page) land on this section once it has loaded
+  useEffect(() => {
+    if (!loading && location.hash === '#projects') {
+      document.getElementById('projects')?.scrollIntoView();
+    }
+  }, [loading, location.hash]);
+
   return (
     <section
       id="projects"
@@ -29,6 +137,50 @@ const Projects = () => {
             Projects
           </h2>
 
+          {filterTools.length > 0 && (
+            <div className="px-6 pb-2">
+              <div className="flex flex-wrap gap-2" role="group" aria-label="Filter projects by technology">
+                <button
+                  type="button"
+                  onClick={() => updateToolFilter([])}
+                  aria-pressed={selectedTools.length === 0}
+                  className={`px-3 py-1 text-xs sm:text-sm rounded-full border transition-all duration-300 ${
+                    selectedTools.length === 0
+                      ? 'bg-blue-500/20 text-blue-200 border-blue-400/50'
+                      : 'bg-white/5 text-gray-300 border-white/10 hover:bg-white/10'
+                  }`}
+                >
+                  All
+                </button>
+                {filterTools.map((tool) => {
+                  const active = isSelected(tool.name);
+                  return (
+                    <button
+                      key={tool.name}
+                      type="button"
+                      onClick={() => toggleTool(tool.name)}
+                      aria-pressed={active}
+                      className={`inline-flex items-center gap-1.5 px-3 py-1 text-xs sm:text-sm rounded-full border transition-all duration-300 ${
+                        active
+                          ? 'bg-blue-500/20 text-blue-200 border-blue-400/50'
+                          : 'bg-white/5 text-gray-300 border-white/10 hover:bg-white/10'
+                      }`}
+                    >
+                      {tool.icon && <img src={tool.icon} alt="" className="w-4 h-4 object-contain" />}
+                      <span>{tool.name}</span>
+                      <span className={active ? 'text-blue-300' : 'text-gray-500'}>{tool.count}</span>
+                    </button>
+                  );
+                })}
+              </div>
+              {selectedTools.length > 0 && !loading && !error && (
+                <p className="mt-3 text-xs sm:text-sm text-gray-400">
+                  {total} {total === 1 ? 'project uses' : 'projects use'} {selectedTools.join(' + ')}
+                </p>
+              )}
+            </div>
+          )}
+
           {loading && (
             <div className="flex justify-center items-center py-20">
               <div className="text-blue-400 text-xl">Loading projects...</div>
@@ -41,52 +193,40 @@ const Projects = () => {
             </div>
           )}
 
-          {!loading && !error && projects.length === 0 && (
+          {!loading && !error && featuredProjects.length === 0 && otherProjects.length === 0 && (
             <div className="flex justify-center items-center py-20">
-              <div className="text-gray-400 text-xl">No projects found</div>
+              <div className="text-gray-400 text-xl">
+                {selectedTools.length > 0 ? 'No projects use all of the selected technologies' : 'No projects found'}
+              </div>
             </div>
           )}
 
-          {!loading && !error && projects.length > 0 && (
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-2 gap-6 p-6 rounded-b-3xl">
-              {projects.map((proj, index) => {
-                // Map all backend schema fields to frontend props
-                const projectData = {
-                  title: proj.title || '',
-                  description: proj.description || '',
-                  // Use deployedUrl for link button
-                  link: proj.deployedUrl || '',
-                  githubLink: proj.githubLink || '',
-                  technologies: proj.tools || [],
-                  // Keep image as fallback for old projects, but new ones use cloudinaryThumbnailUrl
-                  image: '', // No longer used - cloudinaryVideoUrl and cloudinaryThumbnailUrl are used instead
-                  features: proj.features || [],
-                  duration: proj.duration || '',
-                  challenges: proj.challenges || '',
-                  cloudinaryVideoUrl: proj.cloudinaryVideoUrl || '',
-                  cloudinaryThumbnailUrl: proj.cloudinaryThumbnailUrl || '',
-                };
-
-                return (
-                  <Project
-                    key={proj._id || index}
-                    title={projectData.title}
-                    description={projectData.description}
-                    link={projectData.link}
-                    githubLink={projectData.githubLink}
-                    technologies={projectData.technologies}
-                    image={projectData.image}
-                    features={projectData.features}
-                    duration={projectData.duration}
-                    challenges={projectData.challenges}
-                    cloudinaryVideoUrl={projectData.cloudinaryVideoUrl}
-                    cloudinaryThumbnailUrl={projectData.cloudinaryThumbnailUrl}
-                    index={index}
-                  />
-                );
-              })}
+          {!loading && !error && featuredProjects.length > 0 && (
+            <div className="p-6 pb-0">
+              <h3 className="text-sm font-semibold uppercase tracking-widest text-yellow-300 mb-4">Featured</h3>
+              <div className={`grid grid-cols-1 gap-6 ${featuredProjects.length > 1 ? 'md:grid-cols-2' : ''}`}>
+                {featuredProjects.map(renderProject)}
+              </div>
             </div>
           )}
+
+          {!loading && !error && otherProjects.length > 0 && (
+            <InfiniteScroll
+              dataLength={otherProjects.length}
+              next={loadMoreProjects}
+              hasMore={hasMore}
+              loader={
+                <div className="flex justify-center pb-8">
+                  <div className="text-blue-400">Loading more projects...</div>
+                </div>
+              }
+              style={{ overflow: 'visible' }}
+            >
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-2 gap-6 p-6 rounded-b-3xl">
+                {otherProjects.map((proj, index) => renderProject(proj, featuredProjects.length + index))}
+              </div>
+            </InfiniteScroll>
+          )}
         </div>
       </div>
     </section>
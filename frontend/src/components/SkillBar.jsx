@@ -3,7 +3,9 @@ import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import AOS from "aos";
 import "aos/dist/aos.css";
 import { useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
 import { useSkills } from "../context/SkillsContext";
+import { LEVEL_LABELS, SKILL_LEVELS, formatYears, groupSkillsByCategory } from "../utils/skillCategories";
 
 // Add CSS animations
 const styles = `
@@ -82,6 +84,33 @@ const Skills = () => {
     }
   }, [expandedSkill]);
 
+  // Proficiency as filled bars (beginner = 1 ... expert = 4) plus years of experience
+  const renderLevel = (skill) => {
+    const levelIndex = SKILL_LEVELS.indexOf(skill.level);
+    const years = formatYears(skill.yearsOfExperience);
+    if (levelIndex === -1 && !years) return null;
+
+    const label = [LEVEL_LABELS[skill.level], years].filter(Boolean).join(' · ');
+    return (
+      <div className="flex flex-col items-center gap-0.5 mb-1 sm:mb-2" title={label} aria-label={label}>
+        {levelIndex !== -1 && (
+          <div className="flex gap-0.5 sm:gap-1">
+            {SKILL_LEVELS.map((level, i) => (
+              <span
+                key={level}
+                className={`h-1 w-2.5 sm:w-4 rounded-full ${i <= levelIndex ? 'bg-gradient-to-r from-blue-400 to-purple-400' : 'bg-white/15'}`}
+              ></span>
+            ))}
+          </div>
+        )}
+        <span className="text-[8px] sm:text-[10px] md:text-xs text-white/50 whitespace-nowrap">{label}</span>
+      </div>
+    );
+  };
+
+  // "Mar 2025" - when the skill was last used in a project
+  const formatLastUsed = (date) => new Date(date).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+
   if (loading) {
     return (
       <div className="flex justify-center items-center min-h-screen -mb-12 sm:-mb-8 md:-mb-4">
@@ -101,7 +130,7 @@ const Skills = () => {
   return (
     <div className="flex justify-center items-center min-h-screen -mb-12 sm:-mb-8 md:-mb-4 overflow-hidden" style={{ position: 'relative' }}>
       <style>{styles}</style>
-      <section className="w-full h-screen relative py-4 sm:py-8 md:py-16 overflow-hidden" style={{ position: 'relative', zIndex: 1 }}>
+      <section className="w-full min-h-screen relative py-4 sm:py-8 md:py-16 overflow-hidden" style={{ position: 'relative', zIndex: 1 }}>
         <div className="absolute inset-0 overflow-hidden">
           <div className="absolute top-1/4 left-1/4 w-52 md:w-64 h-52 md:h-64 bg-blue-500/10 rounded-full blur-3xl animate-pulse"></div>
           <div className="absolute bottom-1/4 right-1/4 w-52 md:w-64 h-52 md:h-64 bg-purple-500/10 rounded-full blur-3xl animate-pulse delay-1000"></div>
@@ -125,133 +154,178 @@ const Skills = () => {
           )}
 
           {skillsData.length > 0 && (
-            <div className="max-w-4xl mx-auto w-full p-4 sm:p-6 md:p-8 relative z-0">
-              <div className="grid grid-cols-3 sm:grid-cols-3 md:grid-cols-4 gap-3 sm:gap-6 md:gap-8 relative">
-                {skillsData.map((skill, index) => {
-                  return (
-                    <div
-                      key={skill._id || index}
-                      data-aos="fade-up"
-                      data-aos-delay={index * 50}
-                      className="skill-item flex flex-col items-center min-w-0"
-                      style={{
-                        position: 'relative',
-                        zIndex: expandedSkill === skill._id ? 10000 : 'auto'
-                      }}
-                    >
-                      {/* Title above icon */}
-                      <p className="text-[10px] sm:text-sm md:text-base font-medium text-white/90 hover:text-white text-center mb-1 sm:mb-1 md:mb-2 w-full truncate px-1">
-                        {skill.name}
-                      </p>
-
-                      {/* Icon and Button Container - static position */}
-                      <div
-                        className="relative w-full flex flex-col items-center"
-                        onMouseEnter={() => !isMobile && setHoveredSkill(skill._id)}
-                        onMouseLeave={() => !isMobile && setHoveredSkill(null)}
-                      >
-                        {/* Icon */}
+            <div className="max-w-4xl mx-auto w-full p-4 sm:p-6 md:p-8 relative z-0 space-y-6 sm:space-y-10">
+              {groupSkillsByCategory(skillsData).map((group) => (
+                <div key={group.category}>
+                  <h3
+                    className="text-xs sm:text-sm font-semibold uppercase tracking-widest text-white/60 mb-3 sm:mb-5 text-center"
+                    data-aos="fade-up"
+                  >
+                    {group.category}
+                  </h3>
+                  <div className="grid grid-cols-3 sm:grid-cols-3 md:grid-cols-4 gap-3 sm:gap-6 md:gap-8 relative">
+                    {group.skills.map((skill, index) => {
+                      return (
                         <div
-                          className="w-10 h-10 sm:w-16 sm:h-16 md:w-20 md:h-20 flex items-center justify-center cursor-pointer hover:scale-105 transition-transform"
-                          onClick={() => {
-                            setExpandedSkill(expandedSkill === skill._id ? null : skill._id);
+                          key={skill._id || index}
+                          data-aos="fade-up"
+                          data-aos-delay={index * 50}
+                          className="skill-item flex flex-col items-center min-w-0"
+                          style={{
+                            position: 'relative',
+                            zIndex: expandedSkill === skill._id ? 10000 : 'auto'
                           }}
                         >
-                          <img
-                            src={skill.imageUrl}
-                            alt={`${skill.name} icon`}
-                            className="w-full h-full object-contain"
-                            style={{ pointerEvents: 'none' }}
-                          />
-                        </div>
-
-                        {/* Expand Icon Button - only show if topics exist */}
-                        {skill.topics?.length > 0 && (
-                          <button
-                            onClick={(e) => {
-                              e.stopPropagation();
-                              setExpandedSkill(expandedSkill === skill._id ? null : skill._id);
-                            }}
-                            className="mt-1 sm:mt-2 w-5 h-5 sm:w-7 sm:h-7 md:w-8 md:h-8 bg-blue-500 hover:bg-blue-600 rounded-full flex items-center justify-center shadow-lg transition-colors border-2 border-white/20"
-                            title={expandedSkill === skill._id ? "Hide topics" : "Show topics"}
-                          >
-                            <FontAwesomeIcon
-                              icon={expandedSkill === skill._id ? faChevronUp : faChevronDown}
-                              className="text-white text-[10px] sm:text-xs md:text-sm"
-                            />
-                          </button>
-                        )}
+                          {/* Title above icon */}
+                          <p className="text-[10px] sm:text-sm md:text-base font-medium text-white/90 hover:text-white text-center mb-1 sm:mb-1 md:mb-2 w-full truncate px-1">
+                            {skill.name}
+                          </p>
+                          {renderLevel(skill)}
 
-                        {/* Desktop tooltip - only shown on desktop when not expanded */}
-                        {!isMobile && hoveredSkill === skill._id && expandedSkill !== skill._id && (
+                          {/* Icon and Button Container - static position */}
                           <div
-                            ref={tooltipRef}
-                            className="absolute -top-20 left-1/2 transform -translate-x-1/2 w-48 bg-gray-900/95 backdrop-blur-md text-white text-xs rounded-lg p-3 shadow-xl border border-white/10 pointer-events-none"
-                            style={{ zIndex: 100 }}
+                            className="relative w-full flex flex-col items-center"
+                            onMouseEnter={() => !isMobile && setHoveredSkill(skill._id)}
+                            onMouseLeave={() => !isMobile && setHoveredSkill(null)}
                           >
+                            {/* Icon */}
                             <div
-                              className="absolute bottom-0 left-1/2 transform -translate-x-1/2 translate-y-1/2 rotate-45 w-3 h-3 bg-gray-900/95 border-b border-r border-white/10"
-                            ></div>
-                            {skill.topics?.length > 0 ? (
-                              <div>
-                                <p className="font-semibold mb-1">Click to view topics</p>
+                              className="w-10 h-10 sm:w-16 sm:h-16 md:w-20 md:h-20 flex items-center justify-center cursor-pointer hover:scale-105 transition-transform"
+                              onClick={() => {
+                                setExpandedSkill(expandedSkill === skill._id ? null : skill._id);
+                              }}
+                            >
+                              <img
+                                src={skill.imageUrl}
+                                alt={`${skill.name} icon`}
+                                className="w-full h-full object-contain"
+                                style={{ pointerEvents: 'none' }}
+                              />
+                            </div>
+
+                            {/* Expand Icon Button - only show if topics exist */}
+                            {skill.topics?.length > 0 && (
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  setExpandedSkill(expandedSkill === skill._id ? null : skill._id);
+                                }}
+                                className="mt-1 sm:mt-2 w-5 h-5 sm:w-7 sm:h-7 md:w-8 md:h-8 bg-blue-500 hover:bg-blue-600 rounded-full flex items-center justify-center shadow-lg transition-colors border-2 border-white/20"
+                                title={expandedSkill === skill._id ? "Hide topics" : "Show topics"}
+                              >
+                                <FontAwesomeIcon
+                                  icon={expandedSkill === skill._id ? faChevronUp : faChevronDown}
+                                  className="text-white text-[10px] sm:text-xs md:text-sm"
+                                />
+                              </button>
+                            )}
+
+                            {/* Desktop tooltip - only shown on desktop when not expanded */}
+                            {!isMobile && hoveredSkill === skill._id && expandedSkill !== skill._id && (
+                              <div
+                                ref={tooltipRef}
+                                className="absolute bottom-full mb-2 left-1/2 transform -translate-x-1/2 w-48 bg-gray-900/95 backdrop-blur-md text-white text-xs rounded-lg p-3 shadow-xl border border-white/10 pointer-events-none"
+                                style={{ zIndex: 100 }}
+                              >
+                                <div
+                                  className="absolute bottom-0 left-1/2 transform -translate-x-1/2 translate-y-1/2 rotate-45 w-3 h-3 bg-gray-900/95 border-b border-r border-white/10"
+                                ></div>
+                                {skill.usage?.projectCount > 0 && (
+                                  <div className="mb-2">
+                                    <p className="font-semibold mb-1">
+                                      Used in {skill.usage.projectCount} {skill.usage.projectCount === 1 ? 'project' : 'projects'}
+                                    </p>
+                                    <ul className="space-y-0.5 text-white/70">
+                                      {skill.usage.projects.slice(0, 4).map((project) => (
+                                        <li key={project._id} className="truncate">{project.title}</li>
+                                      ))}
+                                      {skill.usage.projectCount > 4 && (
+                                        <li className="text-white/50">+{skill.usage.projectCount - 4} more</li>
+                                      )}
+                                    </ul>
+                                    {skill.usage.lastUsedAt && (
+                                      <p className="mt-1 text-white/50">Last used {formatLastUsed(skill.usage.lastUsedAt)}</p>
+                                    )}
+                                  </div>
+                                )}
+                                {skill.topics?.length > 0 ? (
+                                  <div>
+                                    <p className="font-semibold mb-1">Click to view topics</p>
+                                  </div>
+                                ) : (
+                                  <p>No topics available</p>
+                                )}
                               </div>
-                            ) : (
-                              <p>No topics available</p>
                             )}
                           </div>
-                        )}
-                      </div>
 
-                      {/* Topics List - centered below each item */}
-                      {expandedSkill === skill._id && skill.topics?.length > 0 && (
-                        <div
-                          className="absolute w-32 sm:w-48 md:w-56 px-2 pointer-events-auto transition-all duration-300 ease-out left-1/2 transform -translate-x-1/2"
-                          style={{
-                            position: 'absolute',
-                            top: '100%',
-                            marginTop: '0.5rem',
-                            zIndex: 999999,
-                            isolation: 'isolate',
-                            animation: 'slideDown 0.3s ease-out',
-                            maxHeight: isMobile ? '38vh' : '42vh',
-                            overflowY: 'auto'
-                          }}
-                        >
-                          <div className="space-y-1 bg-gray-900/95 backdrop-blur-md rounded-lg p-2 sm:p-3 border border-white/10 shadow-2xl" style={{ width: '100%' }}>
-                            {skill.topics.map((topic, idx) => (
+                          {/* Topics List - centered below each item */}
+                          {expandedSkill === skill._id && skill.topics?.length > 0 && (
+                            <div
+                              className="absolute w-32 sm:w-48 md:w-56 px-2 pointer-events-auto transition-all duration-300 ease-out left-1/2 transform -translate-x-1/2"
+                              style={{
+                                position: 'absolute',
+                                top: '100%',
+                                marginTop: '0.5rem',
+                                zIndex: 999999,
+                                isolation: 'isolate',
+                                animation: 'slideDown 0.3s ease-out',
+                                maxHeight: isMobile ? '38vh' : '42vh',
+                                overflowY: 'auto'
+                              }}
+                            >
+                              <div className="space-y-1 bg-gray-900/95 backdrop-blur-md rounded-lg p-2 sm:p-3 border border-white/10 shadow-2xl" style={{ width: '100%' }}>
+                                {skill.topics.map((topic, idx) => (
+                                  <div
+                                    key={idx}
+                                    className="text-[9px] sm:text-xs md:text-sm text-gray-300 text-left px-1.5 sm:px-2 py-0.5 sm:py-1 bg-blue-500/10 rounded transition-all duration-200 break-words flex items-center gap-1 sm:gap-2"
+                                    style={{
+                                      animation: `fadeIn 0.3s ease-out ${Math.min(idx * 0.05, 1)}s both`,
+                                      wordBreak: 'break-word',
+                                      overflowWrap: 'break-word',
+                                      hyphens: 'auto'
+                                    }}
+                                    title={topic}
+                                  >
+                                    <span className="text-gray-500 text-[8px] sm:text-[10px] md:text-xs font-mono flex-shrink-0">
+                                      {(idx + 1).toString().padStart(2, '0')}
+                                    </span>
+                                    <span className="flex-1 text-left">{topic}</span>
+                                  </div>
+                                ))}
+                                {/* Projects built with this skill */}
+                                {skill.usage?.projectCount > 0 && (
+                                  <div className="pt-2 mt-1 border-t border-white/10">
+                                    <p className="text-[8px] sm:text-[10px] md:text-xs uppercase tracking-wider text-gray-500 mb-1">Used in</p>
+                                    {skill.usage.projects.map((project) => (
+                                      <Link
+                                        key={project._id}
+                                        to={`/projects/${project.slug || project._id}`}
+                                        className="block text-[9px] sm:text-xs md:text-sm text-blue-300 hover:text-blue-200 truncate px-1.5 sm:px-2 py-0.5"
+                                        title={project.title}
+                                      >
+                                        {project.title}
+                                      </Link>
+                                    ))}
+                                  </div>
+                                )}
+                              </div>
+                              {/* Arrow pointing up */}
                               <div
-                                key={idx}
-                                className="text-[9px] sm:text-xs md:text-sm text-gray-300 text-left px-1.5 sm:px-2 py-0.5 sm:py-1 bg-blue-500/10 rounded transition-all duration-200 break-words flex items-center gap-1 sm:gap-2"
+                                className="absolute w-2 h-2 bg-gray-900/95 border-t border-l border-white/10 left-1/2 transform -translate-x-1/2"
                                 style={{
-                                  animation: `fadeIn 0.3s ease-out ${Math.min(idx * 0.05, 1)}s both`,
-                                  wordBreak: 'break-word',
-                                  overflowWrap: 'break-word',
-                                  hyphens: 'auto'
+                                  top: '-4px',
+                                  transform: 'translateX(-50%) rotate(45deg)'
                                 }}
-                                title={topic}
-                              >
-                                <span className="text-gray-500 text-[8px] sm:text-[10px] md:text-xs font-mono flex-shrink-0">
-                                  {(idx + 1).toString().padStart(2, '0')}
-                                </span>
-                                <span className="flex-1 text-left">{topic}</span>
-                              </div>
-                            ))}
-                          </div>
-                          {/* Arrow pointing up */}
-                          <div
-                            className="absolute w-2 h-2 bg-gray-900/95 border-t border-l border-white/10 left-1/2 transform -translate-x-1/2"
-                            style={{
-                              top: '-4px',
-                              transform: 'translateX(-50%) rotate(45deg)'
-                            }}
-                          ></div>
+                              ></div>
+                            </div>
+                          )}
                         </div>
-                      )}
-                    </div>
-                  );
-                })}
-              </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
             </div>
           )}
         </div>
@@ -1,23 +1,44 @@
 import {
+  faArrowDown,
+  faArrowUp,
   faCode,
   faEdit,
+  faEnvelope,
+  faFileImport,
+  faHistory,
   faHome,
   faLaptopCode,
   faPlus,
   faSave,
+  faShieldAlt,
   faSignOutAlt,
+  faStar,
   faTimes,
   faTrash,
+  faTrashRestore,
 } from '@fortawesome/free-solid-svg-icons';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import axios from 'axios';
-import { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { useCallback, useEffect, useState } from 'react';
 import { Link } from 'react-router-dom';
 import swal from 'sweetalert2';
 import { useAuth } from '../context/AuthContext';
 import { useProjects } from '../context/ProjectsContext';
 import { useSkills } from '../context/SkillsContext';
+import { useDragReorder } from '../hooks/useDragReorder';
+import { useValidationSchema } from '../hooks/useValidationSchema';
+import { getErrorMessage } from '../utils/apiErrors';
+import { markdownToText } from '../utils/markdown';
 import { uploadImageToCloudinary, uploadVideoToCloudinary } from '../utils/cloudinaryUpload';
+import { ROLES, can } from '../utils/permissions';
+import { MEDIA_FOLDERS, withCover } from '../utils/projectMedia';
+import { PROJECT_STATUSES, STATUS_LABELS, resolveStatus, toDateTimeLocal } from '../utils/projectStatus';
+import { DEFAULT_CATEGORY, LEVEL_LABELS, SKILL_CATEGORIES, SKILL_LEVELS, formatYears, groupSkillsByCategory } from '../utils/skillCategories';
+import { findSkillForTool } from '../utils/skillLinks';
+import { normalizeToolName } from '../utils/techTaxonomy';
+import { validate } from '../utils/validation';
+import Markdown from './Markdown';
 
 // Helper to ensure HTTPS in production
 const ensureHttps = (url) => {
@@ -32,8 +53,16 @@ const API_BASE_URL = BASE_URL.endsWith('/api') ? BASE_URL : `${BASE_URL}/api`;
 
 axios.defaults.withCredentials = true;
 
+const STATUS_BADGE_CLASSES = {
+  draft: 'bg-gray-500/20 text-gray-300 border-gray-500/40',
+  published: 'bg-green-500/20 text-green-300 border-green-500/40',
+  scheduled: 'bg-yellow-500/20 text-yellow-300 border-yellow-500/40',
+  archived: 'bg-red-500/20 text-red-300 border-red-500/40',
+};
+
 const UnifiedDashboard = () => {
-  const [activeTab, setActiveTab] = useState('projects'); // 'projects' or 'skills'
+  const { user } = useAuth();
+  const [activeTab, setActiveTab] = useState('projects'); // 'projects', 'skills', 'trash', 'security' or 'emails'
   
   return (
     <div className="min-h-screen bg-gradient-to-b from-black via-[#0a1122] to-black text-white p-4 sm:p-8">
@@ -79,10 +108,49 @@ const UnifiedDashboard = () => {
             <FontAwesomeIcon icon={faCode} className="mr-2" />
             Skills
           </button>
+          <button
+            onClick={() => setActiveTab('trash')}
+            className={`px-6 py-3 font-semibold transition-colors border-b-2 ${
+              activeTab === 'trash'
+                ? 'border-red-400 text-red-400'
+                : 'border-transparent text-gray-400 hover:text-white'
+            }`}
+          >
+            <FontAwesomeIcon icon={faTrash} className="mr-2" />
+            Trash
+          </button>
+          <button
+            onClick={() => setActiveTab('security')}
+            className={`px-6 py-3 font-semibold transition-colors border-b-2 ${
+              activeTab === 'security'
+                ? 'border-green-400 text-green-400'
+                : 'border-transparent text-gray-400 hover:text-white'
+            }`}
+          >
+            <FontAwesomeIcon icon={faShieldAlt} className="mr-2" />
+            Security
+          </button>
+          {can(user, 'settings:manage') && (
+            <button
+              onClick={() => setActiveTab('emails')}
+              className={`px-6 py-3 font-semibold transition-colors border-b-2 ${
+                activeTab === 'emails'
+                  ? 'border-yellow-400 text-yellow-400'
+                  : 'border-transparent text-gray-400 hover:text-white'
+              }`}
+            >
+              <FontAwesomeIcon icon={faEnvelope} className="mr-2" />
+              Emails
+            </button>
+          )}
         </div>
 
         {/* Content Area */}
-        {activeTab === 'projects' ? <ProjectsView /> : <SkillsView />}
+        {activeTab === 'projects' && <ProjectsView />}
+        {activeTab === 'skills' && <SkillsView />}
+        {activeTab === 'trash' && <TrashView />}
+        {activeTab === 'security' && <SecurityView />}
+        {activeTab === 'emails' && can(user, 'settings:manage') && <EmailTemplatesView />}
       </div>
     </div>
   );
@@ -108,13 +176,35 @@ const LogoutButton = () => {
   );
 };
 
+// Gallery items as the API takes them (without local upload state)
+const toMediaFields = (items) => {
+  return items.map(({ type, url, publicId, alt, caption, cover }) => ({
+    type,
+    url,
+    publicId: publicId || '',
+    alt: alt || '',
+    caption: caption || '',
+    cover: Boolean(cover),
+  }));
+};
+
 // Projects View Component
 const ProjectsView = () => {
-  const { projects, refreshProjects } = useProjects();
+  // The shared context only holds live projects (it feeds the public site);
+  // the dashboard loads every status itself
+  const { refreshProjects, findTech } = useProjects();
+  // Tools are picked from the skills list where possible so projects link to them
+  const { skills, refreshSkills } = useSkills();
+  const [projects, setProjects] = useState([]);
+  const [statusCounts, setStatusCounts] = useState({});
+  const [statusFilter, setStatusFilter] = useState('all');
+  const { user } = useAuth();
+  const canEdit = can(user, 'content:edit');
   const [isEditing, setIsEditing] = useState(null);
   const [isAdding, setIsAdding] = useState(false);
   const [formData, setFormData] = useState({
     title: '',
+    slug: '',
     description: '',
     features: [],
     tools: [],
@@ -122,23 +212,75 @@ const ProjectsView = () => {
     deployedUrl: '',
     duration: '',
     challenges: '',
+    status: 'draft',
+    publishAt: '',
+    featured: false,
   });
 
   const [newFeature, setNewFeature] = useState('');
   const [newTool, setNewTool] = useState('');
-  const [videoFile, setVideoFile] = useState(null);
-  const [videoPreview, setVideoPreview] = useState(null);
-  const [thumbnailFile, setThumbnailFile] = useState(null);
-  const [thumbnailPreview, setThumbnailPreview] = useState(null);
+  // The gallery in display order; files picked but not uploaded yet carry `file` and a local preview url
+  const [mediaItems, setMediaItems] = useState([]);
   const [uploading, setUploading] = useState(false);
-  const [existingVideoUrl, setExistingVideoUrl] = useState(null);
-  const [existingThumbnailUrl, setExistingThumbnailUrl] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [historyProject, setHistoryProject] = useState(null);
+  // Same rules the API applies, so mistakes show up before anything is uploaded
+  const projectSchema = useValidationSchema(`${API_BASE_URL}/projects/schema`);
+
+  const fetchProjects = useCallback(async () => {
+    try {
+      // The list is paged; walk every page so drag-reordering sees the whole list
+      const params = { limit: 100, ...(statusFilter === 'all' ? {} : { status: statusFilter }) };
+      let all = [];
+      let cursor = null;
+      let data;
+      do {
+        const response = await axios.get(`${API_BASE_URL}/projects`, {
+          params: cursor ? { ...params, cursor } : params,
+        });
+        data = response.data;
+        all = all.concat(data.projects || []);
+        cursor = data.nextCursor;
+      } while (cursor);
+      setProjects(all);
+      setStatusCounts(data.statusCounts || {});
+    } catch (error) {
+      console.error('Error fetching projects:', error);
+    }
+  }, [statusFilter]);
 
-  // Only fetch on mount, not on every render
   useEffect(() => {
+    fetchProjects();
+  }, [fetchProjects]);
+
+  // Reload the dashboard list and the public site's copy after a change
+  // (skills too - their usage counts come from projects)
+  const reloadProjects = () => {
+    fetchProjects();
     refreshProjects();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []); // Empty deps - only run once on mount
+    refreshSkills();
+  };
+
+  // Manual order only makes sense on the full list
+  const canReorder = canEdit && statusFilter === 'all';
+
+  const saveProjectOrder = async (ordered) => {
+    const previous = projects;
+    setProjects(ordered);
+    try {
+      await axios.put(`${API_BASE_URL}/projects/order`, { ids: ordered.map((project) => project._id) });
+      refreshProjects();
+    } catch (error) {
+      setProjects(previous);
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to save the new order'),
+        icon: 'error',
+      });
+    }
+  };
+
+  const { getDragProps, overIndex } = useDragReorder(projects, saveProjectOrder);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -162,14 +304,28 @@ const ProjectsView = () => {
     }));
   };
 
-  const addTool = () => {
-    if (newTool.trim()) {
-      setFormData((prev) => ({
-        ...prev,
-        tools: [...prev.tools, newTool.trim()],
-      }));
-      setNewTool('');
-    }
+  // Skills matching what's typed in the tool box, minus ones already added
+  const toolSuggestions = newTool.trim()
+    ? skills
+      .filter((skill) => normalizeToolName(skill.name).includes(normalizeToolName(newTool)))
+      .filter((skill) => !formData.tools.some((tool) => normalizeToolName(tool) === normalizeToolName(skill.name)))
+      .slice(0, 6)
+    : [];
+
+  // Known technologies take their canonical name and other skills their own spelling,
+  // like the server does on save; anything else is added as typed
+  const addTool = (name = newTool) => {
+    const typed = name.trim();
+    if (!typed) return;
+    const skill = findSkillForTool(skills, typed, findTech);
+    const tool = findTech(typed)?.name || skill?.name || typed;
+    setFormData((prev) => ({
+      ...prev,
+      tools: prev.tools.some((existing) => normalizeToolName(existing) === normalizeToolName(tool))
+        ? prev.tools
+        : [...prev.tools, tool],
+    }));
+    setNewTool('');
   };
 
   const removeTool = (index) => {
@@ -184,6 +340,7 @@ const ProjectsView = () => {
     setIsAdding(false);
     setFormData({
       title: project.title || '',
+      slug: project.slug || '',
       description: project.description || '',
       features: project.features || [],
       tools: project.tools || [],
@@ -191,13 +348,12 @@ const ProjectsView = () => {
       deployedUrl: project.deployedUrl || '',
       duration: project.duration || '',
       challenges: project.challenges || '',
+      status: resolveStatus(project),
+      publishAt: toDateTimeLocal(project.publishAt),
+      featured: Boolean(project.featured),
     });
-    setVideoFile(null);
-    setVideoPreview(null);
-    setThumbnailFile(null);
-    setThumbnailPreview(null);
-    setExistingVideoUrl(project.cloudinaryVideoUrl || null);
-    setExistingThumbnailUrl(project.cloudinaryThumbnailUrl || null);
+    setMediaItems(withCover(project.media || []));
+    setFieldErrors({});
   };
 
   const cancelEdit = () => {
@@ -205,6 +361,7 @@ const ProjectsView = () => {
     setIsAdding(false);
     setFormData({
       title: '',
+      slug: '',
       description: '',
       features: [],
       tools: [],
@@ -212,180 +369,154 @@ const ProjectsView = () => {
       deployedUrl: '',
       duration: '',
       challenges: '',
+      status: 'draft',
+      publishAt: '',
+      featured: false,
     });
     setNewFeature('');
     setNewTool('');
-    setVideoFile(null);
-    setVideoPreview(null);
-    setThumbnailFile(null);
-    setThumbnailPreview(null);
-    setExistingVideoUrl(null);
-    setExistingThumbnailUrl(null);
+    setMediaItems([]);
+    setFieldErrors({});
   };
 
-  const handleVideoChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      const validTypes = ['video/mp4', 'video/quicktime', 'video/x-msvideo', 'video/webm', 'video/mkv'];
-      if (!validTypes.includes(file.type) && !file.name.match(/\.(mp4|mov|avi|wmv|flv|webm|mkv)$/i)) {
-        swal.fire({
-          title: 'Invalid File Type',
-          text: 'Please upload a valid video file (mp4, mov, avi, webm, etc.)',
-          icon: 'error',
-        });
-        return;
-      }
-
-      if (file.size > 100 * 1024 * 1024) {
-        swal.fire({
-          title: 'File Too Large',
-          text: 'Video file must be less than 100MB',
-          icon: 'error',
-        });
-        return;
+  // Add picked images and videos to the end of the gallery
+  const handleMediaFiles = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    const maxItems = projectSchema?.media?.maxItems;
+    const rejected = [];
+    const added = [];
+
+    files.forEach((file) => {
+      const type = file.type.startsWith('video/') || /\.(mp4|mov|avi|wmv|flv|webm|mkv)$/i.test(file.name)
+        ? 'video'
+        : file.type.startsWith('image/') || /\.(jpeg|jpg|png|gif|webp)$/i.test(file.name) ? 'image' : null;
+      if (!type) {
+        rejected.push(`${file.name}: not an image or video`);
+      } else if (file.size > (type === 'video' ? 100 : 10) * 1024 * 1024) {
+        rejected.push(`${file.name}: ${type === 'video' ? 'videos' : 'images'} must be less than ${type === 'video' ? '100MB' : '10MB'}`);
+      } else if (maxItems && mediaItems.length + added.length >= maxItems) {
+        rejected.push(`${file.name}: a project can have at most ${maxItems} media items`);
+      } else {
+        added.push({ type, url: URL.createObjectURL(file), file, publicId: '', alt: '', caption: '', cover: false });
       }
+    });
 
-      setVideoFile(file);
-      setVideoPreview(URL.createObjectURL(file));
-      setExistingVideoUrl(null);
+    if (added.length > 0) {
+      setMediaItems((prev) => withCover([...prev, ...added]));
+    }
+    if (rejected.length > 0) {
+      swal.fire({
+        title: 'Some files were skipped',
+        text: rejected.join('\n'),
+        icon: 'error',
+      });
     }
   };
 
-  const removeVideo = () => {
-    setVideoFile(null);
-    setVideoPreview(null);
-    setExistingVideoUrl(null);
-    if (isEditing) {
-      setFormData(prev => ({
-        ...prev,
-        cloudinaryVideoUrl: '',
-        removeVideo: 'true'
-      }));
-    }
+  const updateMediaItem = (index, changes) => {
+    setMediaItems((prev) => prev.map((item, i) => (i === index ? { ...item, ...changes } : item)));
   };
 
-  const handleThumbnailChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      const validTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
-      if (!validTypes.includes(file.type) && !file.name.match(/\.(jpeg|jpg|png|gif|webp)$/i)) {
-        swal.fire({
-          title: 'Invalid File Type',
-          text: 'Please upload a valid image file (jpg, png, gif, webp)',
-          icon: 'error',
-        });
-        return;
-      }
+  const moveMediaItem = (index, offset) => {
+    setMediaItems((prev) => {
+      const target = index + offset;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
 
-      if (file.size > 10 * 1024 * 1024) {
+  // Removed uploads stay in Cloudinary while earlier revisions use them
+  const removeMediaItem = (index) => {
+    setMediaItems((prev) => {
+      if (prev[index].file) URL.revokeObjectURL(prev[index].url);
+      return withCover(prev.filter((_, i) => i !== index));
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // datetime-local values are local time; the API gets an ISO timestamp
+    // Files that aren't uploaded yet have no URL to check, so they're left out here
+    const projectFields = {
+      ...formData,
+      publishAt: formData.publishAt ? new Date(formData.publishAt).toISOString() : '',
+      media: toMediaFields(mediaItems.filter((item) => !item.file)),
+    };
+
+    if (projectSchema) {
+      const { errors } = validate(projectSchema, projectFields, { partial: Boolean(isEditing) });
+      setFieldErrors(errors || {});
+      if (errors) {
         swal.fire({
-          title: 'File Too Large',
-          text: 'Thumbnail file must be less than 10MB',
+          title: 'Please fix the highlighted fields',
+          text: Object.values(errors).join('\n'),
           icon: 'error',
         });
         return;
       }
-
-      setThumbnailFile(file);
-      setThumbnailPreview(URL.createObjectURL(file));
-      setExistingThumbnailUrl(null);
-    }
-  };
-
-  const removeThumbnail = () => {
-    setThumbnailFile(null);
-    setThumbnailPreview(null);
-    setExistingThumbnailUrl(null);
-    if (isEditing) {
-      setFormData(prev => ({
-        ...prev,
-        cloudinaryThumbnailUrl: '',
-        removeThumbnail: 'true'
-      }));
     }
-  };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
     setUploading(true);
 
+    const saveProject = (data, params) => {
+      const request = isEditing ? axios.put : axios.post;
+      const url = isEditing ? `${API_BASE_URL}/projects/${isEditing}` : `${API_BASE_URL}/projects`;
+      return request(url, data, {
+        params,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      });
+    };
+
     try {
-      // Upload files directly to Cloudinary first
-      let cloudinaryVideoUrl = existingVideoUrl;
-      let cloudinaryVideoPublicId = formData.cloudinaryVideoPublicId;
-      
-      if (videoFile) {
-        swal.fire({
-          title: 'Uploading video...',
-          text: 'Please wait while we upload your video to Cloudinary',
-          allowOutsideClick: false,
-          didOpen: () => {
-            swal.showLoading();
-          }
-        });
-        
-        const videoResult = await uploadVideoToCloudinary(videoFile, 'project-videos');
-        cloudinaryVideoUrl = videoResult.url;
-        cloudinaryVideoPublicId = videoResult.public_id;
+      const pending = mediaItems.filter((item) => item.file);
+      // Let the server check the slug and every other field before anything is uploaded,
+      // so a rejected save doesn't leave files behind in Cloudinary
+      if (pending.length > 0) {
+        await saveProject(projectFields, { dryRun: true });
       }
 
-      let cloudinaryThumbnailUrl = existingThumbnailUrl;
-      let cloudinaryThumbnailPublicId = formData.cloudinaryThumbnailPublicId;
-
-      if (thumbnailFile) {
+      // Upload new files directly to Cloudinary, one at a time. Each upload is written back
+      // into the gallery right away, so retrying after a failed save reuses it
+      const media = [];
+      for (const item of mediaItems) {
+        if (!item.file) {
+          media.push(item);
+          continue;
+        }
         swal.fire({
-          title: 'Uploading thumbnail...',
-          text: 'Please wait while we upload your thumbnail',
+          title: `Uploading media ${pending.indexOf(item) + 1} of ${pending.length}...`,
+          text: `Please wait while we upload ${item.file.name} to Cloudinary`,
           allowOutsideClick: false,
           didOpen: () => {
             swal.showLoading();
           }
         });
-        
-        const thumbnailResult = await uploadImageToCloudinary(thumbnailFile, 'project-thumbnails');
-        cloudinaryThumbnailUrl = thumbnailResult.url;
-        cloudinaryThumbnailPublicId = thumbnailResult.public_id;
+        const uploadFile = item.type === 'video' ? uploadVideoToCloudinary : uploadImageToCloudinary;
+        const result = await uploadFile(item.file, MEDIA_FOLDERS[item.type]);
+        const { file, ...rest } = item;
+        const uploaded = { ...rest, url: result.url, publicId: result.public_id };
+        media.push(uploaded);
+        setMediaItems((prev) => prev.map((entry) => (entry.file === file ? uploaded : entry)));
+        URL.revokeObjectURL(item.url);
       }
 
       // Prepare data to send to backend (JSON with Cloudinary URLs - bypasses Vercel limits)
       // Similar to Next.js pattern: frontend uploads to Cloudinary, backend just saves URLs
       const submitData = {
-        ...formData,
-        // Send Cloudinary URLs (secure_url equivalent) and public_ids
-        cloudinaryVideoUrl: cloudinaryVideoUrl || '',
-        cloudinaryVideoPublicId: cloudinaryVideoPublicId || '',
-        cloudinaryThumbnailUrl: cloudinaryThumbnailUrl || '',
-        cloudinaryThumbnailPublicId: cloudinaryThumbnailPublicId || ''
+        ...projectFields,
+        // The whole gallery, in order; the backend replaces the stored one with it
+        media: toMediaFields(media),
       };
 
-      // Handle removal flags for updates
-      if (isEditing) {
-        if (!videoFile && !existingVideoUrl) {
-          // User wants to remove video
-          submitData.removeVideo = 'true';
-          submitData.cloudinaryVideoUrl = '';
-          submitData.cloudinaryVideoPublicId = '';
-        }
-        
-        if (!thumbnailFile && !existingThumbnailUrl) {
-          // User wants to remove thumbnail
-          submitData.removeThumbnail = 'true';
-          submitData.cloudinaryThumbnailUrl = '';
-          submitData.cloudinaryThumbnailPublicId = '';
-        }
-      }
-
       // Send JSON to backend (no files - all uploaded directly to Cloudinary)
+      await saveProject(submitData);
       if (isEditing) {
-        await axios.put(
-          `${API_BASE_URL}/projects/${isEditing}`,
-          submitData,
-          {
-            headers: {
-              'Content-Type': 'application/json',
-            },
-          }
-        );
         swal.fire({
           title: 'Success!',
           text: 'Project updated successfully',
@@ -393,15 +524,6 @@ const ProjectsView = () => {
           timer: 2000,
         });
       } else {
-        await axios.post(
-          `${API_BASE_URL}/projects`,
-          submitData,
-          {
-            headers: {
-              'Content-Type': 'application/json',
-            },
-          }
-        );
         swal.fire({
           title: 'Success!',
           text: 'Project added successfully',
@@ -409,23 +531,19 @@ const ProjectsView = () => {
           timer: 2000,
         });
       }
-      refreshProjects();
+      reloadProjects();
       cancelEdit();
     } catch (error) {
       console.error('Submission error:', error);
       
-      // Provide more helpful error messages
-      let errorMessage = 'Something went wrong';
-      if (error.message) {
-        errorMessage = error.message;
-        // Check for Cloudinary-specific errors
-        if (error.message.includes('upload preset') || error.message.includes('Cloudinary')) {
-          errorMessage = `Cloudinary upload failed: ${error.message}. Please check your Cloudinary configuration or contact support.`;
-        }
-      } else if (error.response?.data?.message) {
-        errorMessage = error.response.data.message;
-      } else if (error.response?.data?.error) {
-        errorMessage = error.response.data.error;
+      // API failures carry an error code; direct Cloudinary uploads throw plain Errors
+      const serverErrors = error.response?.data?.errors;
+      let errorMessage = getErrorMessage(error);
+      if (serverErrors) {
+        setFieldErrors(serverErrors);
+        errorMessage = Object.values(serverErrors).join('\n');
+      } else if (!error.isAxiosError && (errorMessage.includes('upload preset') || errorMessage.includes('Cloudinary'))) {
+        errorMessage = `Cloudinary upload failed: ${errorMessage}. Please check your Cloudinary configuration or contact support.`;
       }
       
       swal.fire({
@@ -440,29 +558,29 @@ const ProjectsView = () => {
 
   const handleDelete = async (id) => {
     const result = await swal.fire({
-      title: 'Are you sure?',
-      text: "You won't be able to revert this!",
+      title: 'Move to trash?',
+      text: 'You can restore it from the Trash tab until it is deleted for good.',
       icon: 'warning',
       showCancelButton: true,
       confirmButtonColor: '#d33',
       cancelButtonColor: '#3085d6',
-      confirmButtonText: 'Yes, delete it!',
+      confirmButtonText: 'Yes, move it',
     });
 
     if (result.isConfirmed) {
       try {
-        await axios.delete(`${API_BASE_URL}/projects/${id}`);
+        const response = await axios.delete(`${API_BASE_URL}/projects/${id}`);
         swal.fire({
-          title: 'Deleted!',
-          text: 'Project has been deleted.',
+          title: 'Moved to trash',
+          text: response.data.message,
           icon: 'success',
           timer: 2000,
         });
-        refreshProjects();
+        reloadProjects();
       } catch (error) {
         swal.fire({
           title: 'Error!',
-          text: error.response?.data?.message || 'Failed to delete project',
+          text: getErrorMessage(error, 'Failed to delete project'),
           icon: 'error',
         });
       }
@@ -471,17 +589,20 @@ const ProjectsView = () => {
 
   return (
     <>
-      {!isAdding && !isEditing && (
-        <button
-          onClick={() => {
-            setIsAdding(true);
-            setIsEditing(null);
-          }}
-          className="mb-6 flex items-center space-x-2 px-4 py-2 bg-blue-500/10 hover:bg-blue-500/20 border border-blue-500/50 rounded-lg transition-colors"
-        >
-          <FontAwesomeIcon icon={faPlus} />
-          <span>Add New Project</span>
-        </button>
+      {canEdit && !isAdding && !isEditing && (
+        <div className="mb-6 flex flex-wrap gap-3">
+          <button
+            onClick={() => {
+              setIsAdding(true);
+              setIsEditing(null);
+            }}
+            className="flex items-center space-x-2 px-4 py-2 bg-blue-500/10 hover:bg-blue-500/20 border border-blue-500/50 rounded-lg transition-colors"
+          >
+            <FontAwesomeIcon icon={faPlus} />
+            <span>Add New Project</span>
+          </button>
+          <MarkdownImport onImported={reloadProjects} />
+        </div>
       )}
 
       {(isAdding || isEditing) && (
@@ -500,18 +621,77 @@ const ProjectsView = () => {
                 required
                 className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
               />
+              {fieldErrors.title && <p className="mt-1 text-xs text-red-400">{fieldErrors.title}</p>}
+            </div>
+
+            <div>
+              <label className="block mb-2 text-sm font-semibold">Slug</label>
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-gray-400">/projects/</span>
+                <input
+                  type="text"
+                  name="slug"
+                  value={formData.slug}
+                  onChange={(e) => setFormData((prev) => ({ ...prev, slug: e.target.value.toLowerCase() }))}
+                  placeholder="generated-from-the-title"
+                  className="flex-1 px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
+                />
+              </div>
+              <p className="mt-1 text-xs text-gray-400">Leave empty to generate it from the title. Old links keep working after a change.</p>
+              {fieldErrors.slug && <p className="mt-1 text-xs text-red-400">{fieldErrors.slug}</p>}
             </div>
 
             <div>
               <label className="block mb-2 text-sm font-semibold">Description *</label>
-              <textarea
+              <MarkdownField
                 name="description"
                 value={formData.description}
                 onChange={handleInputChange}
                 required
-                rows="3"
-                className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
               />
+              {fieldErrors.description && <p className="mt-1 text-xs text-red-400">{fieldErrors.description}</p>}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block mb-2 text-sm font-semibold">Status</label>
+                <select
+                  name="status"
+                  value={formData.status}
+                  onChange={handleInputChange}
+                  className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
+                >
+                  {PROJECT_STATUSES.map((status) => (
+                    <option key={status} value={status} className="bg-gray-900">
+                      {STATUS_LABELS[status]}
+                    </option>
+                  ))}
+                </select>
+                {fieldErrors.status && <p className="mt-1 text-xs text-red-400">{fieldErrors.status}</p>}
+                <label className="mt-3 flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    name="featured"
+                    checked={formData.featured}
+                    onChange={(e) => setFormData((prev) => ({ ...prev, featured: e.target.checked }))}
+                  />
+                  Feature in the hero row on the site
+                </label>
+              </div>
+              {formData.status === 'scheduled' && (
+                <div>
+                  <label className="block mb-2 text-sm font-semibold">Publish At *</label>
+                  <input
+                    type="datetime-local"
+                    name="publishAt"
+                    value={formData.publishAt}
+                    onChange={handleInputChange}
+                    className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
+                  />
+                  <p className="mt-1 text-xs text-gray-400">A time in the past publishes the project right away.</p>
+                  {fieldErrors.publishAt && <p className="mt-1 text-xs text-red-400">{fieldErrors.publishAt}</p>}
+                </div>
+              )}
             </div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -551,44 +731,75 @@ const ProjectsView = () => {
                     </span>
                   ))}
                 </div>
+                {fieldErrors.features && <p className="mt-1 text-xs text-red-400">{fieldErrors.features}</p>}
               </div>
 
               <div>
                 <label className="block mb-2 text-sm font-semibold">Tools/Technologies *</label>
-                <div className="flex gap-2 mb-2">
+                <div className="relative flex gap-2 mb-2">
                   <input
                     type="text"
                     value={newTool}
                     onChange={(e) => setNewTool(e.target.value)}
                     onKeyPress={(e) => e.key === 'Enter' && (e.preventDefault(), addTool())}
-                    placeholder="Add tool"
+                    placeholder="Search skills or add a tool"
+                    autoComplete="off"
                     className="flex-1 px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
                   />
                   <button
                     type="button"
-                    onClick={addTool}
+                    onClick={() => addTool()}
                     className="px-4 py-2 bg-purple-500/20 hover:bg-purple-500/30 rounded-lg transition-colors"
                   >
                     Add
                   </button>
+                  {toolSuggestions.length > 0 && (
+                    <ul className="absolute left-0 right-0 top-full mt-1 z-20 max-h-60 overflow-y-auto bg-gray-900/95 backdrop-blur-xl border border-white/10 rounded-lg shadow-2xl">
+                      {toolSuggestions.map((skill) => (
+                        <li key={skill._id}>
+                          <button
+                            type="button"
+                            onClick={() => addTool(skill.name)}
+                            className="w-full flex items-center gap-3 px-4 py-2 text-left text-sm hover:bg-white/10 transition-colors"
+                          >
+                            {skill.imageUrl && (
+                              <img src={skill.imageUrl} alt="" className="w-5 h-5 object-contain" />
+                            )}
+                            <span>{skill.name}</span>
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
                 </div>
+                <p className="text-xs text-gray-400 mb-2">
+                  Tools that match a skill link the project to it; others are shown as plain tags.
+                </p>
                 <div className="flex flex-wrap gap-2 min-h-[40px]">
-                  {formData.tools.map((tool, index) => (
-                    <span
-                      key={index}
-                      className="px-3 py-1 bg-purple-500/20 rounded-full flex items-center gap-2 text-sm"
-                    >
-                      {tool}
-                      <button
-                        type="button"
-                        onClick={() => removeTool(index)}
-                        className="text-red-400 hover:text-red-300"
+                  {formData.tools.map((tool, index) => {
+                    const skill = findSkillForTool(skills, tool, findTech);
+                    return (
+                      <span
+                        key={index}
+                        title={skill ? 'Linked to a skill' : 'Not a skill yet'}
+                        className={`px-3 py-1 bg-purple-500/20 rounded-full flex items-center gap-2 text-sm ${
+                          skill ? '' : 'border border-dashed border-purple-300/40'
+                        }`}
                       >
-                        ×
-                      </button>
-                    </span>
-                  ))}
+                        {skill?.imageUrl && <img src={skill.imageUrl} alt="" className="w-4 h-4 object-contain" />}
+                        {tool}
+                        <button
+                          type="button"
+                          onClick={() => removeTool(index)}
+                          className="text-red-400 hover:text-red-300"
+                        >
+                          ×
+                        </button>
+                      </span>
+                    );
+                  })}
                 </div>
+                {fieldErrors.tools && <p className="mt-1 text-xs text-red-400">{fieldErrors.tools}</p>}
               </div>
             </div>
 
@@ -602,6 +813,7 @@ const ProjectsView = () => {
                   onChange={handleInputChange}
                   className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
                 />
+                {fieldErrors.githubLink && <p className="mt-1 text-xs text-red-400">{fieldErrors.githubLink}</p>}
               </div>
               <div>
                 <label className="block mb-2 text-sm font-semibold">Deployed URL</label>
@@ -613,72 +825,93 @@ const ProjectsView = () => {
                   placeholder="https://your-project.com"
                   className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
                 />
+                {fieldErrors.deployedUrl && <p className="mt-1 text-xs text-red-400">{fieldErrors.deployedUrl}</p>}
               </div>
             </div>
 
             <div>
-              <label className="block mb-2 text-sm font-semibold">Project Video</label>
+              <label className="block mb-2 text-sm font-semibold">Media</label>
               <div className="space-y-3">
                 <input
                   type="file"
-                  accept="video/*"
-                  onChange={handleVideoChange}
+                  accept="image/*,video/*"
+                  multiple
+                  onChange={handleMediaFiles}
                   className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-blue-500/20 file:text-blue-300 hover:file:bg-blue-500/30 file:cursor-pointer"
                 />
                 <p className="text-xs text-gray-400">
-                  Upload a video file (mp4, mov, avi, webm, mkv). Max size: 100MB
+                  Add images (jpg, png, gif, webp; max 10MB) and videos (mp4, mov, avi, webm, mkv; max 100MB). They are shown in this order, and cards open on the cover.
                 </p>
-                
-                {(videoPreview || existingVideoUrl) && (
-                  <div className="relative">
-                    <video
-                      src={videoPreview || existingVideoUrl}
-                      controls
-                      className="w-full rounded-lg max-h-64 bg-black"
-                    />
-                    <button
-                      type="button"
-                      onClick={removeVideo}
-                      className="absolute top-2 right-2 px-3 py-1 bg-red-500/80 hover:bg-red-500 text-white rounded-lg text-sm flex items-center gap-2"
-                    >
-                      <FontAwesomeIcon icon={faTimes} />
-                      Remove Video
-                    </button>
-                  </div>
-                )}
-              </div>
-            </div>
+                {fieldErrors.media && <p className="text-xs text-red-400">{fieldErrors.media}</p>}
 
-            <div>
-              <label className="block mb-2 text-sm font-semibold">Thumbnail Image</label>
-              <div className="space-y-3">
-                <input
-                  type="file"
-                  accept="image/*"
-                  onChange={handleThumbnailChange}
-                  className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-purple-500/20 file:text-purple-300 hover:file:bg-purple-500/30 file:cursor-pointer"
-                />
-                <p className="text-xs text-gray-400">
-                  Upload a thumbnail image (jpg, png, gif, webp). Max size: 10MB. Will be shown if no video is available.
-                </p>
-                
-                {(thumbnailPreview || existingThumbnailUrl) && (
-                  <div className="relative">
-                    <img
-                      src={thumbnailPreview || existingThumbnailUrl}
-                      alt="Thumbnail preview"
-                      className="w-full rounded-lg max-h-64 bg-black object-cover"
-                    />
-                    <button
-                      type="button"
-                      onClick={removeThumbnail}
-                      className="absolute top-2 right-2 px-3 py-1 bg-red-500/80 hover:bg-red-500 text-white rounded-lg text-sm flex items-center gap-2"
-                    >
-                      <FontAwesomeIcon icon={faTimes} />
-                      Remove Thumbnail
-                    </button>
+                {mediaItems.map((item, index) => (
+                  <div
+                    key={`${item.url}-${index}`}
+                    className={`flex flex-col sm:flex-row gap-3 p-3 rounded-lg border ${item.cover ? 'border-yellow-500/50 bg-yellow-500/5' : 'border-white/10 bg-white/5'}`}
+                  >
+                    {item.type === 'video' ? (
+                      <video src={item.url} controls preload="metadata" className="w-full sm:w-48 rounded-lg bg-black" />
+                    ) : (
+                      <img src={item.url} alt={item.alt || 'Media preview'} className="w-full sm:w-48 rounded-lg bg-black object-cover" />
+                    )}
+                    <div className="flex-1 space-y-2">
+                      <input
+                        type="text"
+                        value={item.alt || ''}
+                        onChange={(e) => updateMediaItem(index, { alt: e.target.value })}
+                        maxLength={projectSchema?.media?.items?.alt?.maxLength}
+                        placeholder={item.type === 'video' ? 'Description (for screen readers)' : 'Alt text (for screen readers)'}
+                        className="w-full px-3 py-1.5 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white text-sm"
+                      />
+                      <input
+                        type="text"
+                        value={item.caption || ''}
+                        onChange={(e) => updateMediaItem(index, { caption: e.target.value })}
+                        maxLength={projectSchema?.media?.items?.caption?.maxLength}
+                        placeholder="Caption (optional)"
+                        className="w-full px-3 py-1.5 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white text-sm"
+                      />
+                      <div className="flex flex-wrap items-center gap-2 text-xs">
+                        <button
+                          type="button"
+                          onClick={() => setMediaItems((prev) => withCover(prev, index))}
+                          disabled={item.cover}
+                          className="flex items-center gap-1 px-2 py-1 rounded bg-yellow-500/20 text-yellow-300 hover:bg-yellow-500/30 disabled:opacity-60 disabled:cursor-default"
+                        >
+                          <FontAwesomeIcon icon={faStar} />
+                          {item.cover ? 'Cover' : 'Make cover'}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => moveMediaItem(index, -1)}
+                          disabled={index === 0}
+                          title="Move up"
+                          className="px-2 py-1 rounded bg-white/10 hover:bg-white/20 disabled:opacity-40"
+                        >
+                          <FontAwesomeIcon icon={faArrowUp} />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => moveMediaItem(index, 1)}
+                          disabled={index === mediaItems.length - 1}
+                          title="Move down"
+                          className="px-2 py-1 rounded bg-white/10 hover:bg-white/20 disabled:opacity-40"
+                        >
+                          <FontAwesomeIcon icon={faArrowDown} />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => removeMediaItem(index)}
+                          className="flex items-center gap-1 px-2 py-1 rounded bg-red-500/20 text-red-300 hover:bg-red-500/30"
+                        >
+                          <FontAwesomeIcon icon={faTimes} />
+                          Remove
+                        </button>
+                        {item.file && <span className="text-gray-400">Uploads when you save</span>}
+                      </div>
+                    </div>
                   </div>
-                )}
+                ))}
               </div>
             </div>
 
@@ -696,13 +929,11 @@ const ProjectsView = () => {
 
             <div>
               <label className="block mb-2 text-sm font-semibold">Challenges</label>
-              <textarea
+              <MarkdownField
                 name="challenges"
                 value={formData.challenges}
                 onChange={handleInputChange}
-                rows="3"
                 placeholder="Describe challenges faced..."
-                className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
               />
             </div>
 
@@ -737,40 +968,100 @@ const ProjectsView = () => {
         </div>
       )}
 
+      {!isAdding && !isEditing && (
+        <div className="flex flex-wrap gap-2 mb-6">
+          {['all', ...PROJECT_STATUSES].map((status) => (
+            <button
+              key={status}
+              onClick={() => setStatusFilter(status)}
+              className={`px-3 py-1 rounded-lg text-sm border transition-colors ${
+                statusFilter === status
+                  ? 'bg-blue-500/20 border-blue-500/50'
+                  : 'bg-white/5 border-white/10 hover:bg-white/10'
+              }`}
+            >
+              {status === 'all' ? 'All' : STATUS_LABELS[status]}
+              {status !== 'all' && ` (${statusCounts[status] || 0})`}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {canReorder && !isAdding && !isEditing && projects.length > 1 && (
+        <p className="text-xs text-gray-400 mb-4">Drag cards to change the order on the site.</p>
+      )}
+
       {!isAdding && !isEditing && (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {projects.map((project) => (
+          {projects.map((project, index) => (
             <div
               key={project._id}
-              className="bg-white/5 backdrop-blur-xl rounded-xl border border-white/10 p-6 hover:bg-white/10 transition-all"
+              {...(canReorder ? getDragProps(index) : {})}
+              className={`bg-white/5 backdrop-blur-xl rounded-xl border border-white/10 p-6 hover:bg-white/10 transition-all ${
+                canReorder ? 'cursor-move' : ''
+              } ${overIndex === index ? 'ring-2 ring-blue-500/50' : ''}`}
             >
-              <h3 className="text-xl font-bold mb-2">{project.title}</h3>
+              <div className="flex items-start justify-between gap-2 mb-2">
+                <h3 className="text-xl font-bold">
+                  {project.featured && (
+                    <FontAwesomeIcon icon={faStar} className="text-yellow-400 mr-2" title="Featured" />
+                  )}
+                  {project.title}
+                </h3>
+                <span className={`shrink-0 px-2 py-1 text-xs rounded border ${STATUS_BADGE_CLASSES[resolveStatus(project)]}`}>
+                  {STATUS_LABELS[resolveStatus(project)]}
+                </span>
+              </div>
+              {project.slug && (
+                <a
+                  href={`/projects/${project.slug}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="block text-xs text-blue-400 hover:text-blue-300 mb-2 truncate"
+                >
+                  /projects/{project.slug}
+                </a>
+              )}
+              {resolveStatus(project) === 'scheduled' && project.publishAt && (
+                <p className="text-xs text-yellow-300 mb-2">
+                  Goes live {new Date(project.publishAt).toLocaleString()}
+                </p>
+              )}
               <p className="text-gray-400 text-sm mb-4 line-clamp-2">
-                {project.description}
+                {markdownToText(project.description)}
               </p>
-              <div className="flex gap-2 mb-4">
+              <div className="flex items-center gap-2 mb-4">
                 {project.tools && project.tools.length > 0 && (
                   <span className="px-2 py-1 text-xs bg-blue-500/20 rounded">
                     {project.tools.length} tools
                   </span>
                 )}
-              </div>
-              <div className="flex gap-2">
-                <button
-                  onClick={() => startEdit(project)}
-                  className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-blue-500/20 hover:bg-blue-500/30 border border-blue-500/50 rounded-lg transition-colors"
-                >
-                  <FontAwesomeIcon icon={faEdit} />
-                  <span>Edit</span>
-                </button>
                 <button
-                  onClick={() => handleDelete(project._id)}
-                  className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-red-500/20 hover:bg-red-500/30 border border-red-500/50 rounded-lg transition-colors"
+                  onClick={() => setHistoryProject(project)}
+                  className="ml-auto flex items-center space-x-1 text-blue-400 hover:text-blue-300 text-sm"
                 >
-                  <FontAwesomeIcon icon={faTrash} />
-                  <span>Delete</span>
+                  <FontAwesomeIcon icon={faHistory} />
+                  <span>History</span>
                 </button>
               </div>
+              {canEdit && (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => startEdit(project)}
+                    className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-blue-500/20 hover:bg-blue-500/30 border border-blue-500/50 rounded-lg transition-colors"
+                  >
+                    <FontAwesomeIcon icon={faEdit} />
+                    <span>Edit</span>
+                  </button>
+                  <button
+                    onClick={() => handleDelete(project._id)}
+                    className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-red-500/20 hover:bg-red-500/30 border border-red-500/50 rounded-lg transition-colors"
+                  >
+                    <FontAwesomeIcon icon={faTrash} />
+                    <span>Delete</span>
+                  </button>
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -778,21 +1069,207 @@ const ProjectsView = () => {
 
       {projects.length === 0 && !isAdding && !isEditing && (
         <div className="text-center text-gray-400 py-12">
-          No projects yet. Click &quot;Add New Project&quot; to get started.
+          {statusFilter !== 'all'
+            ? `No ${STATUS_LABELS[statusFilter].toLowerCase()} projects.`
+            : canEdit ? 'No projects yet. Click "Add New Project" to get started.' : 'No projects yet.'}
         </div>
       )}
+
+      {historyProject && (
+        <HistoryDrawer
+          type="projects"
+          item={historyProject}
+          title={historyProject.title}
+          onClose={() => setHistoryProject(null)}
+          onRestored={reloadProjects}
+        />
+      )}
     </>
   );
 };
 
-// Skills View Component
-const SkillsView = () => {
-  const { skills, refreshSkills } = useSkills();
-  const [isEditing, setIsEditing] = useState(null);
-  const [isAdding, setIsAdding] = useState(false);
-  const [formData, setFormData] = useState({
-    name: '',
+const IMPORT_ACTION_CLASSES = {
+  created: 'bg-green-500/20 text-green-300 border-green-500/50',
+  updated: 'bg-blue-500/20 text-blue-300 border-blue-500/50',
+  unchanged: 'bg-gray-500/20 text-gray-300 border-gray-500/50',
+  failed: 'bg-red-500/20 text-red-300 border-red-500/50',
+};
+
+// Markdown Import Component (a folder of .md files with front-matter -> projects and skills)
+// Shows a dry run first, then applies it
+const MarkdownImport = ({ onImported }) => {
+  const [files, setFiles] = useState([]);
+  const [report, setReport] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const runImport = async (selected, dryRun) => {
+    const formData = new FormData();
+    // Keep folder names: files under skills/ are imported as skills
+    selected.forEach((file) => formData.append('files', file, file.webkitRelativePath || file.name));
+
+    setWorking(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/content/markdown`, formData, {
+        params: dryRun ? { dryRun: true } : {},
+      });
+      setReport(response.data);
+      if (!dryRun) onImported();
+    } catch (error) {
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to import Markdown files'),
+        icon: 'error',
+      });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleSelect = (e) => {
+    const selected = Array.from(e.target.files || []).filter((file) => /\.(md|markdown)$/i.test(file.name));
+    e.target.value = '';
+    if (selected.length === 0) {
+      swal.fire({ title: 'No Markdown files', text: 'That folder has no .md files.', icon: 'info' });
+      return;
+    }
+    setFiles(selected);
+    runImport(selected, true);
+  };
+
+  const close = () => {
+    setFiles([]);
+    setReport(null);
+  };
+
+  const pending = report?.dryRun && report.summary.created + report.summary.updated > 0;
+
+  return (
+    <>
+      <label
+        className={`flex items-center space-x-2 px-4 py-2 bg-purple-500/10 hover:bg-purple-500/20 border border-purple-500/50 rounded-lg transition-colors cursor-pointer ${
+          working ? 'opacity-50 pointer-events-none' : ''
+        }`}
+      >
+        <FontAwesomeIcon icon={faFileImport} />
+        <span>{working && !report ? 'Reading files...' : 'Import Markdown Folder'}</span>
+        <input type="file" multiple webkitdirectory="" onChange={handleSelect} className="hidden" />
+      </label>
+
+      {report && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+          <div className="bg-white/10 backdrop-blur-xl rounded-2xl border border-white/20 p-6 max-w-2xl w-full max-h-[80vh] overflow-y-auto">
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="text-2xl font-bold">{report.dryRun ? 'Review Markdown Import' : 'Markdown Imported'}</h3>
+              <button onClick={close} className="text-white hover:text-red-400">
+                <FontAwesomeIcon icon={faTimes} />
+              </button>
+            </div>
+            <p className="text-sm text-gray-400 mb-4">
+              {report.dryRun ? 'Nothing has been saved yet. ' : ''}
+              {report.summary.created} {report.dryRun ? 'to create' : 'created'}, {report.summary.updated}{' '}
+              {report.dryRun ? 'to update' : 'updated'}, {report.summary.unchanged} unchanged, {report.summary.failed} with errors.
+            </p>
+
+            <ul className="space-y-2">
+              {report.files.map((result) => (
+                <li key={result.file} className="p-3 bg-white/5 border border-white/10 rounded-lg text-sm">
+                  <div className="flex justify-between gap-4">
+                    <span className="font-semibold truncate" title={result.file}>
+                      {result.slug || result.file}
+                      {result.type && <span className="ml-2 text-xs text-gray-400">{result.type}</span>}
+                    </span>
+                    <span className={`shrink-0 px-2 py-0.5 text-xs rounded border ${IMPORT_ACTION_CLASSES[result.action]}`}>
+                      {result.action}
+                    </span>
+                  </div>
+                  {result.errors?.map((error) => (
+                    <p key={error} className="text-xs text-red-300">{error}</p>
+                  ))}
+                  {result.changes?.map((change) => (
+                    <p key={change.field} className="text-xs text-gray-400 break-words">
+                      <span className="text-gray-300">{change.field}:</span> {formatRevisionValue(change.before)} →{' '}
+                      {formatRevisionValue(change.after)}
+                    </p>
+                  ))}
+                </li>
+              ))}
+            </ul>
+
+            <div className="flex gap-2 mt-4">
+              {pending && (
+                <button
+                  onClick={() => runImport(files, false)}
+                  disabled={working}
+                  className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-green-500/20 hover:bg-green-500/30 border border-green-500/50 rounded-lg transition-colors disabled:opacity-50"
+                >
+                  <FontAwesomeIcon icon={faSave} />
+                  <span>{working ? 'Importing...' : 'Apply Changes'}</span>
+                </button>
+              )}
+              <button
+                onClick={close}
+                className="flex-1 px-4 py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg transition-colors"
+              >
+                {pending ? 'Cancel' : 'Close'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+MarkdownImport.propTypes = {
+  onImported: PropTypes.func.isRequired,
+};
+
+// Markdown textarea with a live preview of how the public pages render it
+const MarkdownField = ({ name, value, onChange, required = false, placeholder = '' }) => (
+  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+    <textarea
+      name={name}
+      value={value}
+      onChange={onChange}
+      required={required}
+      rows="6"
+      placeholder={placeholder}
+      className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white font-mono text-sm"
+    />
+    <div className="px-4 py-2 bg-white/5 border border-white/10 rounded-lg overflow-y-auto max-h-64">
+      {value ? (
+        <Markdown text={value} className="text-gray-300 text-sm leading-relaxed" />
+      ) : (
+        <p className="text-xs text-gray-500">Preview</p>
+      )}
+    </div>
+    <p className="md:col-span-2 text-xs text-gray-400">
+      Markdown: **bold**, *italic*, `code`, [links](https://example.com), lists and headings.
+    </p>
+  </div>
+);
+
+MarkdownField.propTypes = {
+  name: PropTypes.string.isRequired,
+  value: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  required: PropTypes.bool,
+  placeholder: PropTypes.string,
+};
+
+// Skills View Component
+const SkillsView = () => {
+  const { skills, refreshSkills, setSkillOrder } = useSkills();
+  const { user } = useAuth();
+  const canEdit = can(user, 'content:edit');
+  const [isEditing, setIsEditing] = useState(null);
+  const [isAdding, setIsAdding] = useState(false);
+  const [formData, setFormData] = useState({
+    name: '',
     topics: [],
+    category: '',
+    level: '',
+    yearsOfExperience: '',
   });
   const [newTopic, setNewTopic] = useState('');
   const [imageFile, setImageFile] = useState(null);
@@ -801,6 +1278,28 @@ const SkillsView = () => {
   const [existingImageUrl, setExistingImageUrl] = useState(null);
   const [selectedSkill, setSelectedSkill] = useState(null);
   const [showTopicsDrawer, setShowTopicsDrawer] = useState(false);
+  const [historySkill, setHistorySkill] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const skillSchema = useValidationSchema(`${API_BASE_URL}/skills/schema`);
+
+  const saveSkillOrder = async (ordered) => {
+    setSkillOrder(ordered);
+    try {
+      await axios.put(`${API_BASE_URL}/skills/order`, { ids: ordered.map((skill) => skill._id) });
+    } catch (error) {
+      refreshSkills();
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to save the new order'),
+        icon: 'error',
+      });
+    }
+  };
+
+  // Cards are grouped like SkillBar; dragging reorders the grouped list, so order within a category sticks
+  const skillGroups = groupSkillsByCategory(skills);
+  const groupedSkills = skillGroups.flatMap((group) => group.skills);
+  const { getDragProps, overIndex } = useDragReorder(groupedSkills, saveSkillOrder);
 
   useEffect(() => {
     refreshSkills();
@@ -835,10 +1334,14 @@ const SkillsView = () => {
     setFormData({
       name: skill.name || '',
       topics: skill.topics || [],
+      category: skill.category || '',
+      level: skill.level || '',
+      yearsOfExperience: skill.yearsOfExperience ?? '',
     });
     setImageFile(null);
     setImagePreview(null);
     setExistingImageUrl(skill.imageUrl || null);
+    setFieldErrors({});
   };
 
   const cancelEdit = () => {
@@ -847,11 +1350,15 @@ const SkillsView = () => {
     setFormData({
       name: '',
       topics: [],
+      category: '',
+      level: '',
+      yearsOfExperience: '',
     });
     setNewTopic('');
     setImageFile(null);
     setImagePreview(null);
     setExistingImageUrl(null);
+    setFieldErrors({});
   };
 
   const handleImageChange = (e) => {
@@ -898,26 +1405,19 @@ const SkillsView = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    // Client-side validation
-    if (!formData.name || formData.name.trim() === '') {
-      swal.fire({
-          title: 'Skill name is required',
-        icon: 'error',
-      });
-      return;
-    }
-
-    if (!formData.topics || formData.topics.length === 0) {
-      swal.fire({
-        title: 'At least one topic is required',
-        icon: 'error',
-      });
-      return;
-    }
-
+    // Client-side validation with the API's own rules; the icon is a file, so it's checked here
+    const { errors } = skillSchema
+      ? validate(skillSchema, formData, { partial: Boolean(isEditing) })
+      : { errors: null };
+    const clientErrors = { ...errors };
     if (!isEditing && !imageFile) {
+      clientErrors.image = 'Skill icon image is required';
+    }
+    setFieldErrors(clientErrors);
+    if (Object.keys(clientErrors).length > 0) {
       swal.fire({
-        title: 'Skill icon image is required',
+        title: 'Please fix the highlighted fields',
+        text: Object.values(clientErrors).join('\n'),
         icon: 'error',
       });
       return;
@@ -985,9 +1485,9 @@ const SkillsView = () => {
       cancelEdit();
     } catch (error) {
       console.error('Error submitting skill:', error);
-      const errorMessage = error.response?.data?.message || 
-                          error.response?.data?.error || 
-                          (error.response?.data?.errors ? JSON.stringify(error.response.data.errors) : 'Something went wrong');
+      const serverErrors = error.response?.data?.errors;
+      if (serverErrors) setFieldErrors(serverErrors);
+      const errorMessage = serverErrors ? Object.values(serverErrors).join('\n') : getErrorMessage(error);
       swal.fire({
         title: 'Error!',
         text: errorMessage,
@@ -1001,21 +1501,21 @@ const SkillsView = () => {
 
   const handleDelete = async (id) => {
     const result = await swal.fire({
-      title: 'Are you sure?',
-      text: "You won't be able to revert this!",
+      title: 'Move to trash?',
+      text: 'You can restore it from the Trash tab until it is deleted for good.',
       icon: 'warning',
       showCancelButton: true,
       confirmButtonColor: '#d33',
       cancelButtonColor: '#3085d6',
-      confirmButtonText: 'Yes, delete it!',
+      confirmButtonText: 'Yes, move it',
     });
 
     if (result.isConfirmed) {
       try {
-        await axios.delete(`${API_BASE_URL}/skills/${id}`);
+        const response = await axios.delete(`${API_BASE_URL}/skills/${id}`);
         swal.fire({
-          title: 'Deleted!',
-          text: 'Skill has been deleted.',
+          title: 'Moved to trash',
+          text: response.data.message,
           icon: 'success',
           timer: 2000,
         });
@@ -1023,7 +1523,7 @@ const SkillsView = () => {
       } catch (error) {
         swal.fire({
           title: 'Error!',
-          text: error.response?.data?.message || 'Failed to delete skill',
+          text: getErrorMessage(error, 'Failed to delete skill'),
           icon: 'error',
         });
       }
@@ -1032,7 +1532,7 @@ const SkillsView = () => {
 
   return (
     <>
-      {!isAdding && !isEditing && (
+      {canEdit && !isAdding && !isEditing && (
         <button
           onClick={() => {
             setIsAdding(true);
@@ -1061,6 +1561,61 @@ const SkillsView = () => {
                 required
                 className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
               />
+              {fieldErrors.name && <p className="mt-1 text-xs text-red-400">{fieldErrors.name}</p>}
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block mb-2 text-sm font-semibold">Category</label>
+                <select
+                  name="category"
+                  value={formData.category}
+                  onChange={handleInputChange}
+                  className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
+                >
+                  <option value="" className="bg-gray-900">None (shown under {DEFAULT_CATEGORY})</option>
+                  {SKILL_CATEGORIES.map((category) => (
+                    <option key={category} value={category} className="bg-gray-900">
+                      {category}
+                    </option>
+                  ))}
+                </select>
+                {fieldErrors.category && <p className="mt-1 text-xs text-red-400">{fieldErrors.category}</p>}
+              </div>
+
+              <div>
+                <label className="block mb-2 text-sm font-semibold">Level</label>
+                <select
+                  name="level"
+                  value={formData.level}
+                  onChange={handleInputChange}
+                  className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
+                >
+                  <option value="" className="bg-gray-900">Not shown</option>
+                  {SKILL_LEVELS.map((level) => (
+                    <option key={level} value={level} className="bg-gray-900">
+                      {LEVEL_LABELS[level]}
+                    </option>
+                  ))}
+                </select>
+                {fieldErrors.level && <p className="mt-1 text-xs text-red-400">{fieldErrors.level}</p>}
+              </div>
+
+              <div>
+                <label className="block mb-2 text-sm font-semibold">Years of Experience</label>
+                <input
+                  type="number"
+                  name="yearsOfExperience"
+                  value={formData.yearsOfExperience}
+                  onChange={handleInputChange}
+                  min="0"
+                  max="60"
+                  step="0.5"
+                  placeholder="e.g. 3"
+                  className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
+                />
+                {fieldErrors.yearsOfExperience && <p className="mt-1 text-xs text-red-400">{fieldErrors.yearsOfExperience}</p>}
+              </div>
             </div>
 
             <div>
@@ -1099,6 +1654,7 @@ const SkillsView = () => {
                   </span>
                 ))}
               </div>
+              {fieldErrors.topics && <p className="mt-1 text-xs text-red-400">{fieldErrors.topics}</p>}
             </div>
 
             <div>
@@ -1132,6 +1688,7 @@ const SkillsView = () => {
                   </div>
                 )}
               </div>
+              {fieldErrors.image && <p className="mt-1 text-xs text-red-400">{fieldErrors.image}</p>}
             </div>
 
             <div className="flex gap-4">
@@ -1165,59 +1722,94 @@ const SkillsView = () => {
         </div>
       )}
 
-      {!isAdding && !isEditing && (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {skills.map((skill) => (
-            <div
-              key={skill._id}
-              className="bg-white/5 backdrop-blur-xl rounded-xl border border-white/10 p-6 hover:bg-white/10 transition-all"
-            >
-              <div className="flex items-center gap-4 mb-4">
-                <img
-                  src={skill.imageUrl}
-                  alt={skill.name}
-                  className="w-16 h-16 rounded-full object-contain bg-white/10 p-2"
-                />
-                <div>
-                  <h3 className="text-xl font-bold">{skill.name}</h3>
-                </div>
-              </div>
-              <p className="text-gray-400 text-sm mb-2">
-                {skill.topics?.length || 0} topics
-              </p>
-              <button
-                onClick={() => {
-                  setSelectedSkill(skill);
-                  setShowTopicsDrawer(true);
-                }}
-                className="text-blue-400 hover:text-blue-300 text-sm mb-4"
-              >
-                View Topics
-              </button>
-              <div className="flex gap-2">
-                <button
-                  onClick={() => startEdit(skill)}
-                  className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-blue-500/20 hover:bg-blue-500/30 border border-blue-500/50 rounded-lg transition-colors"
-                >
-                  <FontAwesomeIcon icon={faEdit} />
-                  <span>Edit</span>
-                </button>
-                <button
-                  onClick={() => handleDelete(skill._id)}
-                  className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-red-500/20 hover:bg-red-500/30 border border-red-500/50 rounded-lg transition-colors"
-                >
-                  <FontAwesomeIcon icon={faTrash} />
-                  <span>Delete</span>
-                </button>
-              </div>
-            </div>
-          ))}
-        </div>
+      {canEdit && !isAdding && !isEditing && skills.length > 1 && (
+        <p className="text-xs text-gray-400 mb-4">Drag cards to change the order on the site - strongest first within each category.</p>
       )}
 
+      {!isAdding && !isEditing && skillGroups.map((group) => {
+        // Drag indexes run across the whole grouped list
+        const offset = groupedSkills.indexOf(group.skills[0]);
+        return (
+          <div key={group.category} className="mb-8">
+            <h3 className="text-sm font-semibold uppercase tracking-widest text-gray-400 mb-3">
+              {group.category} <span className="text-gray-500">({group.skills.length})</span>
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              {group.skills.map((skill, groupIndex) => {
+                const index = offset + groupIndex;
+                return (
+                  <div
+                    key={skill._id}
+                    {...(canEdit ? getDragProps(index) : {})}
+                    className={`bg-white/5 backdrop-blur-xl rounded-xl border border-white/10 p-6 hover:bg-white/10 transition-all ${
+                      canEdit ? 'cursor-move' : ''
+                    } ${overIndex === index ? 'ring-2 ring-blue-500/50' : ''}`}
+                  >
+                    <div className="flex items-center gap-4 mb-4">
+                      <img
+                        src={skill.imageUrl}
+                        alt={skill.name}
+                        className="w-16 h-16 rounded-full object-contain bg-white/10 p-2"
+                      />
+                      <div>
+                        <h3 className="text-xl font-bold">{skill.name}</h3>
+                        {(skill.level || formatYears(skill.yearsOfExperience)) && (
+                          <p className="text-xs text-purple-300">
+                            {[LEVEL_LABELS[skill.level], formatYears(skill.yearsOfExperience)].filter(Boolean).join(' · ')}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                    <p className="text-gray-400 text-sm mb-2">
+                      {skill.topics?.length || 0} topics
+                    </p>
+                    <div className="flex items-center gap-4 mb-4">
+                      <button
+                        onClick={() => {
+                          setSelectedSkill(skill);
+                          setShowTopicsDrawer(true);
+                        }}
+                        className="text-blue-400 hover:text-blue-300 text-sm"
+                      >
+                        View Topics
+                      </button>
+                      <button
+                        onClick={() => setHistorySkill(skill)}
+                        className="flex items-center space-x-1 text-blue-400 hover:text-blue-300 text-sm"
+                      >
+                        <FontAwesomeIcon icon={faHistory} />
+                        <span>History</span>
+                      </button>
+                    </div>
+                    {canEdit && (
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => startEdit(skill)}
+                          className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-blue-500/20 hover:bg-blue-500/30 border border-blue-500/50 rounded-lg transition-colors"
+                        >
+                          <FontAwesomeIcon icon={faEdit} />
+                          <span>Edit</span>
+                        </button>
+                        <button
+                          onClick={() => handleDelete(skill._id)}
+                          className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-red-500/20 hover:bg-red-500/30 border border-red-500/50 rounded-lg transition-colors"
+                        >
+                          <FontAwesomeIcon icon={faTrash} />
+                          <span>Delete</span>
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+
       {skills.length === 0 && !isAdding && !isEditing && (
         <div className="text-center text-gray-400 py-12">
-          No skills yet. Click &quot;Add New Skill&quot; to get started.
+          {canEdit ? 'No skills yet. Click "Add New Skill" to get started.' : 'No skills yet.'}
         </div>
       )}
 
@@ -1253,8 +1845,1131 @@ const SkillsView = () => {
           </div>
         </div>
       )}
+
+      {historySkill && (
+        <HistoryDrawer
+          type="skills"
+          item={historySkill}
+          title={historySkill.name}
+          onClose={() => setHistorySkill(null)}
+          onRestored={refreshSkills}
+        />
+      )}
     </>
   );
 };
 
+const REVISION_ACTION_LABELS = {
+  baseline: 'Before history',
+  create: 'Created',
+  update: 'Edited',
+  restore: 'Restored',
+  import: 'Imported',
+};
+
+// How a snapshot value reads in the diff table
+// Gallery items read as their type and file name, e.g. "image screenshot.png (cover)"
+const formatMediaItem = (item) => `${item.type} ${String(item.url).split('/').pop()}${item.cover ? ' (cover)' : ''}`;
+
+const formatRevisionValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) {
+    if (!value.length) return '—';
+    return value.map((entry) => (entry && typeof entry === 'object' && entry.url ? formatMediaItem(entry) : formatRevisionValue(entry))).join(', ');
+  }
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// History Drawer Component (revisions of one project or skill, with diffs and restore)
+// type is the API collection: 'projects' or 'skills'
+const HistoryDrawer = ({ type, item, title, onClose, onRestored }) => {
+  const { user } = useAuth();
+  const canEdit = can(user, 'content:edit');
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const [against, setAgainst] = useState('previous');
+  const [detail, setDetail] = useState(null);
+  const [restoring, setRestoring] = useState(false);
+  const revisionsUrl = `${API_BASE_URL}/${type}/${item._id}/revisions`;
+
+  useEffect(() => {
+    const fetchRevisions = async () => {
+      try {
+        const response = await axios.get(revisionsUrl);
+        setRevisions(response.data.revisions || []);
+      } catch (error) {
+        console.error('Error fetching revisions:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchRevisions();
+  }, [revisionsUrl]);
+
+  useEffect(() => {
+    if (!selectedId) return undefined;
+    let cancelled = false;
+    setDetail(null);
+    axios
+      .get(`${revisionsUrl}/${selectedId}`, { params: { against } })
+      .then((response) => {
+        if (!cancelled) setDetail(response.data);
+      })
+      .catch((error) => {
+        console.error('Error fetching revision:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [revisionsUrl, selectedId, against]);
+
+  const handleRestore = async (revision) => {
+    const result = await swal.fire({
+      title: 'Restore this revision?',
+      text: `${title} goes back to how it was on ${new Date(revision.createdAt).toLocaleString()}. The current version stays in the history.`,
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonColor: '#3085d6',
+      cancelButtonColor: '#d33',
+      confirmButtonText: 'Yes, restore it',
+    });
+    if (!result.isConfirmed) return;
+
+    setRestoring(true);
+    try {
+      await axios.post(`${revisionsUrl}/${revision._id}/restore`);
+      swal.fire({
+        title: 'Restored!',
+        text: 'The revision has been restored.',
+        icon: 'success',
+        timer: 2000,
+      });
+      onRestored();
+      onClose();
+    } catch (error) {
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to restore revision'),
+        icon: 'error',
+      });
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex justify-end">
+      <div className="bg-white/10 backdrop-blur-xl border-l border-white/20 p-6 w-full max-w-xl h-full overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-2xl font-bold truncate">{title} History</h3>
+          <button onClick={onClose} className="text-white hover:text-red-400">
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+
+        {loading ? (
+          <p className="text-gray-400 text-sm">Loading history...</p>
+        ) : revisions.length === 0 ? (
+          <p className="text-gray-400 text-sm">No revisions yet. One is saved every time this is changed.</p>
+        ) : (
+          <ul className="space-y-2">
+            {revisions.map((revision, index) => (
+              <li key={revision._id} className="bg-white/5 border border-white/10 rounded-lg">
+                <button
+                  onClick={() => setSelectedId(selectedId === revision._id ? null : revision._id)}
+                  className="w-full text-left p-3 hover:bg-white/5 rounded-lg transition-colors"
+                >
+                  <div className="flex justify-between gap-4">
+                    <span className="font-semibold">
+                      {REVISION_ACTION_LABELS[revision.action] || revision.action}
+                      {index === 0 && (
+                        <span className="ml-2 px-2 py-0.5 text-xs bg-green-500/20 text-green-400 rounded-full">
+                          Current
+                        </span>
+                      )}
+                    </span>
+                    <span className="text-gray-400 text-xs">{new Date(revision.createdAt).toLocaleString()}</span>
+                  </div>
+                  <p className="text-xs text-gray-400">
+                    {revision.author?.username ? `by ${revision.author.username}` : 'No author recorded'}
+                    {revision.changedFields?.length > 0 && ` · ${revision.changedFields.join(', ')}`}
+                  </p>
+                </button>
+
+                {selectedId === revision._id && (
+                  <div className="px-3 pb-3">
+                    <div className="flex items-center gap-2 mb-2 text-xs">
+                      <span className="text-gray-400">Compare with</span>
+                      {['previous', 'current'].map((option) => (
+                        <button
+                          key={option}
+                          onClick={() => setAgainst(option)}
+                          className={`px-2 py-1 rounded border transition-colors ${
+                            against === option
+                              ? 'bg-blue-500/30 border-blue-500/60'
+                              : 'bg-white/5 border-white/10 hover:bg-white/10'
+                          }`}
+                        >
+                          {option === 'previous' ? 'Previous revision' : 'Current version'}
+                        </button>
+                      ))}
+                    </div>
+
+                    {!detail ? (
+                      <p className="text-gray-400 text-sm">Loading changes...</p>
+                    ) : detail.diff.length === 0 ? (
+                      <p className="text-gray-400 text-sm">No differences.</p>
+                    ) : (
+                      <div className="space-y-2">
+                        {detail.diff.map((change) => (
+                          <div key={change.field} className="text-sm">
+                            <p className="text-xs font-semibold text-gray-300">{change.field}</p>
+                            {/* Against "current", after is what a restore brings back */}
+                            <p className="px-2 py-1 bg-red-500/10 text-red-300 rounded break-words">
+                              {formatRevisionValue(change.before)}
+                            </p>
+                            <p className="px-2 py-1 bg-green-500/10 text-green-300 rounded break-words">
+                              {formatRevisionValue(change.after)}
+                            </p>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    {canEdit && index > 0 && (
+                      <button
+                        onClick={() => handleRestore(revision)}
+                        disabled={restoring}
+                        className="mt-3 px-4 py-2 text-sm bg-blue-500/20 hover:bg-blue-500/30 border border-blue-500/50 rounded-lg transition-colors disabled:opacity-50"
+                      >
+                        {restoring ? 'Restoring...' : 'Restore this revision'}
+                      </button>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+HistoryDrawer.propTypes = {
+  type: PropTypes.oneOf(['projects', 'skills']).isRequired,
+  item: PropTypes.shape({
+    _id: PropTypes.string.isRequired,
+  }).isRequired,
+  title: PropTypes.string,
+  onClose: PropTypes.func.isRequired,
+  onRestored: PropTypes.func.isRequired,
+};
+
+// Trash View Component (deleted projects and skills until they're purged)
+const TrashView = () => {
+  const { user } = useAuth();
+  const canEdit = can(user, 'content:edit');
+  const { refreshProjects } = useProjects();
+  const { refreshSkills } = useSkills();
+  const [trash, setTrash] = useState({ projects: [], skills: [] });
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      const [projectsResponse, skillsResponse] = await Promise.all([
+        axios.get(`${API_BASE_URL}/projects/trash`),
+        axios.get(`${API_BASE_URL}/skills/trash`),
+      ]);
+      setTrash({
+        projects: projectsResponse.data.projects || [],
+        skills: skillsResponse.data.skills || [],
+      });
+      setRetentionDays(projectsResponse.data.retentionDays);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  // Restored items show up on the site again
+  const refreshSite = (type) => {
+    if (type === 'projects') refreshProjects();
+    // Skill links and usage change either way
+    refreshSkills();
+  };
+
+  const handleRestore = async (type, item) => {
+    try {
+      await axios.post(`${API_BASE_URL}/${type}/${item._id}/restore`);
+      setTrash((prev) => ({ ...prev, [type]: prev[type].filter((entry) => entry._id !== item._id) }));
+      refreshSite(type);
+    } catch (error) {
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to restore from trash'),
+        icon: 'error',
+      });
+    }
+  };
+
+  const handlePurge = async (type, item, label) => {
+    const result = await swal.fire({
+      title: `Delete "${label}" for good?`,
+      text: "Its history and media are removed too. You won't be able to revert this!",
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonColor: '#d33',
+      cancelButtonColor: '#3085d6',
+      confirmButtonText: 'Yes, delete it!',
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      await axios.delete(`${API_BASE_URL}/${type}/${item._id}/permanent`);
+      setTrash((prev) => ({ ...prev, [type]: prev[type].filter((entry) => entry._id !== item._id) }));
+    } catch (error) {
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to delete permanently'),
+        icon: 'error',
+      });
+    }
+  };
+
+  const sections = [
+    { type: 'projects', heading: 'Projects', labelOf: (project) => project.title },
+    { type: 'skills', heading: 'Skills', labelOf: (skill) => skill.name },
+  ];
+
+  if (loading) {
+    return <p className="text-gray-400 text-sm">Loading trash...</p>;
+  }
+
+  return (
+    <div className="space-y-8">
+      <p className="text-gray-400 text-sm">
+        Deleted projects and skills stay here
+        {retentionDays ? ` for ${retentionDays} days` : ''} and are then deleted for good, along with their history and media.
+      </p>
+
+      {sections.map(({ type, heading, labelOf }) => (
+        <div key={type}>
+          <h2 className="text-2xl font-bold mb-4">
+            {heading} <span className="text-gray-500 text-lg">({trash[type].length})</span>
+          </h2>
+          {trash[type].length === 0 ? (
+            <p className="text-gray-400 text-sm">No {heading.toLowerCase()} in the trash.</p>
+          ) : (
+            <ul className="space-y-3">
+              {trash[type].map((item) => (
+                <li
+                  key={item._id}
+                  className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4 p-4 bg-white/5 border border-white/10 rounded-lg"
+                >
+                  <div className="min-w-0">
+                    <p className="font-semibold truncate">{labelOf(item)}</p>
+                    <p className="text-xs text-gray-400">
+                      Deleted {new Date(item.deletedAt).toLocaleString()} · Deleted for good{' '}
+                      {new Date(item.purgeAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  {canEdit && (
+                    <div className="flex gap-2 flex-shrink-0">
+                      <button
+                        onClick={() => handleRestore(type, item)}
+                        className="flex items-center space-x-2 px-3 py-1 text-sm bg-green-500/20 hover:bg-green-500/30 border border-green-500/50 rounded-lg transition-colors"
+                      >
+                        <FontAwesomeIcon icon={faTrashRestore} />
+                        <span>Restore</span>
+                      </button>
+                      <button
+                        onClick={() => handlePurge(type, item, labelOf(item))}
+                        className="flex items-center space-x-2 px-3 py-1 text-sm bg-red-500/20 hover:bg-red-500/30 border border-red-500/50 rounded-lg transition-colors"
+                      >
+                        <FontAwesomeIcon icon={faTrash} />
+                        <span>Delete forever</span>
+                      </button>
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Security View Component (two-factor authentication)
+const SecurityView = () => {
+  const { user, checkAuth } = useAuth();
+  const [setupData, setSetupData] = useState(null); // { secret, qrCode } while enrolling
+  const [recoveryCodes, setRecoveryCodes] = useState(null); // shown once after enabling
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [working, setWorking] = useState(false);
+
+  const twoFactorEnabled = Boolean(user?.twoFactorEnabled);
+
+  const startSetup = async () => {
+    setWorking(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/users/2fa/setup`);
+      setSetupData({ secret: response.data.secret, qrCode: response.data.qrCode });
+      setCode('');
+    } catch (error) {
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to start two-factor setup'),
+        icon: 'error',
+      });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const confirmSetup = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/users/2fa/enable`, { code });
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetupData(null);
+      setCode('');
+      await checkAuth();
+    } catch (error) {
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to enable two-factor authentication'),
+        icon: 'error',
+      });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    const result = await swal.fire({
+      title: 'Disable two-factor authentication?',
+      text: 'Your account will be protected by your password only.',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonColor: '#d33',
+      cancelButtonColor: '#3085d6',
+      confirmButtonText: 'Yes, disable it',
+    });
+    if (!result.isConfirmed) return;
+
+    setWorking(true);
+    try {
+      // Codes in xxxxx-xxxxx form are recovery codes, six digits are authenticator codes
+      const payload = /^\d{6}$/.test(code.trim())
+        ? { password, code: code.trim() }
+        : { password, recoveryCode: code.trim() };
+      await axios.post(`${API_BASE_URL}/users/2fa/disable`, payload);
+      setCode('');
+      setPassword('');
+      setRecoveryCodes(null);
+      await checkAuth();
+      swal.fire({
+        title: 'Disabled',
+        text: 'Two-factor authentication has been turned off.',
+        icon: 'success',
+        timer: 2000,
+      });
+    } catch (error) {
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to disable two-factor authentication'),
+        icon: 'error',
+      });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-4 sm:p-6 max-w-2xl">
+        <h2 className="text-2xl font-bold mb-2">Two-Factor Authentication</h2>
+        <p className="text-gray-400 text-sm mb-6">
+          Require a 6-digit code from an authenticator app (Google Authenticator, 1Password, Authy...) in addition to your password.
+        </p>
+
+        <div className="mb-6 flex items-center gap-3">
+          <span className="text-sm font-semibold">Status:</span>
+          <span
+            className={`px-3 py-1 rounded-full text-sm ${
+              twoFactorEnabled ? 'bg-green-500/20 text-green-400' : 'bg-gray-500/20 text-gray-300'
+            }`}
+          >
+            {twoFactorEnabled ? 'Enabled' : 'Disabled'}
+          </span>
+        </div>
+
+        {recoveryCodes && (
+          <div className="mb-6 p-4 bg-yellow-500/10 border border-yellow-500/50 rounded-lg">
+            <h3 className="font-semibold text-yellow-300 mb-2">Save your recovery codes</h3>
+            <p className="text-xs text-gray-300 mb-3">
+              Each code can be used once if you lose access to your authenticator app. They will not be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 font-mono text-sm">
+              {recoveryCodes.map((recoveryCode) => (
+                <span key={recoveryCode} className="px-2 py-1 bg-black/30 rounded">
+                  {recoveryCode}
+                </span>
+              ))}
+            </div>
+            <button
+              type="button"
+              onClick={() => setRecoveryCodes(null)}
+              className="mt-4 px-4 py-2 bg-yellow-500/20 hover:bg-yellow-500/30 rounded-lg text-sm transition-colors"
+            >
+              I have saved these codes
+            </button>
+          </div>
+        )}
+
+        {!twoFactorEnabled && !setupData && (
+          <button
+            type="button"
+            onClick={startSetup}
+            disabled={working}
+            className="flex items-center space-x-2 px-4 py-2 bg-green-500/20 hover:bg-green-500/30 border border-green-500/50 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <FontAwesomeIcon icon={faShieldAlt} />
+            <span>Set up two-factor authentication</span>
+          </button>
+        )}
+
+        {!twoFactorEnabled && setupData && (
+          <form onSubmit={confirmSetup} className="space-y-4">
+            <p className="text-sm text-gray-300">
+              1. Scan this QR code with your authenticator app, or enter the secret manually.
+            </p>
+            <img
+              src={setupData.qrCode}
+              alt="Two-factor QR code"
+              className="w-48 h-48 bg-white p-2 rounded-lg"
+            />
+            <p className="font-mono text-sm break-all bg-black/30 px-3 py-2 rounded">
+              {setupData.secret}
+            </p>
+            <p className="text-sm text-gray-300">2. Enter the 6-digit code shown in the app to confirm.</p>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                placeholder="123456"
+                className="flex-1 px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white tracking-widest"
+              />
+              <button
+                type="submit"
+                disabled={working}
+                className="px-4 py-2 bg-green-500/20 hover:bg-green-500/30 border border-green-500/50 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Enable
+              </button>
+              <button
+                type="button"
+                onClick={() => setSetupData(null)}
+                className="px-4 py-2 bg-red-500/20 hover:bg-red-500/30 border border-red-500/50 rounded-lg transition-colors"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {twoFactorEnabled && (
+          <form onSubmit={handleDisable} className="space-y-4">
+            <h3 className="font-semibold">Disable two-factor authentication</h3>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              required
+              placeholder="Current password"
+              className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
+            />
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              required
+              autoComplete="one-time-code"
+              placeholder="Authenticator or recovery code"
+              className="w-full px-4 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
+            />
+            <button
+              type="submit"
+              disabled={working}
+              className="flex items-center space-x-2 px-4 py-2 bg-red-500/20 hover:bg-red-500/30 border border-red-500/50 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <FontAwesomeIcon icon={faTimes} />
+              <span>Disable</span>
+            </button>
+          </form>
+        )}
+      </div>
+      <SessionsPanel />
+      {can(user, 'team:manage') && <TeamPanel />}
+      {can(user, 'security:audit') && <LockoutLogPanel />}
+    </div>
+  );
+};
+
+// Rough "Browser on OS" label for a user agent string
+const describeUserAgent = (userAgent = '') => {
+  const browser =
+    (/Edg\//.test(userAgent) && 'Edge') ||
+    (/OPR\//.test(userAgent) && 'Opera') ||
+    (/Chrome\//.test(userAgent) && 'Chrome') ||
+    (/Firefox\//.test(userAgent) && 'Firefox') ||
+    (/Safari\//.test(userAgent) && 'Safari') ||
+    'Unknown browser';
+  const os =
+    (/Windows/.test(userAgent) && 'Windows') ||
+    (/Android/.test(userAgent) && 'Android') ||
+    (/iPhone|iPad|iPod/.test(userAgent) && 'iOS') ||
+    (/Mac OS X/.test(userAgent) && 'macOS') ||
+    (/Linux/.test(userAgent) && 'Linux') ||
+    'Unknown OS';
+  return `${browser} on ${os}`;
+};
+
+// Sessions Panel Component (signed-in devices with remote revocation)
+const SessionsPanel = () => {
+  const { logout } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/users/sessions`);
+      setSessions(response.data.sessions || []);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    const result = await swal.fire({
+      title: session.current ? 'Sign out this device?' : 'Revoke this session?',
+      text: session.current
+        ? 'You will be logged out of the dashboard.'
+        : 'That device will be signed out on its next request.',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonColor: '#d33',
+      cancelButtonColor: '#3085d6',
+      confirmButtonText: 'Yes, revoke it',
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      await axios.delete(`${API_BASE_URL}/users/sessions/${session._id}`);
+      if (session.current) {
+        await logout();
+        window.location.href = '/login';
+        return;
+      }
+      setSessions((prev) => prev.filter((s) => s._id !== session._id));
+    } catch (error) {
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to revoke session'),
+        icon: 'error',
+      });
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    const result = await swal.fire({
+      title: 'Sign out all other devices?',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonColor: '#d33',
+      cancelButtonColor: '#3085d6',
+      confirmButtonText: 'Yes, sign them out',
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      await axios.delete(`${API_BASE_URL}/users/sessions`);
+      setSessions((prev) => prev.filter((s) => s.current));
+    } catch (error) {
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to revoke sessions'),
+        icon: 'error',
+      });
+    }
+  };
+
+  return (
+    <div className="bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-4 sm:p-6 max-w-2xl">
+      <div className="flex justify-between items-center mb-4 gap-4">
+        <h2 className="text-2xl font-bold">Sessions</h2>
+        {sessions.length > 1 && (
+          <button
+            type="button"
+            onClick={handleRevokeOthers}
+            className="px-4 py-2 text-sm bg-red-500/20 hover:bg-red-500/30 border border-red-500/50 rounded-lg transition-colors"
+          >
+            Sign out other devices
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <p className="text-gray-400 text-sm">Loading sessions...</p>
+      ) : sessions.length === 0 ? (
+        <p className="text-gray-400 text-sm">No active sessions.</p>
+      ) : (
+        <ul className="space-y-3">
+          {sessions.map((session) => (
+            <li
+              key={session._id}
+              className="flex justify-between items-center gap-4 p-3 bg-white/5 border border-white/10 rounded-lg"
+            >
+              <div className="min-w-0">
+                <p className="font-semibold truncate" title={session.userAgent}>
+                  {describeUserAgent(session.userAgent)}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 text-xs bg-green-500/20 text-green-400 rounded-full">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-400">
+                  {session.ip || 'Unknown IP'} · Last seen {new Date(session.lastSeenAt).toLocaleString()}
+                </p>
+                <p className="text-xs text-gray-500">
+                  Signed in {new Date(session.createdAt).toLocaleString()}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleRevoke(session)}
+                className="flex-shrink-0 flex items-center space-x-2 px-3 py-1 text-sm bg-red-500/20 hover:bg-red-500/30 border border-red-500/50 rounded-lg transition-colors"
+              >
+                <FontAwesomeIcon icon={faTrash} />
+                <span>Revoke</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Team Panel Component (owner-only management of dashboard users and roles)
+const TeamPanel = () => {
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newMember, setNewMember] = useState({ username: '', password: '', role: 'viewer' });
+  const [saving, setSaving] = useState(false);
+
+  const fetchMembers = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/users`);
+      setMembers(response.data.users || []);
+    } catch (error) {
+      console.error('Error fetching users:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchMembers();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await axios.post(`${API_BASE_URL}/users`, newMember);
+      setNewMember({ username: '', password: '', role: 'viewer' });
+      fetchMembers();
+      swal.fire({
+        title: 'Success!',
+        text: 'User created successfully',
+        icon: 'success',
+        timer: 2000,
+      });
+    } catch (error) {
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to create user'),
+        icon: 'error',
+      });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      await axios.put(`${API_BASE_URL}/users/${member._id}/role`, { role });
+      setMembers((prev) => prev.map((m) => (m._id === member._id ? { ...m, role } : m)));
+    } catch (error) {
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to update role'),
+        icon: 'error',
+      });
+    }
+  };
+
+  const handleDelete = async (member) => {
+    const result = await swal.fire({
+      title: `Remove ${member.username}?`,
+      text: 'They will be signed out everywhere and lose dashboard access.',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonColor: '#d33',
+      cancelButtonColor: '#3085d6',
+      confirmButtonText: 'Yes, remove',
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      await axios.delete(`${API_BASE_URL}/users/${member._id}`);
+      setMembers((prev) => prev.filter((m) => m._id !== member._id));
+    } catch (error) {
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to remove user'),
+        icon: 'error',
+      });
+    }
+  };
+
+  return (
+    <div className="bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-4 sm:p-6 max-w-2xl">
+      <h2 className="text-2xl font-bold mb-2">Team</h2>
+      <p className="text-gray-400 text-sm mb-4">
+        Editors can manage projects and skills. Viewers can only browse the dashboard.
+      </p>
+
+      {loading ? (
+        <p className="text-gray-400 text-sm mb-4">Loading users...</p>
+      ) : (
+        <ul className="space-y-2 mb-6">
+          {members.map((member) => (
+            <li
+              key={member._id}
+              className="flex justify-between items-center gap-4 p-3 bg-white/5 border border-white/10 rounded-lg"
+            >
+              <span className="font-semibold truncate">{member.username}</span>
+              <div className="flex items-center gap-2">
+                <select
+                  value={member.role}
+                  onChange={(e) => handleRoleChange(member, e.target.value)}
+                  className="px-2 py-1 bg-white/5 border border-white/10 rounded-lg text-white text-sm"
+                >
+                  {ROLES.map((role) => (
+                    <option key={role} value={role} className="bg-gray-900">
+                      {role}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(member)}
+                  className="px-3 py-1 text-sm bg-red-500/20 hover:bg-red-500/30 border border-red-500/50 rounded-lg transition-colors"
+                  title="Remove user"
+                >
+                  <FontAwesomeIcon icon={faTrash} />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleCreate} className="grid grid-cols-1 sm:grid-cols-4 gap-2">
+        <input
+          type="text"
+          value={newMember.username}
+          onChange={(e) => setNewMember((prev) => ({ ...prev, username: e.target.value }))}
+          required
+          placeholder="Username"
+          className="px-3 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
+        />
+        <input
+          type="password"
+          value={newMember.password}
+          onChange={(e) => setNewMember((prev) => ({ ...prev, password: e.target.value }))}
+          required
+          minLength={8}
+          placeholder="Password"
+          className="px-3 py-2 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
+        />
+        <select
+          value={newMember.role}
+          onChange={(e) => setNewMember((prev) => ({ ...prev, role: e.target.value }))}
+          className="px-3 py-2 bg-white/5 border border-white/10 rounded-lg text-white"
+        >
+          {ROLES.map((role) => (
+            <option key={role} value={role} className="bg-gray-900">
+              {role}
+            </option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex items-center justify-center space-x-2 px-4 py-2 bg-green-500/20 hover:bg-green-500/30 border border-green-500/50 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <FontAwesomeIcon icon={faPlus} />
+          <span>Add</span>
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// Lockout Log Panel Component (failed-login lockouts recorded by the backend)
+const LockoutLogPanel = () => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchEvents = async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/users/security-events`, {
+          params: { type: 'lockout', limit: 50 },
+        });
+        setEvents(response.data.events || []);
+      } catch (error) {
+        console.error('Error fetching lockout events:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchEvents();
+  }, []);
+
+  return (
+    <div className="bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-4 sm:p-6 max-w-2xl">
+      <h2 className="text-2xl font-bold mb-2">Lockout Log</h2>
+      <p className="text-gray-400 text-sm mb-4">
+        Logins that were temporarily locked after repeated failures.
+      </p>
+
+      {loading ? (
+        <p className="text-gray-400 text-sm">Loading events...</p>
+      ) : events.length === 0 ? (
+        <p className="text-gray-400 text-sm">No lockouts recorded.</p>
+      ) : (
+        <ul className="space-y-2">
+          {events.map((event) => (
+            <li
+              key={event._id}
+              className="p-3 bg-white/5 border border-white/10 rounded-lg text-sm"
+            >
+              <div className="flex justify-between gap-4">
+                <span className="font-semibold">
+                  {event.scope === 'ip' ? `IP ${event.ip}` : `User "${event.username}"`}
+                </span>
+                <span className="text-gray-400 text-xs">
+                  {new Date(event.createdAt).toLocaleString()}
+                </span>
+              </div>
+              <p className="text-xs text-gray-400">
+                {event.failures} failed attempts · locked until {new Date(event.lockedUntil).toLocaleTimeString()}
+                {event.scope === 'username' && event.ip && ` · from ${event.ip}`}
+              </p>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// Email Templates View Component (contact notification and auto-reply wording)
+const EmailTemplatesView = () => {
+  const [templates, setTemplates] = useState([]);
+  const [placeholders, setPlaceholders] = useState([]);
+  const [mailConfigured, setMailConfigured] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [savingKey, setSavingKey] = useState(null);
+
+  useEffect(() => {
+    const fetchTemplates = async () => {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/email-templates`);
+        setTemplates(response.data.templates || []);
+        setPlaceholders(response.data.placeholders || []);
+        setMailConfigured(Boolean(response.data.mailConfigured));
+      } catch (error) {
+        console.error('Error fetching email templates:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchTemplates();
+  }, []);
+
+  const updateField = (key, field, value) => {
+    setTemplates((prev) => prev.map((t) => (t.key === key ? { ...t, [field]: value } : t)));
+  };
+
+  const replaceTemplate = (template) => {
+    setTemplates((prev) => prev.map((t) => (t.key === template.key ? template : t)));
+  };
+
+  const handleSave = async (template) => {
+    setSavingKey(template.key);
+    try {
+      const response = await axios.put(`${API_BASE_URL}/email-templates/${template.key}`, {
+        subject: template.subject,
+        body: template.body,
+        enabled: template.enabled,
+      });
+      replaceTemplate(response.data.template);
+      swal.fire({
+        title: 'Success!',
+        text: 'Template saved',
+        icon: 'success',
+        timer: 2000,
+      });
+    } catch (error) {
+      const errors = error.response?.data?.errors;
+      swal.fire({
+        title: 'Error!',
+        text: errors ? Object.values(errors).join('\n') : getErrorMessage(error, 'Failed to save template'),
+        icon: 'error',
+      });
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  const handleReset = async (template) => {
+    const result = await swal.fire({
+      title: 'Reset to default?',
+      text: 'Your changes to this template will be lost.',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonColor: '#d33',
+      cancelButtonColor: '#3085d6',
+      confirmButtonText: 'Yes, reset',
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      const response = await axios.delete(`${API_BASE_URL}/email-templates/${template.key}`);
+      replaceTemplate(response.data.template);
+    } catch (error) {
+      swal.fire({
+        title: 'Error!',
+        text: getErrorMessage(error, 'Failed to reset template'),
+        icon: 'error',
+      });
+    }
+  };
+
+  if (loading) {
+    return <p className="text-gray-400">Loading templates...</p>;
+  }
+
+  return (
+    <div className="space-y-8 max-w-3xl">
+      {!mailConfigured && (
+        <p className="p-4 bg-yellow-500/10 border border-yellow-500/50 rounded-lg text-yellow-300 text-sm">
+          SMTP is not configured on the server, so no emails are sent. Set <code>SMTP_HOST</code> and{' '}
+          <code>MAIL_FROM</code> in the backend environment.
+        </p>
+      )}
+      <p className="text-gray-400 text-sm">
+        Available placeholders:{' '}
+        {placeholders.map((name) => (
+          <code key={name} className="mr-2 px-1 bg-white/10 rounded">{`{{${name}}}`}</code>
+        ))}
+      </p>
+
+      {templates.map((template) => (
+        <div
+          key={template.key}
+          className="bg-white/5 backdrop-blur-xl rounded-2xl border border-white/10 p-4 sm:p-6"
+        >
+          <div className="flex justify-between items-center mb-4 gap-4">
+            <h2 className="text-2xl font-bold">{template.label}</h2>
+            <label className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={template.enabled}
+                onChange={(e) => updateField(template.key, 'enabled', e.target.checked)}
+              />
+              Enabled
+            </label>
+          </div>
+          <label className="block text-sm font-medium mb-2">Subject</label>
+          <input
+            type="text"
+            value={template.subject}
+            onChange={(e) => updateField(template.key, 'subject', e.target.value)}
+            maxLength={200}
+            className="w-full px-4 py-2 mb-4 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white"
+          />
+          <label className="block text-sm font-medium mb-2">Body</label>
+          <textarea
+            value={template.body}
+            onChange={(e) => updateField(template.key, 'body', e.target.value)}
+            rows={8}
+            className="w-full px-4 py-2 mb-4 bg-white/5 border border-white/10 rounded-lg focus:outline-none focus:border-blue-500/50 text-white font-mono text-sm"
+          />
+          <div className="flex gap-2">
+            <button
+              onClick={() => handleSave(template)}
+              disabled={savingKey === template.key}
+              className="flex items-center space-x-2 px-4 py-2 bg-green-500/20 hover:bg-green-500/30 border border-green-500/50 rounded-lg transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <FontAwesomeIcon icon={faSave} />
+              <span>{savingKey === template.key ? 'Saving...' : 'Save'}</span>
+            </button>
+            {template.customized && (
+              <button
+                onClick={() => handleReset(template)}
+                className="px-4 py-2 bg-white/5 hover:bg-white/10 border border-white/10 rounded-lg transition-colors"
+              >
+                Reset to default
+              </button>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
 export default UnifiedDashboard;
@@ -1,6 +1,7 @@
 import axios from 'axios';
 import PropTypes from 'prop-types';
-import { createContext, useContext, useEffect, useState } from 'react';
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { getErrorCode, getErrorMessage } from '../utils/apiErrors';
 
 const AuthContext = createContext();
 
@@ -18,31 +19,177 @@ const API_BASE_URL = BASE_URL.endsWith('/api') ? BASE_URL : `${BASE_URL}/api`;
 // Configure axios to send credentials (cookies) with all requests
 axios.defaults.withCredentials = true;
 
+// Refresh this long before the access token expires, plus a random extra of up to
+// REFRESH_JITTER_MS so tabs opened together don't all refresh at the same moment
+const REFRESH_LEAD_TIME_MS = 60 * 1000;
+const REFRESH_JITTER_MS = 15 * 1000;
+
+// Tabs share refresh results over this channel, and take this lock while refreshing,
+// so only one of them rotates the refresh token at a time
+const AUTH_CHANNEL = 'auth';
+const REFRESH_LOCK = 'auth-refresh';
+
+const openAuthChannel = () =>
+  typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(AUTH_CHANNEL);
+
+// Run fn while holding the cross-tab refresh lock (directly where Web Locks aren't supported)
+const withRefreshLock = (fn) =>
+  typeof navigator !== 'undefined' && navigator.locks
+    ? navigator.locks.request(REFRESH_LOCK, fn)
+    : fn();
+
+// Requests that must never trigger a silent refresh-and-retry
+const isAuthRequest = (url = '') =>
+  ['/users/login', '/users/refresh', '/users/logout'].some((path) => url.includes(path));
+
+// 401 codes a refresh can fix (the access cookie expired or was dropped by the browser)
+// Revoked sessions and missing second factors need a real login instead
+const REFRESHABLE_CODES = ['TOKEN_EXPIRED', 'AUTH_REQUIRED'];
+
+// Seconds the server asked us to wait before the next login attempt (429 / progressive delay)
+const getRetryAfter = (error) => {
+  const fromBody = Number(error.response?.data?.retryAfter);
+  if (fromBody > 0) return fromBody;
+  const fromHeader = Number(error.response?.headers?.['retry-after']);
+  return fromHeader > 0 ? fromHeader : null;
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  // When the current access token expires (ms timestamp), used to schedule silent refreshes
+  const [expiresAt, setExpiresAt] = useState(null);
+  // Shared in-flight refresh so parallel 401s only rotate the refresh token once
+  const refreshPromiseRef = useRef(null);
+  // Latest expiry, readable inside the refresh lock (other tabs may have moved it on)
+  const expiresAtRef = useRef(null);
+  const channelRef = useRef(null);
 
-  // Check if user is authenticated on mount
-  useEffect(() => {
-    checkAuth();
+  const applySession = useCallback((sessionUser, sessionExpiresAt) => {
+    expiresAtRef.current = sessionExpiresAt;
+    setUser(sessionUser);
+    setIsAuthenticated(true);
+    setExpiresAt(sessionExpiresAt);
   }, []);
 
-  const checkAuth = async () => {
+  const clearSession = useCallback(() => {
+    expiresAtRef.current = null;
+    setUser(null);
+    setIsAuthenticated(false);
+    setExpiresAt(null);
+  }, []);
+
+  // Take over refreshes done by other tabs instead of repeating them
+  useEffect(() => {
+    const channel = openAuthChannel();
+    if (!channel) return undefined;
+    channelRef.current = channel;
+    channel.onmessage = ({ data }) => {
+      if (data?.type === 'refreshed') applySession(data.user, data.expiresAt);
+      else if (data?.type === 'logout') clearSession();
+    };
+    return () => {
+      channelRef.current = null;
+      channel.close();
+    };
+  }, [applySession, clearSession]);
+
+  // Exchange the refresh cookie for a new access token
+  const refreshSession = useCallback(() => {
+    if (!refreshPromiseRef.current) {
+      const knownExpiry = expiresAtRef.current;
+      refreshPromiseRef.current = withRefreshLock(() => {
+        // Another tab refreshed while this one waited for the lock; its cookies are ours too
+        if (expiresAtRef.current && expiresAtRef.current !== knownExpiry) return true;
+
+        return axios
+          .post(`${API_BASE_URL}/users/refresh`)
+          .then((response) => {
+            if (response.data.success) {
+              applySession(response.data.user, response.data.expiresAt);
+              channelRef.current?.postMessage({
+                type: 'refreshed',
+                user: response.data.user,
+                expiresAt: response.data.expiresAt,
+              });
+              return true;
+            }
+            clearSession();
+            return false;
+          })
+          .catch(() => {
+            clearSession();
+            return false;
+          });
+      }).finally(() => {
+        refreshPromiseRef.current = null;
+      });
+    }
+    return refreshPromiseRef.current;
+  }, [applySession, clearSession]);
+
+  const checkAuth = useCallback(async () => {
     try {
       // Try to verify token by making a protected request
       const response = await axios.get(`${API_BASE_URL}/users/verify`);
       if (response.data.success) {
-        setUser(response.data.user);
-        setIsAuthenticated(true);
+        applySession(response.data.user, response.data.expiresAt);
       }
     } catch (error) {
-      setUser(null);
-      setIsAuthenticated(false);
+      // Access token missing or expired - the refresh cookie may still be valid
+      await refreshSession();
     } finally {
       setLoading(false);
     }
-  };
+  }, [applySession, refreshSession]);
+
+  // Check if user is authenticated on mount
+  useEffect(() => {
+    checkAuth();
+  }, [checkAuth]);
+
+  // Silently refresh shortly before the access token expires
+  useEffect(() => {
+    if (!isAuthenticated || !expiresAt) return undefined;
+
+    const jitter = Math.random() * REFRESH_JITTER_MS;
+    const delay = Math.max(expiresAt - Date.now() - REFRESH_LEAD_TIME_MS - jitter, 0);
+    const timeoutId = setTimeout(() => {
+      refreshSession();
+    }, delay);
+
+    return () => clearTimeout(timeoutId);
+  }, [isAuthenticated, expiresAt, refreshSession]);
+
+  // Safety net: if a request still hits an expired token (e.g. the tab was asleep),
+  // refresh once and replay it
+  useEffect(() => {
+    const interceptorId = axios.interceptors.response.use(
+      (response) => response,
+      async (error) => {
+        const { config, response } = error;
+        if (
+          !config ||
+          config._retriedAfterRefresh ||
+          isAuthRequest(config.url) ||
+          response?.status !== 401 ||
+          !REFRESHABLE_CODES.includes(getErrorCode(error))
+        ) {
+          throw error;
+        }
+
+        config._retriedAfterRefresh = true;
+        const refreshed = await refreshSession();
+        if (!refreshed) {
+          throw error;
+        }
+        return axios(config);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptorId);
+  }, [refreshSession]);
 
   const login = async (username, password) => {
     try {
@@ -52,15 +199,52 @@ export const AuthProvider = ({ children }) => {
       );
 
       if (response.data.message === 'Login successful') {
-        setUser(response.data.user);
-        setIsAuthenticated(true);
+        applySession(response.data.user, response.data.expiresAt);
         return { success: true, message: 'Login successful' };
       }
+      // Password was correct but the account needs a second factor
+      if (response.data.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken,
+          message: response.data.message,
+        };
+      }
       return { success: false, message: response.data.message || 'Login failed' };
     } catch (error) {
       return {
         success: false,
-        message: error.response?.data?.message || 'Login failed. Please try again.',
+        message: getErrorMessage(error, 'Login failed. Please try again.'),
+        retryAfter: getRetryAfter(error),
+        locked: Boolean(error.response?.data?.locked),
+      };
+    }
+  };
+
+  // Second login step - send either a TOTP code or a recovery code with the challenge token
+  const verifyTwoFactor = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      const response = await axios.post(
+        `${API_BASE_URL}/users/login/2fa`,
+        { challengeToken, code, recoveryCode }
+      );
+
+      if (response.data.message === 'Login successful') {
+        applySession(response.data.user, response.data.expiresAt);
+        return {
+          success: true,
+          message: 'Login successful',
+          recoveryCodesRemaining: response.data.recoveryCodesRemaining,
+        };
+      }
+      return { success: false, message: response.data.message || 'Verification failed' };
+    } catch (error) {
+      return {
+        success: false,
+        message: getErrorMessage(error, 'Verification failed. Please try again.'),
+        retryAfter: getRetryAfter(error),
+        locked: Boolean(error.response?.data?.locked),
       };
     }
   };
@@ -71,8 +255,8 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      setUser(null);
-      setIsAuthenticated(false);
+      clearSession();
+      channelRef.current?.postMessage({ type: 'logout' });
     }
   };
 
@@ -81,8 +265,10 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     loading,
     login,
+    verifyTwoFactor,
     logout,
     checkAuth,
+    refreshSession,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -1,5 +1,7 @@
 import PropTypes from 'prop-types';
-import { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import { apiFetch, getErrorMessage, toApiError } from '../utils/apiErrors';
+import { createTechLookup } from '../utils/techTaxonomy';
 
 const ProjectsContext = createContext();
 
@@ -18,74 +20,158 @@ const ensureHttps = (url) => {
 const BASE_URL = ensureHttps(import.meta.env.VITE_API_BASE_URL || 'http://localhost:3000');
 const API_BASE_URL = BASE_URL.endsWith('/api') ? BASE_URL : `${BASE_URL}/api`;
 
+// Projects per page on the public site
+const PAGE_SIZE = 12;
+
+// GET /projects (or a sub-path) with query params, retrying without the /api prefix on a 404
+const requestProjects = async (params, path = '') => {
+  const query = new URLSearchParams(params).toString();
+
+  // Try the main API endpoint (connection failures surface as a NETWORK_ERROR code)
+  let response = await apiFetch(`${API_BASE_URL}/projects${path}?${query}`);
+
+  // If 404, try without /api prefix (some deployments might not use it)
+  if (!response.ok && response.status === 404) {
+    const alternativeUrl = BASE_URL.endsWith('/api')
+      ? BASE_URL.replace('/api', '')
+      : BASE_URL;
+    response = await apiFetch(`${alternativeUrl}/projects${path}?${query}`);
+  }
+
+  if (!response.ok) {
+    throw await toApiError(response);
+  }
+
+  const data = await response.json();
+
+  if (!data.success) {
+    throw new Error(data.message || 'Failed to fetch projects');
+  }
+  return data;
+};
+
 export const ProjectsProvider = ({ children }) => {
+  // Featured projects load in one go; the rest are paged with a cursor
+  const [featuredProjects, setFeaturedProjects] = useState([]);
   const [projects, setProjects] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [total, setTotal] = useState(0);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  // Technology filter: projects must use every selected tool
+  const [toolFilter, setToolFilter] = useState([]);
+  const [tools, setTools] = useState([]);
+  // Tech taxonomy: canonical names, aliases and bundled icons for tools
+  const [technologies, setTechnologies] = useState([]);
+  // Bumped on every first-page fetch so responses for an older filter are dropped
+  const requestId = useRef(0);
 
-  // Fetch projects from backend - memoized to prevent recreating on every render
+  // Query params shared by the first page and the pages after it
+  const baseParams = useCallback((params) => {
+    return toolFilter.length ? { ...params, tools: toolFilter.join(',') } : params;
+  }, [toolFilter]);
+
+  // Fetch the first page from the backend - memoized to prevent recreating on every render
+  // Ask for the public view explicitly so signed-in visitors don't see drafts on the site
   const fetchProjects = useCallback(async () => {
+    const request = ++requestId.current;
     try {
       setLoading(true);
       setError(null);
-      
-      // Try the main API endpoint
-      let response;
-      try {
-        response = await fetch(`${API_BASE_URL}/projects`);
-      } catch (fetchError) {
-        // Handle connection errors (server not running, network issues)
-        if (fetchError.message.includes('Failed to fetch') || fetchError.message.includes('Connection refused')) {
-          const backendUrl = BASE_URL;
-          throw new Error(
-            `Cannot connect to backend server at ${backendUrl}. ` +
-            `Please ensure the backend is running or check your VITE_API_BASE_URL environment variable.`
-          );
-        }
-        throw fetchError;
-      }
-      
-      // If 404, try without /api prefix (some deployments might not use it)
-      if (!response.ok && response.status === 404) {
-        const alternativeUrl = BASE_URL.endsWith('/api') 
-          ? BASE_URL.replace('/api', '') 
-          : BASE_URL;
-        response = await fetch(`${alternativeUrl}/projects`);
-      }
-      
-      if (!response.ok) {
-        throw new Error(`Failed to fetch projects: ${response.status} ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      
-      if (data.success && data.projects) {
-        setProjects(data.projects);
-      } else {
-        throw new Error(data.message || 'Failed to fetch projects');
-      }
+
+      const [featured, firstPage] = await Promise.all([
+        requestProjects(baseParams({ status: 'live', featured: 'true', limit: 100 })),
+        requestProjects(baseParams({ status: 'live', featured: 'false', limit: PAGE_SIZE })),
+      ]);
+      if (request !== requestId.current) return;
+
+      setFeaturedProjects(featured.projects);
+      setProjects(firstPage.projects);
+      setNextCursor(firstPage.nextCursor);
+      setTotal(featured.total + firstPage.total);
     } catch (err) {
+      if (request !== requestId.current) return;
       console.error('Error fetching projects:', err);
-      setError(err.message);
-      // Set empty array on error so UI doesn't break
+      setError(getErrorMessage(err, 'Failed to fetch projects'));
+      // Set empty arrays on error so UI doesn't break
+      setFeaturedProjects([]);
       setProjects([]);
+      setNextCursor(null);
+      setTotal(0);
     } finally {
-      setLoading(false);
+      if (request === requestId.current) setLoading(false);
+    }
+  }, [baseParams]); // API_BASE_URL and BASE_URL are constants
+
+  // Append the next page (used by the infinite scroll on the projects section)
+  const loadMoreProjects = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    const request = requestId.current;
+    try {
+      setLoadingMore(true);
+      const page = await requestProjects(baseParams({
+        status: 'live',
+        featured: 'false',
+        limit: PAGE_SIZE,
+        cursor: nextCursor,
+      }));
+      if (request !== requestId.current) return;
+      setProjects((current) => current.concat(page.projects));
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      // Keep what's already on screen; the next scroll tries again
+      console.error('Error loading more projects:', err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [nextCursor, loadingMore, baseParams]);
+
+  // Tools for the filter bar, with how many live projects use each
+  const fetchTools = useCallback(async () => {
+    try {
+      const data = await requestProjects({ status: 'live' }, '/tools');
+      setTools(data.tools || []);
+    } catch (err) {
+      // The grid still works without the filter bar
+      console.error('Error fetching project tools:', err);
+      setTools([]);
     }
-  }, []); // Empty deps - API_BASE_URL and BASE_URL are constants
+  }, []);
+
+  // The taxonomy only changes with a deploy, so it's loaded once
+  useEffect(() => {
+    apiFetch(`${API_BASE_URL}/tech`)
+      .then(async (response) => {
+        if (!response.ok) throw await toApiError(response);
+        const data = await response.json();
+        setTechnologies(data.technologies || []);
+      })
+      .catch((err) => {
+        // Tools still show, just without icons
+        console.error('Error fetching tech taxonomy:', err);
+      });
+  }, []);
+
+  // Taxonomy entry for any spelling of a tool (e.g. "nextjs" -> Next.js), or null
+  const findTech = useMemo(() => createTechLookup(technologies), [technologies]);
 
-  // Fetch projects on mount
+  // Fetch projects on mount and whenever the technology filter changes
   useEffect(() => {
     fetchProjects();
   }, [fetchProjects]);
 
+  useEffect(() => {
+    fetchTools();
+  }, [fetchTools]);
+
   // Get single project by ID
   const getProjectById = async (id) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/projects/${id}`);
+      const response = await apiFetch(`${API_BASE_URL}/projects/${id}`);
       
       if (!response.ok) {
-        throw new Error(`Failed to fetch project: ${response.statusText}`);
+        throw await toApiError(response);
       }
       
       const data = await response.json();
@@ -101,16 +187,39 @@ export const ProjectsProvider = ({ children }) => {
     }
   };
 
-  // Refresh projects - memoized to prevent infinite loops
+  // Get single project by slug (old slugs and ids resolve too - check the returned slug)
+  const getProjectBySlug = useCallback(async (slug) => {
+    const response = await apiFetch(`${API_BASE_URL}/projects/slug/${encodeURIComponent(slug)}`);
+
+    if (!response.ok) {
+      throw await toApiError(response);
+    }
+
+    const data = await response.json();
+    return data.project;
+  }, []);
+
+  // Refresh projects (back to the first page) - memoized to prevent infinite loops
   const refreshProjects = useCallback(() => {
     fetchProjects();
-  }, [fetchProjects]); // Depends on fetchProjects, which is now stable
+    fetchTools();
+  }, [fetchProjects, fetchTools]);
 
   const value = {
+    featuredProjects,
     projects,
+    total,
+    hasMore: Boolean(nextCursor),
     loading,
+    loadingMore,
     error,
+    loadMoreProjects,
+    tools,
+    findTech,
+    toolFilter,
+    setToolFilter,
     getProjectById,
+    getProjectBySlug,
     refreshProjects,
   };
 
@@ -1,5 +1,6 @@
 import PropTypes from 'prop-types';
 import { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import { apiFetch, getErrorMessage, toApiError } from '../utils/apiErrors';
 
 const SkillsContext = createContext();
 
@@ -25,17 +26,17 @@ export const SkillsProvider = ({ children }) => {
       setLoading(true);
       setError(null);
       
-      let response = await fetch(`${API_BASE_URL}/skills`);
+      let response = await apiFetch(`${API_BASE_URL}/skills`);
       
       if (!response.ok && response.status === 404) {
         const alternativeUrl = BASE_URL.endsWith('/api') 
           ? BASE_URL.replace('/api', '') 
           : BASE_URL;
-        response = await fetch(`${alternativeUrl}/skills`);
+        response = await apiFetch(`${alternativeUrl}/skills`);
       }
       
       if (!response.ok) {
-        throw new Error(`Failed to fetch skills: ${response.status} ${response.statusText}`);
+        throw await toApiError(response);
       }
       
       const data = await response.json();
@@ -47,7 +48,7 @@ export const SkillsProvider = ({ children }) => {
       }
     } catch (err) {
       console.error('Error fetching skills:', err);
-      setError(err.message);
+      setError(getErrorMessage(err, 'Failed to fetch skills'));
       setSkills([]);
     } finally {
       setLoading(false);
@@ -60,10 +61,10 @@ export const SkillsProvider = ({ children }) => {
 
   const getSkillById = useCallback(async (id) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/skills/${id}`);
+      const response = await apiFetch(`${API_BASE_URL}/skills/${id}`);
       
       if (!response.ok) {
-        throw new Error(`Failed to fetch skill: ${response.statusText}`);
+        throw await toApiError(response);
       }
       
       const data = await response.json();
@@ -83,12 +84,18 @@ export const SkillsProvider = ({ children }) => {
     fetchSkills();
   }, [fetchSkills]);
 
+  // Show a new manual order right away; the dashboard saves it with PUT /skills/order
+  const setSkillOrder = useCallback((orderedSkills) => {
+    setSkills(orderedSkills);
+  }, []);
+
   const value = {
     skills,
     loading,
     error,
     getSkillById,
     refreshSkills,
+    setSkillOrder,
   };
 
   return (
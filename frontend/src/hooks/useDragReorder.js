@@ -0,0 +1,44 @@
+import { useRef, useState } from 'react';
+
+/**
+ * Native HTML5 drag-and-drop reordering for a list of cards
+ * Spread getDragProps(index) onto each card; onReorder gets the list in its new order
+ * @param {Array} items - Items in their current order
+ * @param {(items: Array) => void} onReorder
+ * @returns {{ getDragProps: (index: number) => Object, overIndex: number|null }}
+ */
+export const useDragReorder = (items, onReorder) => {
+  const dragIndex = useRef(null);
+  const [overIndex, setOverIndex] = useState(null);
+
+  const reset = () => {
+    dragIndex.current = null;
+    setOverIndex(null);
+  };
+
+  const getDragProps = (index) => ({
+    draggable: true,
+    onDragStart: (e) => {
+      dragIndex.current = index;
+      e.dataTransfer.effectAllowed = 'move';
+    },
+    onDragOver: (e) => {
+      if (dragIndex.current === null) return;
+      e.preventDefault();
+      if (overIndex !== index) setOverIndex(index);
+    },
+    onDrop: (e) => {
+      e.preventDefault();
+      const from = dragIndex.current;
+      reset();
+      if (from === null || from === index) return;
+      const next = [...items];
+      const [moved] = next.splice(from, 1);
+      next.splice(index, 0, moved);
+      onReorder(next);
+    },
+    onDragEnd: reset,
+  });
+
+  return { getDragProps, overIndex };
+};
@@ -0,0 +1,33 @@
+import { useRef } from 'react';
+
+// Horizontal distance (px) a touch has to travel to count as a swipe
+const SWIPE_THRESHOLD = 50;
+
+/**
+ * Left/right swipe gestures on touch screens
+ * Spread the returned handlers onto the element that should react to swipes
+ * @param {() => void} onPrevious - Swiped right
+ * @param {() => void} onNext - Swiped left
+ * @returns {{ onTouchStart: Function, onTouchEnd: Function }}
+ */
+export const useSwipe = (onPrevious, onNext) => {
+  const start = useRef(null);
+
+  return {
+    onTouchStart: (e) => {
+      const touch = e.touches[0];
+      start.current = { x: touch.clientX, y: touch.clientY };
+    },
+    onTouchEnd: (e) => {
+      if (!start.current) return;
+      const touch = e.changedTouches[0];
+      const dx = touch.clientX - start.current.x;
+      const dy = touch.clientY - start.current.y;
+      start.current = null;
+      // Mostly vertical movement is scrolling, not a swipe
+      if (Math.abs(dx) < SWIPE_THRESHOLD || Math.abs(dx) < Math.abs(dy)) return;
+      if (dx > 0) onPrevious();
+      else onNext();
+    },
+  };
+};
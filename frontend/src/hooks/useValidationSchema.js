@@ -0,0 +1,29 @@
+import axios from 'axios';
+import { useEffect, useState } from 'react';
+
+/**
+ * Load a validation schema served by the API (e.g. `${API_BASE_URL}/projects/schema`)
+ * Returns null until it arrives or if it can't be loaded - the server validates either way
+ * @param {string} url
+ * @returns {Object|null}
+ */
+export const useValidationSchema = (url) => {
+  const [schema, setSchema] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    axios
+      .get(url)
+      .then((response) => {
+        if (!cancelled) setSchema(response.data.schema || null);
+      })
+      .catch((error) => {
+        console.warn('Could not load validation schema, relying on server-side checks:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  return schema;
+};
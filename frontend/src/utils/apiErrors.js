@@ -0,0 +1,103 @@
+/**
+ * Map the backend's machine-readable error codes to messages for people
+ * Codes come from backend/utils/errors.js; anything not listed here falls back
+ * to the server's own message (validation messages are already specific).
+ */
+
+export const ERROR_MESSAGES = {
+  NETWORK_ERROR: 'Cannot reach the server. Check your connection or the VITE_API_BASE_URL setting.',
+  INTERNAL_ERROR: 'Something went wrong on the server. Please try again later.',
+  DATABASE_UNAVAILABLE: 'The database is unavailable right now. Please try again in a moment.',
+  ROUTE_NOT_FOUND: 'This feature is not available on the server. Is the backend up to date?',
+  AUTH_REQUIRED: 'Please log in to continue.',
+  TOKEN_EXPIRED: 'Your session expired. Please log in again.',
+  SESSION_EXPIRED: 'Your session expired. Please log in again.',
+  SESSION_REVOKED: 'You were signed out. Please log in again.',
+  INVALID_TOKEN: 'Your session is no longer valid. Please log in again.',
+  FORBIDDEN: "You don't have permission to do that.",
+  USER_NOT_FOUND: 'Invalid username or password.',
+  CHALLENGE_EXPIRED: 'The login took too long. Please enter your password again.',
+  INVALID_TWO_FACTOR_CODE: 'That authentication code is not valid.',
+  LOGIN_LOCKED: 'Too many failed attempts. This login is temporarily locked.',
+  LOGIN_THROTTLED: 'Please wait a moment before trying again.',
+  RATE_LIMITED: 'Too many requests. Please try again later.',
+  PAYLOAD_TOO_LARGE: 'That upload is too large.',
+  FILE_TOO_LARGE: 'That file is too large.',
+  UPLOAD_FAILED: 'The media upload failed. Please try again.',
+};
+
+/**
+ * Error thrown by fetch-based helpers, shaped like the backend's error responses
+ */
+export class ApiError extends Error {
+  constructor(message, { code = 'INTERNAL_ERROR', status = 0, errors } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    if (errors) this.errors = errors;
+  }
+}
+
+/**
+ * Build an ApiError from a failed fetch Response
+ * @param {Response} response
+ * @returns {Promise<ApiError>}
+ */
+export const toApiError = async (response) => {
+  let body = {};
+  try {
+    body = await response.json();
+  } catch {
+    // Non-JSON error page (e.g. a proxy) - fall back to the status text
+  }
+  return new ApiError(body.message || response.statusText || 'Request failed', {
+    code: body.code || (response.status >= 500 ? 'INTERNAL_ERROR' : 'REQUEST_FAILED'),
+    status: response.status,
+    errors: body.errors,
+  });
+};
+
+/**
+ * fetch() that reports connection failures as NETWORK_ERROR instead of a browser-specific TypeError
+ * @param {string} url
+ * @param {RequestInit} [options]
+ * @returns {Promise<Response>}
+ */
+export const apiFetch = async (url, options) => {
+  try {
+    return await fetch(url, options);
+  } catch {
+    throw new ApiError(ERROR_MESSAGES.NETWORK_ERROR, { code: 'NETWORK_ERROR' });
+  }
+};
+
+/**
+ * Error code from an axios error, an ApiError or a response body
+ * @param {*} error
+ * @returns {string|null}
+ */
+export const getErrorCode = (error) => {
+  if (!error) return null;
+  if (error.isAxiosError) {
+    if (!error.response) return 'NETWORK_ERROR';
+    return error.response.data?.code || null;
+  }
+  return error.code || null;
+};
+
+/**
+ * Friendly message for any API failure
+ * @param {*} error - axios error, ApiError or Error
+ * @param {string} [fallback]
+ * @returns {string}
+ */
+export const getErrorMessage = (error, fallback = 'Something went wrong. Please try again.') => {
+  const code = getErrorCode(error);
+  const serverMessage = error?.isAxiosError ? error.response?.data?.message : error?.message;
+
+  if (code && ERROR_MESSAGES[code]) {
+    return ERROR_MESSAGES[code];
+  }
+  return serverMessage || fallback;
+};
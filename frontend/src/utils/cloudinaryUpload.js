@@ -80,6 +80,7 @@ export const uploadVideoToCloudinary = async (file, folder = 'project-videos', o
   try {
     const sigResponse = await fetch(`${API_BASE_URL}/cloudinary-signature`, {
       method: 'POST',
+      credentials: 'include', // Signature endpoint requires an owner/editor session
       headers: {
         'Content-Type': 'application/json',
       },
@@ -222,6 +223,7 @@ export const uploadImageToCloudinary = async (file, folder = 'project-thumbnails
   try {
     const sigResponse = await fetch(`${API_BASE_URL}/cloudinary-signature`, {
       method: 'POST',
+      credentials: 'include', // Signature endpoint requires an owner/editor session
       headers: {
         'Content-Type': 'application/json',
       },
@@ -0,0 +1,52 @@
+import DOMPurify from 'dompurify';
+import { marked } from 'marked';
+
+// Project descriptions and challenges are stored as Markdown and rendered here.
+// The HTML goes through an allowlist, so raw HTML in the Markdown can't inject
+// scripts, styles, iframes or event handlers.
+
+// Tags rendered Markdown may produce; anything else is dropped (its text is kept)
+export const ALLOWED_TAGS = [
+  'p', 'br', 'hr', 'strong', 'em', 'del', 'code', 'pre', 'blockquote',
+  'ul', 'ol', 'li', 'a', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+];
+export const ALLOWED_ATTR = ['href', 'title', 'start'];
+// Links may only point to web pages, email addresses and paths or anchors on this site
+const ALLOWED_URI_REGEXP = /^(?:https?:|mailto:|\/|#)/i;
+
+// Own instance, so the hook below doesn't affect other DOMPurify users
+const purifier = DOMPurify();
+// Links open in a new tab without handing the page a reference to ours
+purifier.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A') {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer nofollow');
+  }
+});
+
+/**
+ * Markdown to sanitized HTML
+ * Single line breaks are kept, so plain-text descriptions written before Markdown look the same
+ * @param {string} text
+ * @returns {string}
+ */
+export const renderMarkdown = (text) => {
+  if (!text) return '';
+  const html = marked.parse(String(text), { gfm: true, breaks: true, async: false });
+  return purifier.sanitize(html, {
+    ALLOWED_TAGS,
+    ALLOWED_ATTR,
+    ALLOWED_URI_REGEXP,
+  });
+};
+
+/**
+ * Markdown as plain text, for short previews
+ * @param {string} text
+ * @returns {string}
+ */
+export const markdownToText = (text) => {
+  const html = renderMarkdown(text);
+  if (!html) return '';
+  return new DOMParser().parseFromString(html, 'text/html').body.textContent.trim();
+};
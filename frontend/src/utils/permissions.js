@@ -0,0 +1,25 @@
+/**
+ * Role-based permissions for the dashboard
+ * Mirrors the backend's requireRole() checks so the UI only offers actions the API will accept
+ */
+
+export const ROLES = ['owner', 'editor', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  owner: ['content:edit', 'team:manage', 'security:audit', 'settings:manage'],
+  editor: ['content:edit'],
+  viewer: [],
+};
+
+/**
+ * Check whether a user may perform an action
+ * @param {Object|null} user - User from AuthContext
+ * @param {string} permission - e.g. 'content:edit'
+ * @returns {boolean}
+ */
+export const can = (user, permission) => {
+  if (!user) return false;
+  // Accounts created before roles existed are the owner account
+  const role = user?.role || 'owner';
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
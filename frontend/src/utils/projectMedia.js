@@ -0,0 +1,33 @@
+import PropTypes from 'prop-types';
+
+// Client-side counterpart of backend/utils/projectMedia.js
+
+// Where the dashboard uploads each type in Cloudinary
+export const MEDIA_FOLDERS = { image: 'project-images', video: 'project-videos' };
+
+// One image or video in a project's gallery
+export const mediaItemPropType = PropTypes.shape({
+  type: PropTypes.oneOf(['image', 'video']).isRequired,
+  url: PropTypes.string.isRequired,
+  publicId: PropTypes.string,
+  alt: PropTypes.string,
+  caption: PropTypes.string,
+  cover: PropTypes.bool,
+});
+
+/**
+ * Position of the cover item (the first item when none is flagged)
+ * @param {Array<{ cover?: boolean }>} [media]
+ * @returns {number}
+ */
+export const coverIndex = (media = []) => Math.max(media.findIndex((item) => item.cover), 0);
+
+/**
+ * Make sure exactly one item is the cover
+ * @param {Array<Object>} [media]
+ * @param {number} [index] - Item to make the cover; defaults to the current one
+ * @returns {Array<Object>}
+ */
+export const withCover = (media = [], index = coverIndex(media)) => {
+  return media.map((item, i) => ({ ...item, cover: i === index }));
+};
@@ -0,0 +1,36 @@
+/**
+ * Project lifecycle states
+ * Mirrors backend/utils/projectStatus.js
+ */
+
+export const PROJECT_STATUSES = ['draft', 'published', 'scheduled', 'archived'];
+
+export const STATUS_LABELS = {
+  draft: 'Draft',
+  published: 'Published',
+  scheduled: 'Scheduled',
+  archived: 'Archived',
+};
+
+/**
+ * Effective status for a project - ones created before statuses existed are published
+ * @param {Object} project
+ * @returns {string}
+ */
+export const resolveStatus = (project) => {
+  if (project && PROJECT_STATUSES.includes(project.status)) return project.status;
+  return 'published';
+};
+
+/**
+ * Format a date for a datetime-local input (local time, minute precision)
+ * @param {string|Date} value
+ * @returns {string}
+ */
+export const toDateTimeLocal = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
@@ -0,0 +1,54 @@
+/**
+ * Skill categories and proficiency levels
+ * The lists mirror backend/utils/skillCategories.js; grouping is client-only
+ */
+
+export const SKILL_CATEGORIES = ['Frontend', 'Backend', 'Database', 'DevOps', 'Mobile', 'Tools', 'Other'];
+
+export const DEFAULT_CATEGORY = 'Other';
+
+export const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+export const LEVEL_LABELS = {
+  beginner: 'Beginner',
+  intermediate: 'Intermediate',
+  advanced: 'Advanced',
+  expert: 'Expert',
+};
+
+/**
+ * Effective category for a skill - ones created before categories existed go under "Other"
+ * @param {Object} skill
+ * @returns {string}
+ */
+export const resolveCategory = (skill) => {
+  if (skill && SKILL_CATEGORIES.includes(skill.category)) return skill.category;
+  return DEFAULT_CATEGORY;
+};
+
+/**
+ * Split skills into category sections, in SKILL_CATEGORIES order
+ * Skills keep their manual order inside each section; empty sections are left out
+ * @param {Array} skills
+ * @returns {Array<{ category: string, skills: Array }>}
+ */
+export const groupSkillsByCategory = (skills) => {
+  return SKILL_CATEGORIES
+    .map((category) => ({
+      category,
+      skills: skills.filter((skill) => resolveCategory(skill) === category),
+    }))
+    .filter((group) => group.skills.length > 0);
+};
+
+/**
+ * "3 yrs" style label for years of experience
+ * @param {number} years
+ * @returns {string}
+ */
+export const formatYears = (years) => {
+  if (years === null || years === undefined || years === '') return '';
+  const value = Number(years);
+  if (value < 1) return '< 1 yr';
+  return `${value} ${value === 1 ? 'yr' : 'yrs'}`;
+};
@@ -0,0 +1,21 @@
+/**
+ * Matching tool names to skills
+ * Same rule the server uses to link a project's tools to skills when it's saved
+ * (backend/utils/skillLinks.js)
+ */
+
+import { normalizeToolName } from './techTaxonomy';
+
+/**
+ * The skill a tool name matches, if any
+ * Pass the taxonomy lookup so aliases count too ("pg" matches a PostgreSQL skill)
+ * @param {Array} skills
+ * @param {string} tool
+ * @param {(name: string) => Object|null} [findTech]
+ * @returns {Object|undefined}
+ */
+export const findSkillForTool = (skills, tool, findTech = () => null) => {
+  const keyOf = (name) => normalizeToolName(findTech(name)?.name || name);
+  const key = keyOf(tool);
+  return key ? skills.find((skill) => keyOf(skill.name) === key) : undefined;
+};
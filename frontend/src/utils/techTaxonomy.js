@@ -0,0 +1,31 @@
+/**
+ * Technology taxonomy lookups
+ * The taxonomy itself comes from GET /api/tech (backend/utils/techTaxonomy.js),
+ * which also normalizes project tools when they're saved
+ */
+
+/**
+ * Key used to compare tool names - same rule as the backend
+ * Ignores case, spaces and punctuation, and a trailing "js" ("Node.js" -> "node")
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeToolName = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9+#]/g, '')
+    .replace(/^(.{2,})js$/, '$1');
+};
+
+/**
+ * Build a lookup from any spelling of a technology to its taxonomy entry
+ * @param {Array<{ name: string, aliases: string[], icon: string|null }>} technologies
+ * @returns {(name: string) => Object|null}
+ */
+export const createTechLookup = (technologies) => {
+  const index = new Map();
+  technologies.forEach((tech) => {
+    [tech.name, ...(tech.aliases || [])].forEach((alias) => index.set(normalizeToolName(alias), tech));
+  });
+  return (name) => index.get(normalizeToolName(name)) || null;
+};